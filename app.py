@@ -2,13 +2,18 @@
 @file app.py
 @description
 Lightweight Flask application serving the habitability scoring UI and its
-geospatial data. Provides routes for the main page and two JSON endpoints
-(points and polygons) consumed by the front-end JavaScript.
+geospatial data. Provides routes for the main page and JSON endpoints (points, polygons and
+scoring profiles) consumed by the front-end JavaScript.
 
 Responsibilities:
 - Initialize the Flask app.
 - Serve the main HTML template (`index.html`).
 - Load and return static JSON data files for points and polygons.
+- Serve named scoring profiles from static/data/profiles/.
+- Serve the address gazetteer (static/data/geocoding.json, or the file named by
+  the GAZETTEER_PATH environment variable for a larger local gazetteer).
+- Serve the optional walking street graph (static/data/walk_graph.json, or the
+  file named by the WALK_GRAPH_PATH environment variable).
 - Run in debug mode when executed directly.
 
 External Dependencies:
@@ -20,11 +25,19 @@ Used by:
 - Frontend (`main.js` and related scripts) to populate the map and scoring system.
 """
 
-from flask import Flask, render_template
+from flask import Flask, render_template, abort
 import json
+import os
+import re
 
 app = Flask(__name__)
 
+# Address gazetteer served at /geocoding (override with a larger local file)
+GAZETTEER_PATH = os.environ.get('GAZETTEER_PATH', 'static/data/geocoding.json')
+
+# Walking street graph served at /walkgraph (optional; see static/js/network.js for the format)
+WALK_GRAPH_PATH = os.environ.get('WALK_GRAPH_PATH', 'static/data/walk_graph.json')
+
 # ---------------------- Routes ----------------------
 
 @app.route("/")
@@ -59,6 +72,55 @@ def polygons():
     with open('static/data/features_poly.json', 'r') as polygons_file:
         return json.load(polygons_file)
 
+@app.route("/profiles/<name>")
+def profile(name):
+    """
+    Serve a named scoring profile (utility curves per aspect).
+
+    Args:
+        name (str): Profile file name without extension (letters, digits, _ or -).
+
+    Returns:
+        dict: Parsed JSON content of static/data/profiles/<name>.json
+    """
+    if not re.fullmatch(r"[A-Za-z0-9_-]+", name):
+        abort(404)
+    path = os.path.join('static', 'data', 'profiles', f'{name}.json')
+    if not os.path.isfile(path):
+        abort(404)
+    with open(path, 'r') as profile_file:
+        return json.load(profile_file)
+
+@app.route("/geocoding")
+def geocoding():
+    """
+    Serve the address gazetteer used by the address search.
+
+    Returns:
+        list | dict: Parsed JSON content of GAZETTEER_PATH (a list of
+        {address, latitude, longitude} records or a GeoJSON FeatureCollection)
+    """
+    if not os.path.isfile(GAZETTEER_PATH):
+        abort(404)
+    with open(GAZETTEER_PATH, 'r') as gazetteer_file:
+        return json.load(gazetteer_file)
+
+@app.route("/walkgraph")
+def walkgraph():
+    """
+    Serve the walking street graph used for network distances and isochrones.
+
+    Returns:
+        dict: Parsed JSON content of WALK_GRAPH_PATH (compact nodes/edges or GeoJSON lines)
+
+    Raises:
+        404: When no graph file is present (the UI falls back to straight-line distances).
+    """
+    if not os.path.isfile(WALK_GRAPH_PATH):
+        abort(404)
+    with open(WALK_GRAPH_PATH, 'r') as graph_file:
+        return json.load(graph_file)
+
 
 if __name__ == "__main__":
     app.run(debug=True)
\ No newline at end of file
@@ -0,0 +1,475 @@
+/**
+ * @file aoi.js
+ * @description Areas of interest (AOI): the region a score is built over when a
+ * single center + radius circle is not enough (a neighborhood boundary, a strip
+ * along a subway line, several pinned circles…), plus the small AOI panel shown in
+ * the data panel. Everything except `createAOIPanel` is DOM-free.
+ *
+ * AOI shape:
+ *   {
+ *     circles: [{ center: { lat, lon }, radius_m }],   // any number of circles
+ *     rings:   [[[lon, lat], …]],                      // closed outer rings (freehand, rectangles, GeoJSON)
+ *     anchor:  { lat, lon },                           // aspects are resolved here; defaults to the centroid
+ *     distance_from: "anchor" | "boundary"
+ *   }
+ * The area is the union of every circle and ring.
+ *
+ * Element distances (`_distance_m`) follow `distance_from`:
+ *  - "anchor":   straight-line distance from the anchor point
+ *  - "boundary": distance from the AOI edge, 0 for anything inside the area
+ *
+ * Used by:
+ * - `bundle.js` (filtering + distances when `options.aoi` is set)
+ * - `aspects.js` (area-weighted aspect values)
+ * - `main.js` (AOI panel), `report.js` (snapshot / GeoJSON), `url_state.js` (deep links)
+ */
+
+import {
+    haversineMeters, projectLocal, circleRing, pointInPolygon,
+    distancePointToPolygonBoundaryMeters, polygonIntersectsCircle, toPolygonFeature
+} from "./geo.js";
+import { pointIndexFor, polygonIndexFor, boxAround } from "./spatial_index.js";
+import { el, escapeHTML } from "./utils.js";
+
+/** Supported distance modes, with labels. */
+export const DISTANCE_MODES = Object.freeze({
+    anchor: "From anchor point",
+    boundary: "From area boundary",
+});
+
+/** Grid cells per side when sampling the area (area, centroid). */
+const SAMPLE_CELLS = 48;
+
+/**
+ * @typedef {Object} AOI
+ * @property {Array<{center:{lat:number, lon:number}, radius_m:number}>} circles
+ * @property {Array<Array<[number, number]>>} rings Closed `[lon, lat]` rings
+ * @property {{lat:number, lon:number}} anchor
+ * @property {"anchor"|"boundary"} distance_from
+ */
+
+/**
+ * Close a ring and drop repeated vertices; null when fewer than 3 distinct vertices remain.
+ * @param {Array<[number, number]>} ring `[lon, lat]` vertices
+ * @returns {Array<[number, number]>|null}
+ */
+function cleanRing(ring) {
+    const out = [];
+    for (const v of ring ?? []) {
+        const lon = Number(v?.[0]), lat = Number(v?.[1]);
+        if (!Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+        const prev = out[out.length - 1];
+        if (prev && prev[0] === lon && prev[1] === lat) continue;
+        out.push([lon, lat]);
+    }
+    if (out.length > 1 && out[0][0] === out[out.length - 1][0] && out[0][1] === out[out.length - 1][1]) out.pop();
+    if (out.length < 3) return null;
+    out.push([...out[0]]);
+    return out;
+}
+
+/**
+ * Validate and complete an AOI: rings are closed, empty circles dropped and the
+ * anchor defaults to the area centroid.
+ *
+ * @param {{circles?:Array, rings?:Array, anchor?:{lat:number, lon:number}|null, distance_from?:string}} raw
+ * @returns {AOI|null} null when no usable shape remains
+ */
+export function createAOI(raw) {
+    const circles = (raw?.circles ?? [])
+        .map(c => ({ center: { lat: Number(c?.center?.lat), lon: Number(c?.center?.lon) }, radius_m: Number(c?.radius_m) }))
+        .filter(c => Number.isFinite(c.center.lat) && Number.isFinite(c.center.lon) && c.radius_m > 0);
+    const rings = (raw?.rings ?? []).map(cleanRing).filter(Boolean);
+    if (!circles.length && !rings.length) return null;
+
+    const aoi = {
+        circles,
+        rings,
+        anchor: null,
+        distance_from: raw?.distance_from === "boundary" ? "boundary" : "anchor",
+    };
+    const lat = Number(raw?.anchor?.lat), lon = Number(raw?.anchor?.lon);
+    aoi.anchor = Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : aoiCentroid(aoi);
+    return aoi;
+}
+
+/**
+ * AOI made of one circle (the classic center + radius selection).
+ * @param {{lat:number, lon:number}} center
+ * @param {number} radiusM
+ * @returns {AOI|null}
+ */
+export function aoiFromCircle(center, radiusM) {
+    return createAOI({ circles: [{ center, radius_m: radiusM }], anchor: center });
+}
+
+/**
+ * Rectangle ring from two opposite corners.
+ * @param {{lat:number, lon:number}} a
+ * @param {{lat:number, lon:number}} b
+ * @returns {Array<[number, number]>} Closed `[lon, lat]` ring
+ */
+export function rectangleRing(a, b) {
+    const south = Math.min(a.lat, b.lat), north = Math.max(a.lat, b.lat);
+    const west = Math.min(a.lon, b.lon), east = Math.max(a.lon, b.lon);
+    return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+}
+
+/**
+ * Read an AOI from GeoJSON (FeatureCollection, Feature or bare geometry).
+ *  - Polygon / MultiPolygon → outer rings (holes are ignored)
+ *  - Point with a `radius_m` (or `radius`) property → circle
+ *  - A Point with `anchor: true` sets the anchor
+ *
+ * @param {any} geojson Parsed GeoJSON
+ * @returns {AOI}
+ * @throws {Error} when nothing usable is found
+ */
+export function aoiFromGeoJSON(geojson) {
+    const circles = [], rings = [];
+    let anchor = null;
+
+    // Flatten into (geometry, properties) pairs
+    const items = [];
+    const visit = (obj, props) => {
+        if (!obj) return;
+        if (obj.type === "FeatureCollection") (obj.features ?? []).forEach(f => visit(f, null));
+        else if (obj.type === "Feature") visit(obj.geometry, obj.properties ?? {});
+        else if (obj.type === "GeometryCollection") (obj.geometries ?? []).forEach(g => visit(g, props));
+        else items.push({ geom: obj, props: props ?? {} });
+    };
+    visit(geojson, null);
+
+    // Sort geometries into rings, circles and the anchor
+    for (const { geom, props } of items) {
+        if (geom.type === "Polygon") rings.push(geom.coordinates?.[0]);
+        else if (geom.type === "MultiPolygon") (geom.coordinates ?? []).forEach(poly => rings.push(poly?.[0]));
+        else if (geom.type === "Point") {
+            const [lon, lat] = geom.coordinates ?? [];
+            const radius = Number(props.radius_m ?? props.radius);
+            if (props.anchor) anchor = { lat, lon };
+            else if (radius > 0) circles.push({ center: { lat, lon }, radius_m: radius });
+        }
+    }
+
+    const aoi = createAOI({ circles, rings, anchor });
+    if (!aoi) throw new Error("no Polygon, MultiPolygon or Point with radius_m found");
+    return aoi;
+}
+
+/**
+ * Every AOI shape as a closed `[lon, lat]` ring (circles are approximated).
+ * @param {AOI} aoi
+ * @returns {Array<Array<[number, number]>>}
+ */
+export function aoiRings(aoi) {
+    return [...aoi.circles.map(c => circleRing(c.center, c.radius_m)), ...aoi.rings];
+}
+
+/**
+ * Bounding box of the AOI.
+ * @param {AOI} aoi
+ * @returns {{south:number, west:number, north:number, east:number}}
+ */
+export function aoiBounds(aoi) {
+    let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+    for (const ring of aoiRings(aoi)) {
+        for (const [lon, lat] of ring) {
+            if (lat < south) south = lat;
+            if (lat > north) north = lat;
+            if (lon < west) west = lon;
+            if (lon > east) east = lon;
+        }
+    }
+    return { south, west, north, east };
+}
+
+/**
+ * Whether a point lies inside any AOI shape.
+ * @param {AOI} aoi
+ * @param {{lat:number, lon:number}} point
+ * @returns {boolean}
+ */
+export function aoiContains(aoi, point) {
+    if (aoi.circles.some(c => haversineMeters(c.center.lat, c.center.lon, point.lat, point.lon) <= c.radius_m)) return true;
+    return aoi.rings.some(ring => pointInPolygon([point.lon, point.lat], { type: "Polygon", coordinates: [ring] }));
+}
+
+/**
+ * Distance from a point to the AOI in meters (0 inside).
+ * @param {AOI} aoi
+ * @param {{lat:number, lon:number}} point
+ * @returns {number}
+ */
+export function distanceToAOIMeters(aoi, point) {
+    if (aoiContains(aoi, point)) return 0;
+    let min = Infinity;
+    for (const c of aoi.circles) {
+        min = Math.min(min, haversineMeters(c.center.lat, c.center.lon, point.lat, point.lon) - c.radius_m);
+    }
+    for (const ring of aoi.rings) {
+        min = Math.min(min, distancePointToPolygonBoundaryMeters([point.lon, point.lat], { type: "Polygon", coordinates: [ring] }));
+    }
+    return Math.max(0, min);
+}
+
+/**
+ * Element distance for scoring, following the AOI's `distance_from` mode.
+ * @param {AOI} aoi
+ * @param {{lat:number, lon:number}} point
+ * @returns {number} Meters
+ */
+export function aoiDistanceMeters(aoi, point) {
+    if (aoi.distance_from === "boundary") return distanceToAOIMeters(aoi, point);
+    return haversineMeters(aoi.anchor.lat, aoi.anchor.lon, point.lat, point.lon);
+}
+
+/**
+ * Farthest AOI vertex (or circle edge) from the anchor, in meters.
+ * Stands in for the radius where a single number is needed (snapshot extent, reports).
+ * @param {AOI} aoi
+ * @returns {number}
+ */
+export function aoiExtentMeters(aoi) {
+    const { lat, lon } = aoi.anchor;
+    let max = 0;
+    for (const c of aoi.circles) max = Math.max(max, haversineMeters(lat, lon, c.center.lat, c.center.lon) + c.radius_m);
+    for (const ring of aoi.rings) {
+        for (const [vLon, vLat] of ring) max = Math.max(max, haversineMeters(lat, lon, vLat, vLon));
+    }
+    return max;
+}
+
+/**
+ * Cell-centered grid samples inside the AOI, each standing for `cell_m2` of area.
+ * @param {AOI} aoi
+ * @param {number} [cells=SAMPLE_CELLS] Grid cells per side (over the AOI bounds)
+ * @returns {{points:Array<{lat:number, lon:number}>, cell_m2:number}}
+ */
+export function aoiSamples(aoi, cells = SAMPLE_CELLS) {
+    const box = aoiBounds(aoi);
+    const dLat = (box.north - box.south) / cells, dLon = (box.east - box.west) / cells;
+    const midLat = (box.south + box.north) / 2;
+    const cell = projectLocal(midLat, box.west, midLat + dLat, box.west + dLon);
+
+    const points = [];
+    for (let i = 0; i < cells; i++) {
+        for (let j = 0; j < cells; j++) {
+            const point = { lat: box.south + (i + 0.5) * dLat, lon: box.west + (j + 0.5) * dLon };
+            if (aoiContains(aoi, point)) points.push(point);
+        }
+    }
+    return { points, cell_m2: Math.abs(cell.x * cell.y) };
+}
+
+/**
+ * Sample the AOI on a grid over its bounds: area of the union and its centroid.
+ * @param {AOI} aoi
+ * @param {number} [cells=SAMPLE_CELLS] Grid cells per side
+ * @returns {{area_m2:number, centroid:{lat:number, lon:number}}}
+ */
+function sampleAOI(aoi, cells = SAMPLE_CELLS) {
+    const { points, cell_m2 } = aoiSamples(aoi, cells);
+
+    // Thin shapes can miss every sample: fall back to the box center
+    const n = points.length;
+    const box = aoiBounds(aoi);
+    const centroid = n
+        ? { lat: points.reduce((a, p) => a + p.lat, 0) / n, lon: points.reduce((a, p) => a + p.lon, 0) / n }
+        : { lat: (box.south + box.north) / 2, lon: (box.west + box.east) / 2 };
+    return { area_m2: n * cell_m2, centroid };
+}
+
+/**
+ * Approximate area of the AOI (union of its shapes) in square meters.
+ * @param {AOI} aoi
+ * @returns {number}
+ */
+export function aoiAreaM2(aoi) {
+    return sampleAOI(aoi).area_m2;
+}
+
+/**
+ * Centroid of the AOI (mean of the sampled inside cells); the default anchor.
+ * @param {AOI} aoi
+ * @returns {{lat:number, lon:number}}
+ */
+export function aoiCentroid(aoi) {
+    return sampleAOI(aoi).centroid;
+}
+
+/**
+ * Radius of a circle with the same area as the AOI (for circle-based comparisons).
+ * @param {AOI} aoi
+ * @returns {number} Meters
+ */
+export function equivalentRadiusMeters(aoi) {
+    return Math.sqrt(aoiAreaM2(aoi) / Math.PI);
+}
+
+/**
+ * Short description: shape counts, area and distance mode.
+ * @param {AOI} aoi
+ * @returns {string} e.g. "2 circles + 1 polygon · 1.24 km² · distances from anchor"
+ */
+export function describeAOI(aoi) {
+    const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+    const parts = [];
+    if (aoi.circles.length) parts.push(plural(aoi.circles.length, "circle"));
+    if (aoi.rings.length) parts.push(plural(aoi.rings.length, "polygon"));
+    const area = aoiAreaM2(aoi);
+    const areaText = area >= 1e5 ? `${(area / 1e6).toFixed(2)} km²` : `${Math.round(area).toLocaleString()} m²`;
+    return `${parts.join(" + ")} · ${areaText} · distances from ${aoi.distance_from}`;
+}
+
+/* ---------- Filtering ---------- */
+
+/**
+ * Box around every AOI shape (circles measured generously), used as the
+ * spatial-index prefilter.
+ * @param {AOI} aoi
+ * @returns {import("./spatial_index.js").Box}
+ */
+function aoiSearchBox(aoi) {
+    const boxes = aoi.circles.map(c => boxAround(c.center, c.radius_m));
+    if (aoi.rings.length) boxes.push(aoiBounds({ circles: [], rings: aoi.rings }));
+    return boxes.reduce((a, b) => ({
+        south: Math.min(a.south, b.south), west: Math.min(a.west, b.west),
+        north: Math.max(a.north, b.north), east: Math.max(a.east, b.east),
+    }), { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity });
+}
+
+/**
+ * Filter points to those inside the AOI.
+ * Shallow-copies each point and adds `_distance_m` (see {@link aoiDistanceMeters}).
+ *
+ * @param {AOI} aoi
+ * @param {Array<any>} points Input points (supports {lat,lon} or {latitude,longitude})
+ * @returns {Array<any & {_distance_m:number}>}
+ */
+export function filterPointsInAOI(aoi, points) {
+    const index = pointIndexFor(points);
+    const out = [];
+    for (const id of index.search(aoiSearchBox(aoi))) {
+        const point = index.coords[id];
+        if (!aoiContains(aoi, point)) continue;
+        out.push({ ...points[id], _distance_m: aoiDistanceMeters(aoi, point) });
+    }
+    return out;
+}
+
+/**
+ * Do two segments (planar lon/lat) cross or touch?
+ * @param {[number,number]} a1
+ * @param {[number,number]} a2
+ * @param {[number,number]} b1
+ * @param {[number,number]} b2
+ * @returns {boolean}
+ */
+function segmentsIntersect(a1, a2, b1, b2) {
+    const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+    const d1 = cross(b1, b2, a1), d2 = cross(b1, b2, a2);
+    const d3 = cross(a1, a2, b1), d4 = cross(a1, a2, b2);
+    return ((d1 > 0) !== (d2 > 0) || d1 === 0 || d2 === 0) && ((d3 > 0) !== (d4 > 0) || d3 === 0 || d4 === 0);
+}
+
+/**
+ * Does an AOI ring intersect a Polygon/MultiPolygon geometry?
+ * True when a vertex of either lies inside the other or any edges cross.
+ * @param {Array<[number, number]>} ring Closed `[lon, lat]` ring
+ * @param {{type:"Polygon"|"MultiPolygon", coordinates:any}} geometry
+ * @returns {boolean}
+ */
+function ringIntersectsPolygon(ring, geometry) {
+    const area = { type: "Polygon", coordinates: [ring] };
+    const polys = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+
+    // Containment either way
+    if (ring.some(v => pointInPolygon(v, geometry))) return true;
+    if (polys.some(rings => (rings[0] ?? []).some(v => pointInPolygon(v, area)))) return true;
+
+    // Edge crossings
+    for (const rings of polys) {
+        for (const other of rings) {
+            for (let i = 0; i < ring.length - 1; i++) {
+                for (let j = 0; j < other.length - 1; j++) {
+                    if (segmentsIntersect(ring[i], ring[i + 1], other[j], other[j + 1])) return true;
+                }
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Filter polygons (custom schema or Feature) to those intersecting the AOI.
+ * Returns **GeoJSON Features**, like `filterPolygonsInRadius` (geo.js).
+ *
+ * @param {AOI} aoi
+ * @param {Array<any>} polygons Custom polygon records or Features
+ * @returns {Array<import("geojson").Feature<import("geojson").Polygon>>}
+ */
+export function filterPolygonsInAOI(aoi, polygons) {
+    const index = polygonIndexFor(polygons, toPolygonFeature);
+    return index.search(aoiSearchBox(aoi)).map(id => index.features[id]).filter(f =>
+        aoi.circles.some(c => polygonIntersectsCircle([c.center.lon, c.center.lat], c.radius_m, f.geometry)) ||
+        aoi.rings.some(ring => ringIntersectsPolygon(ring, f.geometry)));
+}
+
+/* ---------- Panel ---------- */
+
+/**
+ * Build the Area-of-interest panel: draw / rectangle / add-circle / load buttons,
+ * the anchor pick, the distance mode and a clear button.
+ *
+ * @param {AOI|null} aoi Current AOI (null: scoring uses the circle)
+ * @param {Object} handlers
+ * @param {(kind:"freehand"|"rectangle")=>void} handlers.onDraw
+ * @param {()=>void} handlers.onAddCircle Add the drawn circle to the area
+ * @param {(file:File)=>void} handlers.onLoad GeoJSON file picked
+ * @param {()=>void} handlers.onPickAnchor
+ * @param {(mode:"anchor"|"boundary")=>void} handlers.onDistanceMode
+ * @param {()=>void} handlers.onClear
+ * @param {string|null} [handlers.error] Message shown under the buttons (e.g. an unreadable file)
+ * @returns {HTMLDivElement}
+ */
+export function createAOIPanel(aoi, handlers) {
+    const panel = el("div", "bar aoi-bar");
+    panel.innerHTML = `
+        <p class="bar-label"><strong>Area</strong> <span class="small">${aoi ? escapeHTML(describeAOI(aoi)) : "none — scores use the circle"}</span></p>
+        <div class="aoi-actions">
+            <button type="button" class="score-btn" data-action="freehand" title="Drag to draw a freehand area">Draw</button>
+            <button type="button" class="score-btn" data-action="rectangle" title="Drag to draw a rectangle">Rectangle</button>
+            <button type="button" class="score-btn" data-action="circle" title="Add the drawn circle to the area">+ Circle</button>
+            <label class="score-btn aoi-file" title="Load an area from GeoJSON">Load<input type="file" accept=".geojson,.json,application/geo+json,application/json" class="hidden"></label>
+            ${aoi ? `
+            <button type="button" class="score-btn" data-action="anchor" title="Click the map to set the anchor point">Anchor</button>
+            <select class="aoi-distance" aria-label="Element distances">${Object.entries(DISTANCE_MODES).map(([k, label]) =>
+                `<option value="${k}"${k === aoi.distance_from ? " selected" : ""}>${label}</option>`).join("")}</select>
+            <button type="button" class="score-btn" data-action="clear" title="Clear the area (score the circle again)">×</button>` : ""}
+        </div>
+        ${handlers.error ? `<p class="bar-label small aoi-error" role="alert">${escapeHTML(handlers.error)}</p>` : ""}`;
+
+    // Buttons
+    const actions = {
+        freehand: () => handlers.onDraw("freehand"),
+        rectangle: () => handlers.onDraw("rectangle"),
+        circle: handlers.onAddCircle,
+        anchor: handlers.onPickAnchor,
+        clear: handlers.onClear,
+    };
+    panel.querySelectorAll("[data-action]").forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+            e.stopPropagation();
+            actions[btn.dataset.action]?.();
+        });
+    });
+
+    // GeoJSON file + distance mode
+    const fileInput = panel.querySelector(".aoi-file input");
+    fileInput.addEventListener("change", () => {
+        if (fileInput.files?.[0]) handlers.onLoad(fileInput.files[0]);
+    });
+    panel.querySelector(".aoi-distance")?.addEventListener("change", (e) => handlers.onDistanceMode(e.target.value));
+    return panel;
+}
@@ -0,0 +1,214 @@
+/**
+ * @file aspects.js
+ * @description Aspect values over a whole area instead of at the center point.
+ * The area (AOI or circle) is intersected with each aspect's zones on a sample grid,
+ * giving the zone mix (share of the area per zone) and an area-weighted mean, min
+ * or max value; plus the small "Zone values" selector shown in the Preferences panel.
+ * Everything except `createAspectModePanel` is DOM-free.
+ *
+ * Aspect mode (`options.aspectMode` in bundle.js, or `aspect_values` in a scoring profile):
+ *   { aggregate: "center" | "mean" | "min" | "max", overlap: "first" | "max" | "min" | "mean",
+ *     surface: "none" | "idw" | "kernel", bandwidth_m?, power? }
+ *  - aggregate "center":    the zone containing the center (or the nearest zone), as before
+ *  - aggregate "mean":      area-weighted mean of the zone values over the covered part of the area
+ *  - aggregate "min"/"max": lowest / highest value found anywhere in the area
+ *  - overlap:               which value counts where zones overlap (see `resolveOverlap`, geo.js)
+ *  - surface:               read values from a smooth surface instead of the zone steps (see surface.js);
+ *                           `bandwidth_m` (kernel) and `power` (idw) tune it
+ *
+ * Parts of the area that no zone covers are left out (`covered_share` < 1); when
+ * nothing is covered the value falls back to the center lookup.
+ *
+ * Used by:
+ * - `bundle.js` (aspect resolution), `hab_score.js` and `report.js` (zone mix)
+ * - `main.js` (Zone values selector)
+ */
+
+import { pointInPolygon, toAspectFeature, resolveOverlap, resolveAspectValueAtPoint, OVERLAP_MODES } from "./geo.js";
+import { aoiSamples } from "./aoi.js";
+import { SURFACE_METHODS } from "./surface.js";
+import { polygonIndexFor } from "./spatial_index.js";
+import { el } from "./utils.js";
+
+/** Area aggregation modes, with labels. */
+export const AGGREGATE_MODES = Object.freeze({
+    center: "At center",
+    mean:   "Area mean",
+    min:    "Area minimum",
+    max:    "Area maximum",
+});
+
+/** Overlap modes (geo.js OVERLAP_MODES), with labels. */
+export const OVERLAP_LABELS = Object.freeze({
+    first: "first zone",
+    max:   "highest",
+    min:   "lowest",
+    mean:  "mean",
+});
+
+/** Center lookup with the first matching zone and no smoothing (the original behavior). */
+export const DEFAULT_ASPECT_MODE = Object.freeze({ aggregate: "center", overlap: "first", surface: "none" });
+
+/** Grid cells per side when sampling an area for aspect values. */
+const AREA_SAMPLE_CELLS = 24;
+
+/**
+ * @typedef {Object} AspectMode
+ * @property {"center"|"mean"|"min"|"max"} aggregate
+ * @property {"first"|"max"|"min"|"mean"} overlap
+ * @property {"none"|"idw"|"kernel"} surface
+ * @property {number} [bandwidth_m] Kernel bandwidth σ (surface "kernel")
+ * @property {number} [power]       Inverse-distance power (surface "idw")
+ */
+
+/**
+ * @typedef {Object} ZoneShare
+ * @property {string} zone     Zone label (zone_type, zone or name; "zone N" otherwise)
+ * @property {number|null} value Raw aspect value of the zone
+ * @property {number} share    Fraction of the covered area in this zone (shares sum to 1)
+ * @property {number} area_m2  Approximate area in square meters
+ */
+
+/**
+ * Validate a raw aspect mode, falling back to DEFAULT_ASPECT_MODE per field.
+ * @param {any} raw
+ * @returns {AspectMode}
+ */
+export function normalizeAspectMode(raw) {
+    const aggregate = String(raw?.aggregate ?? "").toLowerCase();
+    const overlap = String(raw?.overlap ?? "").toLowerCase();
+    const surface = String(raw?.surface ?? "").toLowerCase();
+    const mode = {
+        aggregate: aggregate in AGGREGATE_MODES ? aggregate : DEFAULT_ASPECT_MODE.aggregate,
+        overlap: OVERLAP_MODES.includes(overlap) ? overlap : DEFAULT_ASPECT_MODE.overlap,
+        surface: surface in SURFACE_METHODS ? surface : DEFAULT_ASPECT_MODE.surface,
+    };
+
+    // Tuning parameters are only kept when valid
+    if (Number(raw?.bandwidth_m) > 0) mode.bandwidth_m = Number(raw.bandwidth_m);
+    if (Number(raw?.power) > 0) mode.power = Number(raw.power);
+    return mode;
+}
+
+/**
+ * Whether a mode differs from the default (used to keep URLs and panels quiet).
+ * @param {AspectMode} mode
+ * @returns {boolean}
+ */
+export function isDefaultAspectMode(mode) {
+    return mode.aggregate === DEFAULT_ASPECT_MODE.aggregate && mode.overlap === DEFAULT_ASPECT_MODE.overlap
+        && mode.surface === DEFAULT_ASPECT_MODE.surface;
+}
+
+/**
+ * Resolve one aspect over an area.
+ * With aggregate "center" (or no area) this is `resolveAspectValueAtPoint` at the center.
+ * With a surface, each sample takes the surface value (the zone mix still counts zones).
+ *
+ * @param {import("./aoi.js").AOI|null} area Area to sample (AOI, or `aoiFromCircle` for the circle)
+ * @param {{lat:number, lon:number}} center Used for "center" and as the fallback
+ * @param {Array<any>} aspectPolys Custom records or Features of one aspect
+ * @param {AspectMode} [mode=DEFAULT_ASPECT_MODE]
+ * @param {import("./surface.js").AspectSurface|null} [surface=null] Smooth surface for this aspect
+ * @returns {Object} Same shape as `resolveAspectValueAtPoint`; area results add
+ *          `source:"area"`, `aggregate`, `overlap`, `zones` (ZoneShare[], largest first)
+ *          and `covered_share`, with `polygon` set to the zone covering most of the area
+ */
+export function resolveAspectOverArea(area, center, aspectPolys, mode = DEFAULT_ASPECT_MODE, surface = null) {
+    const { aggregate, overlap } = mode;
+    if (!area || aggregate === "center") return resolveAspectValueAtPoint(center, aspectPolys, overlap, surface);
+
+    // Zones from the spatial index (cheap bounding-box rejection before point-in-polygon)
+    const index = polygonIndexFor(aspectPolys || [], toAspectFeature);
+    const zones = index.features.map((feature, i) => {
+        const p = feature.properties;
+        return { feature, name: String(p.zone_type ?? p.zone ?? p.name ?? `zone ${i + 1}`), samples: 0 };
+    });
+
+    // Resolve every sample: attribute it to its zone(s) and collect its value
+    const { points, cell_m2 } = aoiSamples(area, AREA_SAMPLE_CELLS);
+    let covered = 0, sum = 0, count = 0, min = Infinity, max = -Infinity;
+    for (const { lat, lon } of points) {
+        const containing = index.at(lat, lon).map(id => zones[id]).filter(z => pointInPolygon([lon, lat], z.feature.geometry));
+        if (!containing.length) continue;
+        covered++;
+
+        // "mean" splits the sample between the overlapping zones; otherwise the winner takes it
+        const { value, polygon } = resolveOverlap(containing.map(z => z.feature), overlap);
+        if (overlap === "mean") containing.forEach(z => { z.samples += 1 / containing.length; });
+        else containing.find(z => z.feature === polygon).samples += 1;
+
+        const smooth = surface?.valueAt(lat, lon);
+        const v = smooth ?? Number(value);
+        if (value == null && smooth == null || !Number.isFinite(v)) continue;
+        sum += v; count++;
+        min = Math.min(min, v); max = Math.max(max, v);
+    }
+
+    // Nothing covered (or no values): fall back to the center lookup
+    if (!count) return resolveAspectValueAtPoint(center, aspectPolys, overlap, surface);
+
+    // Zone mix, largest share first
+    const mix = zones.filter(z => z.samples > 0).sort((a, b) => b.samples - a.samples);
+    const value = aggregate === "mean" ? sum / count : aggregate === "min" ? min : max;
+    return {
+        out_of_bounds: false,
+        source: "area",
+        aggregate,
+        overlap,
+        value: Math.round(value * 100) / 100,
+        zones: mix.map(z => ({
+            zone: z.name,
+            value: z.feature.properties.value ?? null,
+            share: z.samples / covered,
+            area_m2: z.samples * cell_m2,
+        })),
+        covered_share: covered / points.length,
+        polygon: mix[0].feature,
+        ...(surface && { surface: surface.method }),
+    };
+}
+
+/**
+ * Short zone-mix description for an area-resolved aspect.
+ * @param {{zones:ZoneShare[], covered_share:number, aggregate:string}} info
+ * @param {number} [limit=3] Zones listed before "+N more"
+ * @returns {string} e.g. "area mean of 62% west_central (11), 38% west_industrial (22)"
+ */
+export function describeZoneMix(info, limit = 3) {
+    const listed = info.zones.slice(0, limit).map(z => `${Math.round(z.share * 100)}% ${z.zone} (${z.value ?? "—"})`);
+    if (info.zones.length > limit) listed.push(`+${info.zones.length - limit} more`);
+    const covered = info.covered_share < 0.995 ? ` · ${Math.round(info.covered_share * 100)}% of the area covered` : "";
+    return `${AGGREGATE_MODES[info.aggregate].toLowerCase()} of ${listed.join(", ")}${covered}`;
+}
+
+/* ---------- Panel ---------- */
+
+/**
+ * Build the "Zone values" selector: how aspects are read from the zones (at the
+ * center or over the whole area), which value wins where zones overlap and
+ * whether values come from a smooth surface. Tuning parameters are kept.
+ * @param {AspectMode} mode
+ * @param {(mode:AspectMode)=>void} onChange
+ * @returns {HTMLDivElement}
+ */
+export function createAspectModePanel(mode, onChange) {
+    const panel = el("div", "bar aspect-mode-bar");
+    panel.innerHTML = `
+        <p class="bar-label"><strong>Zone values</strong></p>
+        <select name="aggregate" aria-label="Aspect values">${Object.entries(AGGREGATE_MODES).map(([k, label]) =>
+            `<option value="${k}"${k === mode.aggregate ? " selected" : ""}>${label}</option>`).join("")}</select>
+        <label class="small">overlaps:
+            <select name="overlap" aria-label="Overlapping zones">${Object.entries(OVERLAP_LABELS).map(([k, label]) =>
+                `<option value="${k}"${k === mode.overlap ? " selected" : ""}>${label}</option>`).join("")}</select></label>
+        <label class="small">surface:
+            <select name="surface" aria-label="Aspect surface">${Object.entries(SURFACE_METHODS).map(([k, label]) =>
+                `<option value="${k}"${k === mode.surface ? " selected" : ""}>${label}</option>`).join("")}</select></label>`;
+
+    // Report all selections on any change
+    const selects = ["aggregate", "overlap", "surface"].map(name => panel.querySelector(`[name=${name}]`));
+    const emit = () => onChange(normalizeAspectMode({ ...mode, ...Object.fromEntries(selects.map(s => [s.name, s.value])) }));
+    selects.forEach(s => s.addEventListener("change", emit));
+    panel.addEventListener("click", (e) => e.stopPropagation());
+    return panel;
+}
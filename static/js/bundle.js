@@ -0,0 +1,262 @@
+/**
+ * @file bundle.js
+ * @description DOM-free construction of the habitability scoring bundle.
+ * Combines the geometry helpers in geo.js with the dataset, preferences and
+ * scoring options into the self-contained bundle consumed by hab_score.js.
+ * Runs in the browser, in Web Workers and in Node (see tools/score_location.mjs).
+ *
+ * Areas of interest: with `options.aoi` (see aoi.js) the bundle is built over any
+ * AOI geometry instead of the center + radius circle; aspects are resolved at the
+ * AOI anchor and element distances follow the AOI's `distance_from` mode.
+ *
+ * Aspect values: `options.aspectMode` (or the profile's `aspect_values`, see aspects.js)
+ * reads the zones at the center or over the whole area (area-weighted mean, min or
+ * max) and sets which value wins where zones overlap. Isochrones are sampled over
+ * their straight-line bounding circle. With a `surface` method the values come from
+ * a smooth surface between the zones (see surface.js), cached per dataset.
+ *
+ * Large datasets: points and polygons are looked up through spatial indexes
+ * (spatial_index.js) built once per dataset; `indexDataset` builds them up front.
+ *
+ * Walking network: with `options.network.graph` (see network.js) element, transit
+ * and dealbreaker distances are walking distances from the center/anchor over the
+ * street graph; elements that cannot be reached on foot are dropped. With
+ * `options.network.max_m` the area itself becomes the walk-time isochrone.
+ *
+ * Units:
+ *  - Radius is in meters.
+ *  - Transit-zone distances in the polygon data are miles (converted to km here).
+ *  - Transit & element distances handed to the scorer are in kilometers.
+ */
+
+import {
+    filterPointsInRadius, filterPolygonsInRadius,
+    resolveTransitZoneInfo, toAspectFeature, toPolygonFeature, coveredBounds, nearestPoint,
+    collectTransitDistancesKm, buildElementChannels
+} from "./geo.js";
+import { filterPointsInAOI, filterPolygonsInAOI, aoiDistanceMeters, aoiExtentMeters, aoiFromCircle } from "./aoi.js";
+import { normalizeAspectMode, resolveAspectOverArea } from "./aspects.js";
+import { surfaceFor } from "./surface.js";
+import { pointIndexFor, polygonIndexFor } from "./spatial_index.js";
+import { filterPointsByWalk, filterPolygonsByWalk } from "./network.js";
+import { DEFAULT_PROFILE, DEFAULT_WEIGHTS } from "./scoring_profile.js";
+import { evaluateDealbreakers } from "./dealbreakers.js";
+
+/** 1 mile = 1.609344 kilometers */
+const MILE_TO_KM = 1.609344;
+
+/** Walking searches reach this many times the area size (detours are rarely longer). */
+const NETWORK_SEARCH_FACTOR = 3;
+
+/** Aspects the bundle resolves from the zones. */
+const BUNDLE_ASPECTS = ["air_quality_index", "crime_rate", "median_rent", "school_quality", "transit_access"];
+
+/** polygon array → aspect → its polygons (stable arrays, so their indexes are reused) */
+const aspectLists = new WeakMap();
+
+/**
+ * Select the polygons of one aspect from any supported polygon container:
+ * an array of custom records/Features, or `{ aspect: Array|FeatureCollection|Feature }`.
+ *
+ * @param {Array<any>|Record<string,any>|null} polys
+ * @param {string} name Aspect key (e.g., "median_rent")
+ * @returns {Array<any>}
+ */
+export function aspectPolygons(polys, name) {
+    // Sorting based on type of input (array selections are cached per dataset)
+    if (Array.isArray(polys)) {
+        if (!aspectLists.has(polys)) aspectLists.set(polys, { size: polys.length, byName: new Map() });
+        const cached = aspectLists.get(polys);
+        if (cached.size !== polys.length) Object.assign(cached, { size: polys.length, byName: new Map() });
+        if (!cached.byName.has(name)) cached.byName.set(name, polys.filter(p => ((p.properties && p.properties.aspect) || p.aspect) === name));
+        return cached.byName.get(name);
+    }
+    else if (polys && typeof polys === "object") {
+
+        // Create value bucket
+        const bucket = polys[name];
+
+        // Return empty bucket if not valid
+        if (!bucket) return [];
+
+        // Return values based on bucket
+        if (Array.isArray(bucket)) return bucket;
+        if (bucket.type === "FeatureCollection") return bucket.features || [];
+        if (bucket.type === "Feature") return [bucket];
+
+        // Return empty bucket if empty
+        return [];
+    }
+    // Return empty bucket if empty
+    return [];
+}
+
+/**
+ * Build the spatial indexes of a dataset up front (at load time), so the first
+ * Generate, heatmap or search does not pay for them. Safe to call repeatedly.
+ * @param {{points:Array, polygons:Array|Object}} dataset
+ * @returns {{points:number, polygons:number}} Indexed item counts
+ */
+export function indexDataset(dataset) {
+    const points = Array.isArray(dataset?.points) ? dataset.points : [];
+    pointIndexFor(points);
+    if (Array.isArray(dataset?.polygons)) polygonIndexFor(dataset.polygons, toPolygonFeature);
+    BUNDLE_ASPECTS.forEach(name => polygonIndexFor(aspectPolygons(dataset?.polygons, name), toAspectFeature));
+    coveredBounds(dataset?.polygons);
+    const polygons = Array.isArray(dataset?.polygons)
+        ? dataset.polygons.length
+        : BUNDLE_ASPECTS.reduce((n, name) => n + aspectPolygons(dataset?.polygons, name).length, 0);
+    return { points: points.length, polygons };
+}
+
+/**
+ * Build the scoring bundle:
+ *  - Filter points/polygons by radius (or by the AOI)
+ *  - Resolve aspect values at the center (or over the area, see aspects.js)
+ *  - Prepare channels: transit_km + element pairs
+ *  - Carry the scoring weights and profile used by score_v3
+ *  - Evaluate dealbreaker rules against the whole dataset
+ *  - Label the center with the nearest known address (when a gazetteer is given)
+ *
+ * @param {{lat:number,lon:number}} center
+ * @param {number} radiusM Radius in meters
+ * @param {{points:Array, polygons:Array|Object}} dataset
+ * @param {Record<string,number>} prefs Graded preference per element type (-3…+3)
+ * @param {{weights?:Record<string,number>, profile?:Object, dealbreakers?:Array, gazetteer?:import("./geocoder.js").Gazetteer, aoi?:import("./aoi.js").AOI|null, network?:{graph:import("./network.js").WalkGraph, max_m?:number}|null, aspectMode?:import("./aspects.js").AspectMode}} [options]
+ *        Scoring options carried on the bundle; `gazetteer` only labels the center.
+ *        With `aoi`, its anchor replaces `center` and its extent replaces `radiusM`.
+ *        With `network.max_m`, the isochrone of that walking distance replaces both.
+ * @returns {Object} Bundle for score_v3 + renderer
+ */
+export function buildHabBundle(center, radiusM, dataset, prefs, options = {}) {
+    // An AOI overrides the circle: anchor as center, extent as radius
+    let aoi = options.aoi ?? null;
+    if (aoi) {
+        center = aoi.anchor;
+        radiusM = aoiExtentMeters(aoi);
+    }
+
+    // A walk-time isochrone overrides both (measured from the anchor when an AOI is set)
+    const graph = options.network?.graph?.size ? options.network.graph : null;
+    const isochroneM = graph && Number(options.network.max_m) > 0 ? Number(options.network.max_m) : null;
+    if (isochroneM) {
+        aoi = null;
+        radiusM = isochroneM;
+    }
+
+    // Walking distances from the center; boundary-measured AOIs keep their straight-line distances
+    const walking = graph && !(aoi && aoi.distance_from === "boundary");
+    const dealbreakerReach = Math.max(0, ...(options.dealbreakers ?? []).map(r => Number(r.within_m) || 0));
+    const reach = walking
+        ? graph.distancesFrom(center, NETWORK_SEARCH_FACTOR * Math.max(radiusM, dealbreakerReach))
+        : null;
+
+    // Filter values for whats withint a radius (or the AOI / isochrone)
+    let pointsIn, polysIn, unreachable = 0;
+    if (isochroneM) {
+        pointsIn = filterPointsByWalk(graph, reach, dataset.points, isochroneM);
+        polysIn  = filterPolygonsByWalk(graph, reach, dataset.polygons, isochroneM);
+    }
+    else {
+        pointsIn = aoi ? filterPointsInAOI(aoi, dataset.points) : filterPointsInRadius(center, radiusM, dataset.points);
+        polysIn  = aoi ? filterPolygonsInAOI(aoi, dataset.polygons) : filterPolygonsInRadius(center, radiusM, dataset.polygons);
+
+        // Re-measure the elements inside along the network; drop the ones not reachable on foot
+        if (walking) {
+            const walked = pointsIn.map(p => ({ ...p, _distance_m: graph.distanceTo(reach, { lat: p.latitude ?? p.lat, lon: p.longitude ?? p.lon ?? p.lng }) }));
+            pointsIn = walked.filter(p => Number.isFinite(p._distance_m));
+            unreachable = walked.length - pointsIn.length;
+        }
+    }
+
+    // Resolve aspects (at the center, or over the AOI / circle)
+    const byAspect = (name) => aspectPolygons(dataset.polygons, name);
+    const profile = options.profile ?? DEFAULT_PROFILE;
+    const aspectMode = normalizeAspectMode(options.aspectMode ?? profile.aspect_values);
+    const area = aspectMode.aggregate === "center" ? null : (aoi ?? aoiFromCircle(center, radiusM));
+    const resolve = (name) => resolveAspectOverArea(area, center, byAspect(name), aspectMode,
+        surfaceFor(dataset.polygons, name, byAspect(name), aspectMode));
+
+    // Determine score based on aspect value
+    const air    = resolve("air_quality_index");
+    const crime  = resolve("crime_rate");
+    const rent   = resolve("median_rent");
+    const school = resolve("school_quality");
+    const transit_zone = resolveTransitZoneInfo(center, byAspect("transit_access"));
+
+    // Determine Transit point distances (meters → km)
+    let transit_km = collectTransitDistancesKm(pointsIn);
+    const transit_points = transit_km.length > 0;
+
+    // Fallback to transit polygons if there is no distance value (values in miles → km)
+    if (transit_km.length === 0) {
+        // Create storage
+        const candidates = [];
+
+        // Check if the transit zone is valid
+        if (!transit_zone?.out_of_bounds && transit_zone.zone_transit_distance != null) {
+            // Add to the candiates list
+            candidates.push(Number(transit_zone.zone_transit_distance) * MILE_TO_KM);
+        
+        }
+
+        // Cycle the polygons checking for transit access aspects and add it to the list if valid
+        for (const poly of polysIn) {
+            const asp = poly.properties?.aspect || poly.aspect;
+            if (asp === "transit_access") {
+                const td_miles = poly.properties?.transit_distance ?? poly.transit_distance;
+                if (td_miles != null) candidates.push(Number(td_miles) * MILE_TO_KM);
+            }
+        }
+
+        // Filter values if they are numbers and are greater than 0
+        transit_km = candidates.filter(x => Number.isFinite(x) && x >= 0);
+    }
+
+    // Build the grouped element values
+    const grouped = buildElementChannels(center, pointsIn, { perType: prefs });
+
+    // Evaluate dealbreakers (element rules use the nearest element of a type anywhere in the dataset,
+    // measured like the element distances when an AOI or walking network is set)
+    const aspects = { air, crime, rent, school, transit_zone };
+    const nearestOfType = (type) => {
+        const ofType = pointIndexFor(dataset.points).ofType(type);
+
+        // Straight-line distances: indexed nearest search; otherwise measure every element of the type
+        let best = null;
+        if (!walking && !aoi) best = nearestPoint(center, ofType);
+        else {
+            const withD = walking
+                ? filterPointsByWalk(graph, reach, ofType)
+                : ofType.map(p => ({ ...p, _distance_m: aoiDistanceMeters(aoi, { lat: p.latitude ?? p.lat, lon: p.longitude ?? p.lon ?? p.lng }) }));
+            if (withD.length) best = withD.reduce((a, b) => (b._distance_m < a._distance_m ? b : a));
+        }
+        if (!best) return null;
+        return { name: best.name ?? "Unnamed", distance_m: best._distance_m };
+    };
+    const dealbreakers = evaluateDealbreakers(options.dealbreakers, { nearestOfType, aspects, walking: Boolean(walking) });
+
+    // Return the payload
+    return {
+        center, radius_m: radiusM, aoi,
+        filtered: { points: pointsIn, polygons: polysIn },
+        aspects,
+        channels: {
+            transit_km,
+            transit_points,
+            elements_pairs: grouped.elements_pairs,
+            elements: grouped.elements,
+            pos_km: grouped.pos_km,
+            neg_km: grouped.neg_km,
+            neu_km: grouped.neu_km
+        },
+        weights: { ...DEFAULT_WEIGHTS, ...(options.weights || {}) },
+        profile,
+        aspect_mode: aspectMode,
+        dealbreakers,
+        network: graph
+            ? { walking: Boolean(walking), isochrone_m: isochroneM, origin_snap_m: reach?.snap_m ?? null, unreachable }
+            : null,
+        address: options.gazetteer?.nearest(center.lat, center.lon) ?? null
+    };
+}
@@ -0,0 +1,166 @@
+/**
+ * @file charts.js
+ * @description Tiny dependency-free SVG chart builders for the score panel.
+ * Every builder returns an SVG **string** (no DOM access), so charts can be
+ * produced anywhere and dropped into the page with innerHTML.
+ *
+ * Exports:
+ *  - lineChartSVG: multi-series line chart with optional vertical event marks
+ *  - histogramSVG: binned distribution with an optional highlighted value
+ */
+
+/** Default chart size in CSS pixels (scaled by the viewBox). */
+const WIDTH = 480;
+const HEIGHT = 200;
+
+/** Plot-area padding: top, right, bottom, left. */
+const PAD = { t: 10, r: 10, b: 28, l: 36 };
+
+/**
+ * Format an axis tick value compactly (1200 → "1.2k").
+ * @param {number} v
+ * @returns {string}
+ */
+function tickLabel(v) {
+    if (Math.abs(v) >= 1000) return `${(v / 1000).toFixed(v % 1000 === 0 ? 0 : 1)}k`;
+    return Number.isInteger(v) ? String(v) : v.toFixed(1);
+}
+
+/**
+ * "Nice" tick values for a linear range.
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=5]
+ * @returns {number[]}
+ */
+function niceTicks(min, max, count = 5) {
+    const span = (max - min) || 1;
+    const raw = span / count;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(m => m * mag).find(s => span / s <= count) ?? raw;
+    const ticks = [];
+    for (let v = Math.ceil(min / step) * step; v <= max + 1e-9; v += step) ticks.push(+v.toFixed(10));
+    return ticks;
+}
+
+/**
+ * Ticks for a log axis: 1-2-5 steps within [min, max].
+ * @param {number} min
+ * @param {number} max
+ * @returns {number[]}
+ */
+function logTicks(min, max) {
+    const ticks = [];
+    for (let e = Math.floor(Math.log10(min)); e <= Math.ceil(Math.log10(max)); e++) {
+        for (const m of [1, 2, 5]) {
+            const v = m * Math.pow(10, e);
+            if (v >= min && v <= max) ticks.push(v);
+        }
+    }
+    return ticks;
+}
+
+/**
+ * Multi-series line chart.
+ *
+ * @param {Object} opts
+ * @param {Array<{label:string, color:string, points:Array<{x:number,y:number}>, width?:number, dashed?:boolean}>} opts.series
+ * @param {Array<{x:number, label:string}>} [opts.marks] Vertical event marks (label shown as tooltip)
+ * @param {number} [opts.cursor] x of a highlighted vertical line (e.g., the current value)
+ * @param {[number,number]} [opts.yRange=[0,100]]
+ * @param {boolean} [opts.logX=false] Log-scaled x axis
+ * @param {string} [opts.xLabel]
+ * @returns {string} SVG markup
+ */
+export function lineChartSVG({ series, marks = [], cursor = null, yRange = [0, 100], logX = false, xLabel = "" }) {
+    // Determine x extent across all series
+    const xs = series.flatMap(s => s.points.map(p => p.x)).filter(Number.isFinite);
+    if (!xs.length) return "";
+    const xMin = Math.min(...xs), xMax = Math.max(...xs);
+    const [yMin, yMax] = yRange;
+
+    // Scales
+    const fx = logX
+        ? (x) => Math.log(x / xMin) / (Math.log(xMax / xMin) || 1)
+        : (x) => (x - xMin) / ((xMax - xMin) || 1);
+    const sx = (x) => PAD.l + fx(x) * (WIDTH - PAD.l - PAD.r);
+    const sy = (y) => HEIGHT - PAD.b - ((y - yMin) / ((yMax - yMin) || 1)) * (HEIGHT - PAD.t - PAD.b);
+
+    // Axes and grid
+    const xTicks = logX ? logTicks(xMin, xMax) : niceTicks(xMin, xMax);
+    const yTicks = niceTicks(yMin, yMax, 4);
+    const grid = [
+        ...yTicks.map(v => `<line class="chart-grid" x1="${PAD.l}" x2="${WIDTH - PAD.r}" y1="${sy(v)}" y2="${sy(v)}"/>` +
+            `<text class="chart-tick" x="${PAD.l - 4}" y="${sy(v) + 4}" text-anchor="end">${tickLabel(v)}</text>`),
+        ...xTicks.map(v => `<text class="chart-tick" x="${sx(v)}" y="${HEIGHT - PAD.b + 14}" text-anchor="middle">${tickLabel(v)}</text>`),
+    ].join("");
+    const axisLabel = xLabel ? `<text class="chart-tick" x="${WIDTH - PAD.r}" y="${HEIGHT - 2}" text-anchor="end">${xLabel}</text>` : "";
+
+    // Event marks + cursor
+    const markLines = marks.map(m =>
+        `<line class="chart-mark" x1="${sx(m.x)}" x2="${sx(m.x)}" y1="${PAD.t}" y2="${HEIGHT - PAD.b}"><title>${m.label}</title></line>`).join("");
+    const cursorLine = Number.isFinite(cursor) && cursor >= xMin && cursor <= xMax
+        ? `<line class="chart-cursor" x1="${sx(cursor)}" x2="${sx(cursor)}" y1="${PAD.t}" y2="${HEIGHT - PAD.b}"/>`
+        : "";
+
+    // Series polylines
+    const lines = series.map(s => {
+        const pts = s.points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y))
+            .map(p => `${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`).join(" ");
+        return `<polyline fill="none" stroke="${s.color}" stroke-width="${s.width ?? 1.5}"${s.dashed ? ` stroke-dasharray="4 3"` : ""} points="${pts}"><title>${s.label}</title></polyline>`;
+    }).join("");
+
+    // Legend
+    const legend = series.map((s, i) =>
+        `<text class="chart-legend" x="${PAD.l + 4 + (i % 4) * 110}" y="${PAD.t + 10 + Math.floor(i / 4) * 12}" fill="${s.color}">${s.label}</text>`).join("");
+
+    return `<svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" preserveAspectRatio="xMidYMid meet" xmlns="http://www.w3.org/2000/svg">${grid}${axisLabel}${markLines}${cursorLine}${lines}${legend}</svg>`;
+}
+
+/**
+ * Histogram of values over a fixed range, with an optional marker line
+ * (e.g., the selected location's score). Bins containing the marker are highlighted.
+ *
+ * @param {number[]} values
+ * @param {Object} [opts]
+ * @param {number} [opts.bins=20]
+ * @param {[number,number]} [opts.range=[0,100]]
+ * @param {number} [opts.marker]
+ * @param {string} [opts.xLabel]
+ * @returns {string} SVG markup
+ */
+export function histogramSVG(values, { bins = 20, range = [0, 100], marker = null, xLabel = "" } = {}) {
+    const [lo, hi] = range;
+    const width = (hi - lo) / bins;
+    const h = HEIGHT / 2;
+
+    // Count values per bin (the top edge falls into the last bin)
+    const counts = new Array(bins).fill(0);
+    for (const v of values) {
+        if (!Number.isFinite(v)) continue;
+        const i = Math.min(bins - 1, Math.max(0, Math.floor((v - lo) / width)));
+        counts[i]++;
+    }
+    const maxCount = Math.max(1, ...counts);
+
+    // Scales
+    const sx = (x) => PAD.l + ((x - lo) / ((hi - lo) || 1)) * (WIDTH - PAD.l - PAD.r);
+    const sy = (c) => h - PAD.b - (c / maxCount) * (h - PAD.t - PAD.b);
+    const markerBin = Number.isFinite(marker) ? Math.min(bins - 1, Math.max(0, Math.floor((marker - lo) / width))) : -1;
+
+    // Bars
+    const bars = counts.map((c, i) => {
+        const x0 = sx(lo + i * width), x1 = sx(lo + (i + 1) * width);
+        return `<rect class="chart-bar${i === markerBin ? " chart-bar-hit" : ""}" x="${x0 + 0.5}" y="${sy(c)}" width="${Math.max(0, x1 - x0 - 1)}" height="${h - PAD.b - sy(c)}"><title>${(lo + i * width).toFixed(0)}–${(lo + (i + 1) * width).toFixed(0)}: ${c}</title></rect>`;
+    }).join("");
+
+    // Axis ticks + marker
+    const ticks = niceTicks(lo, hi, 5)
+        .map(v => `<text class="chart-tick" x="${sx(v)}" y="${h - PAD.b + 14}" text-anchor="middle">${tickLabel(v)}</text>`).join("");
+    const axisLabel = xLabel ? `<text class="chart-tick" x="${WIDTH - PAD.r}" y="${h - 2}" text-anchor="end">${xLabel}</text>` : "";
+    const markerLine = markerBin >= 0
+        ? `<line class="chart-cursor" x1="${sx(marker)}" x2="${sx(marker)}" y1="${PAD.t}" y2="${h - PAD.b}"/>`
+        : "";
+
+    return `<svg class="chart chart-short" viewBox="0 0 ${WIDTH} ${h}" preserveAspectRatio="xMidYMid meet" xmlns="http://www.w3.org/2000/svg">${bars}${ticks}${axisLabel}${markerLine}</svg>`;
+}
@@ -0,0 +1,167 @@
+/**
+ * @file compare.js
+ * @description Side-by-side comparison of candidate locations (A, B, C…).
+ * Every candidate keeps its own center and radius and is scored with the same
+ * preferences and scoring options; the table builder returns an HTML **string**
+ * (like charts.js) with the best/worst value of each differing row highlighted.
+ *
+ * Used by:
+ * - `main.js` (Add Candidate button, comparison panel)
+ */
+
+import { buildHabBundle } from "./bundle.js";
+import { scoreBundle } from "./hab_score.js";
+import { colorForKey } from "./utils.js";
+import { formatRadius } from "./units.js";
+
+/** Labels handed out to candidates, in order. */
+const LABELS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/**
+ * @typedef {Object} Candidate
+ * @property {string} label  "A", "B", …
+ * @property {{lat:number, lon:number}} center
+ * @property {number} radius_m
+ */
+
+/**
+ * @typedef {Candidate & {bundle:Object, result:Object}} ScoredCandidate
+ */
+
+/**
+ * First label not used by an existing candidate.
+ * @param {Candidate[]} candidates
+ * @returns {string|null} null when every label is taken
+ */
+export function nextCandidateLabel(candidates) {
+    const used = new Set(candidates.map(c => c.label));
+    return [...LABELS].find(l => !used.has(l)) ?? null;
+}
+
+/**
+ * Map color for a candidate label (circle and table header share it).
+ * @param {string} label
+ * @returns {string}
+ */
+export function candidateColor(label) {
+    return colorForKey(`candidate-${label}`);
+}
+
+/**
+ * Score every candidate with the same preferences and options.
+ * @param {Candidate[]} candidates
+ * @param {{points:Array, polygons:Array|Object}} dataset
+ * @param {Record<string,number>} prefs
+ * @param {Object} options Scoring options (weights, profile, dealbreakers)
+ * @returns {ScoredCandidate[]}
+ */
+export function scoreCandidates(candidates, dataset, prefs, options) {
+    return candidates.map((c) => {
+        const bundle = buildHabBundle(c.center, c.radius_m, dataset, prefs, options);
+        return { ...c, bundle, result: scoreBundle(bundle) };
+    });
+}
+
+/**
+ * Raw aspect value (null when out of bounds).
+ * @param {{out_of_bounds?:boolean, value?:number|null}|undefined} info
+ * @returns {number|null}
+ */
+const rawValue = (info) => (info?.out_of_bounds ? null : (info?.value ?? null));
+
+/** Formatters */
+const fixed = (digits) => (v) => v.toFixed(digits);
+const count = (v) => String(v);
+
+/**
+ * Table rows: group, label, which direction is better and how to read/format the value.
+ * `better: null` rows are shown but never highlighted.
+ */
+const METRICS = [
+    { group: "Score", label: "Habitability score", better: "higher", format: fixed(2), value: (c) => c.result.Score },
+    { group: "Score", label: "Confidence",         better: "higher", format: (v) => `${Math.round(v * 100)}%`, value: (c) => c.result.confidence.value },
+    { group: "Score", label: "Failed dealbreakers", better: "lower", format: count, value: (c) => c.result.failed_rules.length },
+    { group: "Score", label: "Radius",             better: null,     format: (v) => formatRadius(v), value: (c) => c.radius_m },
+
+    { group: "Utilities", label: "Air",      better: "higher", format: fixed(3), value: (c) => c.result.U_air },
+    { group: "Utilities", label: "Crime",    better: "higher", format: fixed(3), value: (c) => c.result.U_crime },
+    { group: "Utilities", label: "Rent",     better: "higher", format: fixed(3), value: (c) => c.result.U_rent },
+    { group: "Utilities", label: "School",   better: "higher", format: fixed(3), value: (c) => c.result.U_school },
+    { group: "Utilities", label: "Transit",  better: "higher", format: fixed(3), value: (c) => c.result.U_transit },
+    { group: "Utilities", label: "Liked",    better: "higher", format: fixed(3), value: (c) => c.result.P_pos },
+    { group: "Utilities", label: "Disliked", better: "higher", format: fixed(3), value: (c) => c.result.P_neg_goodness },
+
+    { group: "Raw values", label: "Air quality index", better: "lower",  format: fixed(1), value: (c) => rawValue(c.bundle.aspects.air) },
+    { group: "Raw values", label: "Crime rate",        better: "lower",  format: fixed(1), value: (c) => rawValue(c.bundle.aspects.crime) },
+    { group: "Raw values", label: "Median rent",       better: "lower",  format: fixed(0), value: (c) => rawValue(c.bundle.aspects.rent) },
+    { group: "Raw values", label: "School quality",    better: "higher", format: fixed(1), value: (c) => rawValue(c.bundle.aspects.school) },
+    { group: "Raw values", label: "Nearest transit (km)", better: "lower", format: fixed(2),
+      value: (c) => (c.bundle.channels.transit_km.length ? Math.min(...c.bundle.channels.transit_km) : null) },
+
+    { group: "Elements", label: "Liked in radius",    better: "higher", format: count, value: (c) => c.bundle.channels.pos_km.length },
+    { group: "Elements", label: "Disliked in radius", better: "lower",  format: count, value: (c) => c.bundle.channels.neg_km.length },
+    { group: "Elements", label: "Neutral in radius",  better: null,     format: count, value: (c) => c.bundle.channels.neu_km.length },
+];
+
+/**
+ * Build comparison rows. A row "differs" when its values are not all equal;
+ * in such rows the best and worst candidates are flagged (ties share the flag).
+ *
+ * @param {ScoredCandidate[]} scored
+ * @returns {Array<{group:string, label:string, differs:boolean, cells:Array<{text:string, best:boolean, worst:boolean}>}>}
+ */
+export function comparisonRows(scored) {
+    return METRICS.map((m) => {
+        const values = scored.map((c) => {
+            const v = m.value(c);
+            return Number.isFinite(v) ? v : null;
+        });
+        const present = values.filter(v => v != null);
+        const lo = Math.min(...present), hi = Math.max(...present);
+        const differs = present.length > 0 && (present.length < values.length || hi - lo > 1e-9 * Math.max(1, Math.abs(hi)));
+
+        // Best / worst only make sense with a direction and at least two values
+        const canRank = differs && m.better && present.length > 1 && hi !== lo;
+        const best  = m.better === "higher" ? hi : lo;
+        const worst = m.better === "higher" ? lo : hi;
+
+        return {
+            group: m.group,
+            label: m.label,
+            differs,
+            cells: values.map(v => ({
+                text: v == null ? "—" : m.format(v),
+                best:  !!canRank && v === best,
+                worst: !!canRank && v === worst,
+            })),
+        };
+    });
+}
+
+/**
+ * Comparison table markup: one column per candidate (header colored like its
+ * circle, with a remove button), rows grouped by section.
+ *
+ * @param {ScoredCandidate[]} scored
+ * @returns {string} HTML
+ */
+export function comparisonTableHTML(scored) {
+    const head = scored.map(c => `
+        <th class="compare-head" data-label="${c.label}" style="color: ${candidateColor(c.label)};" title="Focus ${c.label}">
+            ${c.label}${c.result.disqualified ? ` <span class="dealbreaker-fail" title="Disqualified">✗</span>` : ""}
+            <button type="button" class="score-btn compare-remove" data-label="${c.label}" title="Remove ${c.label}">×</button>
+        </th>`).join("");
+
+    let group = null;
+    const body = comparisonRows(scored).map((row) => {
+        const groupRow = row.group !== group
+            ? `<tr class="compare-group"><th colspan="${scored.length + 1}">${row.group}</th></tr>`
+            : "";
+        group = row.group;
+        const cells = row.cells.map(c =>
+            `<td class="${c.best ? "cmp-best" : ""}${c.worst ? " cmp-worst" : ""}">${c.text}</td>`).join("");
+        return `${groupRow}<tr class="${row.differs ? "cmp-diff" : ""}"><th>${row.label}</th>${cells}</tr>`;
+    }).join("");
+
+    return `<table class="compare-table"><thead><tr><th></th>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
@@ -0,0 +1,158 @@
+/**
+ * @file coordinates.js
+ * @description Parse typed or pasted coordinates for the Latitude/Longitude inputs.
+ *
+ * Accepted forms:
+ *  - Decimal degrees:     40.7128   -74.006   40.7128 N   74.006W
+ *  - Degrees/minutes/sec: 40°42'46"N   74° 0' 21.6" W   40 42 46.08 N   40:42:46
+ *  - Pairs (lat first):   "40.7128, -74.006"   "40.7128 -74.006"   "40°42'46"N 74°0'21"W"   "N 40.7 W 74.0"
+ *                         (with N/S/E/W letters the order may be swapped)
+ *
+ * With letter markers (40D42M46S) a trailing "S" right after the seconds is the
+ * seconds mark, not South; add the hemisphere after it (40D42M46SS, 40D42M46S N).
+ *  - Map links:           Google Maps URLs (…/@40.71,-74.00,15z, …!3d40.71!4d-74.00,
+ *                         ?q=40.71,-74.00 / ?ll= / ?query= / ?destination=), geo:40.71,-74.00
+ *
+ * Errors are thrown as `Error`s with a message meant for the user.
+ */
+
+/** Decimal number (signed) as used in URLs. */
+const NUM = "[-+]?\\d+(?:\\.\\d+)?";
+
+/** URL patterns, most specific first (the `!3d…!4d` pin beats the `@` viewport). */
+const URL_PATTERNS = [
+    new RegExp(`!3d(${NUM})!4d(${NUM})`),
+    new RegExp(`[?&](?:q|query|ll|center|destination|daddr)=(?:loc:)?(${NUM})(?:,|%2C)\\s*(?:\\+|%20)*(${NUM})`, "i"),
+    new RegExp(`@(${NUM}),(${NUM})`),
+    new RegExp(`^geo:(${NUM}),(${NUM})`, "i"),
+];
+
+/** Axis bounds and labels. */
+const AXES = Object.freeze({
+    lat: { label: "Latitude",  max: 90,  hemispheres: "NS" },
+    lon: { label: "Longitude", max: 180, hemispheres: "EW" },
+});
+
+/**
+ * Check an axis value is in range.
+ * @param {number} value
+ * @param {"lat"|"lon"} axis
+ * @returns {number}
+ * @throws {Error} when out of range
+ */
+function checkRange(value, axis) {
+    const { label, max } = AXES[axis];
+    if (!Number.isFinite(value) || Math.abs(value) > max) {
+        throw new Error(`${label} must be between -${max} and ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Hemisphere letter of a single coordinate, if any (leading or trailing).
+ * @param {string} text Upper-cased, trimmed
+ * @returns {string|null}
+ */
+function hemisphereOf(text) {
+    const leading = /^[NSEW]/.exec(text)?.[0];
+    if (leading) return leading;
+
+    // "S" closing letter-marked seconds (…42M46S, …42MIN46S) is the seconds mark
+    if (/\d\s*M(?:IN)?\s*\d+(?:\.\d+)?\s*S$/.test(text)) return null;
+    return /[NSEW]$/.exec(text)?.[0] ?? null;
+}
+
+/**
+ * Parse one coordinate (decimal or DMS, optional sign or hemisphere letter).
+ * @param {string} text
+ * @param {"lat"|"lon"} axis
+ * @returns {number} Decimal degrees
+ * @throws {Error} with a user-facing message
+ */
+export function parseCoordinate(text, axis) {
+    const { label, hemispheres } = AXES[axis];
+    let s = String(text ?? "").trim().toUpperCase();
+    if (!s) throw new Error(`${label} is empty`);
+
+    // Hemisphere letter (N/S for latitude, E/W for longitude)
+    const hemi = hemisphereOf(s);
+    if (hemi) {
+        if (!hemispheres.includes(hemi)) {
+            throw new Error(`${label} cannot use "${hemi}" (use ${hemispheres.split("").join(" or ")})`);
+        }
+        s = s.replace(/^[NSEW]\s*|\s*[NSEW]$/, "");
+    }
+
+    // Sign, then 1–3 numbers separated by degree/minute/second marks, colons or spaces
+    const sign = s.startsWith("-") ? -1 : 1;
+    s = s.replace(/^[-+]\s*/, "");
+    if (hemi && sign < 0) throw new Error(`${label}: use either a minus sign or ${hemispheres.split("").join("/")}, not both`);
+    if (!/^\d/.test(s) || /[^\d.\s°º˚'′’"″:DMS]/.test(s.replace(/DEG|MIN|SEC/g, ""))) {
+        throw new Error(`${label} "${String(text).trim()}" is not a coordinate (try 40.7128 or 40°42'46"N)`);
+    }
+    const parts = s.match(/\d+(?:\.\d+)?/g) ?? [];
+    if (parts.length > 3) throw new Error(`${label} has too many numbers (expected degrees, minutes, seconds)`);
+
+    const [deg, min = 0, sec = 0] = parts.map(Number);
+    if (parts.length > 1 && !Number.isInteger(deg)) throw new Error(`${label}: degrees must be whole when minutes are given`);
+    if (parts.length > 2 && !Number.isInteger(min)) throw new Error(`${label}: minutes must be whole when seconds are given`);
+    if (min >= 60 || sec >= 60) throw new Error(`${label}: minutes and seconds must be below 60`);
+
+    const value = (deg + min / 60 + sec / 3600) * sign * (hemi === "S" || hemi === "W" ? -1 : 1);
+    return checkRange(value, axis);
+}
+
+/**
+ * Coordinates from a map link (Google Maps, geo: URI).
+ * @param {string} text
+ * @returns {{lat:number, lon:number}|null} null when the text is not a recognised link
+ * @throws {Error} when the link's coordinates are out of range
+ */
+function parseMapLink(text) {
+    if (!/^(https?:|geo:|www\.|maps\.|goo\.gl)/i.test(text)) return null;
+    const decoded = (() => { try { return decodeURIComponent(text); } catch { return text; } })();
+    for (const re of URL_PATTERNS) {
+        const m = re.exec(decoded);
+        if (m) return { lat: checkRange(Number(m[1]), "lat"), lon: checkRange(Number(m[2]), "lon") };
+    }
+    throw new Error("That link has no coordinates (short links cannot be read — open it and copy the full URL)");
+}
+
+/**
+ * Parse a coordinate pair or map link pasted into one box.
+ * @param {string} text
+ * @returns {{lat:number, lon:number}|null} null when the text holds a single coordinate
+ * @throws {Error} with a user-facing message
+ */
+export function parseCoordinatePair(text) {
+    const s = String(text ?? "").trim();
+    if (!s) return null;
+
+    // Map links
+    const fromLink = parseMapLink(s);
+    if (fromLink) return fromLink;
+
+    // With hemisphere letters (leading or trailing): the first split where one half
+    // has N/S and the other E/W, ordered by letter
+    const upper = s.toUpperCase();
+    for (let k = 1; k < upper.length; k++) {
+        const a = upper.slice(0, k).replace(/[\s,;/]+$/, ""), b = upper.slice(k).replace(/^[\s,;/]+/, "");
+        const ha = hemisphereOf(a), hb = hemisphereOf(b);
+        if (!ha || !hb || "NS".includes(ha) === "NS".includes(hb)) continue;
+        return "NS".includes(ha)
+            ? { lat: parseCoordinate(a, "lat"), lon: parseCoordinate(b, "lon") }
+            : { lat: parseCoordinate(b, "lat"), lon: parseCoordinate(a, "lon") };
+    }
+
+    // Separator (comma/semicolon/tab): exactly two parts, lat first
+    if (/[,;\t]/.test(s)) {
+        const parts = s.split(/\s*[,;\t]\s*/);
+        if (parts.length !== 2) throw new Error(`Could not read "${s}" as "latitude, longitude"`);
+        return { lat: parseCoordinate(parts[0], "lat"), lon: parseCoordinate(parts[1], "lon") };
+    }
+
+    // Exactly two plain decimal numbers: lat first (anything else may be a single DMS value)
+    const parts = s.split(/\s+/);
+    if (parts.length !== 2 || !parts.every(p => /^[-+]?\d+(?:\.\d+)?$/.test(p))) return null;
+    return { lat: parseCoordinate(parts[0], "lat"), lon: parseCoordinate(parts[1], "lon") };
+}
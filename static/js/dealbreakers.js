@@ -0,0 +1,226 @@
+/**
+ * @file dealbreakers.js
+ * @description Hard constraints ("dealbreakers") that override the averaged score,
+ * plus the small rule editor shown in the Preferences panel.
+ *
+ * Rule shapes:
+ *  - { kind: "forbid_near",  type: "chemical_plant", within_m: 800 }   no element of type within distance
+ *  - { kind: "require_near", type: "grocery",        within_m: 500 }   at least one element of type within distance
+ *  - { kind: "aspect", aspect: "rent", op: "<", value: 3000 }          raw aspect value must satisfy the comparison
+ * Every rule also takes an action:
+ *  - action: "disqualify" (default) → Score 0 and the location is flagged as disqualified
+ *  - action: "cap", cap: 40         → Score is capped at `cap`
+ *
+ * Element rules look at the whole dataset (not just the radius), so "no landfill
+ * within 800 m" holds even when the circle is smaller than 800 m.
+ * Aspect rules fail when the aspect has no data (it cannot be verified).
+ */
+
+import { el, escapeHTML } from "./utils.js";
+
+/** Supported rule kinds with editor labels. */
+export const RULE_KINDS = Object.freeze({
+    forbid_near:  "No … within",
+    require_near: "Must have … within",
+    aspect:       "Aspect limit",
+});
+
+/** Aspects a rule can test, with labels. */
+export const RULE_ASPECTS = Object.freeze({ air: "Air quality index", crime: "Crime rate", rent: "Median rent", school: "School quality" });
+
+/** Comparison operators for aspect rules. */
+const OPS = Object.freeze({
+    "<":  (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">":  (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+});
+
+/**
+ * @typedef {Object} DealbreakerRule
+ * @property {"forbid_near"|"require_near"|"aspect"} kind
+ * @property {string} [type]      Element type (forbid_near / require_near)
+ * @property {number} [within_m]  Distance in meters (forbid_near / require_near)
+ * @property {"air"|"crime"|"rent"|"school"} [aspect]
+ * @property {"<"|"<="|">"|">="} [op]
+ * @property {number} [value]
+ * @property {"disqualify"|"cap"} [action="disqualify"]
+ * @property {number} [cap]       Score cap (0–100) when action is "cap"
+ */
+
+/**
+ * @typedef {Object} RuleOutcome
+ * @property {DealbreakerRule} rule
+ * @property {boolean} passed
+ * @property {string} text   Rule description
+ * @property {string} detail Why it passed/failed (nearest element, actual value…)
+ */
+
+/**
+ * Validate raw rules (e.g., from a scoring profile), dropping malformed entries.
+ * @param {any} raw
+ * @param {(rule:any)=>void} [onSkip] Called with each dropped entry
+ * @returns {DealbreakerRule[]}
+ */
+export function normalizeRules(raw, onSkip) {
+    if (!Array.isArray(raw)) return [];
+    return raw.map((r) => {
+        const action = r?.action === "cap" ? "cap" : "disqualify";
+        const base = action === "cap"
+            ? { action, cap: Math.max(0, Math.min(100, Number(r.cap) || 0)) }
+            : { action };
+        if ((r?.kind === "forbid_near" || r?.kind === "require_near") && r.type && Number(r.within_m) > 0) {
+            return { kind: r.kind, type: String(r.type), within_m: Number(r.within_m), ...base };
+        }
+        if (r?.kind === "aspect" && RULE_ASPECTS[r.aspect] && OPS[r.op] && Number.isFinite(Number(r.value))) {
+            return { kind: "aspect", aspect: r.aspect, op: r.op, value: Number(r.value), ...base };
+        }
+        onSkip?.(r);
+        return null;
+    }).filter(Boolean);
+}
+
+/**
+ * Human-readable rule description.
+ * @param {DealbreakerRule} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+    const action = rule.action === "cap" ? ` (cap ${rule.cap})` : "";
+    if (rule.kind === "forbid_near")  return `No ${rule.type} within ${rule.within_m} m${action}`;
+    if (rule.kind === "require_near") return `Must have ${rule.type} within ${rule.within_m} m${action}`;
+    return `${RULE_ASPECTS[rule.aspect] ?? rule.aspect} ${rule.op} ${rule.value}${action}`;
+}
+
+/**
+ * Evaluate rules for one location.
+ *
+ * @param {DealbreakerRule[]} rules
+ * @param {Object} ctx
+ * @param {(type:string)=>({name:string, distance_m:number}|null)} ctx.nearestOfType Nearest element of a type in the dataset
+ * @param {Record<string, {out_of_bounds?:boolean, value?:number|null}>} ctx.aspects Resolved aspects (bundle.aspects)
+ * @param {boolean} [ctx.walking=false] Distances are walking distances (null from nearestOfType = none reachable)
+ * @returns {RuleOutcome[]}
+ */
+export function evaluateDealbreakers(rules, ctx) {
+    return (rules || []).map((rule) => {
+        const text = describeRule(rule);
+
+        // Element distance rules
+        if (rule.kind === "forbid_near" || rule.kind === "require_near") {
+            const nearest = ctx.nearestOfType(rule.type);
+            const within = nearest != null && nearest.distance_m <= rule.within_m;
+            const detail = nearest
+                ? `nearest ${rule.type}: ${nearest.name} at ${Math.round(nearest.distance_m)} m${ctx.walking ? " walking" : ""}`
+                : ctx.walking ? `no ${rule.type} reachable on foot` : `no ${rule.type} in the dataset`;
+            return { rule, text, detail, passed: rule.kind === "forbid_near" ? !within : within };
+        }
+
+        // Aspect value rules (no data → cannot be verified → fails)
+        const info = ctx.aspects?.[rule.aspect];
+        const value = info?.out_of_bounds ? null : (info?.value ?? null);
+        if (value == null) return { rule, text, detail: "no data for this location", passed: false };
+        return { rule, text, detail: `actual ${value}`, passed: OPS[rule.op](Number(value), rule.value) };
+    });
+}
+
+/**
+ * Apply failed rules to a score result (mutates and returns it).
+ * Adds `dealbreakers` (all outcomes), `failed_rules`, `disqualified` and,
+ * when anything changed the score, `Score_uncapped`.
+ *
+ * @param {Object} result score_v3 result
+ * @param {RuleOutcome[]} [outcomes]
+ * @returns {Object} The same result
+ */
+export function applyDealbreakers(result, outcomes) {
+    const failed = (outcomes || []).filter(o => !o.passed);
+    result.dealbreakers = outcomes || [];
+    result.failed_rules = failed;
+    result.disqualified = failed.some(o => o.rule.action !== "cap");
+    if (!failed.length) return result;
+
+    // Disqualify beats any cap; otherwise use the tightest cap
+    result.Score_uncapped = result.Score;
+    if (result.disqualified) result.Score = 0;
+    else result.Score = Math.min(result.Score, ...failed.map(o => o.rule.cap));
+    return result;
+}
+
+/**
+ * Build the Dealbreakers editor: current rules (with remove buttons) plus an add form.
+ * The editor re-renders itself on every change and reports the full rule list.
+ *
+ * @param {DealbreakerRule[]} rules Initial rules
+ * @param {string[]} types Element types offered for distance rules
+ * @param {(rules:DealbreakerRule[])=>void} onChange
+ * @returns {HTMLDivElement}
+ */
+export function createDealbreakerPanel(rules, types, onChange) {
+    const panel = el("div", "bar dealbreaker-panel");
+    let current = [...rules];
+
+    /** Re-render the rule list and form. */
+    function render() {
+        panel.innerHTML = `
+            <p class="bar-label dealbreaker-title"><strong>Dealbreakers</strong></p>
+            <div class="dealbreaker-list">
+                ${current.map((r, i) => `
+                <div class="dealbreaker-rule">
+                    <span>${escapeHTML(describeRule(r))}</span>
+                    <button type="button" class="score-btn dealbreaker-remove" data-index="${i}" title="Remove rule">×</button>
+                </div>`).join("") || `<div class="small">No rules — the score is a plain weighted mean.</div>`}
+            </div>
+            <form class="dealbreaker-form">
+                <select name="kind">${Object.entries(RULE_KINDS).map(([k, label]) => `<option value="${k}">${label}</option>`).join("")}</select>
+                <select name="type">${types.map(t => `<option value="${escapeHTML(t)}">${escapeHTML(t)}</option>`).join("")}</select>
+                <select name="aspect" class="hidden">${Object.entries(RULE_ASPECTS).map(([k, label]) => `<option value="${k}">${label}</option>`).join("")}</select>
+                <select name="op" class="hidden">${Object.keys(OPS).map(op => `<option value="${op}">${op}</option>`).join("")}</select>
+                <input name="amount" type="number" min="0" step="any" placeholder="meters" required>
+                <select name="action"><option value="disqualify">disqualify</option><option value="cap">cap score at</option></select>
+                <input name="cap" type="number" min="0" max="100" value="40" class="hidden">
+                <button type="submit" class="score-btn">Add</button>
+            </form>`;
+
+        // Remove buttons
+        panel.querySelectorAll(".dealbreaker-remove").forEach((btn) => {
+            btn.addEventListener("click", (e) => {
+                e.stopPropagation();
+                current.splice(Number(btn.dataset.index), 1);
+                onChange?.([...current]);
+                render();
+            });
+        });
+
+        // Show the fields that apply to the chosen kind/action
+        const form = panel.querySelector(".dealbreaker-form");
+        const sync = () => {
+            const isAspect = form.kind.value === "aspect";
+            form.type.classList.toggle("hidden", isAspect);
+            form.aspect.classList.toggle("hidden", !isAspect);
+            form.op.classList.toggle("hidden", !isAspect);
+            form.amount.placeholder = isAspect ? "value" : "meters";
+            form.cap.classList.toggle("hidden", form.action.value !== "cap");
+        };
+        form.kind.addEventListener("change", sync);
+        form.action.addEventListener("change", sync);
+        sync();
+
+        // Add rule
+        form.addEventListener("submit", (e) => {
+            e.preventDefault();
+            const kind = form.kind.value;
+            const raw = kind === "aspect"
+                ? { kind, aspect: form.aspect.value, op: form.op.value, value: form.amount.value }
+                : { kind, type: form.type.value, within_m: form.amount.value };
+            const [rule] = normalizeRules([{ ...raw, action: form.action.value, cap: form.cap.value }]);
+            if (!rule) return;
+            current.push(rule);
+            onChange?.([...current]);
+            render();
+        });
+    }
+
+    render();
+    return panel;
+}
@@ -0,0 +1,627 @@
+/**
+ * @file geo.js
+ * @description
+ * DOM-free geometry and spatial-analysis helpers for the habitability scorer.
+ * Runs unchanged in the browser, in Web Workers and in Node (no Leaflet, no `document`).
+ *
+ * Responsibilities:
+ * - Great-circle distances and small-area planar projections.
+ * - Point-in-polygon, point–boundary distance and polygon–circle intersection tests.
+ * - Filtering points/polygons within a radius of a center.
+ * - Resolving aspect values at a point (or nearest zone, with configurable overlap
+ *   resolution) and transit-zone info.
+ * - Building categorized element channels for habitability scoring.
+ * - Sampling a grid of centers over the area the polygons cover (or any lat/lon box).
+ *
+ * Dataset queries go through the cached spatial index (spatial_index.js): a
+ * bounding-box prefilter picks the candidates, Feature conversion happens once per
+ * dataset, and the exact tests below run on the candidates only.
+ *
+ * Coordinates: points are `{lat, lon}` / `{latitude, longitude}`; GeoJSON rings are `[lon, lat]`.
+ *
+ * Used by:
+ * - `bundle.js` (bundle building)
+ * - `main.js` (covered-area sampling, heatmap grid)
+ */
+
+import { PREFERENCE_MAX } from "./utils.js";
+import { pointIndexFor, polygonIndexFor, boxAround } from "./spatial_index.js";
+
+/** Mean Earth radius in meters (spherical approximation). */
+export const EARTH_RADIUS_M = 6371008.8;
+
+/** Convert degrees to radians. */
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/** Tiny epsilon to avoid division-by-zero. */
+const EPS = 1e-9;
+
+/** First search radius of {@link nearestPoint} in meters (doubled until a point is found). */
+const NEAREST_START_M = 250;
+
+/**
+ * Great-circle distance between two lat/lon points using the haversine formula.
+ * Inputs/outputs are in **meters**.
+ *
+ * @param {number} lat1 Latitude of point A (degrees)
+ * @param {number} lon1 Longitude of point A (degrees)
+ * @param {number} lat2 Latitude of point B (degrees)
+ * @param {number} lon2 Longitude of point B (degrees)
+ * @returns {number} Distance in meters
+ */
+export function haversineMeters(lat1, lon1, lat2, lon2) {
+    const φ1 = toRad(lat1), λ1 = toRad(lon1);
+    const φ2 = toRad(lat2), λ2 = toRad(lon2);
+    const dφ = φ2 - φ1, dλ = λ2 - λ1;
+    const a = Math.sin(dφ/2)**2 + Math.cos(φ1)*Math.cos(φ2)*Math.sin(dλ/2)**2;
+    return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Locally project a (lat,lon) to a planar XY (meters) around an origin.
+ * NOTE: Small-area equirectangular approximation; accurate enough for
+ * our short segment distance tests near the selection circle.
+ *
+ * @param {number} lat0 Origin latitude (degrees)
+ * @param {number} lon0 Origin longitude (degrees)
+ * @param {number} lat  Target latitude (degrees)
+ * @param {number} lon  Target longitude (degrees)
+ * @returns {{x:number,y:number}} Local meters relative to (lat0,lon0)
+ */
+export function projectLocal(lat0, lon0, lat, lon) {
+    const x = toRad(lon - lon0) * Math.cos(toRad(lat0)) * EARTH_RADIUS_M;
+    const y = toRad(lat - lat0) * EARTH_RADIUS_M;
+    return { x, y };
+}
+
+/**
+ * Approximate a circle as a closed GeoJSON ring (`[lon, lat]` vertices),
+ * using the same small-area projection as {@link projectLocal}.
+ *
+ * @param {{lat:number, lon:number}} center
+ * @param {number} radiusM Radius in meters
+ * @param {number} [steps=64] Vertices around the circle
+ * @returns {Array<[number, number]>}
+ */
+export function circleRing(center, radiusM, steps = 64) {
+    const ring = [];
+    const dLat = (radiusM / EARTH_RADIUS_M) * (180 / Math.PI);
+    const dLon = dLat / Math.cos(toRad(center.lat));
+    for (let i = 0; i < steps; i++) {
+        const a = (2 * Math.PI * i) / steps;
+        ring.push([center.lon + dLon * Math.cos(a), center.lat + dLat * Math.sin(a)]);
+    }
+    ring.push([...ring[0]]);
+    return ring;
+}
+
+/**
+ * Shortest distance from a point to a line segment on Earth’s surface,
+ * computed in a local planar projection centered at the test point.
+ * All positions are given as [lon,lat] arrays.
+ *
+ * @param {number} lat0 Latitude of projection origin (degrees)
+ * @param {number} lon0 Longitude of projection origin (degrees)
+ * @param {[number,number]} P Test point [lon,lat]
+ * @param {[number,number]} A Segment start [lon,lat]
+ * @param {[number,number]} B Segment end [lon,lat]
+ * @returns {number} Distance in meters
+ */
+export function distancePointToSegmentMeters(lat0, lon0, P, A, B) {
+    const p = projectLocal(lat0, lon0, P[1], P[0]);
+    const a = projectLocal(lat0, lon0, A[1], A[0]);
+    const b = projectLocal(lat0, lon0, B[1], B[0]);
+    const vx = b.x - a.x, vy = b.y - a.y;
+    const wx = p.x - a.x, wy = p.y - a.y;
+    const c1 = vx*wx + vy*wy;
+    const c2 = vx*vx + vy*vy;
+    let t = c2 > EPS ? c1 / c2 : 0;
+    t = Math.max(0, Math.min(1, t));
+    const cx = a.x + t*vx, cy = a.y + t*vy;
+    return Math.hypot(p.x - cx, p.y - cy);
+}
+
+/**
+ * Point-in-polygon test (ray casting) for GeoJSON Polygon/MultiPolygon.
+ * Coordinates are **[lon,lat]**. Holes are handled by ring parity.
+ *
+ * @param {[number,number]} point [lon,lat]
+ * @param {{type:"Polygon"|"MultiPolygon",coordinates:any}} polygon
+ * @returns {boolean} True if the point lies strictly inside the polygon
+ */
+export function pointInPolygon(point, polygon) {
+    const testRings = (rings) => {
+        let inside = false;
+        for (const ring of rings) {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const xi = ring[i][0], yi = ring[i][1];
+                const xj = ring[j][0], yj = ring[j][1];
+                const intersect = ((yi > point[1]) !== (yj > point[1])) &&
+                                    (point[0] < (xj - xi) * (point[1] - yi) / ((yj - yi) || EPS) + xi);
+                if (intersect) inside = !inside;
+            }
+        }
+        return inside;
+    };
+    if (!polygon) return false;
+    if (polygon.type === "Polygon") return testRings(polygon.coordinates);
+    if (polygon.type === "MultiPolygon") {
+        for (const poly of polygon.coordinates) if (testRings(poly)) return true;
+    }
+    return false;
+}
+
+/**
+ * Minimum distance from a point to a polygon boundary in **meters**.
+ * Used to rank the “nearest zone” when the center isn’t inside any polygon.
+ *
+ * @param {[number,number]} point [lon,lat]
+ * @param {{type:"Polygon"|"MultiPolygon",coordinates:any}} polygon
+ * @returns {number} Distance in meters
+ */
+export function distancePointToPolygonBoundaryMeters(point, polygon) {
+    const [lon0, lat0] = point;
+    let min = Infinity;
+    const scan = (rings) => {
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const d = distancePointToSegmentMeters(lat0, lon0, point, ring[i], ring[i+1]);
+                if (d < min) min = d;
+            }
+        }
+    };
+    if (polygon.type === "Polygon") scan(polygon.coordinates);
+    if (polygon.type === "MultiPolygon") for (const poly of polygon.coordinates) scan(poly);
+    return min;
+}
+
+/**
+ * Quick intersection test: does a GeoJSON polygon intersect a circle?
+ * Returns true if the circle center is inside the polygon OR if any polygon
+ * edge is within the radius of the center point.
+ *
+ * @param {[number,number]} point [lon,lat] circle center
+ * @param {number} radiusM Circle radius in meters
+ * @param {{type:"Polygon"|"MultiPolygon",coordinates:any}} polygon
+ * @returns {boolean} Whether they intersect
+ */
+export function polygonIntersectsCircle(point, radiusM, polygon) {
+    if (pointInPolygon(point, polygon)) return true;
+    const within = (rings) => {
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length - 1; i++) {
+            const d = distancePointToSegmentMeters(point[1], point[0], point, ring[i], ring[i+1]);
+            if (d <= radiusM) return true;
+            }
+        }
+        return false;
+    };
+    if (polygon.type === "Polygon") return within(polygon.coordinates);
+    if (polygon.type === "MultiPolygon") {
+        for (const poly of polygon.coordinates) if (within(poly)) return true;
+    }
+    return false;
+}
+
+/* ---------- Dataset queries that consume the helpers above ---------- */
+
+/**
+ * Filter input points to those within a radius of the center.
+ * Shallow-copies each point and adds `_distance_m`.
+ *
+ * @param {{lat:number, lon:number}} center
+ * @param {number} radiusM Radius in meters
+ * @param {Array<any>} points Input points (supports {lat,lon} or {latitude,longitude})
+ * @returns {Array<any & {_distance_m:number}>}
+ */
+export function filterPointsInRadius(center, radiusM, points) {
+    // Unbounded radius: measure everything
+    if (!Number.isFinite(radiusM)) {
+        return points.map((p) => {
+            const lon = p.longitude ?? p.lon ?? p.lng ?? (p.geometry?.coordinates?.[0]);
+            const lat = p.latitude  ?? p.lat ?? (p.geometry?.coordinates?.[1]);
+            return { ...p, _distance_m: haversineMeters(center.lat, center.lon, lat, lon) };
+        }).filter(p => p._distance_m <= radiusM);
+    }
+
+    // Bounding-box candidates from the index, then the exact distance
+    const index = pointIndexFor(points);
+    const out = [];
+    for (const id of index.search(boxAround(center, radiusM))) {
+        const { lat, lon } = index.coords[id];
+        const d = haversineMeters(center.lat, center.lon, lat, lon);
+        if (d <= radiusM) out.push({ ...points[id], _distance_m: d });
+    }
+    return out;
+}
+
+/**
+ * Nearest point to a center (great-circle distance), searched through the spatial
+ * index in growing boxes. Ties go to the point listed first.
+ *
+ * @param {{lat:number, lon:number}} center
+ * @param {Array<any>} points Input points (supports {lat,lon} or {latitude,longitude})
+ * @returns {(any & {_distance_m:number})|null} Shallow copy with `_distance_m`, null without points
+ */
+export function nearestPoint(center, points) {
+    const index = pointIndexFor(points);
+    if (!index.length) return null;
+
+    // Any hit within r means the nearest point lies inside the box of radius r
+    for (let r = NEAREST_START_M; r < Math.PI * EARTH_RADIUS_M; r *= 2) {
+        let best = null;
+        for (const id of index.search(boxAround(center, r))) {
+            const d = haversineMeters(center.lat, center.lon, index.coords[id].lat, index.coords[id].lon);
+            if (d <= r && (!best || d < best.d)) best = { id, d };
+        }
+        if (best) return { ...points[best.id], _distance_m: best.d };
+    }
+
+    // Unindexable coordinates: measure everything
+    const all = filterPointsInRadius(center, Infinity, points);
+    return all.length ? all.reduce((a, b) => (b._distance_m < a._distance_m ? b : a)) : null;
+}
+
+/**
+ * Convert a polygon record (custom schema or Feature) into a GeoJSON Feature.
+ * Features pass through; custom records keep the original at `__source`.
+ *
+ * @param {any} rec Custom polygon record or Feature
+ * @returns {import("geojson").Feature<import("geojson").Polygon>}
+ */
+export function toPolygonFeature(rec) {
+    if (rec.type === "Feature" && rec.geometry) return rec;
+    const aspectKey = rec.aspect || rec.properties?.aspect;
+
+    let val = rec.value;
+    if (val == null && aspectKey) {
+        if (aspectKey === "transit_access") {
+            val = rec.transit_distance ?? rec.properties?.transit_distance ?? null;
+        } 
+        else {
+            val = rec[aspectKey] ?? rec.properties?.[aspectKey] ?? null;
+        }
+    }
+
+    return {
+        type: "Feature",
+        properties: {
+        ...(rec.properties || {}),
+        aspect: aspectKey,
+        value: val,
+        transit_distance: rec.transit_distance ?? rec.properties?.transit_distance ?? null,
+        },
+        geometry: { type: "Polygon", coordinates: [rec.coordinates] },
+        __source: rec,
+    };
+}
+
+/**
+ * Filter polygons (custom schema or Feature) to those intersecting a circle.
+ * Returns **GeoJSON Features**; preserves original record at `__source` when applicable.
+ * Features are converted once per dataset and shared between calls (treat them as read-only).
+ *
+ * @param {{lat:number, lon:number}} center
+ * @param {number} radiusM Radius in meters
+ * @param {Array<any>} polygons Custom polygon records or Features
+ * @returns {Array<import("geojson").Feature<import("geojson").Polygon>>}
+ */
+export function filterPolygonsInRadius(center, radiusM, polygons) {
+    const point = [center.lon, center.lat];
+    const index = polygonIndexFor(polygons, toPolygonFeature);
+    const ids = Number.isFinite(radiusM) ? index.search(boxAround(center, radiusM)) : index.features.map((f, id) => id);
+    return ids.map(id => index.features[id]).filter(f => polygonIntersectsCircle(point, radiusM, f.geometry));
+}
+
+/** Ways to combine overlapping zones at one point: first match (dataset order), highest, lowest or mean value. */
+export const OVERLAP_MODES = Object.freeze(["first", "max", "min", "mean"]);
+
+/**
+ * Convert an aspect polygon (custom record or Feature) to a Feature carrying
+ * `properties.value` (the aspect's raw value), `transit_distance` and `zone_type`.
+ * Features pass through unchanged.
+ * @param {any} rec
+ * @returns {import("geojson").Feature<import("geojson").Polygon>}
+ */
+export function toAspectFeature(rec) {
+    if (rec.type === "Feature" && rec.geometry) return rec;
+
+    const aspectKey = rec.aspect || rec.properties?.aspect;
+    let val = rec.value;
+    if (val == null && aspectKey) {
+        if (aspectKey === "transit_access") {
+            val = rec.transit_distance ?? rec.properties?.transit_distance ?? null;
+        } 
+        else {
+            val = rec[aspectKey] ?? rec.properties?.[aspectKey] ?? null;
+        }
+    }
+
+    // Ensure ring closed
+    const ring = rec.coordinates?.slice?.() || rec.geometry?.coordinates?.[0]?.slice?.() || [];
+    if (ring.length > 0) {
+        const first = ring[0], last = ring[ring.length - 1];
+        if (first && last && (first[0] !== last[0] || first[1] !== last[1])) ring.push([first[0], first[1]]);
+    }
+
+    return {
+        type: "Feature",
+        properties: {
+            ...(rec.properties || {}), aspect: aspectKey, value: val,
+            transit_distance: rec.transit_distance ?? rec.properties?.transit_distance ?? null,
+            zone_type: rec.zone_type ?? rec.properties?.zone_type ?? null
+        },
+        geometry: { type: "Polygon", coordinates: [ring] },
+    };
+}
+
+/**
+ * Resolve the value where several zones contain the same point.
+ * Zones without a numeric value only win under "first".
+ * @param {Array<import("geojson").Feature>} zones Containing zones in dataset order (at least one)
+ * @param {"first"|"max"|"min"|"mean"} [overlap="first"]
+ * @returns {{value:number|null, polygon:import("geojson").Feature}} `polygon` is the zone whose value is used
+ *          (the first zone for "mean")
+ */
+export function resolveOverlap(zones, overlap = "first") {
+    const numeric = zones.filter(z => z.properties.value != null && Number.isFinite(Number(z.properties.value)));
+    if (overlap === "first" || zones.length === 1 || !numeric.length) return { value: zones[0].properties.value, polygon: zones[0] };
+
+    if (overlap === "mean") {
+        const mean = numeric.reduce((a, z) => a + Number(z.properties.value), 0) / numeric.length;
+        return { value: mean, polygon: zones[0] };
+    }
+    const pick = numeric.reduce((a, z) => {
+        const better = overlap === "max" ? Number(z.properties.value) > Number(a.properties.value) : Number(z.properties.value) < Number(a.properties.value);
+        return better ? z : a;
+    });
+    return { value: pick.properties.value, polygon: pick };
+}
+
+/**
+ * Resolve which aspect polygon covers the center (or nearest zone),
+ * returning `{ out_of_bounds:true }` if none cover the center and none exist.
+ *
+ * @param {{lat:number, lon:number}} center
+ * @param {Array<any>} aspectPolys Array of custom records or Features (single aspect)
+ * @param {"first"|"max"|"min"|"mean"} [overlap="first"] Which value wins where zones overlap (see {@link resolveOverlap})
+ * @param {{method:string, valueAt:(lat:number, lon:number)=>number|null}|null} [surface=null]
+ *        Smooth surface (surface.js); where it has data its value replaces the zone value
+ * @returns {{
+ *   out_of_bounds: boolean,
+ *   source?: "center_inside" | "near_single_zone",
+ *   value?: number|null,
+ *   polygon?: import("geojson").Feature<import("geojson").Polygon>,
+ *   distance_to_boundary_m?: number,
+ *   overlapping?: number,
+ *   surface?: string,
+ *   zone_value?: number|null
+ * }}
+ */
+export function resolveAspectValueAtPoint(center, aspectPolys, overlap = "first", surface = null) {
+    const point = [center.lon, center.lat];
+    const index = polygonIndexFor(aspectPolys || [], toAspectFeature);
+    const feats = index.features;
+
+    // Sample the smooth surface instead of the zone step (keeping the zone value for reference)
+    const smoothed = (out) => {
+        const smooth = surface?.valueAt(center.lat, center.lon);
+        if (smooth != null) Object.assign(out, { value: Math.round(smooth * 100) / 100, zone_value: out.value, surface: surface.method });
+        return out;
+    };
+
+    // 1) Inside any polygon? (overlapping zones are resolved by `overlap`)
+    const containing = index.at(center.lat, center.lon).map(id => feats[id]).filter(poly => pointInPolygon(point, poly.geometry));
+    if (containing.length) {
+        const { value, polygon } = resolveOverlap(containing, overlap);
+        const distM = distancePointToPolygonBoundaryMeters(point, polygon.geometry);
+        return smoothed({ out_of_bounds:false, source:"center_inside", value, polygon, distance_to_boundary_m: distM, overlapping: containing.length });
+    }
+
+    // 2) Otherwise take the nearest boundary (ring search over the index, stops once no cell can be nearer)
+    const nearest = index.nearest(center.lat, center.lon, (id) => distancePointToPolygonBoundaryMeters(point, feats[id].geometry));
+    if (nearest) {
+    const poly = feats[nearest.id];
+    return smoothed({ out_of_bounds:false, source:"near_single_zone", value: poly.properties.value, polygon: poly, distance_to_boundary_m: nearest.distance_m });
+    }
+    return { out_of_bounds:true };
+}
+
+/**
+ * Transit-specific wrapper that includes distance to the zone edge.
+ * `zone_transit_distance` is whatever the polygon provides (miles in your data).
+ *
+ * @param {{lat:number, lon:number}} center
+ * @param {Array<any>} transitPolys Transit aspect polygons
+ * @returns {{ out_of_bounds:boolean, source?:string, zone_transit_distance?:number|null, distance_to_zone_edge_m?:number }}
+ */
+export function resolveTransitZoneInfo(center, transitPolys) {
+    const base = resolveAspectValueAtPoint(center, transitPolys);
+    if (base.out_of_bounds) return { out_of_bounds:true };
+    const point = [center.lon, center.lat];
+    const dEdge = pointInPolygon(point, base.polygon.geometry)
+    ? distancePointToPolygonBoundaryMeters(point, base.polygon.geometry)
+    : (base.distance_to_boundary_m ?? distancePointToPolygonBoundaryMeters(point, base.polygon.geometry));
+    return {
+        out_of_bounds: false,
+        source: base.source,
+        zone_transit_distance: base.polygon.properties.transit_distance ?? null, // miles (converted to km later)
+        distance_to_zone_edge_m: dEdge
+    };
+}
+
+/**
+ * Collect distances to “Transit” points among the pre-filtered set.
+ * Distances come from `_distance_m` (set by filterPointsInRadius) and are
+ * returned as **kilometers** for the scorer.
+ *
+ * @param {Array<any & {_distance_m:number}>} pointsIn
+ * @returns {number[]} Distances in kilometers
+ */
+export function collectTransitDistancesKm(pointsIn) {
+    const isTr = (p)=> (p.type==="Transit" || p.category==="Transit" || p.properties?.category==="Transit");
+    return pointsIn.filter(isTr).map(p => (p._distance_m ?? 0)/1000);
+}
+
+/**
+ * Build element “channels” used by the scorer: positive / negative / neutral
+ * lists of distances (km), a combined `[distance_km, strength, type]` array and an
+ * aligned `elements` array describing each entry (for score explanations).
+ *
+ * Preferences are graded -PREFERENCE_MAX…+PREFERENCE_MAX and become a signed
+ * strength in [-1,1] (value / PREFERENCE_MAX). Legacy "good"/"bad" map to ±1.
+ *
+ * @param {{lat:number, lon:number}} center
+ * @param {Array<any & {_distance_m:number}>} pointsIn
+ * @param {{perType?: Record<string,number|"good"|"bad"|"neutral">}} prefs
+ * @returns {{
+ *   elements_pairs:Array<[number,number,string]>,
+ *   elements:Array<{name:string,type:string,latitude:number,longitude:number,distance_km:number,sign:number}>,
+ *   pos_km:number[], neg_km:number[], neu_km:number[]
+ * }}
+ */
+export function buildElementChannels(center, pointsIn, prefs) {
+    const elements_pairs = [], elements = [], pos_km = [], neg_km = [], neu_km = [];
+    for (const pt of pointsIn) {
+        const kind = pt.type || pt.properties?.type || pt.properties?.category || "Unknown";
+        const choice = prefs?.perType?.[kind] ?? prefs?.[kind] ?? 0;
+        const km = (pt._distance_m ?? 0) / 1000;
+        let sign = 0;
+        if (choice === "good") sign = +1;
+        else if (choice === "bad") sign = -1;
+        else if (Number.isFinite(Number(choice))) {
+            sign = Math.max(-1, Math.min(1, Number(choice) / PREFERENCE_MAX));
+        }
+        elements_pairs.push([km, sign, kind]);
+        elements.push({
+            name: pt.name ?? pt.properties?.name ?? "Unnamed",
+            type: kind,
+            latitude:  pt.latitude  ?? pt.lat ?? pt.geometry?.coordinates?.[1],
+            longitude: pt.longitude ?? pt.lon ?? pt.lng ?? pt.geometry?.coordinates?.[0],
+            distance_km: km,
+            sign
+        });
+        if (sign > 0) pos_km.push(km);
+        else if (sign < 0) neg_km.push(km);
+        else neu_km.push(km);
+    }
+    return { elements_pairs, elements, pos_km, neg_km, neu_km };
+}
+
+/** polygon container → flattened geometries (see {@link polygonGeometries}) */
+const geometryLists = new WeakMap();
+
+/**
+ * Flatten any polygon container into Polygon/MultiPolygon geometries
+ * (cached per container, so its spatial index is built once).
+ * @param {Array<any>|Record<string,any>} polygons Custom records, Features, or `{ aspect: items }`
+ * @returns {Array<{type:string, coordinates:any}>}
+ */
+function polygonGeometries(polygons) {
+    if (!polygons || typeof polygons !== "object") return [];
+    const items = Array.isArray(polygons)
+        ? polygons
+        : Object.values(polygons).flatMap(v => Array.isArray(v) ? v : (v?.features ?? [v]));
+    const cached = geometryLists.get(polygons);
+    if (cached && cached.size === items.length) return cached.list;
+
+    const list = items.map((rec) => {
+        if (rec?.geometry) return rec.geometry;
+        if (rec?.type === "Polygon" || rec?.type === "MultiPolygon") return rec;
+        return Array.isArray(rec?.coordinates) ? { type: "Polygon", coordinates: [rec.coordinates] } : null;
+    }).filter(Boolean);
+    geometryLists.set(polygons, { size: items.length, list });
+    return list;
+}
+
+/**
+ * Wrap a bare geometry as a Feature (converter for the covered-area index).
+ * @param {{type:string, coordinates:any}} geometry
+ * @returns {import("geojson").Feature}
+ */
+function geometryFeature(geometry) {
+    return { type: "Feature", properties: {}, geometry };
+}
+
+/**
+ * Spatial index over every polygon of a container.
+ * @param {Array<any>|Record<string,any>} polygons
+ * @returns {import("./spatial_index.js").PolygonIndex}
+ */
+function coverageIndex(polygons) {
+    return polygonIndexFor(polygonGeometries(polygons), geometryFeature);
+}
+
+/**
+ * Bounding box of every polygon ring (the extent the aspect data covers).
+ * @param {Array<any>|Record<string,any>} polygons Custom records, Features, or `{ aspect: items }`
+ * @returns {{south:number, west:number, north:number, east:number}|null} null when there are no polygons
+ */
+export function coveredBounds(polygons) {
+    const bounds = coverageIndex(polygons).bounds;
+    return bounds ? { ...bounds } : null;
+}
+
+/**
+ * Whether a point lies inside any of the polygons.
+ * @param {{lat:number, lon:number}} point
+ * @param {Array<any>|Record<string,any>} polygons Custom records, Features, or `{ aspect: items }`
+ * @returns {boolean}
+ */
+export function isCovered(point, polygons) {
+    const index = coverageIndex(polygons);
+    return index.at(point.lat, point.lon).some(id => pointInPolygon([point.lon, point.lat], index.features[id].geometry));
+}
+
+/**
+ * Sample an evenly spaced grid of centers over the bounding box of all polygons,
+ * keeping only centers that fall inside at least one polygon (the covered area).
+ *
+ * @param {Array<any>|Record<string,any>} polygons Custom records, Features, or `{ aspect: items }`
+ * @param {number} [cells=24] Grid cells per side
+ * @returns {Array<{lat:number, lon:number}>}
+ */
+export function sampleCoveredGrid(polygons, cells = 24) {
+    const box = coveredBounds(polygons);
+    if (!box) return [];
+
+    // Cell-centered grid, filtered to covered points
+    const out = [];
+    for (let i = 0; i < cells; i++) {
+        for (let j = 0; j < cells; j++) {
+            const lat = box.south + (i + 0.5) * (box.north - box.south) / cells;
+            const lon = box.west + (j + 0.5) * (box.east - box.west) / cells;
+            if (isCovered({ lat, lon }, polygons)) out.push({ lat, lon });
+        }
+    }
+    return out;
+}
+
+/**
+ * Cell-centered grid over a lat/lon box. The row count follows the box's
+ * aspect ratio in meters so cells stay roughly square.
+ *
+ * @param {{south:number, west:number, north:number, east:number}} bounds
+ * @param {number} [cols=32] Cells across (west → east)
+ * @returns {{rows:number, cols:number, dLat:number, dLon:number, cells:Array<{lat:number, lon:number, row:number, col:number}>}}
+ */
+export function gridOverBounds(bounds, cols = 32) {
+    const { south, west, north, east } = bounds;
+    const midLat = (south + north) / 2;
+
+    // Box size in meters → rows for square-ish cells
+    const widthM  = haversineMeters(midLat, west, midLat, east);
+    const heightM = haversineMeters(south, west, north, west);
+    const rows = Math.max(1, Math.round(cols * (heightM / (widthM || 1))));
+
+    // Cell-centered grid (row 0 = south)
+    const dLat = (north - south) / rows;
+    const dLon = (east - west) / cols;
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            cells.push({ lat: south + (row + 0.5) * dLat, lon: west + (col + 0.5) * dLon, row, col });
+        }
+    }
+    return { rows, cols, dLat, dLon, cells };
+}
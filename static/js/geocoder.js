@@ -0,0 +1,305 @@
+/**
+ * @file geocoder.js
+ * @description Local address gazetteer with fuzzy, typo-tolerant search and
+ * reverse lookup (nearest known address), without a network geocoder. Built once
+ * from /geocoding (static/data/geocoding.json or a larger local file, see app.py).
+ *
+ * Accepted entry shapes (mixed freely):
+ *  - { address, latitude, longitude }      (geocoding.json)
+ *  - { name|label, lat, lon|lng }
+ *  - GeoJSON FeatureCollection of Points with an `address`/`name` property
+ *
+ * Matching:
+ *  - Addresses and queries are lower-cased, stripped of accents and punctuation,
+ *    and common street words are abbreviated ("street" → "st", "west" → "w").
+ *  - Candidates come from a trigram index, so lookups stay fast for large gazetteers.
+ *  - Each query token is matched against the entry's tokens: exact, prefix (while
+ *    typing) or within a small edit distance (1 typo for 3+ letters, 2 for 8+).
+ *    Numbers must match exactly or as a prefix.
+ *
+ * Reverse lookup searches a coarse lat/lon grid ring by ring around the query, so
+ * it only measures the addresses near the point. Past MAX_RINGS rings (queries far
+ * from the data) it measures every address once instead.
+ */
+
+import { haversineMeters } from "./geo.js";
+import { forEachRingCell } from "./spatial_index.js";
+
+/** Token abbreviations applied to both addresses and queries. */
+const ABBREVIATIONS = Object.freeze({
+    street: "st", avenue: "ave", av: "ave", boulevard: "blvd", road: "rd", drive: "dr",
+    place: "pl", lane: "ln", court: "ct", square: "sq", parkway: "pkwy", terrace: "ter",
+    north: "n", south: "s", east: "e", west: "w",
+    first: "1st", second: "2nd", third: "3rd", fourth: "4th", fifth: "5th",
+    sixth: "6th", seventh: "7th", eighth: "8th", ninth: "9th", tenth: "10th",
+});
+
+/** Maximum candidates scored in detail per query. */
+const MAX_CANDIDATES = 400;
+
+/** Minimum match quality (0–1) for a result to be returned. */
+const MIN_QUALITY = 0.5;
+
+/** Reverse-lookup grid cell size (degrees, ~1 km north–south). */
+const GRID_DEG = 0.01;
+
+/** Meters per degree of latitude. */
+const M_PER_DEG = 111320;
+
+/** Grid rings searched by reverse lookup before it falls back to a linear scan. */
+const MAX_RINGS = 32;
+
+/**
+ * @typedef {Object} GazetteerEntry
+ * @property {string} address
+ * @property {number} lat
+ * @property {number} lon
+ */
+
+/**
+ * @typedef {Object} GeocodeMatch
+ * @property {GazetteerEntry} entry
+ * @property {number} quality Match quality in (0,1]
+ */
+
+/**
+ * @typedef {Object} NearestAddress
+ * @property {string} address
+ * @property {number} lat
+ * @property {number} lon
+ * @property {number} distance_m Distance from the query point
+ */
+
+/**
+ * Short label for a reverse lookup ("350 5th Ave, New York, NY · 120 m away").
+ * @param {NearestAddress|null} nearest
+ * @returns {string} Empty when there is no address
+ */
+export function describeNearest(nearest) {
+    if (!nearest) return "";
+    const d = nearest.distance_m;
+    const away = d < 1000 ? `${Math.round(d)} m` : `${(d / 1000).toFixed(1)} km`;
+    return `${nearest.address} · ${away} away`;
+}
+
+/**
+ * Split text into normalized search tokens.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return String(text ?? "")
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim()
+        .split(" ")
+        .filter(Boolean)
+        .map(t => ABBREVIATIONS[t] ?? t);
+}
+
+/**
+ * Trigrams of a token, padded so short tokens and word starts index well.
+ * @param {string} token
+ * @returns {string[]}
+ */
+function trigrams(token) {
+    const padded = `  ${token} `;
+    const grams = [];
+    for (let i = 0; i + 3 <= padded.length; i++) grams.push(padded.slice(i, i + 3));
+    return grams;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+ * stopping early once it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} Distance, or max + 1 when larger than `max`
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+            cur.push(d);
+            rowMin = Math.min(rowMin, d);
+        }
+        if (rowMin > max) return max + 1;
+        prev2 = prev;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+/**
+ * How well one query token matches one address token (0 = no match).
+ * @param {string} q Query token
+ * @param {string} t Address token
+ * @param {boolean} isLast Last query token (may be incomplete while typing)
+ * @returns {number}
+ */
+function tokenQuality(q, t, isLast) {
+    if (q === t) return 1;
+    const numeric = /^\d/.test(q);
+    if (t.startsWith(q)) return isLast || numeric ? 0.9 : 0.7;
+    if (numeric) return 0;
+
+    const max = q.length >= 8 ? 2 : q.length >= 3 ? 1 : 0;
+    if (!max) return 0;
+    const d = editDistance(q, isLast ? t.slice(0, q.length + max) : t, max);
+    return d <= max ? 1 - 0.2 * d : 0;
+}
+
+/**
+ * Normalize raw gazetteer data into entries, dropping malformed records.
+ * @param {any} raw Array of records or a GeoJSON FeatureCollection
+ * @returns {GazetteerEntry[]}
+ */
+export function normalizeGazetteer(raw) {
+    const records = raw?.type === "FeatureCollection"
+        ? (raw.features ?? []).filter(f => f?.geometry?.type === "Point").map(f => ({
+            ...f.properties, longitude: f.geometry.coordinates[0], latitude: f.geometry.coordinates[1],
+        }))
+        : Array.isArray(raw) ? raw : [];
+
+    return records.map((r) => {
+        const address = String(r?.address ?? r?.name ?? r?.label ?? "").trim();
+        const lat = Number(r?.latitude ?? r?.lat);
+        const lon = Number(r?.longitude ?? r?.lon ?? r?.lng);
+        if (!address || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+        return { address, lat, lon };
+    }).filter(Boolean);
+}
+
+/**
+ * Searchable address gazetteer.
+ */
+export class Gazetteer {
+    /**
+     * @param {any} raw Gazetteer data (see {@link normalizeGazetteer})
+     */
+    constructor(raw) {
+        /** @type {GazetteerEntry[]} */
+        this.entries = normalizeGazetteer(raw);
+
+        /** Normalized tokens per entry (same order as `entries`) */
+        this._tokens = this.entries.map(e => tokenize(e.address));
+
+        /**
+         * trigram → entry indices
+         * @type {Map<string, number[]>}
+         */
+        this._trigrams = new Map();
+        this._tokens.forEach((tokens, i) => {
+            for (const g of new Set(tokens.flatMap(trigrams))) {
+                if (!this._trigrams.has(g)) this._trigrams.set(g, []);
+                this._trigrams.get(g).push(i);
+            }
+        });
+
+        /**
+         * "row,col" grid cell → entry indices (reverse lookup)
+         * @type {Map<string, number[]>}
+         */
+        this._grid = new Map();
+        this._gridExtent = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity };
+        this.entries.forEach((e, i) => {
+            const row = Math.floor(e.lat / GRID_DEG), col = Math.floor(e.lon / GRID_DEG);
+            const key = `${row},${col}`;
+            if (!this._grid.has(key)) this._grid.set(key, []);
+            this._grid.get(key).push(i);
+            const x = this._gridExtent;
+            x.minRow = Math.min(x.minRow, row); x.maxRow = Math.max(x.maxRow, row);
+            x.minCol = Math.min(x.minCol, col); x.maxCol = Math.max(x.maxCol, col);
+        });
+    }
+
+    /** Number of entries. */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Nearest known address to a point.
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {NearestAddress|null} null when the gazetteer is empty
+     */
+    nearest(lat, lon) {
+        if (!this.size || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+        const row0 = Math.floor(lat / GRID_DEG), col0 = Math.floor(lon / GRID_DEG);
+        const x = this._gridExtent;
+        const maxRing = Math.max(row0 - x.minRow, x.maxRow - row0, col0 - x.minCol, x.maxCol - col0, 0);
+
+        // Smallest cell side in meters (east–west shrinks with latitude)
+        const cellM = GRID_DEG * M_PER_DEG * Math.max(0.01, Math.cos(lat * Math.PI / 180));
+
+        let best = null;
+        const measure = (i) => {
+            const e = this.entries[i];
+            const d = haversineMeters(lat, lon, e.lat, e.lon);
+            if (!best || d < best.distance_m) best = { ...e, distance_m: d };
+        };
+        for (let ring = 0; ring <= Math.min(maxRing, MAX_RINGS); ring++) {
+            // Cells on this ring's border
+            forEachRingCell(row0, col0, ring, (row, col) => this._grid.get(`${row},${col}`)?.forEach(measure));
+
+            // Anything on later rings is at least `ring` full cells away
+            if (best && ring * cellM >= best.distance_m) return best;
+        }
+        if (maxRing <= MAX_RINGS) return best;
+
+        // Far from the data: measure every address once
+        best = null;
+        this.entries.forEach((e, i) => measure(i));
+        return best;
+    }
+
+    /**
+     * Fuzzy search, best matches first.
+     * @param {string} query
+     * @param {number} [limit=8]
+     * @returns {GeocodeMatch[]}
+     */
+    search(query, limit = 8) {
+        const qTokens = tokenize(query);
+        if (!qTokens.length) return [];
+
+        // Candidates: entries sharing the most trigrams with the query
+        const shared = new Map();
+        for (const g of new Set(qTokens.flatMap(trigrams))) {
+            for (const i of this._trigrams.get(g) ?? []) shared.set(i, (shared.get(i) ?? 0) + 1);
+        }
+        const candidates = Array.from(shared.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_CANDIDATES)
+            .map(([i]) => i);
+
+        // Score: mean of each query token's best match; every token must match something
+        const matches = [];
+        for (const i of candidates) {
+            const tokens = this._tokens[i];
+            let total = 0;
+            for (let k = 0; k < qTokens.length; k++) {
+                const best = Math.max(0, ...tokens.map(t => tokenQuality(qTokens[k], t, k === qTokens.length - 1)));
+                if (!best) { total = 0; break; }
+                total += best;
+            }
+            const quality = total / qTokens.length;
+            if (quality >= MIN_QUALITY) matches.push({ entry: this.entries[i], quality });
+        }
+
+        // Best quality first, then shorter (more specific) addresses
+        return matches
+            .sort((a, b) => (b.quality - a.quality) || (a.entry.address.length - b.entry.address.length))
+            .slice(0, limit);
+    }
+}
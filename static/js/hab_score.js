@@ -4,15 +4,50 @@
  * Produces a bounded 0–100 score from mixed inputs (environment stats + nearby elements).
  *
  * Inputs:
- *  - Stats: air, crime, rent (all prefer lower), school (higher is better).
+ *  - Stats: air, crime, rent, school — mapped to utilities by a scoring profile
+ *    (see scoring_profile.js; the built-in profile treats air/crime/rent as
+ *    "lower is better" and school as "higher is better").
  *  - Transit: array of distances (km) to transit points/polygons near the location.
- *  - Elements: pairs of [distance_km, sign] where sign ∈ {-1,0,+1} for bad/neutral/good.
+ *  - Elements: [distance_km, strength, type?] where strength ∈ [-1,+1] is the signed
+ *    preference (negative = disliked, 0 = neutral, positive = liked); |strength|
+ *    scales how much each element counts.
+ *  - Distance decay: kernel + ρ per channel and element type from the profile's `decay`
+ *    section (built-in: e^{-d}, ρ 1.0 transit / 0.6 elements).
+ *
+ * Weights:
+ *  - Each component can carry a non-negative weight (see DEFAULT_WEIGHTS in scoring_profile.js);
+ *    the final score is the weighted mean of the components present.
  *
  * Outputs:
- *  - An object with per-component utilities and the final Score (0–100).
+ *  - An object with per-component utilities, the weights used and the final Score (0–100).
+ *  - A confidence/coverage rating (assessConfidence) attached by scoreBundle.
+ *  - Dealbreaker outcomes (bundle.dealbreakers) applied by scoreBundle: a failed rule
+ *    disqualifies the location (Score 0) or caps its score.
+ *  - An explanation (explainScore) with component shares and per-element effects.
+ *  - A radius-sensitivity chart (renderSensitivity) from a caller-supplied sweep.
  *  - An optional DOM render helper that fills `.hab-score-panel` if present.
  */
 
+import { DEFAULT_PROFILE, DEFAULT_WEIGHTS, WEIGHT_LABELS, utilityFor, makeKernel, decaySpecFor, describeDecay } from "./scoring_profile.js";
+import { PREFERENCE_MAX, colorForKey, escapeHTML } from "./utils.js";
+import { lineChartSVG, histogramSVG } from "./charts.js";
+import { applyDealbreakers } from "./dealbreakers.js";
+import { describeNearest } from "./geocoder.js";
+import { fromMeters, formatRadius, getRadiusUnit } from "./units.js";
+import { describeAOI } from "./aoi.js";
+import { describeNetwork } from "./network.js";
+import { describeZoneMix } from "./aspects.js";
+import { describeSurface } from "./surface.js";
+
+/**
+ * Weight key → field on the score_v3 result holding that component's utility.
+ * @type {Readonly<Record<string, string>>}
+ */
+const COMPONENT_FIELDS = Object.freeze({
+    air: "U_air", crime: "U_crime", rent: "U_rent", school: "U_school", transit: "U_transit",
+    pos: "P_pos", neg: "P_neg_goodness"
+});
+
 /**
  * Clamp a number into [0,1].
  * @param {number} x
@@ -21,56 +56,46 @@
 function clamp01(x){ return Math.max(0, Math.min(1, x)); }
 
 /**
- * Utility curve for attributes where "lower is better"
- * (e.g., air index, crime, rent). Maps x≥0 → (0,1], approaches 1 near 0.
- * Uses 1 / (1 + ln(1 + x)).
- * @param {?number} x
- * @returns {number} Utility in [0,1]
- */
-function U_lower_log(x){
-    x = Math.max(0, x ?? 0);
-    return 1 / (1 + Math.log1p(x));
-}
-
-/**
- * Utility for school quality where "higher is better".
- * Simple linear scale normalized to [0,1] with an assumed 0–10 band.
- * @param {?number} x
- * @returns {number} Utility in [0,1]
+ * Saturating aggregator over per-item influence terms:
+ *   1 - Π_i (1 - clamp01(term_i)),  term_i = rho_i * m_i * k_i(d_i)
+ * Interpretable as "probability at least one nearby thing matters" with decay.
+ * @param {number[]} terms - per-item influence (already scaled by ρ, strength and kernel)
+ * @returns {number} value in [0,1]
  */
-function U_school(x){
-    return clamp01((x ?? 0) / 10);
+function saturating(terms){
+    let prod = 1.0;
+    for (const t of terms || []) prod *= (1 - clamp01(t));
+    return 1 - prod;
 }
 
 /**
- * Radial decay weight: e^{-d}. Distance is in the same units as inputs to `saturating`.
- * @param {?number} d
+ * Influence term for one distance under a channel's (or element type's) decay model.
+ * Kernels are compiled once per spec and cached for the duration of a score call.
+ * @param {Map<Object,Function>} cache spec → kernel
+ * @param {Object} spec Resolved decay spec (see decaySpecFor)
+ * @param {number} d_km
+ * @param {number} [magnitude=1]
  * @returns {number}
  */
-function w_decay(d){
-    d = Math.max(0, d ?? 0);
-    return Math.exp(-d);
+function decayTerm(cache, spec, d_km, magnitude = 1){
+    if (!cache.has(spec)) cache.set(spec, makeKernel(spec));
+    return (spec.rho ?? 1) * magnitude * cache.get(spec)(d_km);
 }
 
 /**
- * Saturating aggregator for multiple distances:
- *   1 - Π_i (1 - clamp01(rho * e^{-d_i}))
- * Interpretable as "probability at least one nearby thing matters" with decay.
- * @param {number[]} distances - distances in consistent units (km for elements/transit)
- * @param {number} rho - scaling factor (≈1.0 is a good default)
- * @returns {number} value in [0,1]
+ * Resolve a weight for a component key, falling back to DEFAULT_WEIGHTS.
+ * Negative / non-finite values are treated as 0.
+ * @param {Record<string,number>|undefined} weights
+ * @param {string} key
+ * @returns {number}
  */
-function saturating(distances, rho){
-    let prod = 1.0;
-    for (const d of distances || []) {
-        const term = clamp01((rho ?? 1) * w_decay(d));
-        prod *= (1 - term);
-    }
-    return 1 - prod;
+function weightFor(weights, key){
+    const w = Number(weights?.[key] ?? DEFAULT_WEIGHTS[key] ?? 1);
+    return Number.isFinite(w) && w > 0 ? w : 0;
 }
 
 /**
- * Compute habitability v3 as a mean of component utilities.
+ * Compute habitability v3 as a weighted mean of component utilities.
  *
  * Component utilities pushed into the mean (when present):
  *  - U_air, U_crime, U_rent, U_school (scalar stats)
@@ -79,14 +104,19 @@ function saturating(distances, rho){
  *  - 1 - P_neg (penalty for negative elements, pushed as its "goodness")
  *
  * @param {Object} args
- * @param {?number} args.air     - lower is better (index-like)
- * @param {?number} args.crime   - lower is better
- * @param {?number} args.rent    - lower is better
- * @param {?number} args.school  - higher is better (0–10 assumed)
+ * @param {?number} args.air     - raw air quality index
+ * @param {?number} args.crime   - raw crime rate
+ * @param {?number} args.rent    - raw median rent
+ * @param {?number} args.school  - raw school quality
  * @param {number[]} args.transit - transit distances in kilometers
- * @param {Array<[number, -1|0|1]>} args.elements - [distance_km, sign] pairs
+ * @param {Array<[number, number, string?]>} args.elements - [distance_km, strength, type] (strength ∈ [-1,1])
+ * @param {Record<string,number>} [args.weights] - per-component weights (see DEFAULT_WEIGHTS)
+ * @param {import("./scoring_profile.js").ScoringProfile} [args.profile] - utility curves per aspect
  * @returns {{
  *  Score:number,
+ *  profile:string,
+ *  decay:{transit:Object, elements:Object, types:Record<string,Object>},
+ *  weights:Record<string,number>,
  *  U_air?:number, U_crime?:number, U_rent?:number, U_school?:number,
  *  U_transit:number,
  *  P_pos:number,
@@ -94,38 +124,59 @@ function saturating(distances, rho){
  *  P_neutral_overlay:number
  * }}
  */
-export function score_v3({ air, crime, rent, school, transit, elements }) {
-    // Create storage
+export function score_v3({ air, crime, rent, school, transit, elements, weights, profile }) {
+    // Create storage ([weight key, utility] pairs)
     const comps = [];
     const out = {};
+    const prof = profile ?? DEFAULT_PROFILE;
+    out.profile = prof.name ?? "custom";
 
     // Check if stat value is passed then calc and store the values
-    if (air    != null){ out.U_air    = U_lower_log(air);    comps.push(out.U_air); }
-    if (crime  != null){ out.U_crime  = U_lower_log(crime);  comps.push(out.U_crime); }
-    if (rent   != null){ out.U_rent   = U_lower_log(rent);   comps.push(out.U_rent); }
-    if (school != null){ out.U_school = U_school(school);    comps.push(out.U_school); }
+    if (air    != null){ out.U_air    = utilityFor(prof, "air")(air);       comps.push(["air",    out.U_air]); }
+    if (crime  != null){ out.U_crime  = utilityFor(prof, "crime")(crime);   comps.push(["crime",  out.U_crime]); }
+    if (rent   != null){ out.U_rent   = utilityFor(prof, "rent")(rent);     comps.push(["rent",   out.U_rent]); }
+    if (school != null){ out.U_school = utilityFor(prof, "school")(school); comps.push(["school", out.U_school]); }
+
+    // Decay models in effect (recorded on the output so results can be reproduced)
+    const kernels = new Map();
+    const transitSpec = decaySpecFor(prof, "transit");
+    out.decay = { transit: transitSpec, elements: decaySpecFor(prof, "elements"), types: {} };
 
     // Transit as saturating function over km distances
-    out.U_transit = (transit?.length ? saturating(transit, 1.0) : 0.0);
-    comps.push(out.U_transit);
+    out.U_transit = (transit?.length ? saturating(transit.map(d => decayTerm(kernels, transitSpec, d))) : 0.0);
+    comps.push(["transit", out.U_transit]);
 
-    // Split elements into sign buckets (distance in km)
-    const pos = (elements||[]).filter(([d,s])=> s>0).map(([d])=>d);
-    const neg = (elements||[]).filter(([d,s])=> s<0).map(([d])=>d);
-    const neu = (elements||[]).filter(([d,s])=> s===0).map(([d])=>d);
+    // Per-element influence (distance in km, |strength| as magnitude, decay by type)
+    const termOf = ([d, s, type]) => {
+        const spec = decaySpecFor(prof, "elements", type);
+        if (type && spec !== out.decay.elements) out.decay.types[type] = spec;
+        return decayTerm(kernels, spec, d, s === 0 ? 1 : Math.abs(s));
+    };
+
+    // Split elements into sign buckets
+    const pos = (elements||[]).filter(([d,s])=> s>0).map(termOf);
+    const neg = (elements||[]).filter(([d,s])=> s<0).map(termOf);
+    const neu = (elements||[]).filter(([d,s])=> s===0).map(termOf);
 
     // Calc the element values
-    out.P_pos = pos.length ? saturating(pos, 0.6) : 0.0;
-    const P_neg = neg.length ? saturating(neg, 0.6) : 0.0;
+    out.P_pos = pos.length ? saturating(pos) : 0.0;
+    const P_neg = neg.length ? saturating(neg) : 0.0;
     out.P_neg_goodness = 1 - P_neg;
-    out.P_neutral_overlay = neu.length ? saturating(neu, 0.6) : 0.0; // display-only
+    out.P_neutral_overlay = neu.length ? saturating(neu) : 0.0; // display-only
 
     // Store the element values
-    comps.push(out.P_pos, out.P_neg_goodness);
+    comps.push(["pos", out.P_pos], ["neg", out.P_neg_goodness]);
 
-    // Calc then store hab score
-    const mean = comps.length ? (comps.reduce((a,b)=>a+b,0)/comps.length) : 0.0;
-    out.Score = 100 * mean;
+    // Calc then store the weighted mean (all-zero weights → 0)
+    out.weights = {};
+    let sumW = 0, sumWU = 0;
+    for (const [key, u] of comps) {
+        const w = weightFor(weights, key);
+        out.weights[key] = w;
+        sumW  += w;
+        sumWU += w * u;
+    }
+    out.Score = 100 * (sumW > 0 ? sumWU / sumW : 0.0);
     
     // Return payload 
     return out;
@@ -133,31 +184,294 @@ export function score_v3({ air, crime, rent, school, transit, elements }) {
 }
 
 /**
- * Render helper that:
- *  Computes score_v3 from a pre-built bundle (see main.js buildHabBundle),
- *  Shows `.hab-score-panel`, hides `.instructions-panel`,
- *  Writes a short, human-readable summary into `.hab-score-panel`.
+ * Score a pre-built bundle (see main.js buildHabBundle) without touching the DOM.
+ * Out-of-bounds aspects are passed as null so they drop out of the mean.
  *
  * @param {Object} bundle
  * @param {Object} bundle.aspects
  * @param {Object} bundle.channels
- * @param {number[]} bundle.channels.transit_km - transit distances (km)
- * @param {Array<[number, -1|0|1]>} bundle.channels.elements_pairs
- * @param {Object} bundle.filtered
- * @returns {ReturnType<score_v3>} The computed score object (useful for tests/logging)
+ * @param {Record<string,number>} [bundle.weights]
+ * @param {import("./scoring_profile.js").ScoringProfile} [bundle.profile]
+ * @returns {ReturnType<score_v3>}
+ */
+export function scoreBundle(bundle){
+    const result = score_v3(bundleInputs(bundle));
+    result.confidence = assessConfidence(bundle);
+    return applyDealbreakers(result, bundle.dealbreakers);
+}
+
+/** Fallback zones lose confidence with distance: e^{-d / FALLBACK_SCALE_M}. */
+const FALLBACK_SCALE_M = 500;
+
+/** Confidence thresholds for the "high" / "medium" levels (below → "low"). */
+const CONFIDENCE_HIGH = 0.8;
+const CONFIDENCE_MEDIUM = 0.5;
+
+/** Aspect keys checked for coverage, with the bundle.aspects field they live in. */
+const CONFIDENCE_ASPECTS = [
+    ["air", "air"], ["crime", "crime"], ["rent", "rent"], ["school", "school"], ["transit", "transit_zone"]
+];
+
+/**
+ * Rate how much of a score rests on real data.
+ *
+ * Per aspect:
+ *  - "inside"   center lies in a zone                      → 1
+ *              (area-resolved aspects: the covered share of the area)
+ *  - "fallback" nearest zone used (near_single_zone)       → e^{-distance / FALLBACK_SCALE_M}
+ *  - "missing"  no zone at all (out_of_bounds)             → 0
+ * Transit also counts as "inside" when transit points were found in the radius.
+ * The overall value is the mean over aspects.
+ *
+ * @param {Object} bundle Bundle from buildHabBundle
+ * @returns {{
+ *  value:number,
+ *  level:"high"|"medium"|"low",
+ *  aspects:Record<string,{status:"inside"|"fallback"|"missing", distance_m:number|null, confidence:number}>,
+ *  inside:string[], fallbacks:string[], missing:string[]
+ * }}
+ */
+export function assessConfidence(bundle){
+    // Create storage
+    const aspects = {};
+    const inside = [], fallbacks = [], missing = [];
+
+    // Rate each aspect
+    for (const [key, field] of CONFIDENCE_ASPECTS) {
+        const info = bundle.aspects?.[field];
+        let entry;
+        if (key === "transit" && bundle.channels?.transit_points) {
+            entry = { status: "inside", distance_m: null, confidence: 1 };
+        }
+        else if (!info || info.out_of_bounds) {
+            entry = { status: "missing", distance_m: null, confidence: 0 };
+        }
+        else if (info.source === "area") {
+            entry = { status: "inside", distance_m: null, confidence: info.covered_share ?? 1 };
+        }
+        else if (info.source === "near_single_zone") {
+            const d = info.distance_to_boundary_m ?? info.distance_to_zone_edge_m ?? 0;
+            entry = { status: "fallback", distance_m: d, confidence: Math.exp(-d / FALLBACK_SCALE_M) };
+        }
+        else {
+            entry = { status: "inside", distance_m: null, confidence: 1 };
+        }
+        aspects[key] = entry;
+        ({ inside, fallback: fallbacks, missing })[entry.status].push(key);
+    }
+
+    // Overall value + level
+    const list = Object.values(aspects);
+    const value = list.reduce((a, e) => a + e.confidence, 0) / list.length;
+    const level = value >= CONFIDENCE_HIGH ? "high" : value >= CONFIDENCE_MEDIUM ? "medium" : "low";
+
+    // Return payload
+    return { value, level, aspects, inside, fallbacks, missing };
+}
+
+/**
+ * Failed dealbreaker rules for the score panel (empty when all passed).
+ * @param {ReturnType<scoreBundle>} result
+ * @returns {string} HTML
+ */
+function dealbreakersHTML(result){
+    if (!result.failed_rules?.length) {
+        return result.dealbreakers?.length
+            ? `<div class="score-row small">Dealbreakers: all ${result.dealbreakers.length} rule(s) passed</div>`
+            : "";
+    }
+    const head = result.disqualified
+        ? `<strong class="dealbreaker-fail">Disqualified</strong> (weighted score ${result.Score_uncapped.toFixed(2)})`
+        : `<strong class="dealbreaker-fail">Capped</strong> from ${result.Score_uncapped.toFixed(2)}`;
+    return `
+        <div class="score-row small">${head} — failed rules:</div>
+        ${result.failed_rules.map(o => `<div class="score-row small dealbreaker-failed-rule">✗ ${escapeHTML(o.text)} — ${escapeHTML(o.detail)}</div>`).join("")}`;
+}
+
+/**
+ * Percentile row + histogram for the score panel.
+ * @param {number} score
+ * @param {{percentile:number|null, scores:number[]}} rank
+ * @returns {string} HTML
+ */
+function percentileHTML(score, rank){
+    if (rank?.percentile == null) return `<div class="score-row small">Percentile: not enough covered area to compare.</div>`;
+    return `
+        <div class="score-row small percentile-row">
+            Better than <strong>${Math.round(rank.percentile)}%</strong> of the covered area (${rank.scores.length} samples)
+        </div>
+        ${histogramSVG(rank.scores, { marker: score, xLabel: "score" })}`;
+}
+
+/**
+ * Zone mix rows for aspects resolved over the area or read from a smooth surface
+ * (empty for plain center lookups).
+ * @param {Object} bundle
+ * @returns {string} HTML
+ */
+function zoneMixHTML(bundle){
+    return CONFIDENCE_ASPECTS
+        .filter(([, field]) => bundle.aspects?.[field]?.source === "area" || bundle.aspects?.[field]?.surface)
+        .map(([key, field]) => {
+            const info = bundle.aspects[field];
+            const parts = [];
+            if (info.source === "area") parts.push(describeZoneMix(info));
+            if (info.surface) parts.push(`${describeSurface(bundle.aspect_mode)}${info.zone_value != null ? ` (zone value ${info.zone_value})` : ""}`);
+            return `<div class="score-row small zone-mix-row">${WEIGHT_LABELS[key]}: ${escapeHTML(parts.join(" · "))}</div>`;
+        })
+        .join("");
+}
+
+/**
+ * One-line confidence summary for the score panel.
+ * @param {ReturnType<assessConfidence>} c
+ * @returns {string} HTML
  */
-export function computeAndRenderHabScore(bundle){
-    // Calculate the hab score
+function confidenceHTML(c){
+    const parts = [];
+    if (c.inside.length)    parts.push(`inside zone: ${c.inside.map(k => WEIGHT_LABELS[k]).join(", ")}`);
+    if (c.fallbacks.length) parts.push(`nearest zone: ${c.fallbacks.map(k => `${WEIGHT_LABELS[k]} (${Math.round(c.aspects[k].distance_m)} m away)`).join(", ")}`);
+    if (c.missing.length)   parts.push(`missing: ${c.missing.map(k => WEIGHT_LABELS[k]).join(", ")}`);
+    return `<div class="score-row small confidence-row confidence-${c.level}">
+        <strong>Confidence ${Math.round(c.value * 100)}% (${c.level})</strong> — ${parts.join("; ")}
+    </div>`;
+}
+
+/**
+ * Map a bundle onto score_v3 arguments.
+ * @param {Object} bundle
+ * @returns {Parameters<score_v3>[0]}
+ */
+function bundleInputs(bundle){
     const getVal = (o)=> (o?.out_of_bounds ? null : (o?.value ?? null));
-    const result = score_v3({
+    return {
         air:    getVal(bundle.aspects.air),
         crime:  getVal(bundle.aspects.crime),
         rent:   getVal(bundle.aspects.rent),
         school: getVal(bundle.aspects.school),
         transit: bundle.channels.transit_km,
-        elements: bundle.channels.elements_pairs
+        elements: bundle.channels.elements_pairs,
+        weights: bundle.weights,
+        profile: bundle.profile
+    };
+}
+
+/**
+ * Break a score down into per-component shares and per-element effects.
+ *
+ * Component share = 100 · w·u / Σw (points of the final score it contributes);
+ * `max_points` is what the component would add at full utility.
+ * Element effect = Score − Score without that element (leave-one-out), so
+ * liked elements are positive, disliked ones negative and neutral ones 0
+ * (neutral elements are left out of the list).
+ * Both are measured on the weighted mean before dealbreakers (`Score_uncapped`
+ * when a rule capped or disqualified the location; `pre_cap` is then true).
+ *
+ * @param {Object} bundle Bundle from buildHabBundle (channels.elements aligned with elements_pairs)
+ * @param {ReturnType<score_v3>} [result] Precomputed result for the bundle
+ * @returns {{
+ *  components: Array<{key:string,label:string,utility:number,weight:number,points:number,max_points:number}>,
+ *  elements: Array<{index:number,name:string,type:string,latitude:number,longitude:number,distance_km:number,sign:number,effect:number}>,
+ *  pre_cap: boolean,
+ *  score: number
+ * }}
+ */
+export function explainScore(bundle, result = scoreBundle(bundle)){
+    // Component shares of the final score
+    const sumW = Object.values(result.weights).reduce((a,b)=>a+b,0);
+    const components = Object.entries(result.weights).map(([key, weight]) => {
+        const utility = result[COMPONENT_FIELDS[key]] ?? 0;
+        return {
+            key, label: WEIGHT_LABELS[key] ?? key, utility, weight,
+            points:     sumW > 0 ? 100 * weight * utility / sumW : 0,
+            max_points: sumW > 0 ? 100 * weight / sumW : 0
+        };
     });
 
+    // Leave-one-out effect of each element that carries a sign (both sides before dealbreakers)
+    const score  = result.Score_uncapped ?? result.Score;
+    const inputs = bundleInputs(bundle);
+    const pairs  = inputs.elements || [];
+    const items  = bundle.channels.elements || [];
+    const elements = [];
+    pairs.forEach(([distance_km, sign], index) => {
+        if (!sign) return;
+        const without = score_v3({ ...inputs, elements: pairs.filter((_, j) => j !== index) });
+        const item = items[index] ?? {};
+        elements.push({
+            index, distance_km, sign,
+            name: item.name ?? "Unnamed",
+            type: item.type ?? "Unknown",
+            latitude: item.latitude,
+            longitude: item.longitude,
+            effect: score - without.Score
+        });
+    });
+    elements.sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect));
+
+    // Return payload
+    return { components, elements, pre_cap: result.Score_uncapped != null, score };
+}
+
+/**
+ * Build the explanation markup (hidden until toggled).
+ * @param {ReturnType<explainScore>} explanation
+ * @returns {string} HTML
+ */
+function explanationHTML(explanation){
+    const comps = explanation.components.map(c => `
+        <div class="explain-row">
+            <span>${escapeHTML(c.label)}</span>
+            <span>${c.points.toFixed(2)} / ${c.max_points.toFixed(2)} pts</span>
+            <span class="small">u ${c.utility.toFixed(3)} · ×${c.weight.toFixed(1)}</span>
+        </div>`).join("");
+    const elems = explanation.elements.map((e, rank) => `
+        <div class="explain-row explain-element ${e.effect >= 0 ? "effect-pos" : "effect-neg"}" data-rank="${rank}">
+            <span>${e.effect >= 0 ? "+" : ""}${e.effect.toFixed(2)}</span>
+            <span>${escapeHTML(e.name)}</span>
+            <span class="small">${escapeHTML(e.type)} · ${(e.distance_km * 1000).toFixed(0)} m · pref ${e.sign >= 0 ? "+" : ""}${(e.sign * PREFERENCE_MAX).toFixed(0)}</span>
+        </div>`).join("");
+    return `
+        <div class="score-explain hidden">
+            <div class="score-row"><strong>Component shares</strong></div>
+            ${explanation.pre_cap ? `<div class="score-row small">Shares and effects are before dealbreakers (weighted score ${explanation.score.toFixed(2)}).</div>` : ""}
+            ${comps}
+            <div class="score-row"><strong>Elements by effect</strong></div>
+            ${elems || `<div class="score-row small">No liked or disliked elements inside the radius.</div>`}
+        </div>`;
+}
+
+/**
+ * Render helper that:
+ *  Computes score_v3 from a pre-built bundle (see main.js buildHabBundle),
+ *  Shows `.hab-score-panel`, hides `.instructions-panel`,
+ *  Writes a short, human-readable summary into `.hab-score-panel`.
+ *
+ * @param {Object} bundle
+ * @param {Object} bundle.aspects
+ * @param {Object} bundle.channels
+ * @param {number[]} bundle.channels.transit_km - transit distances (km)
+ * @param {Array<[number, number, string]>} bundle.channels.elements_pairs
+ * @param {Record<string,number>} [bundle.weights]
+ * @param {Object} bundle.filtered
+ * @param {Object} [opts]
+ * @param {(element:ReturnType<explainScore>["elements"][number])=>void} [opts.onFocusElement]
+ *        Called when an element row in the explanation is clicked
+ * @param {()=>Array<SensitivityRow>} [opts.onSensitivity]
+ *        Builds a radius sweep for the same center; enables the "Radius sensitivity" button
+ * @param {(score:number)=>Promise<{percentile:number|null, scores:number[]}>} [opts.percentileOf]
+ *        Ranks the score against the sampled dataset area (shown with a histogram once it resolves)
+ * @param {(bundle:Object, result:Object)=>void} [opts.onSave]
+ *        Enables the "Save to shortlist" button
+ * @param {(format:"report"|"csv"|"geojson", bundle:Object, result:Object)=>void} [opts.onExport]
+ *        Enables the Export buttons
+ * @returns {ReturnType<score_v3>} The computed score object (useful for tests/logging)
+ */
+export function computeAndRenderHabScore(bundle, opts = {}){
+    // Calculate the hab score and its breakdown
+    const result = scoreBundle(bundle);
+    const explanation = explainScore(bundle, result);
+
     // Determine DOM elements
     const scorePanel = document.querySelector(".hab-score-panel");
     const instPanel  = document.querySelector(".instructions-panel");
@@ -168,15 +482,141 @@ export function computeAndRenderHabScore(bundle){
 
     // Update results output to results panel
     if (scorePanel){
+        scorePanel.classList.toggle("low-confidence", result.confidence.level === "low");
+        scorePanel.classList.toggle("disqualified", !!result.disqualified);
         scorePanel.innerHTML = `
-        <div class="score-row"><strong>Habitability Score :</strong> ${result.Score.toFixed(2)} / 100</div>
+        <div class="score-row"><strong>Habitability Score :</strong> ${result.Score.toFixed(2)} / 100${result.confidence.level === "low" ? ` <span class="confidence-flag" title="Built mostly on fallback or missing data">⚠ low confidence</span>` : ""}</div>
+        ${bundle.address ? `<div class="score-row small">Nearest address: ${escapeHTML(describeNearest(bundle.address))}</div>` : ""}
+        ${dealbreakersHTML(result)}
+        ${confidenceHTML(result.confidence)}
+        ${opts.percentileOf ? `<div class="score-percentile"><div class="score-row small">Percentile: sampling the covered area…</div></div>` : ""}
         <div class="score-row">Scores: ${[["Air",result.U_air],["Crime",result.U_crime],["Rent",result.U_rent],["School",result.U_school],["Transit",result.U_transit]].filter(([k,v])=> v!=null && !Number.isNaN(v)).map(([k,v])=> `${k}: ${v.toFixed(3)}`).join(", ") || "—"}</div>
+        <div class="score-row small">Profile: ${escapeHTML(result.profile)}</div>
+        <div class="score-row small">Decay: transit ${describeDecay(result.decay.transit)}; elements ${describeDecay(result.decay.elements)}${Object.entries(result.decay.types).map(([t, spec]) => `; ${t} ${describeDecay(spec)}`).join("")}</div>
+        <div class="score-row small">Weights: ${Object.entries(result.weights).map(([k,w])=> `${WEIGHT_LABELS[k] ?? k} ×${w.toFixed(1)}`).join(", ")}</div>
+        ${zoneMixHTML(bundle)}
+        ${bundle.network ? `<div class="score-row small">Walking: ${escapeHTML(describeNetwork(bundle.network))}</div>` : ""}
         <div class="score-row small">
-            Inside radius: ${bundle.filtered.points.length} points, ${bundle.filtered.polygons.length} polygons
+            ${bundle.network?.isochrone_m ? "Inside walk area" : bundle.aoi ? `Inside area (${escapeHTML(describeAOI(bundle.aoi))})` : "Inside radius"}: ${bundle.filtered.points.length} points, ${bundle.filtered.polygons.length} polygons
         </div>
+        <button type="button" class="score-btn" id="btn-explain">Explain</button>
+        ${opts.onSensitivity ? `<button type="button" class="score-btn" id="btn-sensitivity">Radius sensitivity</button>` : ""}
+        ${opts.onSave ? `<button type="button" class="score-btn" id="btn-save">Save to shortlist</button>` : ""}
+        ${opts.onExport ? `<span class="score-export">Export:
+            <button type="button" class="score-btn" data-export="report">Report</button>
+            <button type="button" class="score-btn" data-export="csv">CSV</button>
+            <button type="button" class="score-btn" data-export="geojson">GeoJSON</button>
+        </span>` : ""}
+        ${explanationHTML(explanation)}
+        <div class="score-sensitivity hidden"></div>
         `;
+
+        // Percentile (sampled off the main thread; ignored once the panel was redrawn)
+        const pctEl = scorePanel.querySelector(".score-percentile");
+        if (pctEl) {
+            Promise.resolve(opts.percentileOf(result.Score))
+                .then((rank) => { if (pctEl.isConnected) pctEl.innerHTML = percentileHTML(result.Score, rank); })
+                .catch((err) => {
+                    if (err?.cancelled || !pctEl.isConnected) return;
+                    pctEl.innerHTML = `<div class="score-row small">Percentile unavailable: ${escapeHTML(err?.message ?? err)}</div>`;
+                });
+        }
+
+        // Radius sensitivity toggle (sweep computed lazily on first open)
+        const btnSens = scorePanel.querySelector("#btn-sensitivity");
+        const sensEl  = scorePanel.querySelector(".score-sensitivity");
+        btnSens?.addEventListener("click", () => {
+            if (!sensEl.dataset.ready) {
+                renderSensitivity(sensEl, opts.onSensitivity(), bundle.radius_m);
+                sensEl.dataset.ready = "1";
+            }
+            const hidden = sensEl.classList.toggle("hidden");
+            btnSens.classList.toggle("on", !hidden);
+        });
+
+        // Save to shortlist
+        scorePanel.querySelector("#btn-save")?.addEventListener("click", () => opts.onSave(bundle, result));
+
+        // Export actions
+        scorePanel.querySelectorAll("[data-export]").forEach((btn) => {
+            btn.addEventListener("click", () => opts.onExport(btn.dataset.export, bundle, result));
+        });
+
+        // Explain toggle
+        const btnExplain = scorePanel.querySelector("#btn-explain");
+        const explainEl  = scorePanel.querySelector(".score-explain");
+        btnExplain?.addEventListener("click", () => {
+            const hidden = explainEl.classList.toggle("hidden");
+            btnExplain.classList.toggle("on", !hidden);
+            btnExplain.textContent = hidden ? "Explain" : "Hide explanation";
+        });
+
+        // Element rows focus their marker
+        scorePanel.querySelectorAll(".explain-element").forEach((row) => {
+            row.addEventListener("click", () => {
+                const item = explanation.elements[Number(row.dataset.rank)];
+                if (item) opts.onFocusElement?.(item);
+            });
+        });
     }
 
     // Return payload
     return result;
 }
+
+/**
+ * @typedef {Object} SensitivityRow
+ * @property {number} radius_m
+ * @property {ReturnType<score_v3>} result
+ * @property {string[]} entered Element names that entered the circle at this radius (all inside at the first radius)
+ * @property {string[]} left    Element names that left the circle at this radius
+ */
+
+/** Components plotted alongside the score (utility × 100). */
+const SENSITIVITY_COMPONENTS = [
+    ["U_air", "Air"], ["U_crime", "Crime"], ["U_rent", "Rent"], ["U_school", "School"],
+    ["U_transit", "Transit"], ["P_pos", "Liked"], ["P_neg_goodness", "Disliked"]
+];
+
+/**
+ * Render a score-vs-radius chart plus the list of radii where elements enter or leave.
+ * @param {HTMLElement} container
+ * @param {Array<SensitivityRow>} rows Sweep ordered by radius
+ * @param {number} [currentRadiusM] Radius of the scored circle (drawn as a cursor)
+ */
+export function renderSensitivity(container, rows, currentRadiusM){
+    if (!container) return;
+    if (!rows?.length) {
+        container.innerHTML = `<div class="score-row small">No sensitivity data.</div>`;
+        return;
+    }
+
+    // Score + component series (x in the radius input's unit)
+    const x = (r) => fromMeters(r.radius_m);
+    const series = [
+        { label: "Score", color: "#222", width: 2.5, points: rows.map(r => ({ x: x(r), y: r.result.Score })) },
+        ...SENSITIVITY_COMPONENTS
+            .filter(([field]) => rows.some(r => r.result[field] != null))
+            .map(([field, label]) => ({
+                label, color: colorForKey(field), width: 1, dashed: true,
+                points: rows.map(r => ({ x: x(r), y: 100 * (r.result[field] ?? NaN) }))
+            }))
+    ];
+
+    // Radii where the element set changed
+    const changes = rows.filter(r => r.entered.length || r.left.length);
+    const marks = changes.map(r => ({
+        x: x(r),
+        label: escapeHTML([...r.entered.map(n => `+ ${n}`), ...r.left.map(n => `− ${n}`)].join("\n"))
+    }));
+
+    container.innerHTML = `
+        ${lineChartSVG({ series, marks, cursor: currentRadiusM != null ? fromMeters(currentRadiusM) : null, logX: true, xLabel: `radius (${getRadiusUnit()})` })}
+        <div class="score-row small">Score range: ${Math.min(...rows.map(r => r.result.Score)).toFixed(1)} – ${Math.max(...rows.map(r => r.result.Score)).toFixed(1)}</div>
+        ${changes.map(r => `
+        <div class="score-row small sensitivity-change">
+            <strong>${formatRadius(r.radius_m)}</strong> (${r.result.Score.toFixed(1)}):
+            ${escapeHTML([...r.entered.map(n => `+${n}`), ...r.left.map(n => `−${n}`)].join(", "))}
+        </div>`).join("")}
+    `;
+}
@@ -0,0 +1,193 @@
+/**
+ * @file heatmap.js
+ * @description Runs habitability-score grids off the main thread: the heatmap
+ * overlay, the percentile samples of the score panel and the best-spot search
+ * (one runner each, so they never cancel each other).
+ * Jobs go to a module Web Worker (heatmap_worker.js) so the map stays responsive;
+ * a newer job cancels the one in flight by restarting the worker. When module
+ * workers are unavailable, or the worker fails (e.g. the script cannot load), grids
+ * are scored on the main thread instead.
+ *
+ * Walking distances: jobs may carry `options.network`; the worker gets its own copy
+ * of the street graph (`setGraph`), so only `max_m` is posted with each job.
+ *
+ * Used by:
+ * - `main.js` (heatmap toggle, re-runs on preference/view changes; percentile sampling;
+ *   Find Best Spots)
+ */
+
+import { buildHabBundle } from "./bundle.js";
+import { scoreBundle } from "./hab_score.js";
+import { findBestSpots } from "./search.js";
+
+/**
+ * @typedef {Object} HeatmapJob
+ * @property {Array<{lat:number, lon:number}>} cells Centers to score
+ * @property {number} radiusM Radius in meters
+ * @property {Record<string,number>} prefs Graded preference per element type
+ * @property {Object} options Scoring options (weights, profile, dealbreakers, network)
+ */
+
+/**
+ * Scoring options as posted to the worker: the street graph stays behind (the worker
+ * has its own copy), only the walking limit goes along.
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+function postableOptions(options) {
+    const network = options?.network ? { max_m: options.network.max_m } : null;
+    return { ...options, network };
+}
+
+export class HeatmapRunner {
+    /**
+     * @param {{points:Array, polygons:Array|Object}} dataset
+     */
+    constructor(dataset) {
+        this.dataset = dataset;
+
+        /** @type {import("./network.js").WalkGraph|null} Street graph for walking jobs */
+        this.graph = null;
+
+        /** @type {Worker|null} */
+        this.worker = null;
+
+        /** Id of the newest job; older results are ignored */
+        this.jobId = 0;
+
+        /** Reject handle of the job in flight (for cancellation) */
+        this._pending = null;
+
+        /** Set once module workers turned out to be unavailable */
+        this._noWorker = false;
+    }
+
+    /**
+     * Replace the dataset used for later jobs.
+     * @param {{points:Array, polygons:Array|Object}} dataset
+     */
+    setDataset(dataset) {
+        this.dataset = dataset;
+        this.worker?.postMessage({ type: "dataset", dataset });
+    }
+
+    /**
+     * Replace the street graph used by jobs with `options.network`.
+     * @param {import("./network.js").WalkGraph|null} graph
+     */
+    setGraph(graph) {
+        this.graph = graph;
+        this.worker?.postMessage({ type: "graph", graph: graph?.toCompact() ?? null });
+    }
+
+    /**
+     * Score a grid. Resolves with one score per cell (same order) or rejects with
+     * `{ cancelled: true }` when a newer job replaces it.
+     *
+     * @param {HeatmapJob} job
+     * @param {(done:number, total:number)=>void} [onProgress]
+     * @returns {Promise<number[]>}
+     */
+    run(job, onProgress) {
+        return this._start({ type: "score", ...job, options: postableOptions(job.options) }, () => this._runHere(job), onProgress);
+    }
+
+    /**
+     * Search the covered area for the best spots (see `findBestSpots` in search.js).
+     * Rejects with `{ cancelled: true }` when `cancel()` or a newer job replaces it.
+     *
+     * @param {Object} search findBestSpots options without `onProgress`
+     * @param {(done:number, total:number)=>void} [onProgress]
+     * @returns {Promise<import("./search.js").BestSpot[]>}
+     */
+    search(search, onProgress) {
+        const here = () => findBestSpots(this.dataset, { ...search, onProgress });
+        return this._start({ type: "best", search: { ...search, options: postableOptions(search.options) } }, here, onProgress);
+    }
+
+    /**
+     * Post a job to the worker, or run it here when there is none.
+     * @param {Object} message Worker message without `id`
+     * @param {()=>any} runHere Main-thread equivalent of the job
+     * @param {(done:number, total:number)=>void} [onProgress]
+     * @returns {Promise<any>} The job's `value`
+     * @private
+     */
+    _start(message, runHere, onProgress) {
+        // Cancel the job in flight
+        this.cancel();
+        const id = ++this.jobId;
+
+        // Determine worker and fall back to the main thread if unavailable
+        const worker = this._ensureWorker();
+        if (!worker) return Promise.resolve().then(runHere);
+
+        return new Promise((resolve, reject) => {
+            this._pending = reject;
+            worker.onmessage = (e) => {
+                const msg = e.data;
+                if (msg.id !== id) return;
+                if (msg.type === "progress") onProgress?.(msg.done, msg.total);
+                else if (msg.type === "result") { this._pending = null; resolve(msg.value); }
+                else if (msg.type === "error") { this._pending = null; reject(new Error(msg.message)); }
+            };
+            // A broken worker is dropped for good; this and later jobs run on the main thread
+            worker.onerror = (e) => {
+                e.preventDefault?.();
+                this._pending = null;
+                this._dropWorker();
+                try { resolve(runHere()); }
+                catch (err) { reject(err); }
+            };
+            worker.postMessage({ ...message, id });
+        });
+    }
+
+    /** Cancel the job in flight (if any) by restarting the worker. */
+    cancel() {
+        if (!this._pending) return;
+        this._pending({ cancelled: true });
+        this._pending = null;
+        this.worker?.terminate();
+        this.worker = null;
+    }
+
+    /**
+     * Score a job on the main thread (no worker).
+     * @param {HeatmapJob} job
+     * @returns {number[]}
+     * @private
+     */
+    _runHere(job) {
+        return job.cells.map(c => scoreBundle(buildHabBundle(c, job.radiusM, this.dataset, job.prefs, job.options)).Score);
+    }
+
+    /**
+     * Stop the worker and score on the main thread from now on.
+     * @private
+     */
+    _dropWorker() {
+        this.worker?.terminate();
+        this.worker = null;
+        this._noWorker = true;
+    }
+
+    /**
+     * Create the worker on demand and hand it the dataset.
+     * @returns {Worker|null} null when module workers are unavailable
+     * @private
+     */
+    _ensureWorker() {
+        if (this.worker || this._noWorker) return this.worker;
+        try {
+            this.worker = new Worker(new URL("./heatmap_worker.js", import.meta.url), { type: "module" });
+            this.worker.postMessage({ type: "dataset", dataset: this.dataset });
+            if (this.graph) this.worker.postMessage({ type: "graph", graph: this.graph.toCompact() });
+        }
+        catch {
+            // Module workers unavailable: score on the main thread
+            this._dropWorker();
+        }
+        return this.worker;
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * @file heatmap_worker.js
+ * @description Module Web Worker that scores a grid of centers off the main thread
+ * (heatmap cells or percentile samples) or searches for the best spots.
+ * Uses the same DOM-free pipeline as the score panel (bundle.js → scoreBundle).
+ *
+ * Messages in:
+ *  - { type: "dataset", dataset }                                    cache and index the points/polygons
+ *  - { type: "graph", graph }                                        street graph in compact form (or null)
+ *  - { type: "score", id, cells, radiusM, prefs, options }           score every cell center
+ *                                                                    (`options.network.max_m` uses the graph)
+ *  - { type: "best", id, search }                                    findBestSpots options (search.js)
+ * Messages out:
+ *  - { type: "progress", id, done, total }
+ *  - { type: "result", id, value }                                   score: value[i] belongs to cells[i];
+ *                                                                    best: the ranked spots
+ *  - { type: "error", id, message }
+ */
+
+import { buildHabBundle, indexDataset } from "./bundle.js";
+import { scoreBundle } from "./hab_score.js";
+import { WalkGraph } from "./network.js";
+import { findBestSpots } from "./search.js";
+
+/** Cells between progress messages. */
+const PROGRESS_EVERY = 64;
+
+/** @type {{points:Array, polygons:Array|Object}|null} */
+let dataset = null;
+
+/** @type {WalkGraph|null} */
+let graph = null;
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    // Cache the dataset once per load (the copy sent here gets its own spatial indexes)
+    if (msg.type === "dataset") {
+        dataset = msg.dataset;
+        indexDataset(dataset);
+        return;
+    }
+    if (msg.type === "graph") {
+        graph = msg.graph ? new WalkGraph(msg.graph) : null;
+        return;
+    }
+    if (msg.type !== "score" && msg.type !== "best") return;
+
+    try {
+        if (!dataset) throw new Error("no dataset loaded");
+
+        // Best-spot search
+        if (msg.type === "best") {
+            const progress = (done, total) => self.postMessage({ type: "progress", id: msg.id, done, total });
+            self.postMessage({ type: "result", id: msg.id, value: findBestSpots(dataset, { ...msg.search, onProgress: progress }) });
+            return;
+        }
+
+        // Score every cell center
+        const options = { ...msg.options, network: msg.options?.network && graph ? { ...msg.options.network, graph } : null };
+        const scores = new Array(msg.cells.length);
+        for (let i = 0; i < msg.cells.length; i++) {
+            const bundle = buildHabBundle(msg.cells[i], msg.radiusM, dataset, msg.prefs, options);
+            scores[i] = scoreBundle(bundle).Score;
+            if ((i + 1) % PROGRESS_EVERY === 0) {
+                self.postMessage({ type: "progress", id: msg.id, done: i + 1, total: msg.cells.length });
+            }
+        }
+        self.postMessage({ type: "result", id: msg.id, value: scores });
+    }
+    catch (err) {
+        self.postMessage({ type: "error", id: msg.id, message: err.message });
+    }
+};
@@ -0,0 +1,309 @@
+/**
+ * @file importers.js
+ * @description Parse user-supplied datasets (GeoJSON, CSV with lat/lon columns, KML)
+ * into the app's point and polygon shapes so they can join the built-in data,
+ * plus the imported-layers panel shown in the data panel.
+ *
+ * Output shapes (same as /points and /polygons):
+ *  - point:   { name, type, latitude, longitude, ...properties, _layer }
+ *  - polygon: { type: "polygon", aspect, coordinates: [[lon, lat], ...], value?, ...properties, _layer }
+ *
+ * Defaults: a point without a `type`/`category` gets the layer's slug as its type;
+ * a polygon without an `aspect` property goes into the aspect "imported_<slug>",
+ * and its value is the `value` property or, failing that, its first numeric property.
+ * Polygons whose `aspect` matches a built-in aspect (e.g. "crime_rate") are scored with it.
+ *
+ * KML parsing uses the browser's DOMParser.
+ */
+
+import { el, escapeHTML } from "./utils.js";
+
+/** File extensions accepted by {@link importFile} (for file inputs). */
+export const IMPORT_ACCEPT = ".geojson,.json,.csv,.txt,.kml";
+
+/**
+ * @typedef {Object} ImportedLayer
+ * @property {string} id      Unique layer id (also stored on every record as `_layer`)
+ * @property {string} name    File name
+ * @property {Array<Object>} points
+ * @property {Array<Object>} polygons
+ */
+
+/** Column names recognised for CSV coordinates and labels (lower-case). */
+const LAT_COLUMNS  = ["lat", "latitude", "y"];
+const LON_COLUMNS  = ["lon", "lng", "long", "longitude", "x"];
+const NAME_COLUMNS = ["name", "title", "label"];
+const TYPE_COLUMNS = ["type", "category", "kind"];
+
+/** Running counter for layer ids. */
+let layerCounter = 0;
+
+/**
+ * Lower-case snake slug of a file name without its extension.
+ * @param {string} fileName
+ * @returns {string}
+ */
+function layerSlug(fileName) {
+    return String(fileName).replace(/\.[^.]+$/, "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/(^_|_$)/g, "") || "layer";
+}
+
+/**
+ * First numeric value among an object's properties.
+ * @param {Record<string,any>} props
+ * @returns {number|null}
+ */
+function firstNumber(props) {
+    for (const v of Object.values(props)) {
+        if (typeof v === "number" && Number.isFinite(v)) return v;
+    }
+    return null;
+}
+
+/**
+ * Build a point record.
+ * @param {Record<string,any>} props
+ * @param {number} lon
+ * @param {number} lat
+ * @param {string} layerId
+ * @param {string} slug Default type
+ * @returns {Object|null} null when coordinates are invalid
+ */
+function makePoint(props, lon, lat, layerId, slug) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return {
+        ...props,
+        name: props.name ?? props.title ?? "Unnamed",
+        type: props.type ?? props.category ?? slug,
+        latitude: lat,
+        longitude: lon,
+        _layer: layerId,
+    };
+}
+
+/**
+ * Build a polygon record from an outer ring.
+ * @param {Record<string,any>} props
+ * @param {Array<[number, number]>} ring `[lon, lat]` vertices
+ * @param {string} layerId
+ * @param {string} slug
+ * @returns {Object|null} null when the ring is too short
+ */
+function makePolygon(props, ring, layerId, slug) {
+    const coords = ring.filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+    if (coords.length < 3) return null;
+    const aspect = props.aspect ?? `imported_${slug}`;
+    const value = props.value ?? props[aspect] ?? firstNumber(props);
+    return { ...props, type: "polygon", aspect, coordinates: coords, value, _layer: layerId };
+}
+
+/**
+ * Parse GeoJSON (FeatureCollection, Feature or bare geometry).
+ * Points and MultiPoints become points; Polygons and MultiPolygons become one
+ * polygon record per outer ring. Other geometries are skipped.
+ *
+ * @param {string} text
+ * @param {string} layerId
+ * @param {string} slug
+ * @returns {{points:Array<Object>, polygons:Array<Object>}}
+ * @throws {Error} on invalid JSON or a non-GeoJSON document
+ */
+export function parseGeoJSON(text, layerId, slug) {
+    const doc = JSON.parse(text);
+    const features = doc?.type === "FeatureCollection" ? doc.features
+        : doc?.type === "Feature" ? [doc]
+        : doc?.type && doc.coordinates ? [{ type: "Feature", properties: {}, geometry: doc }]
+        : null;
+    if (!Array.isArray(features)) throw new Error("not a GeoJSON document");
+
+    const points = [], polygons = [];
+    for (const f of features) {
+        const g = f?.geometry, props = f?.properties ?? {};
+        if (!g) continue;
+        if (g.type === "Point") points.push(makePoint(props, g.coordinates[0], g.coordinates[1], layerId, slug));
+        else if (g.type === "MultiPoint") g.coordinates.forEach(([x, y]) => points.push(makePoint(props, x, y, layerId, slug)));
+        else if (g.type === "Polygon") polygons.push(makePolygon(props, g.coordinates[0] ?? [], layerId, slug));
+        else if (g.type === "MultiPolygon") g.coordinates.forEach(poly => polygons.push(makePolygon(props, poly[0] ?? [], layerId, slug)));
+    }
+    return { points: points.filter(Boolean), polygons: polygons.filter(Boolean) };
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting; `,` or `;` delimiter).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function csvRows(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delim = (firstLine.match(/;/g)?.length ?? 0) > (firstLine.match(/,/g)?.length ?? 0) ? ";" : ",";
+    const rows = [];
+    let row = [], field = "", quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        }
+        else if (c === '"') quoted = true;
+        else if (c === delim) { row.push(field); field = ""; }
+        else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") i++;
+            row.push(field); rows.push(row); row = []; field = "";
+        }
+        else field += c;
+    }
+    if (field !== "" || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(f => f.trim() !== ""));
+}
+
+/**
+ * Parse CSV with a header row containing latitude and longitude columns.
+ * Numeric-looking fields are converted to numbers.
+ *
+ * @param {string} text
+ * @param {string} layerId
+ * @param {string} slug
+ * @returns {{points:Array<Object>, polygons:Array<Object>}}
+ * @throws {Error} when no latitude/longitude columns are found
+ */
+export function parseCSV(text, layerId, slug) {
+    const [header, ...rows] = csvRows(text.replace(/^\uFEFF/, ""));
+    const cols = (header ?? []).map(h => h.trim());
+    const find = (names) => cols.findIndex(h => names.includes(h.toLowerCase()));
+    const latIdx = find(LAT_COLUMNS), lonIdx = find(LON_COLUMNS);
+    if (latIdx < 0 || lonIdx < 0) throw new Error(`no latitude/longitude columns (expected one of ${LAT_COLUMNS.join("/")} and ${LON_COLUMNS.join("/")})`);
+    const nameIdx = find(NAME_COLUMNS), typeIdx = find(TYPE_COLUMNS);
+
+    const points = rows.map((r) => {
+        const props = {};
+        cols.forEach((h, i) => {
+            const raw = (r[i] ?? "").trim();
+            props[h] = raw !== "" && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+        });
+        if (nameIdx >= 0) props.name = String(r[nameIdx] ?? "").trim() || "Unnamed";
+        if (typeIdx >= 0 && String(r[typeIdx] ?? "").trim()) props.type = String(r[typeIdx]).trim();
+        const coord = (i) => (String(r[i] ?? "").trim() === "" ? NaN : Number(r[i]));
+        return makePoint(props, coord(lonIdx), coord(latIdx), layerId, slug);
+    }).filter(Boolean);
+    return { points, polygons: [] };
+}
+
+/**
+ * Parse a KML `<coordinates>` string ("lon,lat[,alt] …").
+ * @param {string} text
+ * @returns {Array<[number, number]>}
+ */
+function kmlCoordinates(text) {
+    return String(text ?? "").trim().split(/\s+/).filter(Boolean).map((t) => {
+        const [lon, lat] = t.split(",").map(Number);
+        return [lon, lat];
+    });
+}
+
+/**
+ * Parse KML Placemarks: Points become points, Polygons (outer boundary) become
+ * polygons; `<name>` and `<ExtendedData>` become properties.
+ *
+ * @param {string} text
+ * @param {string} layerId
+ * @param {string} slug
+ * @returns {{points:Array<Object>, polygons:Array<Object>}}
+ * @throws {Error} when the XML cannot be parsed
+ */
+export function parseKML(text, layerId, slug) {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length) throw new Error("invalid KML (XML parse error)");
+
+    const points = [], polygons = [];
+    for (const pm of Array.from(doc.getElementsByTagName("Placemark"))) {
+        // Properties from <name> and <ExtendedData><Data name=…><value>
+        const props = {};
+        const name = pm.getElementsByTagName("name")[0]?.textContent?.trim();
+        if (name) props.name = name;
+        for (const d of Array.from(pm.getElementsByTagName("Data"))) {
+            const raw = d.getElementsByTagName("value")[0]?.textContent?.trim() ?? "";
+            props[d.getAttribute("name")] = raw !== "" && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+        }
+
+        for (const pt of Array.from(pm.getElementsByTagName("Point"))) {
+            const [c] = kmlCoordinates(pt.getElementsByTagName("coordinates")[0]?.textContent);
+            if (c) points.push(makePoint(props, c[0], c[1], layerId, slug));
+        }
+        for (const poly of Array.from(pm.getElementsByTagName("Polygon"))) {
+            const outer = poly.getElementsByTagName("outerBoundaryIs")[0] ?? poly;
+            polygons.push(makePolygon(props, kmlCoordinates(outer.getElementsByTagName("coordinates")[0]?.textContent), layerId, slug));
+        }
+    }
+    return { points: points.filter(Boolean), polygons: polygons.filter(Boolean) };
+}
+
+/**
+ * Parse a dropped/selected file by extension (.geojson/.json, .csv/.txt, .kml).
+ * @param {File} file
+ * @returns {Promise<ImportedLayer>}
+ * @throws {Error} on unsupported extensions, parse errors or empty files
+ */
+export async function importFile(file) {
+    const ext = (file.name.match(/\.([^.]+)$/)?.[1] ?? "").toLowerCase();
+    const parser = { geojson: parseGeoJSON, json: parseGeoJSON, csv: parseCSV, txt: parseCSV, kml: parseKML }[ext];
+    if (!parser) throw new Error(`unsupported file type ".${ext}" (use GeoJSON, CSV or KML)`);
+
+    const id = `layer${++layerCounter}`;
+    const parsed = parser(await file.text(), id, layerSlug(file.name));
+    if (!parsed.points.length && !parsed.polygons.length) throw new Error("no points or polygons found");
+    return { id, name: file.name, ...parsed };
+}
+
+/**
+ * Build the imported-layers panel: an Import button (also accepting drops
+ * anywhere on the page) and one row per layer with Hide/Show for its own
+ * polygon aspects and a remove button.
+ *
+ * @param {Array<ImportedLayer & {visible:boolean, aspects:string[]}>} layers
+ * @param {Object} handlers
+ * @param {(files:File[])=>void} handlers.onImport
+ * @param {(layer:ImportedLayer, visible:boolean)=>void} handlers.onToggle
+ * @param {(layer:ImportedLayer)=>void} handlers.onRemove
+ * @param {string[]} [handlers.errors] Problems from the last import, listed under the header
+ * @returns {HTMLDivElement}
+ */
+export function createImportPanel(layers, handlers) {
+    const panel = el("div", "imports");
+    panel.innerHTML = `
+        <div class="bar import-header">
+            <p class="bar-label"><strong>Imported layers</strong> (${layers.length}) <span class="small">drop GeoJSON, CSV or KML on the page</span></p>
+            <label class="score-btn import-file">Import<input type="file" multiple accept="${IMPORT_ACCEPT}" class="hidden"></label>
+        </div>
+        ${handlers.errors?.length ? `
+        <div class="bar import-errors" role="alert">
+            <p class="bar-label small">Some files could not be imported:</p>
+            ${handlers.errors.map(e => `<p class="bar-label small">${escapeHTML(e)}</p>`).join("")}
+        </div>` : ""}
+        ${layers.map((l, i) => `
+        <div class="bar import-layer${l.visible ? "" : " inactive"}" data-index="${i}">
+            <p class="bar-label"><strong>${escapeHTML(l.name)}</strong> <span class="small">${l.points.length} points · ${l.polygons.length} polygons</span></p>
+            <div class="import-actions">
+                ${l.aspects.length ? `<button type="button" class="score-btn" data-action="toggle">${l.visible ? "Hide" : "Show"}</button>` : ""}
+                <button type="button" class="score-btn" data-action="remove" title="Remove layer">×</button>
+            </div>
+        </div>`).join("")}`;
+
+    // File picker
+    const fileInput = panel.querySelector(".import-file input");
+    fileInput.addEventListener("change", () => {
+        if (fileInput.files?.length) handlers.onImport(Array.from(fileInput.files));
+    });
+
+    // Layer actions
+    panel.querySelectorAll(".import-layer").forEach((row) => {
+        const layer = layers[Number(row.dataset.index)];
+        row.querySelectorAll("[data-action]").forEach((btn) => {
+            btn.addEventListener("click", (e) => {
+                e.stopPropagation();
+                if (btn.dataset.action === "toggle") handlers.onToggle(layer, !layer.visible);
+                else handlers.onRemove(layer);
+            });
+        });
+    });
+    return panel;
+}
@@ -1,32 +1,111 @@
 /**
  * @file main.js
  * @description App bootstrap & UI wiring for the habitability tool.
- * Loads data, builds the scoring bundle, toggles layers, and renders results.
+ * Loads data, requests scoring bundles, toggles layers, and renders results.
  *
  * Modules used:
- *  - Map/geometry: MapManager (map.js)
+ *  - Map rendering: MapManager (map.js)
+ *  - Geometry helpers: geo.js (DOM-free)
+ *  - Bundle construction: bundle.js (DOM-free, shared with the Node CLI)
+ *  - Heatmap scoring grid: heatmap.js (Web Worker)
+ *  - Best-spot search: search.js
+ *  - Candidate comparison table: compare.js
+ *  - Saved-locations shortlist (localStorage): shortlist.js
+ *  - Shareable URL state (deep links, back/forward): url_state.js
+ *  - Report / CSV / GeoJSON export: report.js
+ *  - Dataset import (GeoJSON / CSV / KML, drag and drop): importers.js
+ *  - Address search over the local gazetteer: geocoder.js (loaded from /geocoding)
+ *  - Typed/pasted coordinates: coordinates.js; radius units: units.js
+ *  - Areas of interest (freehand, rectangles, multi-circle, GeoJSON): aoi.js
+ *  - Walking-network distances and walk-time isochrones: network.js (graph loaded from /walkgraph)
+ *  - Area-weighted aspect values and overlapping zones: aspects.js
+ *  - Smooth aspect surfaces (continuous color layer): surface.js
+ *  - Spatial indexes for large datasets (built at load and on dataset changes): spatial_index.js via bundle.js
  *  - DOM helpers & UI builders: utils.js
  *  - Scoring + panel render: hab_score.js
+ *  - Utility curves per aspect: scoring_profile.js (loaded from /profiles/<name>)
  *
  * Units:
  *  - Circle radius on the Leaflet circle is in meters.
- *  - Radius input field is yards (converted here).
+ *  - Radius input field is in the selected unit (yd, m, mi, km); every conversion goes
+ *    through units.js (readRadiusInput / writeRadiusInput / formatRadius).
  *  - Transit & element distances used by the scorer are in kilometers.
  */
 
 import { MapManager } from "./map.js";
+import { sampleCoveredGrid, gridOverBounds } from "./geo.js";
+import { buildHabBundle, aspectPolygons, indexDataset } from "./bundle.js";
+import { HeatmapRunner } from "./heatmap.js";
+import { nextCandidateLabel, candidateColor, scoreCandidates, comparisonTableHTML } from "./compare.js";
 import {
-    qs, qsa, unique,
-    createElementBar, createPreferenceBar, setupPreferenceToggle,
+    loadShortlist, persistShortlist, createEntry, summarizeResult,
+    exportShortlist, parseShortlistFile, mergeShortlists, createShortlistPanel
+} from "./shortlist.js";
+import { encodeAppState, decodeAppState } from "./url_state.js";
+import { reportHTML, elementsCSV, reportGeoJSON } from "./report.js";
+import { importFile, createImportPanel } from "./importers.js";
+import { Gazetteer, describeNearest } from "./geocoder.js";
+import { parseCoordinate, parseCoordinatePair } from "./coordinates.js";
+import { RADIUS_UNITS, setRadiusUnit, getRadiusUnit, parseRadius, toMeters, formatRadius } from "./units.js";
+import { createAOI, aoiFromGeoJSON, aoiBounds, equivalentRadiusMeters, createAOIPanel } from "./aoi.js";
+import { WalkGraph, WALK_M_PER_MIN, isochroneGrid, createWalkPanel } from "./network.js";
+import { normalizeAspectMode, isDefaultAspectMode, createAspectModePanel } from "./aspects.js";
+import { surfaceFor } from "./surface.js";
+import {
+    qs, qsa, unique, escapeHTML,
+    downloadText, createElementBar, createBestSpotBar, createPreferenceBar, createWeightSlider, setWeightSlider, setupPreferenceToggle,
+    setupAutocomplete, readRadiusInput, writeRadiusInput,
     colorForKey
 } from "./utils.js";
-import { computeAndRenderHabScore } from "./hab_score.js";
+import { computeAndRenderHabScore, scoreBundle } from "./hab_score.js";
+import { DEFAULT_PROFILE, DEFAULT_WEIGHTS, WEIGHT_LABELS, normalizeProfile } from "./scoring_profile.js";
+import { getScoreDistribution, percentileOf, clearDistributionCache } from "./percentile.js";
+import { normalizeRules, createDealbreakerPanel } from "./dealbreakers.js";
+
+// ---------- Radius units ----------
+/** localStorage key for the selected radius unit */
+const RADIUS_UNIT_KEY = "habitability.radiusUnit";
+
+// ---------- Radius sensitivity sweep ----------
+/** Sweep bounds (meters): 100 yd → 2 mi */
+const SWEEP_MIN_M = toMeters(100, "yd");
+const SWEEP_MAX_M = toMeters(2, "mi");
+/** Number of log-spaced radii in the sweep */
+const SWEEP_STEPS = 24;
+
+// ---------- Percentile sampling ----------
+/** Grid cells per side when sampling the covered area */
+const PERCENTILE_GRID = 24;
 
-// ---------- Unit constants ----------
-/** 1 yard = 0.9144 meters */
-const YARD_TO_M = 0.9144;
-/** 1 mile = 1.609344 kilometers */
-const MILE_TO_KM = 1.609344;
+// ---------- Heatmap ----------
+/** Heatmap cells across the visible map */
+const HEATMAP_COLS = 32;
+/** Radius used when no circle or radius input is set (400 yd, meters) */
+const DEFAULT_RADIUS_M = toMeters(400, "yd");
+/** Delay before re-running the heatmap after a change (ms) */
+const HEATMAP_DEBOUNCE_MS = 300;
+
+// ---------- Best-spot search ----------
+/** Number of spots returned by Find Best Spots */
+const BEST_SPOTS_COUNT = 5;
+
+// ---------- URL state ----------
+/** Delay before writing interaction bursts to the URL (ms) */
+const URL_DEBOUNCE_MS = 400;
+
+// ---------- Weight keys ----------
+/** Stat card id (polygon aspect) → score_v3 weight key */
+const ASPECT_WEIGHT_KEY = {
+	air_quality_index: "air",
+	crime_rate: "crime",
+	median_rent: "rent",
+	school_quality: "school",
+	transit_access: "transit",
+};
+
+// ---------- Aspect surfaces ----------
+/** Aspects read through a smooth surface (transit uses zone distances instead) */
+const SURFACE_ASPECTS = ["air_quality_index", "crime_rate", "median_rent", "school_quality"];
 
 // ---------- Global runtime state ----------
 /**
@@ -34,8 +113,27 @@ const MILE_TO_KM = 1.609344;
  * @property {Array<Object>} points
  * @property {Array|Object|null} polygons
  * @property {MapManager|null} map
- * @property {Record<string,"good"|"bad"|"na">} preferenceChoice
+ * @property {Record<string,number>} preferenceChoice Graded preference per element type (-3…+3)
  * @property {Record<string,boolean>} statToggle
+ * @property {Record<string,number>} weights Per-component score weights
+ * @property {import("./scoring_profile.js").ScoringProfile} profile Active scoring profile
+ * @property {Array<import("./dealbreakers.js").DealbreakerRule>} dealbreakers Hard constraints
+ * @property {import("./aspects.js").AspectMode} aspectMode How aspect values are read from the zones
+ * @property {{on:boolean, runner:HeatmapRunner|null, timer:number|null}} heatmap Heatmap overlay state
+ * @property {{runner:HeatmapRunner|null}} percentile Scores the percentile samples off the main thread
+ * @property {{runner:HeatmapRunner|null, busy:boolean}} bestSearch Runs the best-spot search off the main thread
+ * @property {Array<import("./search.js").BestSpot>} bestSpots Last best-spot search results
+ * @property {Array<import("./compare.js").Candidate>} candidates Locations in the comparison table
+ * @property {Array<import("./shortlist.js").ShortlistEntry>} shortlist Saved locations (persisted)
+ * @property {{bundle:Object, result:Object, preferences:Record<string,number>}|null} pendingSave Score offered in the shortlist save form
+ * @property {string|null} shortlistNotice Problem shown in the shortlist panel (unreadable storage, failed save or import)
+ * @property {{restoring:boolean, push:boolean, timer:number|null}} url URL sync state (no writes while restoring)
+ * @property {Array<import("./importers.js").ImportedLayer & {visible:boolean, aspects:string[]}>} imports User-imported layers
+ * @property {Gazetteer} gazetteer Address gazetteer (empty when /geocoding is unavailable)
+ * @property {import("./aoi.js").AOI|null} aoi Area of interest; when set, Generate scores it instead of the circle
+ * @property {{lat:number, lon:number}|null} aoiAnchor Anchor picked by the user (null: the AOI centroid)
+ * @property {{graph:WalkGraph|null, network:boolean, minutes:number}} walk Walking graph (null when /walkgraph is unavailable),
+ *           network distances on/off and isochrone minutes (0: none)
  */
 
 /** @type {AppState} */
@@ -45,6 +143,24 @@ const state = {
     map: null,
     preferenceChoice: {},
     statToggle: {},
+    weights: { ...DEFAULT_WEIGHTS },
+    profile: DEFAULT_PROFILE,
+    dealbreakers: [],
+    aspectMode: normalizeAspectMode(null),
+    heatmap: { on: false, runner: null, timer: null },
+    percentile: { runner: null },
+    bestSearch: { runner: null, busy: false },
+    bestSpots: [],
+    candidates: [],
+    shortlist: [],
+    pendingSave: null,
+    shortlistNotice: null,
+    url: { restoring: false, push: false, timer: null },
+    imports: [],
+    gazetteer: new Gazetteer([]),
+    aoi: null,
+    aoiAnchor: null,
+    walk: { graph: null, network: false, minutes: 0 },
 };
 
 // ---------- Stat card helpers ----------
@@ -81,47 +197,126 @@ async function fetchJSON(url) {
 	return res.json();
 }
 
+/**
+ * Load a named scoring profile, falling back to the built-in one on failure
+ * (the reason is kept in `warnings`, shown in the Preferences panel).
+ * The name comes from `?profile=<name>` in the page URL (default "default").
+ * @returns {Promise<import("./scoring_profile.js").ScoringProfile>}
+ */
+async function loadScoringProfile() {
+	const name = new URLSearchParams(window.location.search).get("profile") || "default";
+	try {
+		return normalizeProfile(await fetchJSON(`/profiles/${encodeURIComponent(name)}`));
+	}
+	catch (err) {
+		return { ...DEFAULT_PROFILE, warnings: [`Profile "${name}" unavailable (${err.message}); using the built-in curves`] };
+	}
+}
+
+/**
+ * Load the address gazetteer; address search is disabled (empty gazetteer) on failure.
+ * @returns {Promise<Gazetteer>}
+ */
+async function loadGazetteer() {
+	try {
+		return new Gazetteer(await fetchJSON("/geocoding"));
+	}
+	catch {
+		return new Gazetteer([]);
+	}
+}
+
+/**
+ * Load the walking street graph; distances stay straight-line (null graph) on failure.
+ * @returns {Promise<WalkGraph|null>}
+ */
+async function loadWalkGraph() {
+	try {
+		const graph = new WalkGraph(await fetchJSON("/walkgraph"));
+		return graph.size ? graph : null;
+	}
+	catch {
+		return null;
+	}
+}
+
 // ---------- App bootstrap ----------
 /**
  * Initialize the page:
  *  - Build minimal instructions UI (minimize toggle only)
  *  - Create the map and layers
- *  - Load /points and /polygons
+ *  - Load /points, /polygons, the scoring profile, the address gazetteer and the walking graph
  *  - Populate element and preference panels
  *  - Wire stat toggles + generate/clear flow
- *  - Sync circle radius with the yards input
+ *  - Make the coordinate form an input path (coordinates, radius, unit)
+ *  - Restore state from the URL (and keep the URL in sync)
+ *  - Accept dropped GeoJSON / CSV / KML files
+ *  - Area-of-interest panel (draw, rectangle, multi-circle, GeoJSON)
+ *  - Walking panel (network distances, walk-time isochrone)
  */
 async function init() {
 	// Map manager instance
 	state.map = new MapManager("map");
 
 	// Load data from server
-	const [points, polygons] = await Promise.all([
+	const [points, polygons, profile, gazetteer, walkGraph] = await Promise.all([
 		fetchJSON("/points"),
 		fetchJSON("/polygons"),
+		loadScoringProfile(),
+		loadGazetteer(),
+		loadWalkGraph(),
 	]);
 	state.points = Array.isArray(points) ? points : points?.points ?? [];
 	state.polygons = polygons;
+	const skippedRules = [];
+	state.dealbreakers = normalizeRules(profile.dealbreakers, (rule) => skippedRules.push(`Dealbreaker ${JSON.stringify(rule)} is malformed; skipped`));
+	state.profile = skippedRules.length ? { ...profile, warnings: [...(profile.warnings ?? []), ...skippedRules] } : profile;
+	state.aspectMode = normalizeAspectMode(profile.aspect_values);
+	indexDataset({ points: state.points, polygons: state.polygons });
+	state.heatmap.runner = new HeatmapRunner({ points: state.points, polygons: state.polygons });
+	state.percentile.runner = new HeatmapRunner({ points: state.points, polygons: state.polygons });
+	state.percentile.runner.setGraph(walkGraph);
+	state.bestSearch.runner = new HeatmapRunner({ points: state.points, polygons: state.polygons });
+	state.bestSearch.runner.setGraph(walkGraph);
+	state.shortlist = loadShortlist(globalThis.localStorage, (err) => {
+		state.shortlistNotice = `The stored shortlist could not be read (${err.message}); starting empty.`;
+	});
+	state.gazetteer = gazetteer;
+	state.walk.graph = walkGraph;
+	state.map.setAddressLookup((lat, lon) => describeNearest(state.gazetteer.nearest(lat, lon)));
 
 	// Populate UI + map
 	populateElementsPanel(state.points);
 	Array.isArray(state.polygons)
 		? state.map.addPolygonsFromCustom(state.polygons)
 		: state.map.addPolygonsByAspect(state.polygons);
+	refreshAspectSurfaces();
 	buildPreferenceBarsFromPoints(state.points);
+	renderImportPanel();
+	renderAOIPanel();
+	renderWalkPanel();
 	wireControls();
+	wireFileDrop();
+	wireAddressSearch();
 
-	// Hook the radius input (yards) → circle (meters)
-	const rInput = qs("#radius-input");
-	if (rInput) {
-		rInput.addEventListener("input", () => {
-		const yards = parseFloat(rInput.value || "0") || 0;
-		const meters = yards * YARD_TO_M;
-		if (state.map?.draw?.circle?.setRadius) {
-			state.map.draw.circle.setRadius(meters);
-		}
-		});
-	}
+	// Re-score the heatmap for the new view; views replace the URL entry
+	state.map.onViewChange(() => {
+		scheduleHeatmap();
+		scheduleUrlUpdate(false);
+	});
+
+	// New/resized circles become history entries; label the center with its nearest address
+	state.map.onDrawChange(({ center }) => {
+		showCenterAddress(center);
+		scheduleUrlUpdate(true);
+	});
+
+	// Typed coordinates, radius and unit
+	wireCoordinateForm();
+
+	// Restore a shared link, then follow back/forward navigation
+	if (window.location.search) restoreFromUrl();
+	window.addEventListener("popstate", restoreFromUrl);
 }
 
 /**
@@ -137,14 +332,14 @@ function populateElementsPanel(points) {
 	points.forEach((p) => {
 		state.map.addPoint(p);
 		const bar = createElementBar(p, (lat, lng) => {
-			state.map.focusOn(lat, lng, 15, `<strong>${p.name ?? "Point"}</strong>`);
+			state.map.focusOn(lat, lng, 15, state.map.pointPopupHTML(p));
 		});
 		container.appendChild(bar);
 	});
 }
 
 /**
- * Build per-type preference bars (Good/Bad/N/A) in the Preferences panel.
+ * Build per-type graded preference bars (-3…+3) in the Preferences panel.
  * @param {Array<Object>} points
  */
 function buildPreferenceBarsFromPoints(points) {
@@ -155,14 +350,51 @@ function buildPreferenceBarsFromPoints(points) {
 	// Remove any prev elements
 	prefPanel.innerHTML = "";
 
+	// Problems with the scoring profile (fallbacks in use)
+	const warnings = state.profile.warnings ?? [];
+	if (warnings.length) {
+		const notice = document.createElement("div");
+		notice.className = "bar profile-notice";
+		notice.innerHTML = `<p class="bar-label"><strong>Profile "${escapeHTML(state.profile.name)}"</strong></p>`;
+		warnings.forEach((w) => {
+			const row = document.createElement("div");
+			row.className = "small";
+			row.textContent = w;
+			notice.appendChild(row);
+		});
+		prefPanel.appendChild(notice);
+	}
+
+	// Element channel weights (liked / disliked) sit above the per-type bars
+	const weightBar = document.createElement("div");
+	weightBar.className = "bar weight-bar";
+	["pos", "neg"].forEach((key) => {
+		weightBar.appendChild(createWeightSlider(key, state.weights[key], onWeightChange, WEIGHT_LABELS[key]));
+	});
+	prefPanel.appendChild(weightBar);
+
 	// Find the types within the list
 	const types = unique(points.map((p) => p.type ?? "Unknown"));
 
+	// Dealbreaker rules (hard constraints)
+	prefPanel.appendChild(createDealbreakerPanel(state.dealbreakers, types, (rules) => {
+		state.dealbreakers = rules;
+		onScoringSettingsChange();
+	}));
+
+	// How aspect values are read from the zones (center or area, overlaps)
+	prefPanel.appendChild(createAspectModePanel(state.aspectMode, (mode) => {
+		state.aspectMode = mode;
+		refreshAspectSurfaces();
+		onScoringSettingsChange();
+	}));
+
 	// Cycle for each element creating preference bars
 	types.forEach((t) => {
 		const bar = createPreferenceBar(t, (type, value) => {
-			state.preferenceChoice[type] = value; // "good" | "bad" | "na"
-		});
+			state.preferenceChoice[type] = value; // -3 … +3
+			onScoringSettingsChange();
+		}, state.preferenceChoice[t] ?? 0);
 		prefPanel.appendChild(bar);
 	});
 }
@@ -173,6 +405,10 @@ function buildPreferenceBarsFromPoints(points) {
  *  - Preferences toggle (Elements ⇄ Preferences)
  *  - Stat-card toggles → map aspect visibility
  *  - Generate/Clear Habitability Score flow
+ *  - Heatmap toggle
+ *  - Find Best Spots / Clear Best Spots
+ *  - Add Candidate (comparison)
+ *  - Shortlist panel toggle
  */
 function wireControls() {
 	// Toggle Elements/Preferences
@@ -188,6 +424,12 @@ function wireControls() {
 		card.style.setProperty("--aspect-color", col);
 		card.style.borderColor = col;
 
+		// Weight slider next to the card label
+		const weightKey = ASPECT_WEIGHT_KEY[aspect];
+		if (weightKey) {
+			card.appendChild(createWeightSlider(weightKey, state.weights[weightKey], onWeightChange));
+		}
+
 		// Seed active state & map visibility
 		const activeFromDOM = getStatActive(card);
 		state.statToggle[aspect] = activeFromDOM;
@@ -199,13 +441,73 @@ function wireControls() {
 
 		// Set up event listener for when clicking on the stat panel
 		card.addEventListener("click", () => {
-			const nowActive = !state.statToggle[aspect];
-			setStatActive(card, nowActive);
-			state.map.toggleAspect(aspect);
-			state.statToggle[aspect] = nowActive;
+			setLayerVisible(card, !state.statToggle[aspect]);
+			scheduleUrlUpdate(true);
 		});
 	});
 
+	// Heatmap toggle
+	const btnHeat = qs("#btn-heatmap");
+	btnHeat?.addEventListener("click", (e) => {
+		e.preventDefault();
+		state.heatmap.on = !state.heatmap.on;
+		btnHeat.classList.toggle("on", state.heatmap.on);
+		btnHeat.textContent = state.heatmap.on ? "Hide Heatmap" : "Show Heatmap";
+
+		// Check if the heatmap was just turned off
+		if (!state.heatmap.on) {
+			clearTimeout(state.heatmap.timer);
+			state.heatmap.runner?.cancel();
+			state.map.clearHeatmap();
+			return;
+		}
+		refreshHeatmap();
+	});
+
+	// Find / clear best spots
+	const btnBest = qs("#btn-best");
+	btnBest?.addEventListener("click", async (e) => {
+		e.preventDefault();
+
+		// Check if a search is running and cancel it
+		if (state.bestSearch.busy) {
+			state.bestSearch.runner.cancel();
+			return;
+		}
+
+		// Check if results are showing and clear them
+		if (btnBest.classList.contains("on")) {
+			clearBestSpots();
+			btnBest.classList.remove("on");
+			btnBest.textContent = "Find Best Spots";
+			return;
+		}
+
+		// Search off the main thread; the button shows progress and cancels
+		state.bestSearch.busy = true;
+		btnBest.textContent = "Searching… (click to cancel)";
+		try {
+			showBestSpots(await runBestSpotSearch((done, total) => {
+				btnBest.textContent = `Searching… ${Math.round((100 * done) / total)}% (click to cancel)`;
+			}));
+			btnBest.classList.add("on");
+			btnBest.textContent = "Clear Best Spots";
+		}
+		catch (err) {
+			btnBest.textContent = "Find Best Spots";
+			if (!err?.cancelled) showBestSpotsMessage(`Search failed: ${err?.message ?? err}`);
+		}
+		finally {
+			state.bestSearch.busy = false;
+		}
+	});
+
+	// Pin the current circle as a comparison candidate
+	qs("#btn-candidate")?.addEventListener("click", (e) => {
+		e.preventDefault();
+		addCandidateFromCircle();
+	});
+
 	// Determine and validate Generate / Clear Habitability Score button
 	const btnGen = qs("#btn-generate");
 	if (!btnGen) return;
@@ -213,160 +515,1119 @@ function wireControls() {
 	// Set up Generate / Clear Habitability Score button
 	btnGen.addEventListener("click", (e) => {
 		e.preventDefault();
-		// Determine is on status
-		const isOn = btnGen.classList.contains("on");
-
-		// Check if button is active
-		if (isOn) {
-			// Reset generated state
-			restoreFullVisibility();
-			showInstructionsPanel();
-			clearStatScores();
-			btnGen.classList.remove("on");
-			btnGen.textContent = "Generate Habitability Score";
+		if (btnGen.classList.contains("on")) clearHabScore();
+		else generateHabScore();
+	});
+
+	// Shortlist panel toggle
+	const btnShort = qs("#btn-shortlist");
+	btnShort?.addEventListener("click", (e) => {
+		e.preventDefault();
+		const panel = qs(".shortlist-panel");
+		const hidden = panel?.classList.toggle("hidden");
+		btnShort.classList.toggle("on", !hidden);
+		if (!hidden) renderShortlist();
+	});
+}
+
+// ---------- Generate / Clear ----------
+/**
+ * Score the area of interest (or, without one, the drawn circle) with the current
+ * settings and show the result (score panel, stat cards, inside markers and polygons).
+ * A walk-time isochrone replaces both and is shaded on the map.
+ * @returns {Object|null} Score result, or null when neither an area nor a center is set
+ */
+function generateHabScore() {
+	// Determine raidus of circle
+	const aoi = state.aoi;
+	const centerLL = state.map?.draw?.center;
+	const radiusM = (state.map?.draw?.circle?.getRadius?.()) ?? readRadiusInput();
+
+	// Check if there is a lat and long value (or an area)
+	if (!aoi && !centerLL) {
+		alert("Double-click the map to set a center first, then drag to size the circle (or draw an area).");
+		return null;
+	}
+
+	// Determine values for hab score generation
+	const center  = aoi ? aoi.anchor : { lat: centerLL.lat, lon: centerLL.lng };
+	const dataset = { points: state.points, polygons: state.polygons };
+	const prefs   = { ...state.preferenceChoice };
+	const options = { ...currentScoringOptions(), network: currentNetworkOption() };
+
+	// Create bundle payload for calc (labelled with the nearest known address)
+	const bundle = buildHabBundle(center, radiusM, dataset, prefs, { ...options, aoi, gazetteer: state.gazetteer });
+
+	// Shade the walk-time isochrone
+	const isochroneM = bundle.network?.isochrone_m;
+	if (isochroneM) {
+		const reach = state.walk.graph.distancesFrom(center, isochroneM);
+		state.map.setIsochrone(isochroneGrid(state.walk.graph, reach, isochroneM), `${state.walk.minutes} min walk`);
+	}
+	else {
+		state.map.clearIsochrone();
+	}
+
+	// Reduce elements to just whats within the circle
+	applyRadiusVisibility(bundle);
+
+	// Send the bundle and store calc results
+	const result = computeAndRenderHabScore(bundle, {
+		onFocusElement: (item) => state.map.focusOn(item.latitude, item.longitude, 16, state.map.pointPopupHTML(item)),
+		// Radius sweeps only apply to circles; areas rank against circles of equal area,
+		// isochrones against isochrones of the same walk time
+		onSensitivity: aoi || isochroneM ? null : () => buildRadiusSweep(center, dataset, prefs, options),
+		percentileOf: (score) => rankAgainstArea(score, isochroneM ?? (bundle.aoi ? equivalentRadiusMeters(bundle.aoi) : radiusM), dataset, prefs, options),
+		onSave: (b, r) => offerShortlistSave(b, r, prefs),
+		onExport: exportScore,
+	});
+
+	// Update displays with values
+	updateStatScoresFromResult(result);
+	showScorePanel();
+	updateStatCardsFromAspects(bundle.aspects);
+
+	// Update button styling
+	const btnGen = qs("#btn-generate");
+	btnGen?.classList.add("on");
+	if (btnGen) btnGen.textContent = "Clear Habitability Score";
+
+	// Store values
+	state.lastHabBundle = bundle;
+	return result;
+}
+
+/** Reset the generated state (full markers/polygons, instructions, stat cards). */
+function clearHabScore() {
+	restoreFullVisibility();
+	state.map.clearIsochrone();
+	showInstructionsPanel();
+	clearStatScores();
+	const btnGen = qs("#btn-generate");
+	btnGen?.classList.remove("on");
+	if (btnGen) btnGen.textContent = "Generate Habitability Score";
+}
+
+/**
+ * Store a weight slider change.
+ * @param {string} key Weight key (see DEFAULT_WEIGHTS)
+ * @param {number} value New weight
+ */
+function onWeightChange(key, value) {
+	state.weights[key] = value;
+	onScoringSettingsChange();
+}
+
+/**
+ * Re-run everything that depends on preferences, weights, dealbreakers or radius
+ * (heatmap, comparison table).
+ */
+function onScoringSettingsChange() {
+	scheduleHeatmap();
+	refreshComparison();
+	scheduleUrlUpdate(true);
+}
+
+/**
+ * Show or hide an aspect layer and mark its stat card.
+ * @param {HTMLElement} card Stat card (id = aspect)
+ * @param {boolean} on
+ */
+function setLayerVisible(card, on) {
+	const aspect = card.id;
+	if (state.statToggle[aspect] === on) return;
+	setStatActive(card, on);
+	state.map.toggleAspect(aspect);
+	state.statToggle[aspect] = on;
+}
+
+/**
+ * Snapshot of the scoring options carried on every bundle.
+ * @returns {{weights:Record<string,number>, profile:Object, dealbreakers:Array, aspectMode:import("./aspects.js").AspectMode}}
+ */
+function currentScoringOptions() {
+	return { weights: { ...state.weights }, profile: state.profile, dealbreakers: [...state.dealbreakers], aspectMode: { ...state.aspectMode } };
+}
+
+/**
+ * Active radius for area-wide scoring (heatmap, best spots):
+ * the drawn circle, else the radius input, else the default.
+ * @returns {number} Meters
+ */
+function activeRadiusM() {
+	const circleM = state.map?.draw?.circle?.getRadius?.();
+	if (circleM > 0) return circleM;
+	const inputM = readRadiusInput();
+	return inputM > 0 ? inputM : DEFAULT_RADIUS_M;
+}
+
+// ---------- Heatmap ----------
+/** Re-run the heatmap shortly (coalesces bursts of changes); no-op while it is off. */
+function scheduleHeatmap() {
+	if (!state.heatmap.on) return;
+	clearTimeout(state.heatmap.timer);
+	state.heatmap.timer = setTimeout(refreshHeatmap, HEATMAP_DEBOUNCE_MS);
+}
+
+/**
+ * Score a grid over the visible map with the active radius, preferences and
+ * scoring options, then draw it. A newer run cancels the one in flight.
+ * @returns {Promise<void>}
+ */
+async function refreshHeatmap() {
+	// Determine grid and settings
+	const grid = gridOverBounds(state.map.getViewBounds(), HEATMAP_COLS);
+	const radiusM = activeRadiusM();
+	const job = {
+		cells: grid.cells.map(({ lat, lon }) => ({ lat, lon })),
+		radiusM,
+		prefs: { ...state.preferenceChoice },
+		options: currentScoringOptions(),
+	};
+
+	// Score (off the main thread) and draw
+	state.map.setHeatmapStatus("Scoring…");
+	try {
+		const scores = await state.heatmap.runner.run(job, (done, total) => {
+			state.map.setHeatmapStatus(`Scoring… ${Math.round((100 * done) / total)}%`);
+		});
+		if (!state.heatmap.on) return;
+		state.map.setHeatmap(grid, scores, `(radius ${formatRadius(radiusM)})`);
+	}
+	catch (err) {
+		if (err?.cancelled) return;
+		state.map.setHeatmapStatus(`Heatmap failed: ${err?.message ?? err}`);
+	}
+}
+
+// ---------- Best spots ----------
+/**
+ * Search the covered area for the best centers with the active radius,
+ * preferences, weights, profile and dealbreakers (best-spot runner, see heatmap.js).
+ * Rejects with `{ cancelled: true }` when the search is cancelled.
+ * @param {(done:number, total:number)=>void} [onProgress]
+ * @returns {Promise<Array<import("./search.js").BestSpot>>}
+ */
+async function runBestSpotSearch(onProgress) {
+	state.bestSpots = await state.bestSearch.runner.search({
+		radiusM: activeRadiusM(),
+		prefs: { ...state.preferenceChoice },
+		options: currentScoringOptions(),
+		count: BEST_SPOTS_COUNT,
+	}, onProgress);
+	return state.bestSpots;
+}
+
+/**
+ * List best spots in the data panel and as numbered map markers.
+ * @param {Array<import("./search.js").BestSpot>} spots
+ */
+function showBestSpots(spots) {
+	// Determine and validate the results panel
+	const panel = qs(".best-spots-panel");
+	if (!panel) return;
+	panel.innerHTML = `<p class="bar-label best-spots-title"><strong>Best spots</strong></p>`;
+
+	// Check if anything qualified
+	if (!spots.length) {
+		panel.insertAdjacentHTML("beforeend", `<p class="bar-label">No location passes the current dealbreakers.</p>`);
+	}
+
+	// Cycle the spots adding a result bar for each
+	spots.forEach((spot) => panel.appendChild(createBestSpotBar(spot, selectBestSpot)));
+	panel.classList.remove("hidden");
+	state.map.setRankedMarkers(spots, selectBestSpot);
+}
+
+/**
+ * Show a single message in the best-spot panel (e.g. a failed search).
+ * @param {string} text
+ */
+function showBestSpotsMessage(text) {
+	const panel = qs(".best-spots-panel");
+	if (!panel) return;
+	panel.innerHTML = `<p class="bar-label best-spots-title"><strong>Best spots</strong></p><p class="bar-label"></p>`;
+	panel.lastElementChild.textContent = text;
+	panel.classList.remove("hidden");
+}
+
+/**
+ * Move the center and circle to a best spot (ready for Generate) and fly there.
+ * @param {import("./search.js").BestSpot} spot
+ */
+function selectBestSpot(spot) {
+	const { lat, lon } = spot.center;
+	state.map.setCenter(lat, lon, spot.bundle.radius_m);
+	writeRadiusInput(spot.bundle.radius_m);
+	state.map.focusOn(lat, lon, 15, `<strong>#${spot.rank}</strong>: ${spot.result.Score.toFixed(1)} / 100`);
+}
+
+/** Hide the best-spot list and markers. */
+function clearBestSpots() {
+	state.bestSpots = [];
+	qs(".best-spots-panel")?.classList.add("hidden");
+	state.map.clearRankedMarkers();
+}
+
+// ---------- Candidate comparison ----------
+/**
+ * Pin the drawn circle as the next labeled candidate (A, B, C…) and rescore the table.
+ */
+function addCandidateFromCircle() {
+	// Check if there is a circle to pin
+	const centerLL = state.map?.draw?.center;
+	if (!centerLL) {
+		alert("Double-click the map to set a center first, then drag to size the circle.");
+		return;
+	}
+
+	// Determine the next label
+	const label = nextCandidateLabel(state.candidates);
+	if (!label) {
+		alert("All candidate labels are in use; remove one first.");
+		return;
+	}
+
+	// Store and draw the candidate
+	const candidate = { label, center: { lat: centerLL.lat, lon: centerLL.lng }, radius_m: activeRadiusM() };
+	state.candidates.push(candidate);
+	state.map.addCandidate(label, candidate.center.lat, candidate.center.lon, candidate.radius_m, candidateColor(label), focusCandidate);
+	refreshComparison();
+}
+
+/**
+ * Fly to a candidate.
+ * @param {string} label
+ */
+function focusCandidate(label) {
+	const c = state.candidates.find(x => x.label === label);
+	if (c) state.map.focusOn(c.center.lat, c.center.lon, 15);
+}
+
+/**
+ * Remove a candidate (or all when `label` is omitted) and rescore the table.
+ * @param {string} [label]
+ */
+function removeCandidate(label) {
+	if (label == null) {
+		state.candidates = [];
+		state.map.clearCandidates();
+	}
+	else {
+		state.candidates = state.candidates.filter(c => c.label !== label);
+		state.map.removeCandidate(label);
+	}
+	refreshComparison();
+}
+
+/** Score all candidates with the current settings and render the comparison table. */
+function refreshComparison() {
+	// Determine and validate the comparison panel
+	const panel = qs(".compare-panel");
+	if (!panel) return;
+
+	// Hide the panel when there is nothing to compare
+	if (!state.candidates.length) {
+		panel.classList.add("hidden");
+		panel.innerHTML = "";
+		if (qs(".hab-score-panel")?.classList.contains("hidden")) showInstructionsPanel();
+		return;
+	}
+
+	// Score and render
+	const dataset = { points: state.points, polygons: state.polygons };
+	const scored = scoreCandidates(state.candidates, dataset, { ...state.preferenceChoice }, currentScoringOptions());
+	panel.innerHTML = `
+		<div class="score-row"><strong>Comparison</strong>
+			<button type="button" class="score-btn" id="btn-compare-clear">Clear candidates</button>
+		</div>
+		${comparisonTableHTML(scored)}`;
+	panel.classList.remove("hidden");
+	qs(".instructions-panel")?.classList.add("hidden");
+
+	// Header click focuses the candidate; × removes it
+	panel.querySelectorAll(".compare-head").forEach((th) => {
+		th.addEventListener("click", () => focusCandidate(th.dataset.label));
+	});
+	panel.querySelectorAll(".compare-remove").forEach((btn) => {
+		btn.addEventListener("click", (e) => {
+			e.stopPropagation();
+			removeCandidate(btn.dataset.label);
+		});
+	});
+	qs("#btn-compare-clear")?.addEventListener("click", () => removeCandidate());
+}
+
+// ---------- Export ----------
+/**
+ * Export a generated score: the report opens in a new tab (print / save as PDF),
+ * CSV and GeoJSON download as files.
+ * @param {"report"|"csv"|"geojson"} format
+ * @param {Object} bundle
+ * @param {Object} result
+ */
+function exportScore(format, bundle, result) {
+	const stem = `habitability_${bundle.center.lat.toFixed(4)}_${bundle.center.lon.toFixed(4)}`;
+	if (format === "csv") {
+		downloadText(`${stem}_elements.csv`, elementsCSV(bundle), "text/csv");
+	}
+	else if (format === "geojson") {
+		downloadText(`${stem}.geojson`, reportGeoJSON(bundle), "application/geo+json");
+	}
+	else {
+		const url = URL.createObjectURL(new Blob([reportHTML(bundle, result)], { type: "text/html" }));
+		const tab = window.open(url, "_blank");
+		if (!tab) downloadText(`${stem}_report.html`, reportHTML(bundle, result), "text/html");
+		setTimeout(() => URL.revokeObjectURL(url), 60000);
+	}
+}
+
+// ---------- Coordinate form ----------
+/**
+ * Make the Latitude/Longitude/Radius form an input path:
+ *  - Typed or pasted coordinates (decimal, DMS, "lat, lon", map links) place or move the center
+ *  - The radius input (selected unit, or a suffix like "500 m") resizes the circle
+ *  - The unit selector re-expresses the radius everywhere without changing it
+ */
+function wireCoordinateForm() {
+	const latInput = qs("#latitude-input");
+	const lonInput = qs("#longitude-input");
+	const rInput = qs("#radius-input");
+	const unitSelect = qs("#radius-unit");
+
+	// Never submit the page
+	qs("#coordinate-form")?.addEventListener("submit", (e) => e.preventDefault());
+
+	// Coordinates apply on change, Enter and paste (pairs and links fill both boxes)
+	[latInput, lonInput].forEach((input) => {
+		input?.addEventListener("change", applyCoordinateInput);
+		input?.addEventListener("keydown", (e) => {
+			if (e.key === "Enter") applyCoordinateInput();
+		});
+		input?.addEventListener("paste", () => setTimeout(applyCoordinateInput, 0));
+	});
+
+	// Radius (selected unit) → circle (meters)
+	rInput?.addEventListener("input", () => {
+		let meters;
+		try {
+			meters = parseRadius(rInput.value) ?? 0;
+			setInputError(rInput, null);
+		}
+		catch (err) {
+			setInputError(rInput, err.message);
+			return;
+		}
+		state.map.draw.circle?.setRadius(meters);
+		onScoringSettingsChange();
+	});
+
+	// Unit selector (restored from the last visit)
+	if (!unitSelect) return;
+	unitSelect.innerHTML = Object.entries(RADIUS_UNITS).map(([key, u]) => `<option value="${key}" title="${u.name}">${u.label}</option>`).join("");
+	try {
+		setRadiusUnit(window.localStorage.getItem(RADIUS_UNIT_KEY));
+	}
+	catch { /* storage unavailable: keep the default */ }
+	unitSelect.value = getRadiusUnit();
+
+	unitSelect.addEventListener("change", () => {
+		const meters = state.map.draw.circle?.getRadius() ?? readRadiusInput();
+		setRadiusUnit(unitSelect.value);
+		try {
+			window.localStorage.setItem(RADIUS_UNIT_KEY, getRadiusUnit());
+		}
+		catch { /* storage unavailable: the unit lasts for this visit */ }
+		if (meters > 0 || rInput?.value.trim()) writeRadiusInput(meters);
+		setInputError(rInput, null);
+		refreshComparison();
+	});
+}
+
+/**
+ * Read the Latitude/Longitude boxes and place or move the center there.
+ * A pair or map link in either box fills both; a single value waits for the other box.
+ * Invalid input is reported under the form and leaves the center unchanged.
+ */
+function applyCoordinateInput() {
+	const latInput = qs("#latitude-input");
+	const lonInput = qs("#longitude-input");
+	if (!latInput || !lonInput) return;
+	const latRaw = latInput.value.trim(), lonRaw = lonInput.value.trim();
+	setInputError(latInput, null);
+	setInputError(lonInput, null);
+
+	// Determine the box holding a pair: separators, links or two hemisphere letters
+	const looksLikePair = (t) => /^(https?:|geo:|www\.|maps\.)/i.test(t) || /[,;\t]/.test(t) || (t.match(/[NSEW]/gi)?.length ?? 0) >= 2;
+	const pairInput = [latInput, lonInput].find(i => looksLikePair(i.value.trim()))
+		?? (latRaw && !lonRaw ? latInput : (!latRaw && lonRaw ? lonInput : null));
+
+	// Parse
+	let coords = null;
+	if (pairInput) {
+		try {
+			coords = parseCoordinatePair(pairInput.value);
+		}
+		catch (err) {
+			setInputError(pairInput, err.message);
 			return;
 		}
 
-		// Determine raidus of circle
-		const centerLL = state.map?.draw?.center;
-		const radiusM = (state.map?.draw?.circle?.getRadius?.())
-			?? ((parseFloat(qs("#radius-input")?.value || "0") || 0) * YARD_TO_M);
+		// A single value waits for the other box; an unreadable pair is reported
+		if (!coords && looksLikePair(pairInput.value.trim())) {
+			setInputError(pairInput, `Could not read "${pairInput.value.trim()}" as a coordinate pair (try 40.7128, -74.006 or N 40.7128 W 74.006)`);
+		}
+		if (!coords) return;
+	}
+	else {
+		if (!latRaw || !lonRaw) return;
+		let lat = null, lon = null;
+		try { lat = parseCoordinate(latRaw, "lat"); } catch (err) { setInputError(latInput, err.message); }
+		try { lon = parseCoordinate(lonRaw, "lon"); } catch (err) { setInputError(lonInput, err.message); }
+		if (lat == null || lon == null) return;
+		coords = { lat, lon };
+	}
+
+	// Nothing changed (the boxes mirror the center after every move): just tidy the boxes
+	const current = state.map.draw.center;
+	if (current && Math.abs(current.lat - coords.lat) < 1e-6 && Math.abs(current.lng - coords.lon) < 1e-6) {
+		latInput.value = current.lat.toFixed(6);
+		lonInput.value = current.lng.toFixed(6);
+		return;
+	}
+	state.map.placeCenter(coords.lat, coords.lon);
+}
+
+/**
+ * Mark an input invalid (or valid) and show the form's first error message.
+ * @param {HTMLInputElement|null} input
+ * @param {string|null} message
+ */
+function setInputError(input, message) {
+	if (!input) return;
+	input.classList.toggle("invalid", !!message);
+	if (message) input.dataset.error = message;
+	else delete input.dataset.error;
+
+	// One message line for the whole form
+	const box = qs("#coordinate-error");
+	if (!box) return;
+	const first = qsa("#coordinate-form .value-input").map(i => i.dataset.error).find(Boolean) ?? "";
+	box.textContent = first;
+	box.classList.toggle("hidden", !first);
+}
+
+// ---------- Address search ----------
+/**
+ * Wire the address search box: fuzzy suggestions from the gazetteer; picking one
+ * places the center (as a double-click does) and flies the map there.
+ */
+function wireAddressSearch() {
+	const input = qs("#address-input");
+	const list = qs("#address-results");
+	if (!input || !list) return;
 
-		// Check if there is a lat and long value
-		if (!centerLL) {
-			alert("Double-click the map to set a center first, then drag to size the circle.");
+	// Nothing to search without a gazetteer
+	if (!state.gazetteer.size) {
+		input.disabled = true;
+		input.placeholder = "Address search unavailable";
 		return;
+	}
+
+	setupAutocomplete(
+		input,
+		list,
+		(query) => state.gazetteer.search(query),
+		(match) => match.entry.address,
+		({ entry }) => state.map.placeCenter(entry.lat, entry.lon),
+	);
+}
+
+/**
+ * Show the nearest known address under the coordinate inputs (cleared without a center).
+ * @param {{lat:number, lng:number}|null} center
+ */
+function showCenterAddress(center) {
+	const label = qs("#center-address");
+	if (!label) return;
+	label.textContent = center ? describeNearest(state.gazetteer.nearest(center.lat, center.lng)) : "";
+}
+
+// ---------- Imported layers ----------
+/**
+ * Re-render the imported-layers panel from `state.imports`.
+ * @param {string[]} [errors] Problems from the last import (listed in the panel)
+ */
+function renderImportPanel(errors = []) {
+	const panel = qs(".import-panel");
+	if (!panel) return;
+	panel.innerHTML = "";
+	panel.appendChild(createImportPanel(state.imports, {
+		onImport: importDataFiles,
+		onToggle: setImportVisible,
+		onRemove: removeImportedLayer,
+		errors,
+	}));
+}
+
+/**
+ * Accept files dropped anywhere on the page (highlighting the page while dragging).
+ */
+function wireFileDrop() {
+	const hasFiles = (e) => Array.from(e.dataTransfer?.types ?? []).includes("Files");
+
+	document.addEventListener("dragover", (e) => {
+		if (!hasFiles(e)) return;
+		e.preventDefault();
+		document.body.classList.add("drop-active");
+	});
+	document.addEventListener("dragleave", (e) => {
+		if (!e.relatedTarget) document.body.classList.remove("drop-active");
+	});
+	document.addEventListener("drop", (e) => {
+		if (!hasFiles(e)) return;
+		e.preventDefault();
+		document.body.classList.remove("drop-active");
+		importDataFiles(Array.from(e.dataTransfer.files));
+	});
+}
+
+/**
+ * Parse files into layers and add their points and polygons to the dataset.
+ * Files that fail are reported together; the others are still imported.
+ * @param {File[]} files
+ * @returns {Promise<void>}
+ */
+async function importDataFiles(files) {
+	const errors = [];
+	let added = 0;
+
+	for (const file of files) {
+		try {
+			const layer = await importFile(file);
+
+			// Polygons can only join the array form served by /polygons
+			if (layer.polygons.length && !Array.isArray(state.polygons)) {
+				errors.push(`${file.name}: polygons skipped (the loaded polygon dataset is not a list)`);
+				layer.polygons = [];
+			}
+
+			// Aspects owned by the layer (built-in aspects keep their stat-card toggle)
+			const aspects = unique(layer.polygons.map(p => p.aspect)).filter(a => !qs(`.stats#${CSS.escape(a)}`));
+			state.imports.push({ ...layer, visible: true, aspects });
+			state.points = [...state.points, ...layer.points];
+			if (layer.polygons.length) state.polygons = [...state.polygons, ...layer.polygons];
+			added++;
+		}
+		catch (err) {
+			errors.push(`${file.name}: ${err.message}`);
 		}
+	}
+
+	if (added) onDatasetChange();
+	if (errors.length) renderImportPanel(errors);
+}
+
+/**
+ * Remove an imported layer's points and polygons from the dataset.
+ * @param {import("./importers.js").ImportedLayer} layer
+ */
+function removeImportedLayer(layer) {
+	state.imports = state.imports.filter(l => l.id !== layer.id);
+	state.points = state.points.filter(p => p._layer !== layer.id);
+	if (Array.isArray(state.polygons)) state.polygons = state.polygons.filter(p => p._layer !== layer.id);
+	layer.aspects.forEach(a => delete state.statToggle[a]);
+	onDatasetChange();
+}
+
+/**
+ * Show or hide an imported layer's own polygon aspects.
+ * @param {import("./importers.js").ImportedLayer & {visible:boolean, aspects:string[]}} layer
+ * @param {boolean} visible
+ */
+function setImportVisible(layer, visible) {
+	layer.visible = visible;
+	layer.aspects.forEach((aspect) => {
+		if ((state.statToggle[aspect] ?? true) !== visible) state.map.toggleAspect(aspect);
+		state.statToggle[aspect] = visible;
+	});
+	renderImportPanel();
+}
+
+/**
+ * Propagate a dataset change (import/removal): heatmap, percentile and best-spot workers, percentile cache,
+ * preference bars, map layers and the current score.
+ */
+function onDatasetChange() {
+	indexDataset({ points: state.points, polygons: state.polygons });
+	state.heatmap.runner?.setDataset({ points: state.points, polygons: state.polygons });
+	state.percentile.runner?.setDataset({ points: state.points, polygons: state.polygons });
+	state.bestSearch.runner?.setDataset({ points: state.points, polygons: state.polygons });
+	clearDistributionCache();
+	buildPreferenceBarsFromPoints(state.points);
+	renderImportPanel();
+
+	// Redraw around the current score, or everything when none is shown
+	if (qs("#btn-generate")?.classList.contains("on")) generateHabScore();
+	else restoreFullVisibility();
+	onScoringSettingsChange();
+}
+
+// ---------- Area of interest ----------
+/**
+ * Re-render the area-of-interest panel from `state.aoi`.
+ * @param {string|null} [error] Message shown in the panel (e.g. an unreadable area file)
+ */
+function renderAOIPanel(error = null) {
+	const panel = qs(".aoi-panel");
+	if (!panel) return;
+	panel.innerHTML = "";
+	panel.appendChild(createAOIPanel(state.aoi, {
+		onDraw: drawAOIShape,
+		onAddCircle: addCircleToAOI,
+		onLoad: loadAOIFile,
+		onPickAnchor: pickAOIAnchor,
+		onDistanceMode: (mode) => updateAOI({ distance_from: mode }),
+		onClear: () => setAreaOfInterest(null),
+		error,
+	}));
+}
+
+/**
+ * Replace the area of interest: redraw it, refresh the panel and the URL,
+ * and regenerate a shown score against it.
+ * @param {import("./aoi.js").AOI|null} aoi
+ */
+function setAreaOfInterest(aoi) {
+	state.aoi = aoi;
+	if (!aoi) state.aoiAnchor = null;
+	aoi ? state.map.setAOI(aoi) : state.map.clearAOI();
+	renderAOIPanel();
+
+	// Redraw the current score for the new area (or the circle, when cleared)
+	if (qs("#btn-generate")?.classList.contains("on")) {
+		clearHabScore();
+		if (aoi || state.map.draw.center) generateHabScore();
+	}
+	scheduleUrlUpdate(true);
+}
+
+/**
+ * Rebuild the area of interest with some fields changed (keeping the picked anchor).
+ * @param {{circles?:Array, rings?:Array, distance_from?:string}} changes
+ */
+function updateAOI(changes) {
+	const current = state.aoi ?? { circles: [], rings: [], distance_from: "anchor" };
+	setAreaOfInterest(createAOI({ ...current, anchor: state.aoiAnchor, ...changes }));
+}
+
+/**
+ * Let the user drag out a freehand polygon or rectangle and add it to the area.
+ * @param {"freehand"|"rectangle"} kind
+ */
+function drawAOIShape(kind) {
+	state.map.startShapeDraw(kind, (ring) => {
+		if (ring) updateAOI({ rings: [...(state.aoi?.rings ?? []), ring] });
+	});
+}
+
+/** Add the drawn circle to the area (the circle itself is removed). */
+function addCircleToAOI() {
+	const center = state.map.draw.center;
+	const radiusM = state.map.draw.circle?.getRadius() ?? 0;
+	if (!center || !(radiusM > 0)) {
+		alert("Double-click the map and drag to draw a circle first.");
+		return;
+	}
+	const circle = { center: { lat: center.lat, lon: center.lng }, radius_m: radiusM };
+	state.map.clearCenter();
+	updateAOI({ circles: [...(state.aoi?.circles ?? []), circle] });
+}
+
+/**
+ * Replace the area with one read from a GeoJSON file and fit the map to it.
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function loadAOIFile(file) {
+	try {
+		const aoi = aoiFromGeoJSON(JSON.parse(await file.text()));
+		state.aoiAnchor = null;
+		setAreaOfInterest(aoi);
+		state.map.fitBounds(aoiBounds(aoi));
+	}
+	catch (err) {
+		renderAOIPanel(`Could not load ${file.name}: ${err.message}`);
+	}
+}
+
+/** Let the user click the anchor point (aspects and anchor distances are measured from it). */
+function pickAOIAnchor() {
+	state.map.pickPoint((point) => {
+		if (!point) return;
+		state.aoiAnchor = point;
+		updateAOI({});
+	});
+}
+
+// ---------- Walking ----------
+/** Re-render the walking panel from `state.walk`. */
+function renderWalkPanel() {
+	const panel = qs(".walk-panel");
+	if (!panel) return;
+	panel.innerHTML = "";
+	panel.appendChild(createWalkPanel(state.walk, Boolean(state.walk.graph), setWalkSettings));
+}
+
+/**
+ * Switch walking distances / the isochrone, refresh the panel and the URL,
+ * and regenerate a shown score with the new settings.
+ * @param {{network:boolean, minutes:number}} settings
+ */
+function setWalkSettings({ network, minutes }) {
+	state.walk.network = Boolean(network) || minutes > 0;
+	state.walk.minutes = minutes > 0 ? minutes : 0;
+	renderWalkPanel();
+
+	// Redraw the current score with walking distances (or without)
+	if (qs("#btn-generate")?.classList.contains("on")) {
+		clearHabScore();
+		generateHabScore();
+	}
+	scheduleUrlUpdate(true);
+}
+
+/**
+ * Network option for bundles built from the main score (none without a graph or when off).
+ * @param {{network:boolean, minutes:number}} [walk=state.walk]
+ * @returns {{graph:WalkGraph, max_m:number}|null}
+ */
+function currentNetworkOption(walk = state.walk) {
+	if (!state.walk.graph || !walk?.network) return null;
+	return { graph: state.walk.graph, max_m: (walk.minutes || 0) * WALK_M_PER_MIN };
+}
+
+// ---------- Aspect surfaces ----------
+/**
+ * Draw the smooth surfaces of the current aspect mode over the aspect layers
+ * (flat zone fill when the mode has no surface). Surfaces are cached per dataset.
+ */
+function refreshAspectSurfaces() {
+	const rasters = {};
+	if (state.aspectMode.surface !== "none") {
+		SURFACE_ASPECTS.forEach((aspect) => {
+			rasters[aspect] = surfaceFor(state.polygons, aspect, aspectPolygons(state.polygons, aspect), state.aspectMode)?.raster ?? null;
+		});
+	}
+	state.map.setAspectSurfaces(rasters);
+}
 
-		// Determine values for hab score generation
-		const center  = { lat: centerLL.lat, lon: centerLL.lng };
-		const dataset = { points: state.points, polygons: state.polygons };
-		const prefs   = state.preferenceChoice;
+// ---------- Shortlist ----------
+/** Re-render the shortlist panel from `state.shortlist`. */
+function renderShortlist() {
+	// Determine and validate the shortlist panel
+	const panel = qs(".shortlist-panel");
+	if (!panel) return;
 
-		// Create bundle payload for calc
-		const bundle = buildHabBundle(center, radiusM, dataset, prefs);
+	// Default name for the save form: coordinates of the pending score
+	const pending = state.pendingSave;
+	const saveName = pending
+		? pending.bundle.address?.address ?? `Location ${pending.bundle.center.lat.toFixed(4)}, ${pending.bundle.center.lon.toFixed(4)}`
+		: null;
 
-		// Reduce elements to just whats within the circle
-		applyRadiusVisibility(bundle);
+	panel.innerHTML = "";
+	panel.appendChild(createShortlistPanel(state.shortlist, {
+		saveName,
+		notice: state.shortlistNotice,
+		onSave: ({ name, tags, notes }) => {
+			state.shortlist.push(createEntry({ name, tags, notes, ...pending }));
+			state.pendingSave = null;
+			storeShortlist();
+		},
+		onOpen: openShortlistEntry,
+		onRescore: rescoreShortlistEntry,
+		onDelete: (entry) => {
+			if (!confirm(`Delete "${entry.name}" from the shortlist?`)) return;
+			state.shortlist = state.shortlist.filter(e => e.id !== entry.id);
+			storeShortlist();
+		},
+		onExport: downloadShortlist,
+		onImport: importShortlistFile,
+	}));
+}
 
-		// Send the bundle and store calc results
-		const result = computeAndRenderHabScore(bundle);
-		
-		// Update displays with values
-		updateStatScoresFromResult(result);
-		showScorePanel();
-		updateStatCardsFromAspects(bundle.aspects);
+/**
+ * Persist the shortlist and re-render the panel (with a notice when saving failed).
+ */
+function storeShortlist() {
+	try {
+		persistShortlist(state.shortlist);
+		state.shortlistNotice = null;
+	}
+	catch (err) {
+		state.shortlistNotice = `Could not save the shortlist: ${err.message}`;
+	}
+	renderShortlist();
+}
 
-		// Update button styling
-		btnGen.classList.add("on");
-		btnGen.textContent = "Clear Habitability Score";
+/**
+ * Open the shortlist with a save form for a freshly generated score.
+ * @param {Object} bundle
+ * @param {Object} result
+ * @param {Record<string,number>} preferences Preferences the score was generated with
+ */
+function offerShortlistSave(bundle, result, preferences) {
+	state.pendingSave = { bundle, result, preferences };
+	qs(".shortlist-panel")?.classList.remove("hidden");
+	qs("#btn-shortlist")?.classList.add("on");
+	renderShortlist();
+}
+
+/**
+ * Restore a saved entry's preferences, weights, dealbreakers, aspect mode, center and
+ * radius (or area of interest) and walking settings, then regenerate its score.
+ * @param {import("./shortlist.js").ShortlistEntry} entry
+ */
+function openShortlistEntry(entry) {
+	applySettings({ preferences: entry.preferences, weights: entry.weights, dealbreakers: entry.dealbreakers, aspectMode: entry.aspect_mode });
+	state.walk.network = Boolean(entry.walk?.network);
+	state.walk.minutes = entry.walk?.minutes ?? 0;
+	renderWalkPanel();
 
-		// Store values
-		state.lastHabBundle = bundle;
+	// Restore the area, or the circle and radius input
+	if (entry.aoi) {
+		state.aoiAnchor = entry.aoi.anchor;
+		setAreaOfInterest(entry.aoi);
+		state.map.fitBounds(aoiBounds(entry.aoi));
+	}
+	else {
+		setAreaOfInterest(null);
+		state.map.setCenter(entry.center.lat, entry.center.lon, entry.radius_m);
+		writeRadiusInput(entry.radius_m);
+		state.map.focusOn(entry.center.lat, entry.center.lon, 15);
+	}
+
+	// Regenerate with the restored settings
+	if (qs("#btn-generate")?.classList.contains("on")) clearHabScore();
+	generateHabScore();
+}
+
+/**
+ * Score a saved entry again against the current data and profile (keeping its
+ * own preferences, weights and dealbreakers) and store the new result.
+ * @param {import("./shortlist.js").ShortlistEntry} entry
+ */
+function rescoreShortlistEntry(entry) {
+	const dataset = { points: state.points, polygons: state.polygons };
+	const bundle = buildHabBundle(entry.center, entry.radius_m, dataset, entry.preferences, {
+		weights: entry.weights, profile: state.profile, dealbreakers: entry.dealbreakers, gazetteer: state.gazetteer, aoi: entry.aoi,
+		network: currentNetworkOption(entry.walk), aspectMode: entry.aspect_mode,
 	});
+	entry.address = bundle.address;
+	entry.previous_score = entry.result?.Score ?? null;
+	entry.result = summarizeResult(scoreBundle(bundle));
+	entry.profile = state.profile.name;
+	entry.rescored_at = new Date().toISOString();
+	storeShortlist();
+}
+
+/** Download the shortlist as a JSON file. */
+function downloadShortlist() {
+	downloadText("shortlist.json", exportShortlist(state.shortlist), "application/json");
+}
+
+/**
+ * Merge a shortlist JSON file into the current shortlist.
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function importShortlistFile(file) {
+	try {
+		const incoming = parseShortlistFile(await file.text());
+		state.shortlist = mergeShortlists(state.shortlist, incoming);
+		storeShortlist();
+	}
+	catch (err) {
+		state.shortlistNotice = `Could not import ${file.name}: ${err.message}`;
+		renderShortlist();
+	}
+}
+
+/**
+ * Replace preferences, weights, dealbreakers and the aspect mode (e.g., from a saved entry)
+ * and refresh the controls that show them.
+ * @param {{preferences?:Record<string,number>, weights?:Record<string,number>, dealbreakers?:Array, aspectMode?:Object}} settings
+ */
+function applySettings({ preferences, weights, dealbreakers, aspectMode }) {
+	if (preferences) state.preferenceChoice = { ...preferences };
+	if (weights) {
+		state.weights = { ...DEFAULT_WEIGHTS, ...weights };
+		Object.entries(state.weights).forEach(([key, value]) => setWeightSlider(key, value));
+	}
+	if (dealbreakers) state.dealbreakers = [...dealbreakers];
+	if (aspectMode) {
+		state.aspectMode = normalizeAspectMode(aspectMode);
+		refreshAspectSurfaces();
+	}
+	buildPreferenceBarsFromPoints(state.points);
+	onScoringSettingsChange();
+}
+
+// ---------- URL state ----------
+/**
+ * Shareable state: center, radius, area of interest, walking settings, preferences, weights,
+ * aspect mode, hidden layers and map view.
+ * @returns {import("./url_state.js").UrlAppState}
+ */
+function currentUrlState() {
+	const center = state.map.draw.center;
+	return {
+		center: center ? { lat: center.lat, lon: center.lng } : null,
+		radius_m: state.map.draw.circle?.getRadius() ?? 0,
+		preferences: state.preferenceChoice,
+		weights: state.weights,
+		// Imported layers do not survive a reload, so only built-in layers are shared
+		hiddenLayers: Object.entries(state.statToggle)
+			.filter(([aspect, on]) => !on && !state.imports.some(l => l.aspects.includes(aspect)))
+			.map(([aspect]) => aspect),
+		view: state.map.getView(),
+		aoi: state.aoi,
+		walk: state.walk.graph ? { network: state.walk.network, minutes: state.walk.minutes } : null,
+		aspectMode: isDefaultAspectMode(state.aspectMode) ? null : state.aspectMode,
+	};
+}
+
+/**
+ * Write the state to the URL shortly. A burst that contains any `push` change
+ * becomes one history entry; view-only changes replace the current entry.
+ * @param {boolean} push
+ */
+function scheduleUrlUpdate(push) {
+	if (state.url.restoring) return;
+	state.url.push = state.url.push || push;
+	clearTimeout(state.url.timer);
+	state.url.timer = setTimeout(() => {
+		const search = encodeAppState(currentUrlState(), window.location.search, DEFAULT_WEIGHTS);
+		const method = state.url.push ? "pushState" : "replaceState";
+		state.url.push = false;
+		if (search === window.location.search) return;
+		history[method](null, "", `${window.location.pathname}${search}${window.location.hash}`);
+	}, URL_DEBOUNCE_MS);
+}
+
+/**
+ * Apply the state encoded in the URL (shared link or back/forward) and
+ * regenerate the score when it has a center. Missing parameters mean defaults.
+ */
+function restoreFromUrl() {
+	const saved = decodeAppState(window.location.search);
+	clearTimeout(state.url.timer);
+	state.url.restoring = true;
+	try {
+		// View, preferences and weights
+		if (saved.view) state.map.setView(saved.view);
+		applySettings({
+			preferences: saved.preferences ?? {},
+			weights: saved.weights ?? {},
+			aspectMode: saved.aspectMode ?? normalizeAspectMode(state.profile.aspect_values),
+		});
+
+		// Layer visibility
+		const hidden = new Set(saved.hiddenLayers ?? []);
+		qsa(".stats").forEach(card => setLayerVisible(card, !hidden.has(card.id)));
+
+		// Walking settings (ignored without a graph; an isochrone implies network distances)
+		state.walk.minutes = saved.walk?.minutes ?? 0;
+		state.walk.network = Boolean(saved.walk?.network) || state.walk.minutes > 0;
+		renderWalkPanel();
+
+		// Area of interest (the anchor in the link counts as picked)
+		if (qs("#btn-generate")?.classList.contains("on")) clearHabScore();
+		const aoi = saved.aoi ? createAOI(saved.aoi) : null;
+		state.aoiAnchor = aoi?.anchor ?? null;
+		setAreaOfInterest(aoi);
+		if (aoi && !saved.view) state.map.fitBounds(aoiBounds(aoi));
+
+		// Center + circle, then regenerate
+		if (saved.center) {
+			const radiusM = saved.radius_m ?? 0;
+			state.map.setCenter(saved.center.lat, saved.center.lon, radiusM);
+			writeRadiusInput(radiusM);
+			if (!saved.view && !aoi) state.map.focusOn(saved.center.lat, saved.center.lon, 15);
+		}
+		else {
+			state.map.clearCenter();
+		}
+		if (aoi || saved.center) generateHabScore();
+	}
+	finally {
+		state.url.restoring = false;
+	}
 }
 
 // ---------- HAB v3: bundle building & visibility ----------
 /**
- * Build the scoring bundle:
- *  - Filter points/polygons by radius
- *  - Resolve aspect values at the center
- *  - Prepare channels: transit_km + element pairs
+ * Score the same center across log-spaced radii (SWEEP_MIN_M … SWEEP_MAX_M),
+ * recording which elements enter or leave the circle between steps.
  *
  * @param {{lat:number,lon:number}} center
- * @param {number} radiusM Radius in meters
  * @param {{points:Array, polygons:Array|Object}} dataset
- * @param {Record<string,"good"|"bad"|"na">} prefs
- * @returns {Object} Bundle for score_v3 + renderer
- */
-function buildHabBundle(center, radiusM, dataset, prefs) {
-	// Deteremine state
-	const M = state.map;
-
-	// Filter values for whats withint a radius
-	const pointsIn = M.filterPointsInRadius(center, radiusM, dataset.points);
-	const polysIn  = M.filterPolygonsInRadius(center, radiusM, dataset.polygons);
-
-	// Resolve aspects
-	const byAspect = (name) => {
-		// Determine polygons from set
-		const polys = dataset.polygons;
-		
-		// Sorting based on type of input
-		if (Array.isArray(polys)) {
-			return polys.filter(p => ((p.properties && p.properties.aspect) || p.aspect) === name);
-		} 
-		else if (polys && typeof polys === "object") {
-		
-			// Create value bucket
-			const bucket = polys[name];
-
-			// Return empty bucket if not valid
-			if (!bucket) return [];
-
-			// Return values based on bucket
-			if (Array.isArray(bucket)) return bucket;
-			if (bucket.type === "FeatureCollection") return bucket.features || [];
-			if (bucket.type === "Feature") return [bucket];
-
-			// Return empty bucket if empty
-			return [];
-		}
-		// Return empty bucket if empty
-		return [];
-	};
+ * @param {Record<string,number>} prefs
+ * @param {Object} options Same scoring options as the main bundle
+ * @returns {Array<import("./hab_score.js").SensitivityRow>}
+ */
+function buildRadiusSweep(center, dataset, prefs, options) {
+	// Create storage
+	const rows = [];
+	let prev = new Map();
+	const keyOf = (p) => `${p.name ?? ""}|${p.latitude ?? p.lat}|${p.longitude ?? p.lon}`;
 
-	// Determine score based on aspect value
-	const air    = M.resolveAspectValueAtPoint(center, byAspect("air_quality_index"));
-	const crime  = M.resolveAspectValueAtPoint(center, byAspect("crime_rate"));
-	const rent   = M.resolveAspectValueAtPoint(center, byAspect("median_rent"));
-	const school = M.resolveAspectValueAtPoint(center, byAspect("school_quality"));
-	const transit_zone = M.resolveTransitZoneInfo(center, byAspect("transit_access"));
-
-	// Determine Transit point distances (meters → km)
-	let transit_km = M.collectTransitDistancesKm(pointsIn);
-
-	// Fallback to transit polygons if there is no distance value (values in miles → km)
-	if (transit_km.length === 0) {
-		// Create storage
-		const candidates = [];
-
-		// Check if the transit zone is valid
-		if (!transit_zone?.out_of_bounds && transit_zone.zone_transit_distance != null) {
-			// Add to the candiates list
-			candidates.push(Number(transit_zone.zone_transit_distance) * MILE_TO_KM);
-		
-		}
+	// Cycle for each radius building and scoring a bundle
+	for (let i = 0; i < SWEEP_STEPS; i++) {
+		const radius_m = SWEEP_MIN_M * Math.pow(SWEEP_MAX_M / SWEEP_MIN_M, i / (SWEEP_STEPS - 1));
+		const bundle = buildHabBundle(center, radius_m, dataset, prefs, options);
 
-		// Cycle the polygons checking for transit access aspects and add it to the list if valid
-		for (const poly of polysIn) {
-			const asp = poly.properties?.aspect || poly.aspect;
-			if (asp === "transit_access") {
-				const td_miles = poly.properties?.transit_distance ?? poly.transit_distance;
-				if (td_miles != null) candidates.push(Number(td_miles) * MILE_TO_KM);
-			}
-		}
+		// Diff the inside-radius elements against the previous step (the first step lists everything already inside)
+		const now = new Map(bundle.filtered.points.map(p => [keyOf(p), p.name ?? "Unnamed"]));
+		const entered = [...now].filter(([k]) => !prev.has(k)).map(([, n]) => n);
+		const left    = [...prev].filter(([k]) => !now.has(k)).map(([, n]) => n);
+		prev = now;
 
-		// Filter values if they are numbers and are greater than 0
-		transit_km = candidates.filter(x => Number.isFinite(x) && x >= 0);
+		rows.push({ radius_m, result: scoreBundle(bundle), entered, left });
 	}
 
-	// Build the grouped element values
-	const grouped = M.buildElementChannels(center, pointsIn, { perType: prefs });
+	// Return payload
+	return rows;
+}
 
-	// Return the payload
-	return {
-		center, radius_m: radiusM,
-		filtered: { points: pointsIn, polygons: polysIn },
-		aspects: { air, crime, rent, school, transit_zone },
-		channels: {
-		transit_km,
-		elements_pairs: grouped.elements_pairs,
-		pos_km: grouped.pos_km,
-		neg_km: grouped.neg_km,
-		neu_km: grouped.neu_km
-		}
-	};
+/**
+ * Rank a score against the sampled covered area for the same settings.
+ * The samples are scored off the main thread (percentile runner, see heatmap.js);
+ * the distribution is cached per (preferences, weights, profile, dealbreakers, aspect mode, radius, walking settings).
+ *
+ * @param {number} score
+ * @param {number} radiusM
+ * @param {{points:Array, polygons:Array|Object}} dataset
+ * @param {Record<string,number>} prefs
+ * @param {Object} options Same scoring options as the main bundle
+ * @returns {Promise<{percentile:number|null, scores:number[]}>}
+ */
+async function rankAgainstArea(score, radiusM, dataset, prefs, options) {
+	// Settings the distribution depends on
+	const key = JSON.stringify({
+		r: Math.round(radiusM), prefs, weights: options.weights, profile: options.profile, rules: options.dealbreakers, aspects: options.aspectMode,
+		walk: options.network ? options.network.max_m : null,
+	});
+
+	// Sample (or reuse) the distribution
+	const scores = await getScoreDistribution(
+		key,
+		() => sampleCoveredGrid(dataset.polygons, PERCENTILE_GRID),
+		(cells) => state.percentile.runner.run({ cells, radiusM, prefs, options })
+	);
+
+	// Return payload
+	return { percentile: percentileOf(score, scores), scores };
 }
 
 /**
@@ -386,7 +1647,7 @@ function applyRadiusVisibility(bundle) {
 		// For each point in the bundle creating element bars
 		bundle.filtered.points.forEach((p) => {
 			const bar = createElementBar(p, (lat, lng) => {
-				state.map.focusOn(lat, lng, 15, `<strong>${p.name ?? "Point"}</strong>`);
+				state.map.focusOn(lat, lng, 15, state.map.pointPopupHTML(p));
 			});
 			elementsPanel.appendChild(bar);
 		});
@@ -399,6 +1660,7 @@ function applyRadiusVisibility(bundle) {
 	} else {
 		bundle.filtered.polygons.forEach(f => state.map.addPolygonFeature(f));
 	}
+	refreshAspectSurfaces();
 
 	// Reapply current stat toggles
 	Object.entries(state.statToggle || {}).forEach(([aspect, on]) => {
@@ -417,6 +1679,7 @@ function restoreFullVisibility() {
 	state.map.clearPolygons();
 	if (Array.isArray(state.polygons)) state.map.addPolygonsFromCustom(state.polygons);
 	else state.map.addPolygonsByAspect(state.polygons);
+	refreshAspectSurfaces();
 
 	// Reapply current stat toggles
 	Object.entries(state.statToggle || {}).forEach(([aspect, on]) => {
@@ -430,10 +1693,10 @@ function showScorePanel() {
 	qs(".instructions-panel")?.classList.add("hidden");
 }
 
-/** Show instructions, hide the score panel. */
+/** Show instructions (unless the comparison table is up), hide the score panel. */
 function showInstructionsPanel() {
 	qs(".hab-score-panel")?.classList.add("hidden");
-	qs(".instructions-panel")?.classList.remove("hidden");
+	if (!state.candidates.length) qs(".instructions-panel")?.classList.remove("hidden");
 }
 
 /**
@@ -454,20 +1717,20 @@ function updateStatCardsFromAspects(aspects) {
 
 /**
  * Write per-aspect utility scores (0–1) as 0–100 ints into value elements.
- * Missing/NaN values are hidden.
+ * Missing/NaN values are hidden; values from a fallback zone are marked "≈".
  * @param {ReturnType<import("./hab_score.js").computeAndRenderHabScore>} result
  */
 function updateStatScoresFromResult(result) {
 	const MAP = [
-		{ key: "U_air",     id: "air_quality_index_value" },
-		{ key: "U_crime",   id: "crime_rate_value" },
-		{ key: "U_rent",    id: "median_rent_value" },
-		{ key: "U_school",  id: "school_quality_value" },
-		{ key: "U_transit", id: "transit_access_value" },
+		{ key: "U_air",     id: "air_quality_index_value", aspect: "air" },
+		{ key: "U_crime",   id: "crime_rate_value",        aspect: "crime" },
+		{ key: "U_rent",    id: "median_rent_value",       aspect: "rent" },
+		{ key: "U_school",  id: "school_quality_value",    aspect: "school" },
+		{ key: "U_transit", id: "transit_access_value",    aspect: "transit" },
 	];
 
 	// Cycle for each stat polygons updating 
-	for (const { key, id } of MAP) {
+	for (const { key, id, aspect } of MAP) {
 		const el = document.getElementById(id);
 		if (!el) continue;
 		const v = result[key];
@@ -476,7 +1739,13 @@ function updateStatScoresFromResult(result) {
 			el.classList.add("hidden");
 			continue;
 		}
-		el.textContent = Math.round(v * 100);
+		const conf = result.confidence?.aspects?.[aspect];
+		const approx = conf && conf.status !== "inside";
+		el.textContent = `${approx ? "≈" : ""}${Math.round(v * 100)}`;
+		el.title = approx
+			? (conf.status === "fallback" ? `Nearest zone, ${Math.round(conf.distance_m)} m away` : "No data")
+			: "";
+		el.classList.toggle("stat-approx", !!approx);
 		el.classList.remove("hidden");
 	}
 }
@@ -6,18 +6,23 @@
  *
  * Responsibilities:
  * - Initialize a Leaflet map instance with tile layers, markers, and polygon groups.
- * - Support adding points, focusing/clearing markers, and attaching popups.
+ * - Support adding points, focusing/clearing markers, and attaching popups
+ *   (with the nearest known address when an address lookup is set).
  * - Import polygons from custom schema or GeoJSON Features, group them by `aspect`,
  *   and style them with deterministic colors.
  * - Toggle aspect visibility on/off and manage multiple aspect layers.
+ * - Draw smooth aspect surfaces (see surface.js) as continuous color layers in
+ *   place of the flat polygon fill.
+ * - Draw the habitability heatmap (score grid) beneath the aspect layers, with a legend.
+ * - Show numbered markers for ranked search results ("best spots").
+ * - Keep labeled candidate circles (A, B, C…) for side-by-side comparison.
+ * - Draw areas of interest: freehand polygons and rectangles (drag), an anchor pick,
+ *   and the AOI outline itself (see aoi.js).
  * - Handle user interaction for selecting a map center and drawing a radius circle
  *   via double-click + drag, syncing with input fields.
- * - Attach spatial-analysis methods (on the prototype) for:
- *   - Filtering points/polygons within a radius
- *   - Testing point-in-polygon and polygon–circle intersection
- *   - Resolving aspect values at a point or transit-zone info
- *   - Building categorized element channels for habitability scoring
- *   - Collecting transit distances and syncing circle radius with UI inputs
+ *
+ * Spatial analysis (radius filtering, point-in-polygon, aspect resolution,
+ * element channels) lives in the DOM-free `geo.js` so it also runs headless.
  *
  * External Dependencies:
  * - Leaflet.js (global `L`)
@@ -25,10 +30,10 @@
  *
  * Used by:
  * - `main.js` (UI bootstrap, habitability score workflow)
- * - `hab_score.js` indirectly through `main.js` bundles
  */
 
-import { colorForKey } from "./utils.js";
+import { colorForKey, escapeHTML, readRadiusInput, writeRadiusInput } from "./utils.js";
+import { rectangleRing } from "./aoi.js";
 
 /**
  * Transform your “custom polygon” records into GeoJSON Features.
@@ -73,6 +78,60 @@ function featuresFromCustomPolys(input) {
         });
 }
 
+/** Heatmap color stops (score 0 → 100): red → yellow → green. */
+const HEAT_STOPS = [
+    [0,   [215, 48, 39]],
+    [50,  [254, 224, 139]],
+    [100, [26, 152, 80]],
+];
+
+/** Heatmap cell fill opacity. */
+const HEAT_OPACITY = 0.45;
+
+/**
+ * Color for a 0–100 score on the heatmap ramp.
+ * @param {number} score
+ * @returns {string} CSS rgb() color
+ */
+function heatColor(score) {
+    const s = Math.max(0, Math.min(100, Number(score) || 0));
+    for (let i = 1; i < HEAT_STOPS.length; i++) {
+        const [s1, c1] = HEAT_STOPS[i];
+        if (s > s1) continue;
+        const [s0, c0] = HEAT_STOPS[i - 1];
+        const t = (s - s0) / (s1 - s0);
+        const [r, g, b] = c0.map((v, k) => Math.round(v + t * (c1[k] - v)));
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+    return `rgb(${HEAT_STOPS[HEAT_STOPS.length - 1][1].join(", ")})`;
+}
+
+/** Style of the center/radius circle. */
+const CIRCLE_STYLE = Object.freeze({
+    color: "#3388ff",
+    weight: 2,
+    fillColor: "#3388ff",
+    fillOpacity: 0.2,
+});
+
+/** Style of area-of-interest shapes (and the sketch while drawing). */
+const AOI_STYLE = Object.freeze({
+    color: "#7b3fbf",
+    weight: 2,
+    fillColor: "#7b3fbf",
+    fillOpacity: 0.12,
+});
+
+/** Style of walk-time isochrone cells. */
+const ISOCHRONE_STYLE = Object.freeze({
+    stroke: false,
+    fillColor: "#2a9d8f",
+    fillOpacity: 0.25,
+});
+
+/** Minimum screen distance (px) between freehand vertices. */
+const FREEHAND_MIN_PX = 6;
+
 /**
  * Thin wrapper around Leaflet map + groups for points/polygons.
  * - Double-click the map to place a center, then drag to size a radius circle.
@@ -102,12 +161,51 @@ export class MapManager {
          */
         this.polygonGroups = new Map();
 
+        /**
+         * aspect → smooth surface overlay (drawn inside the aspect's group)
+         * @type {Map<string, L.ImageOverlay>}
+         */
+        this._surfaces = new Map();
+
         /** @type {Array<{marker: L.Marker, data: any}>} */
         this._markers = [];
 
+        /** @type {((lat:number, lon:number)=>string)|null} Nearest-address label for popups */
+        this._addressLookup = null;
+
+        // Heatmap cells live in their own pane beneath the aspect polygons
+        this.map.createPane("heatPane").style.zIndex = 350;
+
+        /** Heatmap cells (canvas-rendered rectangles) */
+        this.heatLayer = L.layerGroup().addTo(this.map);
+
+        /** @type {L.Control|null} Heatmap legend */
+        this._heatLegend = null;
+
+        /** Numbered markers for ranked results */
+        this.rankLayer = L.layerGroup().addTo(this.map);
+
+        /**
+         * label → labeled candidate circle
+         * @type {Map<string, L.Circle>}
+         */
+        this.candidates = new Map();
+
+        /** Area-of-interest outline + anchor marker */
+        this.aoiLayer = L.layerGroup().addTo(this.map);
+
+        /** Walk-time isochrone cells (canvas-rendered rectangles) */
+        this.isochroneLayer = L.layerGroup().addTo(this.map);
+
+        /** True while an AOI shape or anchor is being drawn (double-click is ignored) */
+        this._shapeDrawing = false;
+
         // Draw interaction (center + circle)
         this.draw = { center: null, circle: null, isResizing: false };
 
+        /** @type {Array<(draw:{center:L.LatLng|null, radiusM:number})=>void>} */
+        this._drawListeners = [];
+
         this._attachDoubleClickPointAndDragCircle();
     }
 
@@ -117,10 +215,31 @@ export class MapManager {
      */
     addPoint(p) {
         const m = L.marker([p.latitude, p.longitude]).addTo(this.markerLayer);
-        m.bindPopup(`<strong>${p.name ?? "Point"}</strong><br>${p.latitude}, ${p.longitude}`);
+        m.bindPopup(() => this.pointPopupHTML(p, true));
         this._markers.push({ marker: m, data: p });
     }
 
+    /**
+     * Popup body for a point: name, optional coordinates and the nearest known address.
+     * @param {{latitude:number, longitude:number, name?:string}} p
+     * @param {boolean} [withCoords=false]
+     * @returns {string}
+     */
+    pointPopupHTML(p, withCoords = false) {
+        const address = this._addressLookup?.(p.latitude, p.longitude);
+        return `<strong>${escapeHTML(p.name ?? "Point")}</strong>`
+            + (withCoords ? `<br>${p.latitude}, ${p.longitude}` : "")
+            + (address ? `<br><span class="popup-address">${escapeHTML(address)}</span>` : "");
+    }
+
+    /**
+     * Set the nearest-address label used in point popups (null to disable).
+     * @param {((lat:number, lon:number)=>string)|null} fn
+     */
+    setAddressLookup(fn) {
+        this._addressLookup = fn;
+    }
+
     /**
      * Fly the map to a location, optionally opening a popup there.
      * @param {number} lat
@@ -143,6 +262,35 @@ export class MapManager {
     clearPolygons() {
         this.polygonRoot.clearLayers();
         this.polygonGroups.clear();
+        this._surfaces.clear();
+    }
+
+    /**
+     * Layer group of an aspect (created, visible, on first use).
+     * @param {string} aspect
+     * @returns {L.LayerGroup}
+     * @private
+     */
+    _aspectGroup(aspect) {
+        if (!this.polygonGroups.has(aspect)) {
+            const layer = L.layerGroup().addTo(this.map);
+            this.polygonRoot.addLayer(layer);
+            this.polygonGroups.set(aspect, { layer, visible: true });
+        }
+        return this.polygonGroups.get(aspect).layer;
+    }
+
+    /**
+     * Polygon style of an aspect (outline only while a smooth surface is shown).
+     * @param {string} aspect
+     * @returns {L.PathOptions}
+     * @private
+     */
+    _polygonStyle(aspect) {
+        const color = colorForKey(aspect);
+        return this._surfaces.has(aspect)
+            ? { color, weight: 1, fillOpacity: 0 }
+            : { color, weight: 2, fillOpacity: 0.2 };
     }
 
     /**
@@ -163,19 +311,13 @@ export class MapManager {
 
         // Ensure a layer per aspect and add polygons
         byAspect.forEach((featureList, aspect) => {
-            if (!this.polygonGroups.has(aspect)) {
-                const layer = L.layerGroup().addTo(this.map);
-                this.polygonRoot.addLayer(layer);
-                this.polygonGroups.set(aspect, { layer, visible: true });
-            }
-            const { layer } = this.polygonGroups.get(aspect);
+            const layer = this._aspectGroup(aspect);
 
             // Cycle for each entry in the feature list 
             featureList.forEach((f) => {
-                const color = colorForKey(aspect);
                 try {
                     L.geoJSON(f, {
-                        style: () => ({ color, weight: 2, fillOpacity: 0.2 }),
+                        style: () => this._polygonStyle(aspect),
                         onEachFeature: (feature, lyr) => {
                             // Popup that tries aspect → value + zone label if present
                             try {
@@ -211,17 +353,10 @@ export class MapManager {
     addPolygonFeature(feature) {
         const aspect = feature?.properties?.aspect ?? "unknown";
 
-        if (!this.polygonGroups.has(aspect)) {
-            const layer = L.layerGroup().addTo(this.map);
-            this.polygonRoot.addLayer(layer);
-            this.polygonGroups.set(aspect, { layer, visible: true });
-        }
-        const { layer } = this.polygonGroups.get(aspect);
-
-        const color = colorForKey(aspect);
+        const layer = this._aspectGroup(aspect);
         try {
             L.geoJSON(feature, {
-                style: () => ({ color, weight: 2, fillOpacity: 0.2 }),
+                style: () => this._polygonStyle(aspect),
                 onEachFeature: (feature, lyr) => {
                 try {
                     const props  = feature?.properties ?? {};
@@ -271,6 +406,59 @@ export class MapManager {
         }
     }
 
+    /**
+     * Show smooth aspect surfaces in place of the flat polygon fill. Each raster
+     * (see surface.js) becomes an image in the aspect's color, more opaque where
+     * the value is higher; the browser's image scaling keeps it continuous.
+     * Aspects missing from `rasters` go back to the flat fill.
+     * @param {Record<string, import("./surface.js").SurfaceRaster|null>} rasters aspect → raster
+     */
+    setAspectSurfaces(rasters) {
+        this.clearAspectSurfaces();
+        for (const [aspect, g] of Object.entries(rasters ?? {})) {
+            if (!g || !this.polygonGroups.has(aspect)) continue;
+
+            // One pixel per raster cell; raster rows run south → north, canvas rows north → south
+            const canvas = document.createElement("canvas");
+            canvas.width = g.cols;
+            canvas.height = g.rows;
+            const ctx = canvas.getContext("2d");
+            ctx.fillStyle = colorForKey(aspect);
+            const span = g.range.max - g.range.min || 1;
+            for (let r = 0; r < g.rows; r++) {
+                for (let c = 0; c < g.cols; c++) {
+                    const v = g.values[r * g.cols + c];
+                    if (Number.isNaN(v)) continue;
+                    ctx.globalAlpha = 0.1 + 0.6 * (v - g.range.min) / span;
+                    ctx.fillRect(c, g.rows - 1 - r, 1, 1);
+                }
+            }
+
+            const bounds = [[g.south, g.west], [g.south + g.rows * g.dLat, g.west + g.cols * g.dLon]];
+            const overlay = L.imageOverlay(canvas.toDataURL(), bounds, { interactive: false, className: "aspect-surface" });
+            this._surfaces.set(aspect, overlay);
+            overlay.addTo(this._aspectGroup(aspect));
+            this._restyleAspect(aspect);
+        }
+    }
+
+    /** Remove all smooth surfaces and restore the flat polygon fill. */
+    clearAspectSurfaces() {
+        const aspects = [...this._surfaces.keys()];
+        this._surfaces.forEach((overlay, aspect) => this.polygonGroups.get(aspect)?.layer.removeLayer(overlay));
+        this._surfaces.clear();
+        aspects.forEach((aspect) => this._restyleAspect(aspect));
+    }
+
+    /**
+     * Re-apply {@link _polygonStyle} to the polygons of one aspect.
+     * @param {string} aspect
+     * @private
+     */
+    _restyleAspect(aspect) {
+        this.polygonGroups.get(aspect)?.layer.eachLayer((lyr) => lyr.setStyle?.(this._polygonStyle(aspect)));
+    }
+
     /**
      * Flexible adder that accepts:
      * - Map/Record of `{ aspect: items }`
@@ -307,13 +495,7 @@ export class MapManager {
 
         for (const [aspectKey, itemsVal] of entries) {
             const aspect = aspectKey ?? "unknown";
-            if (!this.polygonGroups.has(aspect)) {
-                const layer = L.layerGroup().addTo(this.map);
-                this.polygonRoot.addLayer(layer);
-                this.polygonGroups.set(aspect, { layer, visible: true });
-            }
-            const { layer } = this.polygonGroups.get(aspect);
-            const color = colorForKey(aspect);
+            const layer = this._aspectGroup(aspect);
 
             // Normalize to array
             let list;
@@ -348,7 +530,7 @@ export class MapManager {
                         return;
                     }
 
-                    L.geoJSON(feature, { style: () => ({ color, weight: 2, fillOpacity: 0.2 }) }).addTo(layer);
+                    L.geoJSON(feature, { style: () => this._polygonStyle(aspect) }).addTo(layer);
                 } 
                 catch (err) {
                     console.error(`[MapManager] Failed to add polygon for aspect "${aspect}"`, err, item);
@@ -369,10 +551,392 @@ export class MapManager {
         this.addPolygonFeatures(fc.features);
     }
 
+    /**
+     * Place (or move) the center and radius circle, as a double-click does,
+     * and mirror the coordinates into the latitude/longitude inputs.
+     * @param {number} lat
+     * @param {number} lng
+     * @param {number} radiusM Radius in meters
+     */
+    setCenter(lat, lng, radiusM) {
+        if (this.draw.circle) {
+            this.map.removeLayer(this.draw.circle);
+            this.draw.circle = null;
+        }
+        this.draw.center = L.latLng(lat, lng);
+        this.draw.circle = L.circle(this.draw.center, { ...CIRCLE_STYLE, radius: Math.max(0, radiusM) }).addTo(this.map);
+
+        const latEl = document.querySelector("#latitude-input");
+        const lonEl = document.querySelector("#longitude-input");
+        if (latEl) latEl.value = Number(lat).toFixed(6);
+        if (lonEl) lonEl.value = Number(lng).toFixed(6);
+        this._emitDrawChange();
+    }
+
+    /** Remove the center and radius circle. */
+    clearCenter() {
+        if (this.draw.circle) this.map.removeLayer(this.draw.circle);
+        this.draw.circle = null;
+        this.draw.center = null;
+        this._emitDrawChange();
+    }
+
+    /**
+     * Call `cb` whenever the center or circle radius is set, resized or removed.
+     * @param {(draw:{center:L.LatLng|null, radiusM:number})=>void} cb
+     */
+    onDrawChange(cb) {
+        this._drawListeners.push(cb);
+    }
+
+    /**
+     * Notify draw listeners.
+     * @private
+     */
+    _emitDrawChange() {
+        const payload = { center: this.draw.center, radiusM: this.draw.circle?.getRadius() ?? 0 };
+        this._drawListeners.forEach(cb => cb(payload));
+    }
+
+    /**
+     * Current view center and zoom.
+     * @returns {{lat:number, lon:number, zoom:number}}
+     */
+    getView() {
+        const c = this.map.getCenter();
+        return { lat: c.lat, lon: c.lng, zoom: this.map.getZoom() };
+    }
+
+    /**
+     * Jump to a view without animation.
+     * @param {{lat:number, lon:number, zoom:number}} view
+     */
+    setView(view) {
+        this.map.setView([view.lat, view.lon], view.zoom, { animate: false });
+    }
+
+    /**
+     * Show numbered markers (1, 2, 3…) for ranked results.
+     * @param {Array<{rank:number, center:{lat:number, lon:number}, result:{Score:number}}>} spots
+     * @param {(spot:object)=>void} [onClick]
+     */
+    setRankedMarkers(spots, onClick) {
+        this.rankLayer.clearLayers();
+        spots.forEach((spot) => {
+            const icon = L.divIcon({ className: "rank-marker", html: `<span>${spot.rank}</span>`, iconSize: [26, 26] });
+            const m = L.marker([spot.center.lat, spot.center.lon], { icon, zIndexOffset: 1000 }).addTo(this.rankLayer);
+            m.bindTooltip(`#${spot.rank}: ${spot.result.Score.toFixed(1)} / 100`);
+            if (onClick) m.on("click", () => onClick(spot));
+        });
+    }
+
+    /** Remove the ranked-result markers. */
+    clearRankedMarkers() {
+        this.rankLayer.clearLayers();
+    }
+
+    /**
+     * Add (or replace) a labeled candidate circle.
+     * @param {string} label "A", "B", …
+     * @param {number} lat
+     * @param {number} lng
+     * @param {number} radiusM Radius in meters
+     * @param {string} color Circle color
+     * @param {(label:string)=>void} [onClick]
+     */
+    addCandidate(label, lat, lng, radiusM, color, onClick) {
+        this.removeCandidate(label);
+        const circle = L.circle([lat, lng], { ...CIRCLE_STYLE, color, fillColor: color, dashArray: "6 4", radius: Math.max(0, radiusM) })
+            .addTo(this.map);
+        circle.bindTooltip(label, { permanent: true, direction: "center", className: "candidate-label" });
+        if (onClick) circle.on("click", () => onClick(label));
+        this.candidates.set(label, circle);
+    }
+
+    /**
+     * Remove one candidate circle.
+     * @param {string} label
+     */
+    removeCandidate(label) {
+        const circle = this.candidates.get(label);
+        if (!circle) return;
+        this.map.removeLayer(circle);
+        this.candidates.delete(label);
+    }
+
+    /** Remove every candidate circle. */
+    clearCandidates() {
+        this.candidates.forEach(circle => this.map.removeLayer(circle));
+        this.candidates.clear();
+    }
+
+    /**
+     * Current map view as a lat/lon box.
+     * @returns {{south:number, west:number, north:number, east:number}}
+     */
+    getViewBounds() {
+        const b = this.map.getBounds();
+        return { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() };
+    }
+
+    /**
+     * Fit the view to a lat/lon box (e.g., a loaded area of interest).
+     * @param {{south:number, west:number, north:number, east:number}} bounds
+     */
+    fitBounds(bounds) {
+        this.map.fitBounds([[bounds.south, bounds.west], [bounds.north, bounds.east]], { padding: [24, 24] });
+    }
+
+    /**
+     * Call `cb` with the new view bounds whenever the map finishes panning/zooming.
+     * @param {(bounds:{south:number, west:number, north:number, east:number})=>void} cb
+     */
+    onViewChange(cb) {
+        this.map.on("moveend", () => cb(this.getViewBounds()));
+    }
+
+    /**
+     * Draw a scored grid as color-ramped cells and show the legend.
+     * @param {{dLat:number, dLon:number, cells:Array<{lat:number, lon:number}>}} grid From `gridOverBounds` (geo.js)
+     * @param {number[]} scores One 0–100 score per grid cell
+     * @param {string} [label] Legend caption (e.g., the radius used)
+     */
+    setHeatmap(grid, scores, label = "") {
+        this.heatLayer.clearLayers();
+        const renderer = L.canvas({ pane: "heatPane" });
+        const hLat = grid.dLat / 2, hLon = grid.dLon / 2;
+
+        grid.cells.forEach((c, i) => {
+            if (!Number.isFinite(scores[i])) return;
+            L.rectangle([[c.lat - hLat, c.lon - hLon], [c.lat + hLat, c.lon + hLon]], {
+                renderer,
+                pane: "heatPane",
+                interactive: false,
+                stroke: false,
+                fillColor: heatColor(scores[i]),
+                fillOpacity: HEAT_OPACITY,
+            }).addTo(this.heatLayer);
+        });
+
+        this._ensureHeatLegend();
+        this._heatLegend.getContainer().querySelector(".heat-legend-label").textContent = label;
+        this.setHeatmapStatus("");
+    }
+
+    /**
+     * Show a short status line (e.g., progress) in the heatmap legend.
+     * @param {string} text
+     */
+    setHeatmapStatus(text) {
+        this._ensureHeatLegend();
+        this._heatLegend.getContainer().querySelector(".heat-legend-status").textContent = text;
+    }
+
+    /** Remove the heatmap cells and legend. */
+    clearHeatmap() {
+        this.heatLayer.clearLayers();
+        if (this._heatLegend) {
+            this._heatLegend.remove();
+            this._heatLegend = null;
+        }
+    }
+
+    /**
+     * Create the heatmap legend control (gradient bar 0–100) if missing.
+     * @private
+     */
+    _ensureHeatLegend() {
+        if (this._heatLegend) return;
+        const gradient = HEAT_STOPS.map(([s]) => `${heatColor(s)} ${s}%`).join(", ");
+
+        this._heatLegend = L.control({ position: "bottomright" });
+        this._heatLegend.onAdd = () => {
+            const div = L.DomUtil.create("div", "heat-legend");
+            div.innerHTML = `
+                <div><strong>Habitability</strong> <span class="heat-legend-label"></span></div>
+                <div class="heat-legend-bar" style="background: linear-gradient(to right, ${gradient});"></div>
+                <div class="heat-legend-ticks"><span>0</span><span>50</span><span>100</span></div>
+                <div class="heat-legend-status"></div>`;
+            return div;
+        };
+        this._heatLegend.addTo(this.map);
+    }
+
+    /**
+     * Place the center where the user picked a location (e.g., an address search),
+     * exactly as a double-click does, and fly the map there.
+     * @param {number} lat
+     * @param {number} lng
+     * @param {number} [zoom=16]
+     */
+    placeCenter(lat, lng, zoom = 16) {
+        this.setCenter(lat, lng, readRadiusInput());
+        this.map.flyTo([lat, lng], Math.max(this.map.getZoom(), zoom));
+    }
+
+    /**
+     * Draw an area of interest: every circle and ring, plus the anchor point.
+     * @param {import("./aoi.js").AOI} aoi
+     */
+    setAOI(aoi) {
+        this.aoiLayer.clearLayers();
+        aoi.circles.forEach(c => L.circle([c.center.lat, c.center.lon], { ...AOI_STYLE, radius: c.radius_m, interactive: false }).addTo(this.aoiLayer));
+        aoi.rings.forEach(ring => L.polygon(ring.map(([lon, lat]) => [lat, lon]), { ...AOI_STYLE, interactive: false }).addTo(this.aoiLayer));
+        L.circleMarker([aoi.anchor.lat, aoi.anchor.lon], { radius: 6, color: "white", weight: 2, fillColor: AOI_STYLE.color, fillOpacity: 1 })
+            .bindTooltip("Anchor")
+            .addTo(this.aoiLayer);
+    }
+
+    /** Remove the area-of-interest outline. */
+    clearAOI() {
+        this.aoiLayer.clearLayers();
+    }
+
+    /**
+     * Shade the cells reachable within a walk-time isochrone.
+     * @param {{dLat:number, dLon:number, cells:Array<{lat:number, lon:number}>}} grid From `isochroneGrid` (network.js)
+     * @param {string} [label] Tooltip (e.g., "10 min walk")
+     */
+    setIsochrone(grid, label = "") {
+        this.isochroneLayer.clearLayers();
+        const renderer = L.canvas();
+        const hLat = grid.dLat / 2, hLon = grid.dLon / 2;
+        grid.cells.forEach((c) => {
+            L.rectangle([[c.lat - hLat, c.lon - hLon], [c.lat + hLat, c.lon + hLon]], { ...ISOCHRONE_STYLE, renderer, interactive: false })
+                .addTo(this.isochroneLayer);
+        });
+        if (label && grid.cells.length) {
+            const top = grid.cells.reduce((a, b) => (b.lat > a.lat ? b : a));
+            L.tooltip({ permanent: true, direction: "top", className: "isochrone-label" })
+                .setLatLng([top.lat + hLat, top.lon])
+                .setContent(label)
+                .addTo(this.isochroneLayer);
+        }
+    }
+
+    /** Remove the walk-time isochrone. */
+    clearIsochrone() {
+        this.isochroneLayer.clearLayers();
+    }
+
+    /**
+     * Let the user drag out a freehand polygon or a rectangle.
+     * Calls `cb` with the closed `[lon, lat]` ring, or null when cancelled (Escape)
+     * or too small to be an area.
+     * @param {"freehand"|"rectangle"} kind
+     * @param {(ring:Array<[number, number]>|null)=>void} cb
+     */
+    startShapeDraw(kind, cb) {
+        const map = this.map;
+        const restore = this._suspendInteractions();
+        let sketch = null, start = null;
+        const latlngs = [];
+
+        const finish = (ring) => {
+            map.off("mousedown", onDown);
+            map.off("mousemove", onMove);
+            map.off("mouseup", onUp);
+            document.removeEventListener("keyup", onKey);
+            if (sketch) map.removeLayer(sketch);
+            restore();
+            cb(ring);
+        };
+
+        const onDown = (e) => {
+            start = e.latlng;
+            latlngs.push(e.latlng);
+            sketch = kind === "rectangle"
+                ? L.rectangle([start, start], { ...AOI_STYLE, dashArray: "4 4" }).addTo(map)
+                : L.polyline(latlngs, { ...AOI_STYLE, dashArray: "4 4" }).addTo(map);
+        };
+
+        const onMove = (e) => {
+            if (!start) return;
+            if (kind === "rectangle") {
+                sketch.setBounds([start, e.latlng]);
+                return;
+            }
+            // Freehand: skip vertices closer than FREEHAND_MIN_PX to the previous one
+            const last = map.latLngToContainerPoint(latlngs[latlngs.length - 1]);
+            if (last.distanceTo(map.latLngToContainerPoint(e.latlng)) < FREEHAND_MIN_PX) return;
+            latlngs.push(e.latlng);
+            sketch.setLatLngs(latlngs);
+        };
+
+        const onUp = (e) => {
+            if (!start) return;
+
+            // Rectangles need a real drag; freehand needs three vertices
+            if (kind === "rectangle") {
+                const dragged = map.latLngToContainerPoint(start).distanceTo(map.latLngToContainerPoint(e.latlng)) >= FREEHAND_MIN_PX;
+                finish(dragged ? rectangleRing({ lat: start.lat, lon: start.lng }, { lat: e.latlng.lat, lon: e.latlng.lng }) : null);
+                return;
+            }
+            const ring = latlngs.map(ll => [ll.lng, ll.lat]);
+            finish(ring.length >= 3 ? [...ring, [...ring[0]]] : null);
+        };
+
+        const onKey = (kev) => {
+            if (kev.key === "Escape") finish(null);
+        };
+
+        map.on("mousedown", onDown);
+        map.on("mousemove", onMove);
+        map.on("mouseup", onUp);
+        document.addEventListener("keyup", onKey);
+    }
+
+    /**
+     * Let the user click one location (e.g., the AOI anchor).
+     * Calls `cb` with the point, or null when cancelled (Escape).
+     * @param {(point:{lat:number, lon:number}|null)=>void} cb
+     */
+    pickPoint(cb) {
+        const map = this.map;
+        const restore = this._suspendInteractions({ keepPanning: true });
+
+        const finish = (point) => {
+            map.off("click", onClick);
+            document.removeEventListener("keyup", onKey);
+            restore();
+            cb(point);
+        };
+        const onClick = (e) => finish({ lat: e.latlng.lat, lon: e.latlng.lng });
+        const onKey = (kev) => {
+            if (kev.key === "Escape") finish(null);
+        };
+
+        map.on("click", onClick);
+        document.addEventListener("keyup", onKey);
+    }
+
+    /**
+     * Enter a drawing mode: crosshair cursor, double-click disabled and (unless
+     * `keepPanning`) map dragging/zooming paused. Returns the function that undoes it.
+     * @param {{keepPanning?:boolean}} [opts]
+     * @returns {()=>void}
+     * @private
+     */
+    _suspendInteractions({ keepPanning = false } = {}) {
+        const map = this.map;
+        const handlers = keepPanning ? [] : [map.dragging, map.boxZoom, map.touchZoom].filter(h => h?.enabled());
+        const cursor = map._container.style.cursor || "";
+
+        this._shapeDrawing = true;
+        handlers.forEach(h => h.disable());
+        map._container.style.cursor = "crosshair";
+
+        return () => {
+            this._shapeDrawing = false;
+            handlers.forEach(h => h.enable());
+            map._container.style.cursor = cursor;
+        };
+    }
+
     /**
      * Install double-click (place center) + drag (resize circle) behavior.
      * - Disables normal map interactions while resizing, then restores them.
-     * - Mirrors radius into `#radius-input` (meters).
+     * - Mirrors radius into `#radius-input` (in the selected unit, see units.js).
      * @private
      */
     _attachDoubleClickPointAndDragCircle() {
@@ -384,27 +948,6 @@ export class MapManager {
 
         map.doubleClickZoom && map.doubleClickZoom.disable();
 
-        const latEl = document.querySelector("#latitude-input");
-        const lonEl = document.querySelector("#longitude-input");
-        const radEl = document.querySelector("#radius-input"); // meters
-
-        const setLatLngInputs = (latlng) => {
-            if (latEl) latEl.value = Number(latlng.lat).toFixed(6);
-            if (lonEl) lonEl.value = Number(latlng.lng).toFixed(6);
-        };
-
-        const readRadiusMetersOrZero = () => {
-            if (!radEl) return 0;
-            const raw = String(radEl.value ?? "").trim();
-            if (raw === "") return 0;
-            const n = Number(raw);
-            return Number.isFinite(n) && n >= 0 ? n : 0;
-        };
-
-        const setRadiusInputMeters = (meters) => {
-            if (radEl) radEl.value = Math.round(Math.max(0, meters));
-        };
-
         let moveHandler = null;
         let upHandler = null;
         let keyHandler = null;
@@ -436,34 +979,23 @@ export class MapManager {
                 this.draw.circle = null;
             }
             restoreInteractivity();
+            this._emitDrawChange();
         };
 
         map.on("dblclick", (e) => {
-            setLatLngInputs(e.latlng);
-
-            // Remove any prior circle
-            if (this.draw.circle) {
-                map.removeLayer(this.draw.circle);
-                this.draw.circle = null;
-            }
+            // AOI drawing owns the pointer
+            if (this._shapeDrawing) return;
 
-            this.draw.center = e.latlng;
-
-            // Initial radius from input (meters) or 0
-            const initialRadiusMeters = readRadiusMetersOrZero();
-
-            this.draw.circle = L.circle(this.draw.center, {
-                radius: initialRadiusMeters, // meters
-                color: "#3388ff",
-                weight: 2,
-                fillColor: "#3388ff",
-                fillOpacity: 0.2,
-            }).addTo(map);
-
-            setRadiusInputMeters(initialRadiusMeters);
+            // Initial radius from the input or 0; replaces any prior circle
+            this.setCenter(e.latlng.lat, e.latlng.lng, readRadiusInput());
 
             // Next mousedown → start resizing (and temporarily disable panning)
             const startResize = (downEvt) => {
+                // An AOI drawing started since the double-click: leave the circle as is
+                if (this._shapeDrawing) {
+                    map.off("mousedown", startResize);
+                    return;
+                }
                 this.draw.isResizing = true;
 
                 if (downEvt?.originalEvent) {
@@ -491,13 +1023,14 @@ export class MapManager {
                     if (!this.draw.isResizing || !this.draw.center || !this.draw.circle) return;
                     const meters = map.distance(this.draw.center, moveEvt.latlng);
                     this.draw.circle.setRadius(Math.max(0, meters));
-                    setRadiusInputMeters(meters);
+                    writeRadiusInput(meters);
                 };
 
                 upHandler = () => {
                     this.draw.isResizing = false;
                     detachLiveHandlers();
                     restoreInteractivity();
+                    this._emitDrawChange();
                 };
 
                 keyHandler = (kev) => {
@@ -518,351 +1051,3 @@ export class MapManager {
         map.on("unload", cancelDrawing);
     }
 }
-
-/* ====== Radius & zone helpers (prototype methods, no external deps) ====== */
-(function() {
-    /** Mean Earth radius in meters (spherical approximation). */
-    const EARTH_RADIUS_M = 6371008.8;
-
-    /** Convert degrees to radians. */
-    const toRad = (deg) => (deg * Math.PI) / 180;
-
-    /** Tiny epsilon to avoid division-by-zero. */
-    const EPS = 1e-9;
-
-    /**
-     * Great-circle distance between two lat/lon points using the haversine formula.
-     * Inputs/outputs are in **meters**.
-     *
-     * @param {number} lat1 Latitude of point A (degrees)
-     * @param {number} lon1 Longitude of point A (degrees)
-     * @param {number} lat2 Latitude of point B (degrees)
-     * @param {number} lon2 Longitude of point B (degrees)
-     * @returns {number} Distance in meters
-     */
-    function haversineMeters(lat1, lon1, lat2, lon2) {
-        const φ1 = toRad(lat1), λ1 = toRad(lon1);
-        const φ2 = toRad(lat2), λ2 = toRad(lon2);
-        const dφ = φ2 - φ1, dλ = λ2 - λ1;
-        const a = Math.sin(dφ/2)**2 + Math.cos(φ1)*Math.cos(φ2)*Math.sin(dλ/2)**2;
-        return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    }
-
-    /**
-     * Locally project a (lat,lon) to a planar XY (meters) around an origin.
-     * NOTE: Small-area equirectangular approximation; accurate enough for
-     * our short segment distance tests near the selection circle.
-     *
-     * @param {number} lat0 Origin latitude (degrees)
-     * @param {number} lon0 Origin longitude (degrees)
-     * @param {number} lat  Target latitude (degrees)
-     * @param {number} lon  Target longitude (degrees)
-     * @returns {{x:number,y:number}} Local meters relative to (lat0,lon0)
-     */
-    function projectLocal(lat0, lon0, lat, lon) {
-        const x = toRad(lon - lon0) * Math.cos(toRad(lat0)) * EARTH_RADIUS_M;
-        const y = toRad(lat - lat0) * EARTH_RADIUS_M;
-        return { x, y };
-    }
-
-    /**
-     * Shortest distance from a point to a line segment on Earth’s surface,
-     * computed in a local planar projection centered at the test point.
-     * All positions are given as [lon,lat] arrays.
-     *
-     * @param {number} lat0 Latitude of projection origin (degrees)
-     * @param {number} lon0 Longitude of projection origin (degrees)
-     * @param {[number,number]} P Test point [lon,lat]
-     * @param {[number,number]} A Segment start [lon,lat]
-     * @param {[number,number]} B Segment end [lon,lat]
-     * @returns {number} Distance in meters
-     */
-    function distancePointToSegmentMeters(lat0, lon0, P, A, B) {
-        const p = projectLocal(lat0, lon0, P[1], P[0]);
-        const a = projectLocal(lat0, lon0, A[1], A[0]);
-        const b = projectLocal(lat0, lon0, B[1], B[0]);
-        const vx = b.x - a.x, vy = b.y - a.y;
-        const wx = p.x - a.x, wy = p.y - a.y;
-        const c1 = vx*wx + vy*wy;
-        const c2 = vx*vx + vy*vy;
-        let t = c2 > EPS ? c1 / c2 : 0;
-        t = Math.max(0, Math.min(1, t));
-        const cx = a.x + t*vx, cy = a.y + t*vy;
-        return Math.hypot(p.x - cx, p.y - cy);
-    }
-
-    /**
-     * Point-in-polygon test (ray casting) for GeoJSON Polygon/MultiPolygon.
-     * Coordinates are **[lon,lat]**. Holes are handled by ring parity.
-     *
-     * @param {[number,number]} point [lon,lat]
-     * @param {{type:"Polygon"|"MultiPolygon",coordinates:any}} polygon
-     * @returns {boolean} True if the point lies strictly inside the polygon
-     */
-    function pointInPolygon(point, polygon) {
-        const testRings = (rings) => {
-            let inside = false;
-            for (const ring of rings) {
-                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-                    const xi = ring[i][0], yi = ring[i][1];
-                    const xj = ring[j][0], yj = ring[j][1];
-                    const intersect = ((yi > point[1]) !== (yj > point[1])) &&
-                                        (point[0] < (xj - xi) * (point[1] - yi) / ((yj - yi) || EPS) + xi);
-                    if (intersect) inside = !inside;
-                }
-            }
-            return inside;
-        };
-        if (!polygon) return false;
-        if (polygon.type === "Polygon") return testRings(polygon.coordinates);
-        if (polygon.type === "MultiPolygon") {
-            for (const poly of polygon.coordinates) if (testRings(poly)) return true;
-        }
-        return false;
-    }
-
-    /**
-     * Minimum distance from a point to a polygon boundary in **meters**.
-     * Used to rank the “nearest zone” when the center isn’t inside any polygon.
-     *
-     * @param {[number,number]} point [lon,lat]
-     * @param {{type:"Polygon"|"MultiPolygon",coordinates:any}} polygon
-     * @returns {number} Distance in meters
-     */
-    function distancePointToPolygonBoundaryMeters(point, polygon) {
-        const [lon0, lat0] = point;
-        let min = Infinity;
-        const scan = (rings) => {
-            for (const ring of rings) {
-                for (let i = 0; i < ring.length - 1; i++) {
-                    const d = distancePointToSegmentMeters(lat0, lon0, point, ring[i], ring[i+1]);
-                    if (d < min) min = d;
-                }
-            }
-        };
-        if (polygon.type === "Polygon") scan(polygon.coordinates);
-        if (polygon.type === "MultiPolygon") for (const poly of polygon.coordinates) scan(poly);
-        return min;
-    }
-
-    /**
-     * Quick intersection test: does a GeoJSON polygon intersect a circle?
-     * Returns true if the circle center is inside the polygon OR if any polygon
-     * edge is within the radius of the center point.
-     *
-     * @param {[number,number]} point [lon,lat] circle center
-     * @param {number} radiusM Circle radius in meters
-     * @param {{type:"Polygon"|"MultiPolygon",coordinates:any}} polygon
-     * @returns {boolean} Whether they intersect
-     */
-    function polygonIntersectsCircle(point, radiusM, polygon) {
-        if (pointInPolygon(point, polygon)) return true;
-        const within = (rings) => {
-            for (const ring of rings) {
-                for (let i = 0; i < ring.length - 1; i++) {
-                const d = distancePointToSegmentMeters(point[1], point[0], point, ring[i], ring[i+1]);
-                if (d <= radiusM) return true;
-                }
-            }
-            return false;
-        };
-        if (polygon.type === "Polygon") return within(polygon.coordinates);
-        if (polygon.type === "MultiPolygon") {
-            for (const poly of polygon.coordinates) if (within(poly)) return true;
-        }
-        return false;
-    }
-
-    /* ---------- Prototype methods that consume the helpers above ---------- */
-
-    /**
-     * Filter input points to those within a radius of the center.
-     * Shallow-copies each point and adds `_distance_m`.
-     *
-     * @param {{lat:number, lon:number}} center
-     * @param {number} radiusM Radius in meters
-     * @param {Array<any>} points Input points (supports {lat,lon} or {latitude,longitude})
-     * @returns {Array<any & {_distance_m:number}>}
-     */
-    MapManager.prototype.filterPointsInRadius = function(center, radiusM, points) {
-        return points
-        .map(p => {
-            const lon = p.longitude ?? p.lon ?? p.lng ?? (p.geometry?.coordinates?.[0]);
-            const lat = p.latitude  ?? p.lat ?? (p.geometry?.coordinates?.[1]);
-            const d = haversineMeters(center.lat, center.lon, lat, lon);
-            return { ...p, _distance_m: d };
-        })
-        .filter(p => p._distance_m <= radiusM);
-    };
-
-    /**
-     * Filter polygons (custom schema or Feature) to those intersecting a circle.
-     * Returns **GeoJSON Features**; preserves original record at `__source` when applicable.
-     *
-     * @param {{lat:number, lon:number}} center
-     * @param {number} radiusM Radius in meters
-     * @param {Array<any>} polygons Custom polygon records or Features
-     * @returns {Array<import("geojson").Feature<import("geojson").Polygon>>}
-     */
-    MapManager.prototype.filterPolygonsInRadius = function(center, radiusM, polygons) {
-        const point = [center.lon, center.lat];
-        const toFeature = (rec) => {
-            if (rec.type === "Feature" && rec.geometry) return rec;
-            const aspectKey = rec.aspect || rec.properties?.aspect;
-
-            let val = rec.value;
-            if (val == null && aspectKey) {
-                if (aspectKey === "transit_access") {
-                    val = rec.transit_distance ?? rec.properties?.transit_distance ?? null;
-                } 
-                else {
-                    val = rec[aspectKey] ?? rec.properties?.[aspectKey] ?? null;
-                }
-            }
-
-            return {
-                type: "Feature",
-                properties: {
-                ...(rec.properties || {}),
-                aspect: aspectKey,
-                value: val,
-                transit_distance: rec.transit_distance ?? rec.properties?.transit_distance ?? null,
-                },
-                geometry: { type: "Polygon", coordinates: [rec.coordinates] },
-                __source: rec,
-            };
-        };
-
-        const feats = polygons.map(toFeature);
-        return feats.filter(f => polygonIntersectsCircle(point, radiusM, f.geometry));
-    };
-
-    /**
-     * Resolve which aspect polygon covers the center (or nearest zone),
-     * returning `{ out_of_bounds:true }` if none cover the center and none exist.
-     *
-     * @param {{lat:number, lon:number}} center
-     * @param {Array<any>} aspectPolys Array of custom records or Features (single aspect)
-     * @returns {{
-     *   out_of_bounds: boolean,
-     *   source?: "center_inside" | "near_single_zone",
-     *   value?: number|null,
-     *   polygon?: import("geojson").Feature<import("geojson").Polygon>,
-     *   distance_to_boundary_m?: number
-     * }}
-     */
-    MapManager.prototype.resolveAspectValueAtPoint = function(center, aspectPolys) {
-        const point = [center.lon, center.lat];
-
-        const toFeature = (rec) => {
-            if (rec.type === "Feature" && rec.geometry) return rec;
-
-            const aspectKey = rec.aspect || rec.properties?.aspect;
-            let val = rec.value;
-            if (val == null && aspectKey) {
-                if (aspectKey === "transit_access") {
-                    val = rec.transit_distance ?? rec.properties?.transit_distance ?? null;
-                } 
-                else {
-                    val = rec[aspectKey] ?? rec.properties?.[aspectKey] ?? null;
-                }
-            }
-
-            // Ensure ring closed
-            const ring = rec.coordinates?.slice?.() || rec.geometry?.coordinates?.[0]?.slice?.() || [];
-            if (ring.length > 0) {
-                const first = ring[0], last = ring[ring.length - 1];
-                if (first && last && (first[0] !== last[0] || first[1] !== last[1])) ring.push([first[0], first[1]]);
-            }
-
-            return {
-                type: "Feature",
-                properties: { ...(rec.properties || {}), aspect: aspectKey, value: val, transit_distance: rec.transit_distance ?? rec.properties?.transit_distance ?? null },
-                geometry: { type: "Polygon", coordinates: [ring] },
-            };
-        };
-
-        const feats = (aspectPolys || []).map(toFeature);
-
-        // 1) Inside any polygon?
-        for (const poly of feats) {
-        if (pointInPolygon(point, poly.geometry)) {
-            const distM = distancePointToPolygonBoundaryMeters(point, poly.geometry);
-            return { out_of_bounds:false, source:"center_inside", value: poly.properties.value, polygon: poly, distance_to_boundary_m: distM };
-        }
-        }
-
-        // 2) Otherwise take the nearest boundary among the candidates
-        let best = { poly: null, distM: Infinity };
-        for (const poly of feats) {
-        const d = distancePointToPolygonBoundaryMeters(point, poly.geometry);
-        if (d < best.distM) best = { poly, distM: d };
-        }
-        if (best.poly) {
-        return { out_of_bounds:false, source:"near_single_zone", value: best.poly.properties.value, polygon: best.poly, distance_to_boundary_m: best.distM };
-        }
-        return { out_of_bounds:true };
-    };
-
-    /**
-     * Transit-specific wrapper that includes distance to the zone edge.
-     * `zone_transit_distance` is whatever the polygon provides (miles in your data).
-     *
-     * @param {{lat:number, lon:number}} center
-     * @param {Array<any>} transitPolys Transit aspect polygons
-     * @returns {{ out_of_bounds:boolean, source?:string, zone_transit_distance?:number|null, distance_to_zone_edge_m?:number }}
-     */
-    MapManager.prototype.resolveTransitZoneInfo = function(center, transitPolys) {
-        const base = this.resolveAspectValueAtPoint(center, transitPolys);
-        if (base.out_of_bounds) return { out_of_bounds:true };
-        const point = [center.lon, center.lat];
-        const dEdge = pointInPolygon(point, base.polygon.geometry)
-        ? distancePointToPolygonBoundaryMeters(point, base.polygon.geometry)
-        : (base.distance_to_boundary_m ?? distancePointToPolygonBoundaryMeters(point, base.polygon.geometry));
-        return {
-            out_of_bounds: false,
-            source: base.source,
-            zone_transit_distance: base.polygon.properties.transit_distance ?? null, // miles (converted to km later)
-            distance_to_zone_edge_m: dEdge
-        };
-    };
-
-    /**
-     * Collect distances to “Transit” points among the pre-filtered set.
-     * Distances come from `_distance_m` (set by filterPointsInRadius) and are
-     * returned as **kilometers** for the scorer.
-     *
-     * @param {Array<any & {_distance_m:number}>} pointsIn
-     * @returns {number[]} Distances in kilometers
-     */
-    MapManager.prototype.collectTransitDistancesKm = function(pointsIn) {
-        const isTr = (p)=> (p.type==="Transit" || p.category==="Transit" || p.properties?.category==="Transit");
-        return pointsIn.filter(isTr).map(p => (p._distance_m ?? 0)/1000);
-    };
-
-  /**
-   * Build element “channels” used by the scorer: positive / negative / neutral
-   * lists of distances (km) and a combined `[distance_km, sign]` array.
-   *
-   * @param {{lat:number, lon:number}} center
-   * @param {Array<any & {_distance_m:number}>} pointsIn
-   * @param {{perType?: Record<string,"good"|"bad"|"neutral">}} prefs
-   * @returns {{ elements_pairs:Array<[number,-1|0|1]>, pos_km:number[], neg_km:number[], neu_km:number[] }}
-   */
-    MapManager.prototype.buildElementChannels = function(center, pointsIn, prefs) {
-        const elements_pairs = [], pos_km = [], neg_km = [], neu_km = [];
-        for (const pt of pointsIn) {
-            const kind = pt.type || pt.properties?.type || pt.properties?.category || "Unknown";
-            const choice = prefs?.perType?.[kind] ?? prefs?.[kind] ?? "neutral";
-            const km = (pt._distance_m ?? 0) / 1000;
-            let sign = 0;
-            if (choice === "good") sign = +1;
-            else if (choice === "bad") sign = -1;
-            elements_pairs.push([km, sign]);
-            if (sign > 0) pos_km.push(km);
-            else if (sign < 0) neg_km.push(km);
-            else neu_km.push(km);
-        }
-        return { elements_pairs, pos_km, neg_km, neu_km };
-    };
-})();
@@ -0,0 +1,463 @@
+/**
+ * @file network.js
+ * @description Walking distances over a local street/path graph, plus the small
+ * walking panel shown in the data panel. Everything except `createWalkPanel` is
+ * DOM-free (it runs in the browser and in Node, see tools/score_location.mjs).
+ *
+ * Graph formats (served at /walkgraph, see app.py):
+ *  - Compact:  { nodes: [[lon, lat], …], edges: [[from, to, length_m?], …] }
+ *              edges are undirected; a missing length is the straight-line length
+ *  - GeoJSON:  FeatureCollection of LineString / MultiLineString ways (e.g. an OSM
+ *              extract exported with osmtogeojson or ogr2ogr); vertices with the same
+ *              coordinates become shared intersections. Ways tagged `foot=no` or
+ *              `highway=motorway|trunk` (and their links) are skipped.
+ *
+ * Distances:
+ *  - Points are snapped to their nearest graph node; the straight-line snap
+ *    distance at both ends is added to the shortest path (Dijkstra) between nodes.
+ *  - Searches can stop at a maximum distance; anything farther is unreachable (Infinity).
+ *  - A walk is never shorter than the straight line, so the walk filters only snap
+ *    the elements inside the straight-line box around the origin.
+ *
+ * Used by:
+ * - `bundle.js` (network element/transit distances and walk-time isochrones)
+ * - `main.js` (graph loading, walking panel, isochrone outline)
+ */
+
+import { haversineMeters, pointInPolygon, toPolygonFeature } from "./geo.js";
+import { boxAround, forEachRingCell, pointIndexFor, polygonIndexFor } from "./spatial_index.js";
+import { el } from "./utils.js";
+
+/** Walking speed in meters per minute (4.8 km/h). */
+export const WALK_M_PER_MIN = 80;
+
+/** Snap grid cell size in degrees (~550 m north–south). */
+const GRID_DEG = 0.005;
+
+/** Meters per degree of latitude. */
+const M_PER_DEG = 111320;
+
+/** Grid rings searched when snapping before falling back to a linear scan. */
+const MAX_RINGS = 32;
+
+/** Highway classes pedestrians cannot use. */
+const NO_FOOT_HIGHWAYS = new Set(["motorway", "motorway_link", "trunk", "trunk_link"]);
+
+/**
+ * @typedef {Object} NetworkReach
+ * @property {{lat:number, lon:number}} origin
+ * @property {number} snap_m Straight-line distance from the origin to its graph node
+ * @property {Float64Array} dist Walking distance from the origin to every node (Infinity when unreached)
+ * @property {number} max_m Search limit in meters
+ */
+
+/**
+ * Read either graph format into node coordinates and an undirected edge list.
+ * @param {any} raw
+ * @returns {{lon:Float64Array, lat:Float64Array, edges:Array<[number, number, number]>}}
+ */
+function readGraph(raw) {
+    const coords = [], edges = [];
+
+    // Compact form: node list + edge list
+    if (Array.isArray(raw?.nodes) && Array.isArray(raw?.edges)) {
+        raw.nodes.forEach(([lon, lat]) => coords.push([Number(lon), Number(lat)]));
+        for (const [a, b, len] of raw.edges) {
+            if (!coords[a] || !coords[b] || a === b) continue;
+            const w = Number(len);
+            edges.push([a, b, Number.isFinite(w) && w >= 0 ? w : haversineMeters(coords[a][1], coords[a][0], coords[b][1], coords[b][0])]);
+        }
+    }
+
+    // GeoJSON ways: merge vertices by rounded coordinates
+    else if (raw?.type === "FeatureCollection") {
+        const ids = new Map();
+        const nodeId = ([lon, lat]) => {
+            const key = `${Number(lon).toFixed(7)},${Number(lat).toFixed(7)}`;
+            if (!ids.has(key)) {
+                ids.set(key, coords.length);
+                coords.push([Number(lon), Number(lat)]);
+            }
+            return ids.get(key);
+        };
+        for (const f of raw.features ?? []) {
+            const props = f?.properties ?? {};
+            if (props.foot === "no" || NO_FOOT_HIGHWAYS.has(props.highway)) continue;
+            const g = f?.geometry;
+            const lines = g?.type === "LineString" ? [g.coordinates] : g?.type === "MultiLineString" ? g.coordinates : [];
+            for (const line of lines) {
+                for (let i = 0; i < (line?.length ?? 0) - 1; i++) {
+                    const a = nodeId(line[i]), b = nodeId(line[i + 1]);
+                    if (a !== b) edges.push([a, b, haversineMeters(coords[a][1], coords[a][0], coords[b][1], coords[b][0])]);
+                }
+            }
+        }
+    }
+    else {
+        throw new Error("walking graph must be { nodes, edges } or a GeoJSON FeatureCollection of lines");
+    }
+
+    return {
+        lon: Float64Array.from(coords, c => c[0]),
+        lat: Float64Array.from(coords, c => c[1]),
+        edges,
+    };
+}
+
+/**
+ * Minimal binary min-heap of (distance, node) pairs for Dijkstra.
+ */
+class MinHeap {
+    constructor() {
+        this.keys = [];
+        this.nodes = [];
+    }
+
+    /** Number of queued entries. */
+    get size() {
+        return this.keys.length;
+    }
+
+    /**
+     * Queue a node with its tentative distance.
+     * @param {number} key
+     * @param {number} node
+     */
+    push(key, node) {
+        const { keys, nodes } = this;
+        let i = keys.length;
+        keys.push(key);
+        nodes.push(node);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (keys[parent] <= key) break;
+            keys[i] = keys[parent]; nodes[i] = nodes[parent];
+            i = parent;
+        }
+        keys[i] = key; nodes[i] = node;
+    }
+
+    /**
+     * Remove the entry with the smallest distance.
+     * @returns {[number, number]} [distance, node]
+     */
+    pop() {
+        const { keys, nodes } = this;
+        const top = [keys[0], nodes[0]];
+        const lastKey = keys.pop(), lastNode = nodes.pop();
+        if (keys.length) {
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1, r = l + 1;
+                let m = i, mKey = lastKey;
+                if (l < keys.length && keys[l] < mKey) { m = l; mKey = keys[l]; }
+                if (r < keys.length && keys[r] < mKey) { m = r; mKey = keys[r]; }
+                if (m === i) break;
+                keys[i] = keys[m]; nodes[i] = nodes[m];
+                i = m;
+            }
+            keys[i] = lastKey; nodes[i] = lastNode;
+        }
+        return top;
+    }
+}
+
+/**
+ * Street/path graph with nearest-node snapping and shortest walking distances.
+ */
+export class WalkGraph {
+    /**
+     * @param {any} raw Graph in either supported format (see file header)
+     * @throws {Error} on an unsupported format
+     */
+    constructor(raw) {
+        const { lon, lat, edges } = readGraph(raw);
+        this.lon = lon;
+        this.lat = lat;
+
+        // Adjacency in compressed rows: neighbors of node i are adj[start[i] … start[i+1])
+        const n = lon.length;
+        const degree = new Uint32Array(n + 1);
+        for (const [a, b] of edges) { degree[a + 1]++; degree[b + 1]++; }
+        for (let i = 0; i < n; i++) degree[i + 1] += degree[i];
+        this._start = degree;
+        this._adj = new Uint32Array(degree[n]);
+        this._len = new Float64Array(degree[n]);
+        const fill = degree.slice(0, n);
+        for (const [a, b, w] of edges) {
+            this._adj[fill[a]] = b; this._len[fill[a]++] = w;
+            this._adj[fill[b]] = a; this._len[fill[b]++] = w;
+        }
+
+        /**
+         * "row,col" grid cell → node indices (snapping)
+         * @type {Map<string, number[]>}
+         */
+        this._grid = new Map();
+        this._gridExtent = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity };
+        for (let i = 0; i < n; i++) {
+            if (this._start[i + 1] === this._start[i]) continue; // isolated nodes are never snapped to
+            const row = Math.floor(lat[i] / GRID_DEG), col = Math.floor(lon[i] / GRID_DEG);
+            const key = `${row},${col}`;
+            if (!this._grid.has(key)) this._grid.set(key, []);
+            this._grid.get(key).push(i);
+            const x = this._gridExtent;
+            x.minRow = Math.min(x.minRow, row); x.maxRow = Math.max(x.maxRow, row);
+            x.minCol = Math.min(x.minCol, col); x.maxCol = Math.max(x.maxCol, col);
+        }
+    }
+
+    /** Number of graph nodes (0 for an empty graph). */
+    get size() {
+        return this._grid.size ? this.lon.length : 0;
+    }
+
+    /**
+     * The graph in compact form with every edge length set, e.g. to rebuild it in a
+     * Web Worker (`new WalkGraph(graph.toCompact())`).
+     * @returns {{nodes:Array<[number, number]>, edges:Array<[number, number, number]>}}
+     */
+    toCompact() {
+        const nodes = [], edges = [];
+        for (let u = 0; u < this.lon.length; u++) {
+            nodes.push([this.lon[u], this.lat[u]]);
+            for (let k = this._start[u]; k < this._start[u + 1]; k++) {
+                if (u < this._adj[k]) edges.push([u, this._adj[k], this._len[k]]);
+            }
+        }
+        return { nodes, edges };
+    }
+
+    /**
+     * Nearest connected node to a location, searched ring by ring on the snap grid
+     * (every node is measured once when the location is far from the graph).
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {{node:number, distance_m:number}|null} null for an empty graph
+     */
+    nearestNode(lat, lon) {
+        if (!this.size || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+        const row0 = Math.floor(lat / GRID_DEG), col0 = Math.floor(lon / GRID_DEG);
+        const x = this._gridExtent;
+        const maxRing = Math.max(row0 - x.minRow, x.maxRow - row0, col0 - x.minCol, x.maxCol - col0, 0);
+
+        // Smallest cell side in meters (east–west shrinks with latitude)
+        const cellM = GRID_DEG * M_PER_DEG * Math.max(0.01, Math.cos(lat * Math.PI / 180));
+
+        let best = null;
+        const measure = (i) => {
+            const d = haversineMeters(lat, lon, this.lat[i], this.lon[i]);
+            if (!best || d < best.distance_m) best = { node: i, distance_m: d };
+        };
+        for (let ring = 0; ring <= Math.min(maxRing, MAX_RINGS); ring++) {
+            // Cells on this ring's border
+            forEachRingCell(row0, col0, ring, (row, col) => this._grid.get(`${row},${col}`)?.forEach(measure));
+
+            // Anything on later rings is at least `ring` full cells away
+            if (best && ring * cellM >= best.distance_m) return best;
+        }
+        if (maxRing <= MAX_RINGS) return best;
+
+        // Far from the graph: measure every connected node once
+        best = null;
+        for (const ids of this._grid.values()) ids.forEach(measure);
+        return best;
+    }
+
+    /**
+     * Shortest walking distances from a location to every node (Dijkstra),
+     * stopping at `maxM`. The origin's snap distance is included.
+     * @param {{lat:number, lon:number}} origin
+     * @param {number} [maxM=Infinity] Search limit in meters
+     * @returns {NetworkReach}
+     */
+    distancesFrom(origin, maxM = Infinity) {
+        const dist = new Float64Array(this.lon.length).fill(Infinity);
+        const snap = this.nearestNode(origin.lat, origin.lon);
+        const reach = { origin, snap_m: snap?.distance_m ?? Infinity, dist, max_m: maxM };
+        if (!snap || snap.distance_m > maxM) return reach;
+
+        // Dijkstra from the snapped node
+        const heap = new MinHeap();
+        dist[snap.node] = snap.distance_m;
+        heap.push(snap.distance_m, snap.node);
+        while (heap.size) {
+            const [d, u] = heap.pop();
+            if (d > dist[u]) continue;
+            for (let k = this._start[u]; k < this._start[u + 1]; k++) {
+                const v = this._adj[k];
+                const nd = d + this._len[k];
+                if (nd < dist[v] && nd <= maxM) {
+                    dist[v] = nd;
+                    heap.push(nd, v);
+                }
+            }
+        }
+        return reach;
+    }
+
+    /**
+     * Walking distance from the reach origin to a location: shortest path to the
+     * location's nearest node plus the straight-line snap at that end.
+     * @param {NetworkReach} reach From {@link distancesFrom}
+     * @param {{lat:number, lon:number}} point
+     * @returns {number} Meters (Infinity when unreachable within `reach.max_m`)
+     */
+    distanceTo(reach, point) {
+        const snap = this.nearestNode(point.lat, point.lon);
+        if (!snap) return Infinity;
+        const d = reach.dist[snap.node] + snap.distance_m;
+        return d <= reach.max_m ? d : Infinity;
+    }
+
+    /**
+     * Nodes reached within a distance (e.g., the isochrone), as `[lon, lat]` pairs.
+     * @param {NetworkReach} reach
+     * @param {number} [maxM=reach.max_m]
+     * @returns {Array<[number, number]>}
+     */
+    reachedNodes(reach, maxM = reach.max_m) {
+        const out = [];
+        reach.dist.forEach((d, i) => {
+            if (d <= maxM) out.push([this.lon[i], this.lat[i]]);
+        });
+        return out;
+    }
+}
+
+/**
+ * Cells of a grid over the reached area whose walking distance is within `maxM`
+ * (an isochrone raster for display).
+ * @param {WalkGraph} graph
+ * @param {NetworkReach} reach
+ * @param {number} maxM
+ * @param {number} [cellM=40] Cell size in meters
+ * @returns {{dLat:number, dLon:number, cells:Array<{lat:number, lon:number}>}}
+ */
+export function isochroneGrid(graph, reach, maxM, cellM = 40) {
+    const nodes = graph.reachedNodes(reach, maxM);
+    if (!nodes.length) return { dLat: 0, dLon: 0, cells: [] };
+
+    // Box around the reached nodes, padded by one cell
+    let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+    for (const [lon, lat] of nodes) {
+        south = Math.min(south, lat); north = Math.max(north, lat);
+        west = Math.min(west, lon); east = Math.max(east, lon);
+    }
+    const dLat = cellM / M_PER_DEG;
+    const dLon = dLat / Math.max(0.01, Math.cos(((south + north) / 2) * Math.PI / 180));
+    south -= dLat; west -= dLon; north += dLat; east += dLon;
+
+    // Keep the cells whose centers are within walking distance
+    const cells = [];
+    for (let lat = south + dLat / 2; lat < north; lat += dLat) {
+        for (let lon = west + dLon / 2; lon < east; lon += dLon) {
+            if (graph.distanceTo(reach, { lat, lon }) <= maxM) cells.push({ lat, lon });
+        }
+    }
+    return { dLat, dLon, cells };
+}
+
+/**
+ * Filter points to those within walking distance, adding the walking distance as `_distance_m`.
+ * @param {WalkGraph} graph
+ * @param {NetworkReach} reach
+ * @param {Array<any>} points Input points (supports {lat,lon} or {latitude,longitude})
+ * @param {number} [maxM=reach.max_m]
+ * @returns {Array<any & {_distance_m:number}>}
+ */
+export function filterPointsByWalk(graph, reach, points, maxM = reach.max_m) {
+    const { origin } = reach;
+    const index = pointIndexFor(points);
+    const ids = Number.isFinite(maxM) ? index.search(boxAround(origin, maxM)) : points.map((p, id) => id);
+
+    // Snap only the points within straight-line reach
+    const out = [];
+    for (const id of ids) {
+        const { lat, lon } = index.coords[id];
+        if (!(haversineMeters(origin.lat, origin.lon, lat, lon) <= maxM)) continue;
+        const d = graph.distanceTo(reach, { lat, lon });
+        if (d <= maxM) out.push({ ...points[id], _distance_m: d });
+    }
+    return out;
+}
+
+/**
+ * Filter polygons (custom schema or Feature) to those the isochrone touches:
+ * a reached node lies inside, or a polygon vertex is within walking distance.
+ * Returns **GeoJSON Features**, like `filterPolygonsInRadius` (geo.js).
+ * @param {WalkGraph} graph
+ * @param {NetworkReach} reach
+ * @param {Array<any>} polygons
+ * @param {number} [maxM=reach.max_m]
+ * @returns {Array<import("geojson").Feature<import("geojson").Polygon>>}
+ */
+export function filterPolygonsByWalk(graph, reach, polygons, maxM = reach.max_m) {
+    const { origin } = reach;
+    const nodes = graph.reachedNodes(reach, maxM);
+    const index = polygonIndexFor(polygons, toPolygonFeature);
+    const ids = Number.isFinite(maxM) ? index.search(boxAround(origin, maxM)) : index.features.map((f, id) => id);
+    const within = ([lon, lat]) => haversineMeters(origin.lat, origin.lon, lat, lon) <= maxM && graph.distanceTo(reach, { lat, lon }) <= maxM;
+    return ids.filter((id) => {
+        const f = index.features[id];
+        const ring = f.geometry.coordinates?.[0] ?? [];
+        if (ring.some(within)) return true;
+
+        // Reached nodes inside the polygon (bbox first)
+        const box = index.boxes[id];
+        return Boolean(box) && nodes.some(v => v[1] >= box.south && v[1] <= box.north && v[0] >= box.west && v[0] <= box.east && pointInPolygon(v, f.geometry));
+    }).map((id) => index.features[id]);
+}
+
+/**
+ * Short description of the walking settings a bundle was built with (`bundle.network`).
+ * @param {{walking:boolean, isochrone_m:number|null, origin_snap_m:number|null, unreachable:number}} info
+ * @returns {string} e.g. "within 10 min walk · 2 elements not reachable on foot"
+ */
+export function describeNetwork(info) {
+    const parts = [info.isochrone_m
+        ? `within ${Math.round(info.isochrone_m / WALK_M_PER_MIN)} min walk (${Math.round(info.isochrone_m)} m)`
+        : info.walking ? "walking distances" : "straight-line distances (from area boundary)"];
+    if (info.unreachable) parts.push(`${info.unreachable} element${info.unreachable === 1 ? "" : "s"} not reachable on foot`);
+    if (info.origin_snap_m > 100) parts.push(`nearest street ${Math.round(info.origin_snap_m)} m away`);
+    return parts.join(" · ");
+}
+
+/* ---------- Panel ---------- */
+
+/**
+ * Build the Walking panel: straight-line vs. walking-network distances and an
+ * optional walk-time isochrone that replaces the circle / area.
+ *
+ * @param {{network:boolean, minutes:number}} settings
+ * @param {boolean} available Whether a walking graph was loaded
+ * @param {(settings:{network:boolean, minutes:number})=>void} onChange
+ * @returns {HTMLDivElement}
+ */
+export function createWalkPanel(settings, available, onChange) {
+    const panel = el("div", "bar walk-bar");
+    if (!available) {
+        panel.innerHTML = `<p class="bar-label"><strong>Walking</strong> <span class="small">no street graph loaded — distances are straight-line</span></p>`;
+        return panel;
+    }
+    panel.innerHTML = `
+        <p class="bar-label"><strong>Walking</strong></p>
+        <label class="small"><input type="checkbox" name="network"${settings.network ? " checked" : ""}> network distances</label>
+        <label class="small"><input type="checkbox" name="iso"${settings.minutes > 0 ? " checked" : ""}> area = within
+            <input type="number" name="minutes" class="walk-minutes" min="1" max="120" step="1" value="${settings.minutes > 0 ? settings.minutes : 10}"> min walk</label>`;
+
+    // Report the combined settings (an isochrone implies network distances)
+    const form = {
+        network: panel.querySelector("[name=network]"),
+        iso: panel.querySelector("[name=iso]"),
+        minutes: panel.querySelector("[name=minutes]"),
+    };
+    const emit = () => {
+        const minutes = form.iso.checked ? Math.max(1, Math.min(120, Math.round(Number(form.minutes.value) || 10))) : 0;
+        if (minutes) form.network.checked = true;
+        onChange({ network: form.network.checked, minutes });
+    };
+    Object.values(form).forEach(input => input.addEventListener("change", emit));
+    panel.addEventListener("click", (e) => e.stopPropagation());
+    return panel;
+}
@@ -0,0 +1,73 @@
+/**
+ * @file percentile.js
+ * @description Percentile ranking of a habitability score against the dataset area.
+ * Scores a grid of sample centers over the covered extent (same preferences,
+ * weights, profile and radius as the selected location) and caches the
+ * resulting distribution per settings key, so re-generating with unchanged
+ * settings is instant. The scoring itself is handed in by the caller (main.js
+ * runs it in a Web Worker, see heatmap.js), so distributions arrive asynchronously.
+ *
+ * Exports:
+ *  - getScoreDistribution: cached sampled distribution (sorted scores)
+ *  - percentileOf: share of the sampled area that scores below a value
+ *  - clearDistributionCache
+ */
+
+/**
+ * settings key → sorted sample scores (pending while the samples are scored)
+ * @type {Map<string, Promise<number[]>>}
+ */
+const cache = new Map();
+
+/** Keep the cache small; oldest entries are evicted first. */
+const CACHE_LIMIT = 12;
+
+/**
+ * Return the sampled score distribution for a settings key, computing it on a miss.
+ * Requests for a key that is still being scored share the pending run; a run that
+ * fails (or is cancelled) is dropped from the cache so the next request retries.
+ *
+ * @param {string} key Stable key for the settings the distribution depends on
+ * @param {()=>Array<{lat:number, lon:number}>} sampleCenters Builds the sample centers (only called on a miss)
+ * @param {(centers:Array<{lat:number, lon:number}>)=>Promise<number[]>|number[]} scoreCenters
+ *        Scores every center (0–100, same order)
+ * @returns {Promise<number[]>} Scores sorted ascending
+ */
+export function getScoreDistribution(key, sampleCenters, scoreCenters) {
+    if (cache.has(key)) return cache.get(key);
+
+    // Score every sample and sort for percentile lookups
+    const run = Promise.resolve()
+        .then(() => scoreCenters(sampleCenters()))
+        .then(scores => scores.filter(Number.isFinite).sort((a, b) => a - b));
+    run.catch(() => { if (cache.get(key) === run) cache.delete(key); });
+
+    // Store (evicting the oldest entry when full)
+    if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+    cache.set(key, run);
+    return run;
+}
+
+/**
+ * Percentile of a score within a sorted distribution: the share of samples
+ * strictly below it plus half of any ties (0–100).
+ *
+ * @param {number} score
+ * @param {number[]} sorted Scores sorted ascending
+ * @returns {number|null} Percentile, or null when the distribution is empty
+ */
+export function percentileOf(score, sorted) {
+    if (!sorted?.length) return null;
+    let below = 0, ties = 0;
+    for (const v of sorted) {
+        if (v < score - 1e-9) below++;
+        else if (v <= score + 1e-9) ties++;
+        else break;
+    }
+    return 100 * (below + ties / 2) / sorted.length;
+}
+
+/** Drop every cached distribution (e.g., after the dataset changes). */
+export function clearDistributionCache() {
+    cache.clear();
+}
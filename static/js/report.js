@@ -0,0 +1,235 @@
+/**
+ * @file report.js
+ * @description Export builders for a generated habitability score. Every builder
+ * returns a **string** (no DOM access), ready to download or open in a new tab:
+ *  - reportHTML:    standalone, print-ready HTML report with an SVG map snapshot
+ *  - elementsCSV:   in-radius elements with distances and preferences
+ *  - reportGeoJSON: FeatureCollection of the circle (or AOI), in-radius points and intersecting polygons
+ *
+ * The map snapshot is drawn from the bundle itself (polygons, circle or AOI, points),
+ * so it needs no tile server and prints cleanly.
+ */
+
+import { circleRing, projectLocal } from "./geo.js";
+import { explainScore } from "./hab_score.js";
+import { WEIGHT_LABELS } from "./scoring_profile.js";
+import { describeRule } from "./dealbreakers.js";
+import { colorForKey, escapeHTML, PREFERENCE_MAX } from "./utils.js";
+import { describeNearest } from "./geocoder.js";
+import { aoiRings, describeAOI } from "./aoi.js";
+import { describeNetwork } from "./network.js";
+import { describeZoneMix } from "./aspects.js";
+import { describeSurface } from "./surface.js";
+
+/** Snapshot size in CSS pixels. */
+const SNAPSHOT_SIZE = 360;
+
+/** Aspect fields in report order, with labels. */
+const ASPECT_ROWS = [
+    ["air", "Air quality index"],
+    ["crime", "Crime rate"],
+    ["rent", "Median rent"],
+    ["school", "School quality"],
+];
+
+/**
+ * Format a preference strength (-1…1) back into the -3…+3 scale.
+ * @param {number} sign
+ * @returns {string}
+ */
+const prefLabel = (sign) => {
+    const v = Math.round(sign * PREFERENCE_MAX);
+    return v > 0 ? `+${v}` : String(v);
+};
+
+/**
+ * Escape one CSV field.
+ * @param {any} v
+ * @returns {string}
+ */
+function csvField(v) {
+    const s = String(v ?? "");
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV of the in-radius elements: name, type, latitude, longitude, distance_m, preference.
+ * @param {Object} bundle Bundle from buildHabBundle
+ * @returns {string}
+ */
+export function elementsCSV(bundle) {
+    const rows = bundle.channels.elements
+        .map(e => [e.name, e.type, e.latitude, e.longitude, Math.round(e.distance_km * 1000), prefLabel(e.sign)])
+        .sort((a, b) => a[4] - b[4]);
+    return [["name", "type", "latitude", "longitude", "distance_m", "preference"], ...rows]
+        .map(r => r.map(csvField).join(","))
+        .join("\r\n") + "\r\n";
+}
+
+/**
+ * Outline rings of the analyzed area: every AOI shape, or the circle.
+ * @param {Object} bundle
+ * @returns {Array<Array<[number, number]>>}
+ */
+function areaRings(bundle) {
+    return bundle.aoi ? aoiRings(bundle.aoi) : [circleRing(bundle.center, bundle.radius_m)];
+}
+
+/**
+ * GeoJSON FeatureCollection of the analysis: the circle (as a polygon with
+ * center/radius properties) or the AOI (a MultiPolygon plus its anchor point),
+ * every in-radius point and every intersecting polygon.
+ * @param {Object} bundle Bundle from buildHabBundle
+ * @returns {string} JSON
+ */
+export function reportGeoJSON(bundle) {
+    const area = bundle.aoi
+        ? [{
+            type: "Feature",
+            properties: { kind: "aoi", distance_from: bundle.aoi.distance_from, circles: bundle.aoi.circles.length, polygons: bundle.aoi.rings.length },
+            geometry: { type: "MultiPolygon", coordinates: areaRings(bundle).map(ring => [ring]) },
+        }, {
+            type: "Feature",
+            properties: { kind: "anchor", anchor: true },
+            geometry: { type: "Point", coordinates: [bundle.center.lon, bundle.center.lat] },
+        }]
+        : [{
+            type: "Feature",
+            // An isochrone exports its straight-line bound (every reachable place lies inside)
+            properties: { kind: bundle.network?.isochrone_m ? "walk_bound" : "circle", center_lat: bundle.center.lat, center_lon: bundle.center.lon, radius_m: bundle.radius_m },
+            geometry: { type: "Polygon", coordinates: [circleRing(bundle.center, bundle.radius_m)] },
+        }];
+    const points = bundle.channels.elements.map(e => ({
+        type: "Feature",
+        properties: { kind: "element", name: e.name, type: e.type, distance_m: Math.round(e.distance_km * 1000), preference: Math.round(e.sign * PREFERENCE_MAX) },
+        geometry: { type: "Point", coordinates: [e.longitude, e.latitude] },
+    }));
+    const polygons = bundle.filtered.polygons.map((f) => {
+        // Custom records keep extra fields (zone_type…) on the source record
+        const { type, coordinates, ...sourceProps } = f.__source ?? {};
+        return {
+            type: "Feature",
+            properties: { kind: "zone", ...sourceProps, ...(f.properties ?? {}) },
+            geometry: f.geometry,
+        };
+    });
+    return JSON.stringify({ type: "FeatureCollection", features: [...area, ...points, ...polygons] }, null, 2);
+}
+
+/**
+ * SVG map snapshot: intersecting zones (by aspect color), the circle or AOI, the center (anchor)
+ * and each element (green liked / red disliked / grey neutral).
+ * @param {Object} bundle
+ * @returns {string} SVG markup
+ */
+export function mapSnapshotSVG(bundle) {
+    const { lat, lon } = bundle.center;
+    const half = Math.max(bundle.radius_m * 1.15, 50);
+    const scale = (SNAPSHOT_SIZE / 2) / half;
+    const xy = (la, lo) => {
+        const p = projectLocal(lat, lon, la, lo);
+        return `${(SNAPSHOT_SIZE / 2 + p.x * scale).toFixed(1)},${(SNAPSHOT_SIZE / 2 - p.y * scale).toFixed(1)}`;
+    };
+
+    // Zones (clipped to the frame)
+    const zones = bundle.filtered.polygons.map((f) => {
+        const aspect = f.properties?.aspect ?? "unknown";
+        const color = colorForKey(aspect);
+        return (f.geometry?.coordinates ?? []).map(ring =>
+            `<polygon points="${ring.map(([x, y]) => xy(y, x)).join(" ")}" fill="${color}" fill-opacity="0.12" stroke="${color}" stroke-width="1"><title>${escapeHTML(aspect)}</title></polygon>`).join("");
+    }).join("");
+
+    // Circle (or AOI shapes), elements, center
+    const circle = areaRings(bundle).map(ring =>
+        `<polygon points="${ring.map(([x, y]) => xy(y, x)).join(" ")}" fill="#3388ff" fill-opacity="0.08" stroke="#3388ff" stroke-width="2"/>`).join("");
+    const dots = bundle.channels.elements.map((e) => {
+        const [cx, cy] = xy(e.latitude, e.longitude).split(",");
+        const fill = e.sign > 0 ? "#1d7a35" : e.sign < 0 ? "#b3261e" : "#888";
+        return `<circle cx="${cx}" cy="${cy}" r="4" fill="${fill}" stroke="white"><title>${escapeHTML(e.name)} (${escapeHTML(e.type)})</title></circle>`;
+    }).join("");
+    const [ccx, ccy] = xy(lat, lon).split(",");
+    const center = `<circle cx="${ccx}" cy="${ccy}" r="5" fill="#3388ff" stroke="white" stroke-width="2"/>`;
+
+    return `<svg class="snapshot" viewBox="0 0 ${SNAPSHOT_SIZE} ${SNAPSHOT_SIZE}" width="${SNAPSHOT_SIZE}" height="${SNAPSHOT_SIZE}" xmlns="http://www.w3.org/2000/svg">` +
+        `<defs><clipPath id="frame"><rect width="${SNAPSHOT_SIZE}" height="${SNAPSHOT_SIZE}"/></clipPath></defs>` +
+        `<rect width="${SNAPSHOT_SIZE}" height="${SNAPSHOT_SIZE}" fill="#f4f1ea"/><g clip-path="url(#frame)">${zones}${circle}${dots}${center}</g></svg>`;
+}
+
+/**
+ * Standalone, print-ready HTML report.
+ * @param {Object} bundle Bundle from buildHabBundle
+ * @param {Object} result Score result (scoreBundle)
+ * @param {{title?:string, subtitle?:string}} [meta]
+ * @returns {string} HTML document
+ */
+export function reportHTML(bundle, result, meta = {}) {
+    const { components } = explainScore(bundle, result);
+    const title = meta.title ?? `Habitability report — ${bundle.address ? `near ${bundle.address.address}` : `${bundle.center.lat.toFixed(5)}, ${bundle.center.lon.toFixed(5)}`}`;
+    const val = (info) => (info?.out_of_bounds ? null : (info?.value ?? null));
+
+    const componentRows = components.map(c =>
+        `<tr><td>${escapeHTML(c.label)}</td><td>${c.utility.toFixed(3)}</td><td>×${c.weight.toFixed(1)}</td><td>${c.points.toFixed(2)} / ${c.max_points.toFixed(2)}</td></tr>`).join("");
+    const aspectRows = ASPECT_ROWS.map(([key, label]) => {
+        const info = bundle.aspects[key];
+        const source = info?.out_of_bounds ? "no data"
+            : info?.source === "area" ? describeZoneMix(info)
+            : info?.source === "near_single_zone" ? `nearest zone (${Math.round(info.distance_to_boundary_m ?? 0)} m away)`
+            : "zone at center";
+        const smooth = info?.surface && !info.out_of_bounds ? ` · ${describeSurface(bundle.aspect_mode)}` : "";
+        const zone = info?.polygon?.properties?.zone_type ?? info?.polygon?.properties?.zone ?? "";
+        return `<tr><td>${label}</td><td>${val(info) ?? "—"}</td><td>${escapeHTML(zone)}</td><td>${escapeHTML(source + smooth)}</td></tr>`;
+    }).join("");
+    const transit = bundle.channels.transit_km.length ? `${Math.min(...bundle.channels.transit_km).toFixed(2)} km` : "—";
+    const elementRows = [...bundle.channels.elements]
+        .sort((a, b) => a.distance_km - b.distance_km)
+        .map(e => `<tr><td>${escapeHTML(e.name)}</td><td>${escapeHTML(e.type)}</td><td>${Math.round(e.distance_km * 1000)}</td><td>${prefLabel(e.sign)}</td></tr>`).join("");
+    const failed = (result.failed_rules ?? []).map(o =>
+        `<li>${escapeHTML(describeRule(o.rule))} — ${escapeHTML(o.detail)}</li>`).join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 20px 0 6px; border-bottom: 1px solid #ccc; }
+  .meta { color: #555; font-size: 13px; }
+  .score { font-size: 36px; font-weight: bold; }
+  .flag { color: #b3261e; font-weight: bold; }
+  .top { display: flex; gap: 24px; align-items: flex-start; }
+  table { border-collapse: collapse; font-size: 13px; }
+  th, td { padding: 3px 8px; border-bottom: 1px solid #eee; text-align: left; }
+  .print { margin: 12px 0; }
+  @media print { .print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<div class="meta">${meta.subtitle ? `${escapeHTML(meta.subtitle)} · ` : ""}${bundle.address ? `${bundle.center.lat.toFixed(5)}, ${bundle.center.lon.toFixed(5)} (nearest address ${escapeHTML(describeNearest(bundle.address))}) · ` : ""}${bundle.network?.isochrone_m ? "" : bundle.aoi ? `Area ${escapeHTML(describeAOI(bundle.aoi))} · ` : `Radius ${Math.round(bundle.radius_m)} m · `}${bundle.network ? `Walking: ${escapeHTML(describeNetwork(bundle.network))} · ` : ""}Profile ${escapeHTML(result.profile)} · Generated ${new Date().toLocaleString()}</div>
+<button class="print" onclick="window.print()">Print / Save as PDF</button>
+<div class="top">
+  ${mapSnapshotSVG(bundle)}
+  <div>
+    <div class="score">${result.Score.toFixed(1)} / 100</div>
+    ${result.disqualified ? `<div class="flag">Disqualified by a dealbreaker</div>` : ""}
+    ${result.Score_uncapped != null && !result.disqualified ? `<div class="flag">Capped (uncapped ${result.Score_uncapped.toFixed(1)})</div>` : ""}
+    <div>Confidence: ${result.confidence.level} (${Math.round(result.confidence.value * 100)}%)</div>
+    <div>Weights: ${Object.entries(result.weights).map(([k, w]) => `${WEIGHT_LABELS[k] ?? k} ×${w.toFixed(1)}`).join(", ")}</div>
+    ${failed ? `<h2>Failed dealbreakers</h2><ul>${failed}</ul>` : ""}
+  </div>
+</div>
+<h2>Components</h2>
+<table><thead><tr><th>Component</th><th>Utility</th><th>Weight</th><th>Points</th></tr></thead><tbody>${componentRows}</tbody></table>
+<h2>Raw aspect values</h2>
+<table><thead><tr><th>Aspect</th><th>Value</th><th>Zone</th><th>Source</th></tr></thead><tbody>${aspectRows}
+<tr><td>Nearest transit</td><td>${transit}</td><td></td><td>${bundle.channels.transit_points ? "transit points" : "transit zones"}</td></tr></tbody></table>
+<h2>Elements inside the ${bundle.network?.isochrone_m ? "walk area" : bundle.aoi ? "area" : "radius"} (${bundle.channels.elements.length})</h2>
+${elementRows
+    ? `<table><thead><tr><th>Name</th><th>Type</th><th>Distance (m)</th><th>Preference</th></tr></thead><tbody>${elementRows}</tbody></table>`
+    : "<p>None.</p>"}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,316 @@
+/**
+ * @file scoring_profile.js
+ * @description Scoring profiles: per-aspect utility curves for the habitability scorer.
+ * A profile picks a curve family, its parameters and a direction for each aspect,
+ * so `score_v3` no longer hard-codes how raw stats map to utilities.
+ *
+ * Profile shape (JSON, see static/data/profiles/*.json):
+ *   {
+ *     name: "default",
+ *     aspects: {
+ *       air:    { curve: "log",      direction: "lower",  params: { scale: 1 } },
+ *       rent:   { curve: "linear",   direction: "lower",  params: { min: 1500, max: 6000 } },
+ *       crime:  { curve: "logistic", direction: "lower",  params: { midpoint: 4.5, steepness: 1.5 } },
+ *       school: { curve: "step",     direction: "higher", params: { thresholds: [{ at: 6, value: 0.5 }, { at: 8, value: 1 }] } }
+ *     }
+ *   }
+ *
+ * Curve families (all return a utility in [0,1]):
+ *  - linear:   clamp((x - min) / (max - min)); "lower" flips it.
+ *  - log:      1 / (1 + ln(1 + x / scale)) for "lower"; 1 minus that for "higher".
+ *  - logistic: 1 / (1 + e^{-steepness·(x - midpoint)}) for "higher"; 1 minus that for "lower".
+ *  - step:     value of the highest threshold with `at` ≤ x, else `below`
+ *              (direction only picks the default `below`: 0 for "higher", 1 for "lower").
+ *
+ * Distance decay (optional `decay` section) sets the kernel and ρ (max influence)
+ * used by the saturating aggregators, per channel and per element type:
+ *   decay: {
+ *     transit:  { kernel: "exponential", half_km: 0.693, rho: 1.0 },
+ *     elements: { kernel: "exponential", half_km: 0.693, rho: 0.6 },
+ *     types:    { grocery: { kernel: "linear", cutoff_km: 1.0 } }   // inherits missing fields from `elements`
+ *   }
+ *
+ * Kernels (distance d in km → weight in [0,1]):
+ *  - exponential: 2^{-d / half_km}   (half_km = ln 2 reproduces the original e^{-d})
+ *  - gaussian:    e^{-d² / (2·sigma_km²)}
+ *  - linear:      max(0, 1 - d / cutoff_km)
+ *  - step:        1 if d ≤ cutoff_km, else 0
+ *
+ * An optional `dealbreakers` array seeds the hard-constraint rules (see dealbreakers.js).
+ * An optional `aspect_values` section, e.g. { aggregate: "mean", overlap: "max" } or
+ * { surface: "kernel", bandwidth_m: 400 }, sets how aspect values are read from the
+ * zones (see aspects.js and surface.js).
+ *
+ * Also holds the default per-component weights and their labels (DEFAULT_WEIGHTS,
+ * WEIGHT_LABELS), kept here so DOM-free modules (bundle.js) need not import the renderer.
+ */
+
+/**
+ * Clamp a number into [0,1].
+ * @param {number} x
+ * @returns {number}
+ */
+function clamp01(x){ return Math.max(0, Math.min(1, x)); }
+
+/**
+ * @typedef {Object} CurveSpec
+ * @property {"linear"|"log"|"logistic"|"step"} curve
+ * @property {"higher"|"lower"} direction Which end of the raw value is better
+ * @property {Object} [params] Family-specific parameters
+ */
+
+/**
+ * @typedef {Object} ScoringProfile
+ * @property {string} name
+ * @property {Record<"air"|"crime"|"rent"|"school", CurveSpec>} aspects
+ * @property {string[]} [warnings] Problems found by `normalizeProfile` (each replaced by a default)
+ */
+
+/** Supported curve families. */
+export const CURVE_FAMILIES = Object.freeze(["linear", "log", "logistic", "step"]);
+
+/** Supported decay kernels. */
+export const DECAY_KERNELS = Object.freeze(["exponential", "gaussian", "linear", "step"]);
+
+/**
+ * Built-in decay models reproducing the original e^{-d} kernel with
+ * ρ = 1.0 for transit and ρ = 0.6 for elements.
+ */
+export const DEFAULT_DECAY = Object.freeze({
+    transit:  Object.freeze({ kernel: "exponential", half_km: Math.LN2, rho: 1.0 }),
+    elements: Object.freeze({ kernel: "exponential", half_km: Math.LN2, rho: 0.6 }),
+    types:    Object.freeze({}),
+});
+
+/**
+ * Built-in profile reproducing the original fixed curves
+ * (log "lower is better" for air/crime/rent, linear 0–10 for school).
+ * Used when no profile file is available.
+ * @type {ScoringProfile}
+ */
+export const DEFAULT_PROFILE = Object.freeze({
+    name: "builtin",
+    aspects: Object.freeze({
+        air:    Object.freeze({ curve: "log",    direction: "lower",  params: Object.freeze({ scale: 1 }) }),
+        crime:  Object.freeze({ curve: "log",    direction: "lower",  params: Object.freeze({ scale: 1 }) }),
+        rent:   Object.freeze({ curve: "log",    direction: "lower",  params: Object.freeze({ scale: 1 }) }),
+        school: Object.freeze({ curve: "linear", direction: "higher", params: Object.freeze({ min: 0, max: 10 }) }),
+    }),
+    decay: DEFAULT_DECAY
+});
+
+/**
+ * Default per-component weights (equal blend, matches the original plain mean).
+ * Keys: air, crime, rent, school, transit, pos (liked elements), neg (disliked elements).
+ * @type {Readonly<Record<string, number>>}
+ */
+export const DEFAULT_WEIGHTS = Object.freeze({
+    air: 1, crime: 1, rent: 1, school: 1, transit: 1, pos: 1, neg: 1
+});
+
+/**
+ * Human-readable labels for weight keys (used by the score panel and sliders).
+ * @type {Readonly<Record<string, string>>}
+ */
+export const WEIGHT_LABELS = Object.freeze({
+    air: "Air", crime: "Crime", rent: "Rent", school: "School", transit: "Transit",
+    pos: "Liked", neg: "Disliked"
+});
+
+/**
+ * Build a utility function for a curve spec.
+ * Missing values (null/undefined) are treated as 0, matching the original scorer.
+ * @param {CurveSpec} spec
+ * @returns {(x:?number)=>number} Utility in [0,1]
+ * @throws {Error} on an unknown curve family
+ */
+export function makeUtility(spec) {
+    const p = spec?.params ?? {};
+    const higher = spec?.direction !== "lower";
+
+    switch (spec?.curve) {
+        case "linear": {
+            const min = Number(p.min ?? 0);
+            const max = Number(p.max ?? 1);
+            const span = (max - min) || 1;
+            return (x) => {
+                const t = clamp01(((x ?? 0) - min) / span);
+                return higher ? t : 1 - t;
+            };
+        }
+        case "log": {
+            const scale = Number(p.scale ?? 1) || 1;
+            return (x) => {
+                const g = 1 / (1 + Math.log1p(Math.max(0, x ?? 0) / scale));
+                return higher ? 1 - g : g;
+            };
+        }
+        case "logistic": {
+            const mid = Number(p.midpoint ?? 0);
+            const k = Number(p.steepness ?? 1);
+            return (x) => {
+                const s = 1 / (1 + Math.exp(-k * ((x ?? 0) - mid)));
+                return higher ? s : 1 - s;
+            };
+        }
+        case "step": {
+            const thresholds = (p.thresholds ?? [])
+                .map(t => ({ at: Number(t.at), value: clamp01(Number(t.value)) }))
+                .filter(t => Number.isFinite(t.at) && Number.isFinite(t.value))
+                .sort((a, b) => a.at - b.at);
+            const below = clamp01(Number(p.below ?? (higher ? 0 : 1)));
+            return (x) => {
+                let u = below;
+                for (const t of thresholds) {
+                    if ((x ?? 0) >= t.at) u = t.value;
+                    else break;
+                }
+                return u;
+            };
+        }
+        default:
+            throw new Error(`Unknown utility curve "${spec?.curve}"`);
+    }
+}
+
+/**
+ * Build a distance-decay kernel for a decay spec.
+ * @param {{kernel:string, half_km?:number, sigma_km?:number, cutoff_km?:number}} spec
+ * @returns {(d_km:?number)=>number} Weight in [0,1]
+ * @throws {Error} on an unknown kernel or a non-positive length scale
+ */
+export function makeKernel(spec) {
+    const positive = (v, name) => {
+        const n = Number(v);
+        if (!(Number.isFinite(n) && n > 0)) throw new Error(`decay kernel "${spec?.kernel}" needs a positive ${name}`);
+        return n;
+    };
+
+    switch (spec?.kernel) {
+        case "exponential": {
+            const half = positive(spec.half_km, "half_km");
+            return (d) => Math.pow(2, -Math.max(0, d ?? 0) / half);
+        }
+        case "gaussian": {
+            const sigma = positive(spec.sigma_km, "sigma_km");
+            return (d) => Math.exp(-((d ?? 0) ** 2) / (2 * sigma * sigma));
+        }
+        case "linear": {
+            const cutoff = positive(spec.cutoff_km, "cutoff_km");
+            return (d) => Math.max(0, 1 - Math.max(0, d ?? 0) / cutoff);
+        }
+        case "step": {
+            const cutoff = positive(spec.cutoff_km, "cutoff_km");
+            return (d) => ((d ?? 0) <= cutoff ? 1 : 0);
+        }
+        default:
+            throw new Error(`Unknown decay kernel "${spec?.kernel}"`);
+    }
+}
+
+/**
+ * Resolve the decay spec for a channel, applying a per-type override for elements.
+ * Type overrides inherit any missing fields (e.g. rho) from the `elements` channel;
+ * when the kernel changes, only the override's own length scale is kept.
+ * @param {ScoringProfile|undefined} profile
+ * @param {"transit"|"elements"} channel
+ * @param {string} [type] Element type (elements channel only)
+ * @returns {{kernel:string, rho:number, half_km?:number, sigma_km?:number, cutoff_km?:number}}
+ */
+export function decaySpecFor(profile, channel, type) {
+    const decay = profile?.decay ?? DEFAULT_DECAY;
+    const base = decay[channel] ?? DEFAULT_DECAY[channel];
+    const override = channel === "elements" && type ? decay.types?.[type] : null;
+    if (!override) return base;
+    if (override.kernel && override.kernel !== base.kernel) return { rho: base.rho, ...override };
+    return { ...base, ...override };
+}
+
+/**
+ * Compact human-readable description of a decay spec (for the score panel).
+ * @param {{kernel:string, rho:number, half_km?:number, sigma_km?:number, cutoff_km?:number}} spec
+ * @returns {string}
+ */
+export function describeDecay(spec) {
+    const scale = {
+        exponential: `½ at ${Number(spec.half_km).toFixed(2)} km`,
+        gaussian:    `σ ${Number(spec.sigma_km).toFixed(2)} km`,
+        linear:      `0 at ${Number(spec.cutoff_km).toFixed(2)} km`,
+        step:        `≤ ${Number(spec.cutoff_km).toFixed(2)} km`,
+    }[spec.kernel] ?? "";
+    return `${spec.kernel} (${scale}, ρ ${Number(spec.rho ?? 1).toFixed(2)})`;
+}
+
+/**
+ * Validate one decay spec, returning the fallback (with a warning) when invalid.
+ * @param {any} spec
+ * @param {Object} fallback
+ * @param {string} where Label for the warning
+ * @param {string[]} warnings Receives the warning
+ * @returns {Object}
+ */
+function validDecaySpec(spec, fallback, where, warnings) {
+    const candidate = { ...spec, kernel: String(spec?.kernel ?? fallback.kernel).toLowerCase() };
+    if (candidate.rho != null) candidate.rho = Math.max(0, Math.min(1, Number(candidate.rho) || 0));
+    try {
+        makeKernel(candidate.kernel === fallback.kernel ? { ...fallback, ...candidate } : candidate);
+        return candidate;
+    }
+    catch (err) {
+        warnings.push(`Decay ${where}: ${err.message}; using the default`);
+        return fallback;
+    }
+}
+
+/**
+ * Validate a raw (parsed JSON) profile and fill gaps from DEFAULT_PROFILE.
+ * Invalid aspect and decay specs are replaced by their defaults and listed in `warnings`.
+ * @param {any} raw
+ * @returns {ScoringProfile}
+ */
+export function normalizeProfile(raw) {
+    const warnings = [];
+    const aspects = {};
+    for (const [key, fallback] of Object.entries(DEFAULT_PROFILE.aspects)) {
+        const spec = raw?.aspects?.[key];
+        if (!spec) { aspects[key] = fallback; continue; }
+
+        const candidate = {
+            curve: String(spec.curve ?? "").toLowerCase(),
+            direction: spec.direction === "lower" ? "lower" : "higher",
+            params: { ...(spec.params ?? {}) },
+        };
+        try {
+            makeUtility(candidate);
+            aspects[key] = candidate;
+        }
+        catch (err) {
+            warnings.push(`Aspect "${key}": ${err.message}; using the default curve`);
+            aspects[key] = fallback;
+        }
+    }
+    // Decay models: channels fall back to DEFAULT_DECAY, type overrides are dropped when invalid
+    const rawDecay = raw?.decay ?? {};
+    const decay = { types: {} };
+    for (const channel of ["transit", "elements"]) {
+        decay[channel] = rawDecay[channel]
+            ? { ...DEFAULT_DECAY[channel], ...validDecaySpec(rawDecay[channel], DEFAULT_DECAY[channel], channel, warnings) }
+            : DEFAULT_DECAY[channel];
+    }
+    for (const [type, spec] of Object.entries(rawDecay.types ?? {})) {
+        const checked = validDecaySpec(spec, decay.elements, `type "${type}"`, warnings);
+        if (checked !== decay.elements) decay.types[type] = checked;
+    }
+
+    return { ...(raw ?? {}), name: String(raw?.name ?? "custom"), aspects, decay, warnings };
+}
+
+/**
+ * Utility function for one aspect of a profile (falls back to DEFAULT_PROFILE).
+ * @param {ScoringProfile|undefined} profile
+ * @param {"air"|"crime"|"rent"|"school"} aspect
+ * @returns {(x:?number)=>number}
+ */
+export function utilityFor(profile, aspect) {
+    return makeUtility(profile?.aspects?.[aspect] ?? DEFAULT_PROFILE.aspects[aspect]);
+}
@@ -0,0 +1,133 @@
+/**
+ * @file search.js
+ * @description "Find the best spots": DOM-free search for the N highest-scoring
+ * centers over the area the aspect polygons cover.
+ *
+ * Strategy:
+ *  1. Score a coarse grid over the covered extent (geo.js `coveredBounds`).
+ *  2. Refine the best grid cells with a shrinking pattern search (8 neighbours,
+ *     step halved each round), staying inside the covered area.
+ *  3. Pick results greedily by score, skipping any center closer than the
+ *     minimum separation to one already picked. Disqualified centers
+ *     (failed dealbreakers) are never returned.
+ *
+ * Used by:
+ * - `heatmap_worker.js` (searches run off the main thread, see `HeatmapRunner.search`)
+ * - `main.js` (Find Best Spots button, results list and numbered markers)
+ */
+
+import { coveredBounds, isCovered, haversineMeters } from "./geo.js";
+import { buildHabBundle } from "./bundle.js";
+import { scoreBundle, explainScore } from "./hab_score.js";
+
+/** Neighbour offsets (in steps) tried by the pattern search. */
+const NEIGHBOURS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+/**
+ * @typedef {Object} BestSpot
+ * @property {number} rank 1-based rank
+ * @property {{lat:number, lon:number}} center
+ * @property {Object} result Score result (scoreBundle)
+ * @property {Object} bundle Bundle the result was computed from
+ * @property {Array<{name:string, type:string, distance_km:number, effect:number}>} top Elements with the largest effect
+ */
+
+/**
+ * Search the covered area for the highest-scoring, well-separated centers.
+ *
+ * @param {{points:Array, polygons:Array|Object}} dataset
+ * @param {Object} opts
+ * @param {number} opts.radiusM Radius in meters
+ * @param {Record<string,number>} opts.prefs Graded preference per element type
+ * @param {Object} opts.options Scoring options (weights, profile, dealbreakers)
+ * @param {number} [opts.count=5] Number of spots to return
+ * @param {number} [opts.minSeparationM] Minimum distance between spots (default 2 × radius)
+ * @param {number} [opts.cells=32] Coarse grid cells per side
+ * @param {number} [opts.refineRounds=3] Pattern-search rounds (step halves each round)
+ * @param {number} [opts.topElements=3] Contributing elements listed per spot
+ * @param {(done:number, total:number)=>void} [opts.onProgress] Called after each grid row and refined cell
+ * @returns {BestSpot[]} Best first; fewer than `count` when the area runs out
+ */
+export function findBestSpots(dataset, { radiusM, prefs, options, count = 5, minSeparationM, cells = 32, refineRounds = 3, topElements = 3, onProgress }) {
+    // Determine extent and grid steps
+    const box = coveredBounds(dataset.polygons);
+    if (!box) return [];
+    const dLat = (box.north - box.south) / cells;
+    const dLon = (box.east - box.west) / cells;
+    const separation = minSeparationM ?? 2 * radiusM;
+
+    // Score a center (cached by position)
+    const cache = new Map();
+    const evaluate = (lat, lon) => {
+        const key = `${lat.toFixed(6)},${lon.toFixed(6)}`;
+        if (!cache.has(key)) {
+            const center = { lat, lon };
+            const bundle = buildHabBundle(center, radiusM, dataset, prefs, options);
+            cache.set(key, { center, bundle, result: scoreBundle(bundle) });
+        }
+        return cache.get(key);
+    };
+    const rankValue = (c) => (c.result.disqualified ? -Infinity : c.result.Score);
+
+    // Progress in steps: one per grid row, then one per refined cell
+    const refineCount = count * 4;
+    const totalSteps = cells + refineCount;
+    let steps = 0;
+
+    // Coarse grid over the covered area
+    const coarse = [];
+    for (let i = 0; i < cells; i++) {
+        for (let j = 0; j < cells; j++) {
+            const lat = box.south + (i + 0.5) * dLat;
+            const lon = box.west + (j + 0.5) * dLon;
+            if (isCovered({ lat, lon }, dataset.polygons)) coarse.push(evaluate(lat, lon));
+        }
+        onProgress?.(++steps, totalSteps);
+    }
+    coarse.sort((a, b) => rankValue(b) - rankValue(a));
+
+    // Refine the most promising cells with a shrinking pattern search
+    const refined = coarse.slice(0, refineCount).map((start) => {
+        let best = start;
+        let stepLat = dLat / 2, stepLon = dLon / 2;
+        for (let round = 0; round < refineRounds; round++) {
+            let improved = true;
+            while (improved) {
+                improved = false;
+                for (const [di, dj] of NEIGHBOURS) {
+                    const lat = best.center.lat + di * stepLat;
+                    const lon = best.center.lon + dj * stepLon;
+                    if (!isCovered({ lat, lon }, dataset.polygons)) continue;
+                    const cand = evaluate(lat, lon);
+                    if (rankValue(cand) > rankValue(best)) { best = cand; improved = true; }
+                }
+            }
+            stepLat /= 2;
+            stepLon /= 2;
+        }
+        onProgress?.(++steps, totalSteps);
+        return best;
+    });
+
+    // Greedy pick: best first, respecting the minimum separation
+    const pool = [...refined, ...coarse]
+        .filter(c => rankValue(c) > -Infinity)
+        .sort((a, b) => rankValue(b) - rankValue(a));
+    const picked = [];
+    for (const cand of pool) {
+        if (picked.length >= count) break;
+        const tooClose = picked.some(p =>
+            haversineMeters(p.center.lat, p.center.lon, cand.center.lat, cand.center.lon) < separation);
+        if (!tooClose) picked.push(cand);
+    }
+
+    // Return payload with the top contributing elements
+    return picked.map((p, i) => ({
+        rank: i + 1,
+        center: p.center,
+        result: p.result,
+        bundle: p.bundle,
+        top: explainScore(p.bundle, p.result).elements.slice(0, topElements)
+            .map(({ name, type, distance_km, effect }) => ({ name, type, distance_km, effect })),
+    }));
+}
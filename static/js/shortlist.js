@@ -0,0 +1,287 @@
+/**
+ * @file shortlist.js
+ * @description Saved-locations shortlist: entries with name, notes and tags,
+ * persisted in localStorage and exportable/importable as a JSON file, plus the
+ * shortlist panel shown in the data panel.
+ *
+ * Entry shape:
+ *   {
+ *     id, name, notes, tags: string[], saved_at, rescored_at?,
+ *     center: { lat, lon }, address?: { address, lat, lon, distance_m }, radius_m, aoi?: AOI (aoi.js),
+ *     walk?: { network: boolean, minutes: number }, aspect_mode?: { aggregate, overlap, surface } (aspects.js),
+ *     preferences: { type: -3…+3 }, weights: {...}, dealbreakers: [...], profile: "default",
+ *     result: { Score, U_air, …, confidence, disqualified }, previous_score?
+ *   }
+ *
+ * File format: { version: 1, exported_at, entries: Entry[] } (a bare array is accepted too).
+ */
+
+import { el, escapeHTML } from "./utils.js";
+import { normalizeRules } from "./dealbreakers.js";
+import { describeNearest } from "./geocoder.js";
+import { createAOI } from "./aoi.js";
+import { WALK_M_PER_MIN } from "./network.js";
+import { normalizeAspectMode } from "./aspects.js";
+
+/** localStorage key holding the shortlist. */
+export const SHORTLIST_STORAGE_KEY = "habitability.shortlist";
+
+/** Current export/storage format version. */
+const FILE_VERSION = 1;
+
+/** Result fields kept on a saved entry. */
+const RESULT_FIELDS = ["Score", "U_air", "U_crime", "U_rent", "U_school", "U_transit", "P_pos", "P_neg_goodness"];
+
+/**
+ * @typedef {Object} ShortlistEntry
+ * @property {string} id
+ * @property {string} name
+ * @property {string} notes
+ * @property {string[]} tags
+ * @property {string} saved_at ISO timestamp
+ * @property {string} [rescored_at] ISO timestamp of the last re-score
+ * @property {{lat:number, lon:number}} center
+ * @property {import("./geocoder.js").NearestAddress|null} [address] Nearest known address when saved
+ * @property {number} radius_m
+ * @property {import("./aoi.js").AOI|null} [aoi] Area of interest scored instead of the circle (center = its anchor)
+ * @property {{network:boolean, minutes:number}|null} [walk] Walking distances / isochrone minutes used (see network.js)
+ * @property {import("./aspects.js").AspectMode} [aspect_mode] How aspects were read from the zones
+ * @property {Record<string,number>} preferences
+ * @property {Record<string,number>} weights
+ * @property {Array<import("./dealbreakers.js").DealbreakerRule>} dealbreakers
+ * @property {string} profile Scoring profile name used
+ * @property {Object} result Summary of the score result
+ * @property {number} [previous_score] Score before the last re-score
+ */
+
+/**
+ * New random entry id.
+ * @returns {string}
+ */
+function newId() {
+    return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Split a comma-separated tag string into trimmed, unique tags.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseTags(text) {
+    return [...new Set(String(text ?? "").split(",").map(t => t.trim()).filter(Boolean))];
+}
+
+/**
+ * Compact copy of a score result for storage.
+ * @param {Object} result Score result (scoreBundle)
+ * @returns {Object}
+ */
+export function summarizeResult(result) {
+    const out = {};
+    for (const k of RESULT_FIELDS) out[k] = result[k] ?? null;
+    out.confidence = result.confidence?.level ?? null;
+    out.disqualified = !!result.disqualified;
+    return out;
+}
+
+/**
+ * Build a shortlist entry from a scored bundle.
+ * @param {{name:string, notes?:string, tags?:string[], bundle:Object, result:Object, preferences:Record<string,number>}} input
+ * @returns {ShortlistEntry}
+ */
+export function createEntry({ name, notes = "", tags = [], bundle, result, preferences }) {
+    return {
+        id: newId(),
+        name: String(name || "Unnamed location"),
+        notes: String(notes),
+        tags: [...tags],
+        saved_at: new Date().toISOString(),
+        center: { lat: bundle.center.lat, lon: bundle.center.lon },
+        address: bundle.address ?? null,
+        radius_m: bundle.radius_m,
+        aoi: bundle.aoi ?? null,
+        walk: bundle.network
+            ? { network: true, minutes: bundle.network.isochrone_m ? Math.round(bundle.network.isochrone_m / WALK_M_PER_MIN) : 0 }
+            : null,
+        aspect_mode: normalizeAspectMode(bundle.aspect_mode),
+        preferences: { ...preferences },
+        weights: { ...bundle.weights },
+        dealbreakers: (bundle.dealbreakers ?? []).map(o => o.rule),
+        profile: bundle.profile?.name ?? "builtin",
+        result: summarizeResult(result),
+    };
+}
+
+/**
+ * Validate one raw entry (from storage or a file).
+ * @param {any} raw
+ * @returns {ShortlistEntry|null}
+ */
+function normalizeEntry(raw) {
+    const lat = Number(raw?.center?.lat), lon = Number(raw?.center?.lon), radius = Number(raw?.radius_m);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || !(radius >= 0)) return null;
+    return {
+        ...raw,
+        id: String(raw.id ?? newId()),
+        name: String(raw.name ?? "Unnamed location"),
+        notes: String(raw.notes ?? ""),
+        tags: Array.isArray(raw.tags) ? raw.tags.map(String) : parseTags(raw.tags),
+        center: { lat, lon },
+        radius_m: radius,
+        aoi: raw.aoi ? createAOI(raw.aoi) : null,
+        walk: raw.walk ? { network: Boolean(raw.walk.network), minutes: Math.max(0, Math.round(Number(raw.walk.minutes) || 0)) } : null,
+        aspect_mode: normalizeAspectMode(raw.aspect_mode),
+        preferences: { ...(raw.preferences ?? {}) },
+        weights: { ...(raw.weights ?? {}) },
+        dealbreakers: normalizeRules(raw.dealbreakers ?? []),
+        result: raw.result ?? {},
+    };
+}
+
+/**
+ * Serialize entries to the shortlist file format.
+ * @param {ShortlistEntry[]} entries
+ * @returns {string} JSON
+ */
+export function exportShortlist(entries) {
+    return JSON.stringify({ version: FILE_VERSION, exported_at: new Date().toISOString(), entries }, null, 2);
+}
+
+/**
+ * Parse a shortlist file (or stored value), dropping malformed entries.
+ * @param {string} text
+ * @returns {ShortlistEntry[]}
+ * @throws {Error} when the text is not JSON or has no entry list
+ */
+export function parseShortlistFile(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data?.entries;
+    if (!Array.isArray(list)) throw new Error("not a shortlist file (missing \"entries\")");
+    return list.map(normalizeEntry).filter(Boolean);
+}
+
+/**
+ * Merge imported entries into the current list; an imported entry replaces the
+ * current one with the same id.
+ * @param {ShortlistEntry[]} current
+ * @param {ShortlistEntry[]} incoming
+ * @returns {ShortlistEntry[]}
+ */
+export function mergeShortlists(current, incoming) {
+    const byId = new Map(current.map(e => [e.id, e]));
+    for (const e of incoming) byId.set(e.id, e);
+    return [...byId.values()];
+}
+
+/**
+ * Load the stored shortlist (empty when missing or unreadable).
+ * @param {Storage} [storage=localStorage]
+ * @param {(err:Error)=>void} [onError] Called when a stored shortlist cannot be read
+ * @returns {ShortlistEntry[]}
+ */
+export function loadShortlist(storage = globalThis.localStorage, onError) {
+    try {
+        const raw = storage?.getItem(SHORTLIST_STORAGE_KEY);
+        return raw ? parseShortlistFile(raw) : [];
+    }
+    catch (err) {
+        onError?.(err);
+        return [];
+    }
+}
+
+/**
+ * Store the shortlist.
+ * @param {ShortlistEntry[]} entries
+ * @param {Storage} [storage=localStorage]
+ * @throws {Error} when storage is unavailable or full
+ */
+export function persistShortlist(entries, storage = globalThis.localStorage) {
+    if (!storage) throw new Error("local storage is unavailable");
+    storage.setItem(SHORTLIST_STORAGE_KEY, exportShortlist(entries));
+}
+
+/**
+ * Build the shortlist panel: optional save form for the current score,
+ * export/import controls and one card per entry (Open / Re-score / Delete).
+ *
+ * @param {ShortlistEntry[]} entries
+ * @param {Object} handlers
+ * @param {string|null} [handlers.saveName] Default name for the save form; null hides the form
+ * @param {string|null} [handlers.notice] Message shown under the header (e.g. a failed save or import)
+ * @param {(input:{name:string, tags:string[], notes:string})=>void} handlers.onSave
+ * @param {(entry:ShortlistEntry)=>void} handlers.onOpen
+ * @param {(entry:ShortlistEntry)=>void} handlers.onRescore
+ * @param {(entry:ShortlistEntry)=>void} handlers.onDelete
+ * @param {()=>void} handlers.onExport
+ * @param {(file:File)=>void} handlers.onImport
+ * @returns {HTMLDivElement}
+ */
+export function createShortlistPanel(entries, handlers) {
+    const panel = el("div", "shortlist");
+    const fmt = (v) => (Number.isFinite(v) ? v.toFixed(1) : "—");
+
+    panel.innerHTML = `
+        <div class="bar shortlist-header">
+            <p class="bar-label"><strong>Shortlist</strong> (${entries.length})</p>
+            <button type="button" class="score-btn shortlist-export"${entries.length ? "" : " disabled"}>Export</button>
+            <label class="score-btn shortlist-import">Import<input type="file" accept=".json,application/json" class="hidden"></label>
+        </div>
+        ${handlers.notice ? `<p class="bar-label small shortlist-notice" role="alert">${escapeHTML(handlers.notice)}</p>` : ""}
+        ${handlers.saveName != null ? `
+        <form class="bar shortlist-form">
+            <input name="name" type="text" placeholder="Name" required>
+            <input name="tags" type="text" placeholder="Tags (comma separated)">
+            <textarea name="notes" rows="2" placeholder="Notes"></textarea>
+            <button type="submit" class="score-btn">Save current score</button>
+        </form>` : ""}
+        <div class="shortlist-list">
+            ${entries.map((e, i) => `
+            <div class="bar shortlist-entry${e.result?.disqualified ? " disqualified" : ""}" data-index="${i}">
+                <div class="shortlist-body">
+                    <p class="bar-label"><strong>${escapeHTML(e.name)}</strong> · ${fmt(e.result?.Score)} / 100${e.previous_score != null ? ` <span class="small">(was ${fmt(e.previous_score)})</span>` : ""}</p>
+                    ${e.tags.length ? `<p class="bar-label shortlist-tags">${e.tags.map(t => `<span class="shortlist-tag">${escapeHTML(t)}</span>`).join(" ")}</p>` : ""}
+                    ${e.address ? `<p class="bar-label small">${escapeHTML(describeNearest(e.address))}</p>` : ""}
+                    ${e.notes ? `<p class="bar-label shortlist-notes">${escapeHTML(e.notes)}</p>` : ""}
+                    <p class="bar-label small">Saved ${new Date(e.saved_at).toLocaleDateString()}${e.rescored_at ? ` · re-scored ${new Date(e.rescored_at).toLocaleDateString()}` : ""}</p>
+                </div>
+                <div class="shortlist-actions">
+                    <button type="button" class="score-btn" data-action="open">Open</button>
+                    <button type="button" class="score-btn" data-action="rescore">Re-score</button>
+                    <button type="button" class="score-btn" data-action="delete" title="Delete">×</button>
+                </div>
+            </div>`).join("") || `<p class="bar-label small">No saved locations yet — generate a score, then save it here.</p>`}
+        </div>`;
+
+    // Save form
+    const form = panel.querySelector(".shortlist-form");
+    if (form) {
+        form.name.value = handlers.saveName;
+        form.addEventListener("submit", (e) => {
+            e.preventDefault();
+            handlers.onSave({ name: form.name.value.trim(), tags: parseTags(form.tags.value), notes: form.notes.value.trim() });
+        });
+    }
+
+    // Export / import
+    panel.querySelector(".shortlist-export").addEventListener("click", () => handlers.onExport());
+    const fileInput = panel.querySelector(".shortlist-import input");
+    fileInput.addEventListener("change", () => {
+        if (fileInput.files?.[0]) handlers.onImport(fileInput.files[0]);
+    });
+
+    // Entry actions
+    panel.querySelectorAll(".shortlist-entry").forEach((card) => {
+        const entry = entries[Number(card.dataset.index)];
+        card.querySelectorAll("[data-action]").forEach((btn) => {
+            btn.addEventListener("click", (e) => {
+                e.stopPropagation();
+                if (btn.dataset.action === "open") handlers.onOpen(entry);
+                else if (btn.dataset.action === "rescore") handlers.onRescore(entry);
+                else handlers.onDelete(entry);
+            });
+        });
+    });
+
+    return panel;
+}
@@ -0,0 +1,406 @@
+/**
+ * @file spatial_index.js
+ * @description DOM-free spatial index for dataset points and polygons, so radius
+ * filters, zone lookups and covered-area tests stay fast on city-wide datasets
+ * (100k+ points, 10k+ polygons).
+ *
+ * Items are bucketed by bounding box into a uniform lat/lon grid (a geohash-style
+ * grid with fixed cell size). A query visits only the cells its box overlaps and
+ * returns candidate ids in dataset order, so "first match" semantics are kept;
+ * callers still run their exact test (haversine, point-in-polygon) on the candidates.
+ * Polygons spanning very many cells are kept in a short list every query includes.
+ *
+ * Indexes are built once per dataset array (on first use, or up front with
+ * `indexDataset` in bundle.js) and cached by array identity. Datasets are replaced,
+ * never edited in place, throughout the app; an index whose array changed length
+ * is rebuilt anyway.
+ *
+ * Used by:
+ * - `geo.js` (radius filters, aspect lookup and nearest zone, covered area), `aoi.js` (AOI prefilters)
+ * - `aspects.js` and `surface.js` (zone lookups), `bundle.js` (nearest element of a type)
+ * - `geocoder.js` (reverse-lookup ring walk), `network.js` (snapping ring walk, walk filter prefilters)
+ */
+
+/** Point grid cell size in degrees (~550 m north–south). */
+export const POINT_CELL_DEG = 0.005;
+
+/** Polygon grid cell size in degrees (~1.1 km north–south). */
+export const POLYGON_CELL_DEG = 0.01;
+
+/** Polygons covering more cells than this skip the grid (checked by every query). */
+const MAX_CELLS_PER_ITEM = 4096;
+
+/** Grid rings searched for the nearest polygon before falling back to a linear scan. */
+const MAX_RINGS = 32;
+
+/** Meters per degree of latitude (same Earth radius as geo.js). */
+const M_PER_DEG = (6371008.8 * Math.PI) / 180;
+
+/**
+ * @typedef {Object} Box
+ * @property {number} south
+ * @property {number} west
+ * @property {number} north
+ * @property {number} east
+ */
+
+/**
+ * Latitude/longitude of a dataset point in any supported shape.
+ * @param {any} p `{lat,lon}`, `{latitude,longitude}` or a GeoJSON Point Feature
+ * @returns {{lat:number, lon:number}}
+ */
+export function pointLatLon(p) {
+    return {
+        lat: p.latitude ?? p.lat ?? p.geometry?.coordinates?.[1],
+        lon: p.longitude ?? p.lon ?? p.lng ?? p.geometry?.coordinates?.[0],
+    };
+}
+
+/**
+ * Bounding box of a Polygon/MultiPolygon geometry (all rings).
+ * @param {{type:string, coordinates:any}|null|undefined} geometry
+ * @returns {Box|null} null for empty or missing geometry
+ */
+export function geometryBox(geometry) {
+    if (!geometry?.coordinates) return null;
+    const polys = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+    let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+    for (const rings of polys) {
+        for (const ring of rings ?? []) {
+            for (const [lon, lat] of ring ?? []) {
+                if (lat < south) south = lat;
+                if (lat > north) north = lat;
+                if (lon < west) west = lon;
+                if (lon > east) east = lon;
+            }
+        }
+    }
+    return south <= north ? { south, west, north, east } : null;
+}
+
+/**
+ * Box that contains every point within `radiusM` of a center (slightly generous,
+ * so exact distance tests on the candidates decide).
+ * @param {{lat:number, lon:number}} center
+ * @param {number} radiusM
+ * @returns {Box}
+ */
+export function boxAround(center, radiusM) {
+    const dLat = radiusM / M_PER_DEG;
+
+    // Use the narrowest longitude degree inside the box (nearest the pole)
+    const cos = Math.cos((Math.min(89.9, Math.abs(center.lat) + dLat) * Math.PI) / 180);
+    const dLon = Math.min(180, dLat / Math.max(cos, 1e-6));
+    const pad = 1e-9;
+    return { south: center.lat - dLat - pad, north: center.lat + dLat + pad, west: center.lon - dLon - pad, east: center.lon + dLon + pad };
+}
+
+/**
+ * Lower bound of the distance in meters from a point to anything inside a box,
+ * in the same local projection as `distancePointToSegmentMeters` (geo.js), so it
+ * never exceeds the distance to a boundary inside the box. 0 inside the box.
+ * @param {Box} box
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {number}
+ */
+export function boxDistanceMeters(box, lat, lon) {
+    const dLat = lat < box.south ? box.south - lat : lat > box.north ? lat - box.north : 0;
+    const dLon = lon < box.west ? box.west - lon : lon > box.east ? lon - box.east : 0;
+    return Math.hypot(dLon * Math.cos((lat * Math.PI) / 180), dLat) * M_PER_DEG;
+}
+
+/**
+ * Visit the cells on the border of one square ring around a grid cell
+ * (ring 0 is the cell itself), without walking the ring's interior.
+ * @param {number} row0
+ * @param {number} col0
+ * @param {number} ring
+ * @param {(row:number, col:number)=>void} fn
+ */
+export function forEachRingCell(row0, col0, ring, fn) {
+    if (ring === 0) {
+        fn(row0, col0);
+        return;
+    }
+
+    // Top and bottom rows in full, then the two side columns between them
+    for (let col = col0 - ring; col <= col0 + ring; col++) {
+        fn(row0 - ring, col);
+        fn(row0 + ring, col);
+    }
+    for (let row = row0 - ring + 1; row <= row0 + ring - 1; row++) {
+        fn(row, col0 - ring);
+        fn(row, col0 + ring);
+    }
+}
+
+/**
+ * Uniform grid over item bounding boxes.
+ */
+export class GridIndex {
+    /**
+     * @param {Array<Box|null>} boxes One box per item (null items are never returned)
+     * @param {number} cellDeg Cell size in degrees
+     */
+    constructor(boxes, cellDeg) {
+        this.cellDeg = cellDeg;
+        this.boxes = boxes;
+
+        /** @type {Map<number, number[]>} cell key → item ids (ascending) */
+        this.cells = new Map();
+
+        /** Ids of items too large for the grid */
+        this.large = [];
+
+        /** Row/column range of the occupied cells (empty range while there are none) */
+        this.extent = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity };
+
+        /** Per-item stamp of the last query that saw it (de-duplicates multi-cell items) */
+        this._seen = new Uint32Array(boxes.length);
+        this._query = 0;
+
+        // Bucket every item into the cells its box overlaps
+        boxes.forEach((box, id) => {
+            if (!box) return;
+            const r0 = this._row(box.south), r1 = this._row(box.north);
+            const c0 = this._col(box.west), c1 = this._col(box.east);
+            if ((r1 - r0 + 1) * (c1 - c0 + 1) > MAX_CELLS_PER_ITEM) {
+                this.large.push(id);
+                return;
+            }
+            const x = this.extent;
+            x.minRow = Math.min(x.minRow, r0); x.maxRow = Math.max(x.maxRow, r1);
+            x.minCol = Math.min(x.minCol, c0); x.maxCol = Math.max(x.maxCol, c1);
+            for (let r = r0; r <= r1; r++) {
+                for (let c = c0; c <= c1; c++) {
+                    const key = this._key(r, c);
+                    const list = this.cells.get(key);
+                    if (list) list.push(id);
+                    else this.cells.set(key, [id]);
+                }
+            }
+        });
+    }
+
+    /** @private */
+    _row(lat) { return Math.floor(lat / this.cellDeg); }
+
+    /** @private */
+    _col(lon) { return Math.floor(lon / this.cellDeg); }
+
+    /** @private */
+    _key(r, c) { return r * 1e6 + c; }
+
+    /**
+     * Ids of the items whose box intersects `box`, in dataset order.
+     * @param {Box} box
+     * @returns {number[]}
+     */
+    search(box) {
+        // Wrap the stamp counter (a full reset keeps old stamps from matching)
+        if (++this._query === 0xffffffff) {
+            this._seen.fill(0);
+            this._query = 1;
+        }
+        const stamp = this._query;
+        const out = [];
+        const take = (id) => {
+            if (this._seen[id] === stamp) return;
+            this._seen[id] = stamp;
+            const b = this.boxes[id];
+            if (b.south <= box.north && b.north >= box.south && b.west <= box.east && b.east >= box.west) out.push(id);
+        };
+
+        // Cells overlapped by the query (everything when the query is wider than the grid)
+        const r0 = this._row(box.south), r1 = this._row(box.north);
+        const c0 = this._col(box.west), c1 = this._col(box.east);
+        if ((r1 - r0 + 1) * (c1 - c0 + 1) > this.cells.size) {
+            for (const list of this.cells.values()) list.forEach(take);
+        }
+        else {
+            for (let r = r0; r <= r1; r++) {
+                for (let c = c0; c <= c1; c++) this.cells.get(this._key(r, c))?.forEach(take);
+            }
+        }
+        this.large.forEach(take);
+        return out.sort((a, b) => a - b);
+    }
+}
+
+/**
+ * Index over dataset points.
+ */
+export class PointIndex {
+    /**
+     * @param {Array<any>} points Dataset points (see {@link pointLatLon})
+     */
+    constructor(points) {
+        this.points = points;
+        this.length = points.length;
+
+        /** Coordinates per point (same order as `points`) */
+        this.coords = points.map(pointLatLon);
+        this.grid = new GridIndex(this.coords.map(({ lat, lon }) =>
+            (Number.isFinite(lat) && Number.isFinite(lon) ? { south: lat, north: lat, west: lon, east: lon } : null)), POINT_CELL_DEG);
+
+        /** @type {Map<string, Array<any>>|null} type → points (built on first use) */
+        this._byType = null;
+    }
+
+    /**
+     * Ids of the points inside a box.
+     * @param {Box} box
+     * @returns {number[]}
+     */
+    search(box) {
+        return this.grid.search(box);
+    }
+
+    /**
+     * Points of one element type (dataset order).
+     * @param {string} type
+     * @returns {Array<any>}
+     */
+    ofType(type) {
+        if (!this._byType) {
+            this._byType = new Map();
+            for (const p of this.points) {
+                const t = p.type ?? p.properties?.type;
+                if (!this._byType.has(t)) this._byType.set(t, []);
+                this._byType.get(t).push(p);
+            }
+        }
+        return this._byType.get(type) ?? [];
+    }
+}
+
+/**
+ * Index over polygons, holding the converted Features (built once).
+ */
+export class PolygonIndex {
+    /**
+     * @param {Array<any>} polygons Custom records or Features
+     * @param {(rec:any)=>import("geojson").Feature} convert Record → Feature (e.g., `toAspectFeature`)
+     */
+    constructor(polygons, convert) {
+        this.length = polygons.length;
+
+        /** Converted Features (same order as the input) */
+        this.features = polygons.map(convert);
+
+        /** Bounding box per Feature (null for empty geometry) */
+        this.boxes = this.features.map(f => geometryBox(f.geometry));
+        this.grid = new GridIndex(this.boxes, POLYGON_CELL_DEG);
+
+        /** @type {Box|null} Extent of every polygon (null when there are none) */
+        this.bounds = this.boxes.reduce((a, b) => (!b ? a : !a ? { ...b } : {
+            south: Math.min(a.south, b.south), west: Math.min(a.west, b.west),
+            north: Math.max(a.north, b.north), east: Math.max(a.east, b.east),
+        }), null);
+    }
+
+    /**
+     * Ids of the polygons whose box intersects `box`, in dataset order.
+     * @param {Box} box
+     * @returns {number[]}
+     */
+    search(box) {
+        return this.grid.search(box);
+    }
+
+    /**
+     * Ids of the polygons whose box contains a point, in dataset order.
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {number[]}
+     */
+    at(lat, lon) {
+        return this.grid.search({ south: lat, north: lat, west: lon, east: lon });
+    }
+
+    /**
+     * Polygon nearest to a point by a caller's exact distance, searched in growing
+     * rings of grid cells around the point. `distanceOf` must never be below the
+     * box bound ({@link boxDistanceMeters}); polygons whose box is already farther
+     * than the best match are not measured. Ties go to the polygon listed first.
+     * @param {number} lat
+     * @param {number} lon
+     * @param {(id:number)=>number} distanceOf Exact distance in meters to polygon `id`
+     * @returns {{id:number, distance_m:number}|null} null when there are no polygons
+     */
+    nearest(lat, lon, distanceOf) {
+        const grid = this.grid;
+        let best = null;
+        const seen = new Set();
+        const measure = (id) => {
+            if (seen.has(id)) return;
+            seen.add(id);
+            if (best && boxDistanceMeters(this.boxes[id], lat, lon) > best.distance_m) return;
+            const d = distanceOf(id);
+            if (!best || d < best.distance_m || (d === best.distance_m && id < best.id)) best = { id, distance_m: d };
+        };
+
+        // Polygons too large for the grid are always candidates
+        grid.large.forEach(measure);
+
+        // Rings of cells around the point's cell, out to the edge of the occupied cells
+        const row0 = grid._row(lat), col0 = grid._col(lon);
+        const x = grid.extent;
+        const maxRing = Math.max(row0 - x.minRow, x.maxRow - row0, col0 - x.minCol, x.maxCol - col0, 0);
+
+        // Smallest cell side in meters, as measured by boxDistanceMeters
+        const cellM = grid.cellDeg * M_PER_DEG * Math.min(1, Math.abs(Math.cos((lat * Math.PI) / 180)));
+
+        if (Number.isFinite(maxRing)) {
+            for (let ring = 0; ring <= Math.min(maxRing, MAX_RINGS); ring++) {
+                forEachRingCell(row0, col0, ring, (row, col) => grid.cells.get(grid._key(row, col))?.forEach(measure));
+
+                // Anything not yet seen lies beyond this ring, at least `ring` full cells away
+                if (best && ring * cellM > best.distance_m) return best;
+            }
+            if (maxRing <= MAX_RINGS) return best;
+        }
+
+        // Far from the data (or unindexable coordinates): consider every polygon once
+        this.boxes.forEach((box, id) => { if (box) measure(id); });
+        return best;
+    }
+}
+
+/** points array → PointIndex */
+const pointIndexes = new WeakMap();
+
+/** polygons array → converter → PolygonIndex */
+const polygonIndexes = new WeakMap();
+
+/**
+ * Point index of a dataset array (built on first use, then cached).
+ * @param {Array<any>} points
+ * @returns {PointIndex}
+ */
+export function pointIndexFor(points) {
+    let index = pointIndexes.get(points);
+    if (!index || index.length !== points.length) {
+        index = new PointIndex(points);
+        pointIndexes.set(points, index);
+    }
+    return index;
+}
+
+/**
+ * Polygon index of a dataset array for one Feature conversion (built on first use, then cached).
+ * @param {Array<any>} polygons
+ * @param {(rec:any)=>import("geojson").Feature} convert
+ * @returns {PolygonIndex}
+ */
+export function polygonIndexFor(polygons, convert) {
+    if (!polygonIndexes.has(polygons)) polygonIndexes.set(polygons, new Map());
+    const byConvert = polygonIndexes.get(polygons);
+    let index = byConvert.get(convert);
+    if (!index || index.length !== polygons.length) {
+        index = new PolygonIndex(polygons, convert);
+        byConvert.set(convert, index);
+    }
+    return index;
+}
@@ -0,0 +1,340 @@
+/**
+ * @file surface.js
+ * @description Smooth aspect surfaces: continuous values interpolated between the
+ * zones of an aspect, so a location one meter across a zone boundary no longer
+ * gets a completely different value. DOM-free (browser, Web Workers and Node).
+ *
+ * Methods:
+ *  - "idw":    inverse-distance weighting between zone centroids, w = 1 / d^power
+ *              (default power 2); at a centroid the value is that zone's value
+ *  - "kernel": Gaussian smoothing of the zone map with σ = bandwidth_m (default 300 m);
+ *              deep inside a zone the value is the zone's own, within ~2σ of a
+ *              boundary it blends into the neighbors
+ *
+ * A surface is computed once on a raster over the zones' extent (at most
+ * MAX_SURFACE_CELLS per side) and sampled with bilinear interpolation. It is only
+ * defined where zones exist (plus one cell around them, which closes slivers between
+ * adjacent zones): elsewhere `valueAt` returns null and callers keep the zone value
+ * (e.g., the nearest-zone fallback).
+ *
+ * Used by:
+ * - `geo.js` callers via `resolveAspectValueAtPoint(…, surface)`, `aspects.js` (area sampling)
+ * - `bundle.js` (surfaces per aspect, cached per dataset)
+ * - `map.js` / `main.js` (continuous color layer)
+ */
+
+import { pointInPolygon, projectLocal, toAspectFeature, resolveOverlap } from "./geo.js";
+import { PointIndex, PolygonIndex, boxAround } from "./spatial_index.js";
+
+/** Surface methods, with labels ("none" keeps the zone steps). */
+export const SURFACE_METHODS = Object.freeze({
+    none:   "Zones (steps)",
+    idw:    "Inverse distance",
+    kernel: "Kernel smoothing",
+});
+
+/** Default kernel bandwidth (σ) in meters. */
+export const DEFAULT_BANDWIDTH_M = 300;
+
+/** Default inverse-distance power. */
+export const DEFAULT_IDW_POWER = 2;
+
+/** Maximum raster cells per side. */
+const MAX_SURFACE_CELLS = 160;
+
+/** Smallest raster cell in meters. */
+const MIN_CELL_M = 10;
+
+/** IDW over more zones than this only uses the centroids around each cell (about this many). */
+const IDW_NEIGHBORS = 32;
+
+/**
+ * @typedef {Object} SurfaceRaster
+ * @property {number} south
+ * @property {number} west
+ * @property {number} dLat Cell height in degrees
+ * @property {number} dLon Cell width in degrees
+ * @property {number} rows
+ * @property {number} cols
+ * @property {Float64Array} values Row-major from the south-west corner (NaN = no data)
+ * @property {{min:number, max:number}} range Finite value range
+ */
+
+/**
+ * Bounding box of a set of Features' outer rings.
+ * @param {Array<import("geojson").Feature<import("geojson").Polygon>>} features
+ * @returns {{south:number, west:number, north:number, east:number}}
+ */
+function featureBounds(features) {
+    const box = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+    for (const f of features) {
+        for (const [lon, lat] of f.geometry.coordinates?.[0] ?? []) {
+            box.south = Math.min(box.south, lat); box.north = Math.max(box.north, lat);
+            box.west = Math.min(box.west, lon); box.east = Math.max(box.east, lon);
+        }
+    }
+    return box;
+}
+
+/**
+ * Area centroid of an outer ring (shoelace in degrees; fine for city-sized zones).
+ * Degenerate rings fall back to the vertex mean.
+ * @param {Array<[number, number]>} ring Closed `[lon, lat]` ring
+ * @returns {[number, number]} `[lon, lat]`
+ */
+function ringCentroid(ring) {
+    let a = 0, cx = 0, cy = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [x0, y0] = ring[i], [x1, y1] = ring[i + 1];
+        const cross = x0 * y1 - x1 * y0;
+        a += cross;
+        cx += (x0 + x1) * cross;
+        cy += (y0 + y1) * cross;
+    }
+    if (Math.abs(a) < 1e-15) {
+        const n = Math.max(1, ring.length - 1);
+        return [ring.slice(0, n).reduce((s, v) => s + v[0], 0) / n, ring.slice(0, n).reduce((s, v) => s + v[1], 0) / n];
+    }
+    return [cx / (3 * a), cy / (3 * a)];
+}
+
+/**
+ * 1-D Gaussian kernel for a σ given in cells (truncated at 3σ).
+ * @param {number} sigma
+ * @returns {Float64Array}
+ */
+function gaussianKernel(sigma) {
+    const half = Math.max(1, Math.ceil(3 * sigma));
+    const k = new Float64Array(2 * half + 1);
+    for (let i = -half; i <= half; i++) k[i + half] = Math.exp(-(i * i) / (2 * sigma * sigma));
+    return k;
+}
+
+/**
+ * Convolve a raster along rows or columns (zero outside the raster).
+ * @param {Float64Array} src
+ * @param {number} rows
+ * @param {number} cols
+ * @param {Float64Array} kernel
+ * @param {boolean} alongRows true: horizontal pass, false: vertical pass
+ * @returns {Float64Array}
+ */
+function convolve(src, rows, cols, kernel, alongRows) {
+    const out = new Float64Array(src.length);
+    const half = (kernel.length - 1) / 2;
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            let sum = 0;
+            for (let k = -half; k <= half; k++) {
+                const rr = alongRows ? r : r + k, cc = alongRows ? c + k : c;
+                if (rr < 0 || rr >= rows || cc < 0 || cc >= cols) continue;
+                sum += src[rr * cols + cc] * kernel[k + half];
+            }
+            out[r * cols + c] = sum;
+        }
+    }
+    return out;
+}
+
+/**
+ * Continuous surface for one aspect, precomputed on a raster.
+ */
+export class AspectSurface {
+    /**
+     * @param {Array<any>} aspectPolys Custom records or Features of one aspect
+     * @param {{method:"idw"|"kernel", bandwidth_m?:number, power?:number, overlap?:"first"|"max"|"min"|"mean"}} options
+     * @throws {Error} on an unknown method
+     */
+    constructor(aspectPolys, { method, bandwidth_m = DEFAULT_BANDWIDTH_M, power = DEFAULT_IDW_POWER, overlap = "first" }) {
+        if (method !== "idw" && method !== "kernel") throw new Error(`Unknown surface method "${method}"`);
+        this.method = method;
+        this.bandwidth_m = bandwidth_m;
+        this.power = power;
+
+        // Zones with numeric values only
+        const zones = (aspectPolys || []).map(toAspectFeature)
+            .filter(f => f.properties.value != null && Number.isFinite(Number(f.properties.value)));
+
+        /** @type {SurfaceRaster|null} null when the aspect has no valued zones */
+        this.raster = zones.length ? this._build(zones, overlap) : null;
+    }
+
+    /**
+     * Rasterize the zones and interpolate/smooth them.
+     * @param {Array<import("geojson").Feature<import("geojson").Polygon>>} zones
+     * @param {string} overlap
+     * @returns {SurfaceRaster}
+     * @private
+     */
+    _build(zones, overlap) {
+        // Raster over the zones' extent
+        const box = featureBounds(zones);
+        const midLat = (box.south + box.north) / 2;
+        const extent = projectLocal(midLat, box.west, box.north, box.east);
+        const heightM = Math.abs(projectLocal(box.south, box.west, box.north, box.west).y);
+        const cellM = Math.max(MIN_CELL_M, Math.max(Math.abs(extent.x), heightM) / MAX_SURFACE_CELLS);
+        const dLat = (box.north - box.south) / Math.max(1, Math.round(heightM / cellM));
+        const dLon = (box.east - box.west) / Math.max(1, Math.round(Math.abs(extent.x) / cellM));
+        const rows = Math.max(1, Math.round((box.north - box.south) / dLat));
+        const cols = Math.max(1, Math.round((box.east - box.west) / dLon));
+
+        // Step field: the (overlap-resolved) zone value at each cell center, NaN outside every zone
+        const index = new PolygonIndex(zones, z => z);
+        const step = new Float64Array(rows * cols).fill(NaN);
+        for (let r = 0; r < rows; r++) {
+            const lat = box.south + (r + 0.5) * dLat;
+            for (let c = 0; c < cols; c++) {
+                const lon = box.west + (c + 0.5) * dLon;
+                const containing = index.at(lat, lon).map(id => zones[id]).filter(z => pointInPolygon([lon, lat], z.geometry));
+                if (containing.length) step[r * cols + c] = Number(resolveOverlap(containing, overlap).value);
+            }
+        }
+
+        // Cells with data: covered by a zone, or next to one
+        const covered = new Uint8Array(rows * cols);
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                if (Number.isNaN(step[r * cols + c])) continue;
+                for (let rr = Math.max(0, r - 1); rr <= Math.min(rows - 1, r + 1); rr++) {
+                    for (let cc = Math.max(0, c - 1); cc <= Math.min(cols - 1, c + 1); cc++) covered[rr * cols + cc] = 1;
+                }
+            }
+        }
+
+        const values = this.method === "kernel"
+            ? this._smooth(step, covered, rows, cols, this.bandwidth_m / cellM)
+            : this._idw(covered, zones, { south: box.south, west: box.west, dLat, dLon, rows, cols, midLat });
+
+        // Finite range (for coloring)
+        let min = Infinity, max = -Infinity;
+        for (const v of values) if (Number.isFinite(v)) { min = Math.min(min, v); max = Math.max(max, v); }
+        return { south: box.south, west: box.west, dLat, dLon, rows, cols, values, range: { min, max } };
+    }
+
+    /**
+     * Gaussian smoothing of the step field (normalized by the covered weight, so
+     * cells near the edge of the data are not pulled toward 0).
+     * @param {Float64Array} step
+     * @param {Uint8Array} covered Cells to fill
+     * @param {number} rows
+     * @param {number} cols
+     * @param {number} sigma σ in cells
+     * @returns {Float64Array}
+     * @private
+     */
+    _smooth(step, covered, rows, cols, sigma) {
+        const kernel = gaussianKernel(Math.max(0.5, sigma));
+        const weighted = step.map(v => (Number.isNaN(v) ? 0 : v));
+        const mask = step.map(v => (Number.isNaN(v) ? 0 : 1));
+        const num = convolve(convolve(weighted, rows, cols, kernel, true), rows, cols, kernel, false);
+        const den = convolve(convolve(mask, rows, cols, kernel, true), rows, cols, kernel, false);
+        return step.map((v, i) => (!covered[i] || den[i] <= 0 ? NaN : num[i] / den[i]));
+    }
+
+    /**
+     * Inverse-distance weighting between zone centroids, on the covered cells only.
+     * With many zones each cell only weighs the centroids within a search radius
+     * sized to hold about IDW_NEIGHBORS of them (doubled where none are found).
+     * @param {Uint8Array} covered Cells to fill
+     * @param {Array<import("geojson").Feature<import("geojson").Polygon>>} zones
+     * @param {{south:number, west:number, dLat:number, dLon:number, rows:number, cols:number, midLat:number}} grid
+     * @returns {Float64Array}
+     * @private
+     */
+    _idw(covered, zones, { south, west, dLat, dLon, rows, cols, midLat }) {
+        const centers = zones.map((z) => {
+            const [lon, lat] = ringCentroid(z.geometry.coordinates[0]);
+            return { lat, lon, value: Number(z.properties.value) };
+        });
+        const mPerDegLon = Math.abs(projectLocal(midLat, 0, midLat, 1).x);
+        const mPerDegLat = Math.abs(projectLocal(midLat, 0, midLat + 1, 0).y);
+
+        // Centroids around a cell (all of them for small datasets)
+        const index = centers.length > IDW_NEIGHBORS ? new PointIndex(centers) : null;
+        const areaM2 = cols * dLon * mPerDegLon * rows * dLat * mPerDegLat;
+        const searchM = Math.sqrt((areaM2 * IDW_NEIGHBORS) / (Math.PI * centers.length));
+        const around = (lat, lon) => {
+            if (!index) return centers;
+            for (let r = searchM; ; r *= 2) {
+                const ids = index.search(boxAround({ lat, lon }, r));
+                if (ids.length || r > 4 * Math.sqrt(areaM2)) return ids.map(id => centers[id]);
+            }
+        };
+
+        return Float64Array.from(covered, (on, i) => {
+            if (!on) return NaN;
+            const lat = south + (Math.floor(i / cols) + 0.5) * dLat, lon = west + ((i % cols) + 0.5) * dLon;
+            let num = 0, den = 0;
+            for (const c of around(lat, lon)) {
+                const d = Math.hypot((lon - c.lon) * mPerDegLon, (lat - c.lat) * mPerDegLat);
+                if (d < 1) return c.value;
+                const w = 1 / Math.pow(d, this.power);
+                num += w * c.value;
+                den += w;
+            }
+            return den > 0 ? num / den : NaN;
+        });
+    }
+
+    /**
+     * Surface value at a location (bilinear between cell centers).
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {number|null} null outside the zones (or for an empty surface)
+     */
+    valueAt(lat, lon) {
+        const g = this.raster;
+        if (!g) return null;
+        const fy = (lat - g.south) / g.dLat - 0.5, fx = (lon - g.west) / g.dLon - 0.5;
+        if (fy < -0.5 || fx < -0.5 || fy > g.rows - 0.5 || fx > g.cols - 0.5) return null;
+
+        // The cell under the point must have data; neighbors without data are skipped
+        const r0 = Math.floor(fy), c0 = Math.floor(fx);
+        const own = g.values[Math.min(g.rows - 1, Math.max(0, Math.round(fy))) * g.cols + Math.min(g.cols - 1, Math.max(0, Math.round(fx)))];
+        if (Number.isNaN(own)) return null;
+        let sum = 0, wsum = 0;
+        for (const [r, c] of [[r0, c0], [r0, c0 + 1], [r0 + 1, c0], [r0 + 1, c0 + 1]]) {
+            if (r < 0 || c < 0 || r >= g.rows || c >= g.cols) continue;
+            const v = g.values[r * g.cols + c];
+            if (Number.isNaN(v)) continue;
+            const w = (1 - Math.abs(fy - r)) * (1 - Math.abs(fx - c));
+            sum += w * v;
+            wsum += w;
+        }
+        return wsum > 0 ? sum / wsum : own;
+    }
+}
+
+/** owner (polygon container) → "aspect|method|…" → surface */
+const cache = new WeakMap();
+
+/**
+ * Surface for one aspect of a dataset, built once per (dataset polygons, aspect, settings).
+ * @param {Object|null} owner Polygon container the zones come from (the cache key; null disables caching)
+ * @param {string} aspect Aspect key (e.g., "median_rent")
+ * @param {Array<any>} aspectPolys Zones of that aspect
+ * @param {{surface:string, bandwidth_m?:number, power?:number, overlap?:string}} mode Aspect mode (aspects.js)
+ * @returns {AspectSurface|null} null when `mode.surface` is "none"
+ */
+export function surfaceFor(owner, aspect, aspectPolys, mode) {
+    if (!mode?.surface || mode.surface === "none") return null;
+    const options = { method: mode.surface, bandwidth_m: mode.bandwidth_m, power: mode.power, overlap: mode.overlap };
+    if (!owner || typeof owner !== "object") return new AspectSurface(aspectPolys, options);
+
+    const key = `${aspect}|${mode.surface}|${mode.bandwidth_m ?? ""}|${mode.power ?? ""}|${mode.overlap ?? ""}`;
+    if (!cache.has(owner)) cache.set(owner, new Map());
+    const byKey = cache.get(owner);
+    if (!byKey.has(key)) byKey.set(key, new AspectSurface(aspectPolys, options));
+    return byKey.get(key);
+}
+
+/**
+ * Short description of a surface setting.
+ * @param {{surface:string, bandwidth_m?:number, power?:number}} mode
+ * @returns {string} e.g. "kernel smoothing (σ 300 m)"
+ */
+export function describeSurface(mode) {
+    if (mode.surface === "kernel") return `kernel smoothing (σ ${Math.round(mode.bandwidth_m ?? DEFAULT_BANDWIDTH_M)} m)`;
+    if (mode.surface === "idw") return `inverse distance (power ${mode.power ?? DEFAULT_IDW_POWER})`;
+    return "zone steps";
+}
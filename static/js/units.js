@@ -0,0 +1,107 @@
+/**
+ * @file units.js
+ * @description Radius units (yd, m, mi, km) and the single conversion path between
+ * the radius the user sees and the meters used everywhere internally
+ * (Leaflet circles, bundles, URLs and saved entries).
+ *
+ * The display unit is module state: the unit selector sets it once and every
+ * input, label and chart axis reads it through these helpers.
+ */
+
+/** Supported radius units: meters per unit and display decimals. */
+export const RADIUS_UNITS = Object.freeze({
+    yd: Object.freeze({ label: "yd", name: "yards",      m: 0.9144,   decimals: 0 }),
+    m:  Object.freeze({ label: "m",  name: "meters",     m: 1,        decimals: 0 }),
+    mi: Object.freeze({ label: "mi", name: "miles",      m: 1609.344, decimals: 2 }),
+    km: Object.freeze({ label: "km", name: "kilometers", m: 1000,     decimals: 2 }),
+});
+
+/** Unit shown until the user picks another. */
+export const DEFAULT_RADIUS_UNIT = "yd";
+
+/** Spellings accepted as a unit suffix in typed radii ("500 m", "0.5 miles"). */
+const UNIT_ALIASES = Object.freeze({
+    yd: "yd", yds: "yd", yard: "yd", yards: "yd",
+    m: "m", meter: "m", meters: "m", metre: "m", metres: "m",
+    mi: "mi", mile: "mi", miles: "mi",
+    km: "km", kilometer: "km", kilometers: "km", kilometre: "km", kilometres: "km",
+});
+
+/** Current display unit. */
+let currentUnit = DEFAULT_RADIUS_UNIT;
+
+/**
+ * Current display unit key.
+ * @returns {keyof RADIUS_UNITS}
+ */
+export function getRadiusUnit() {
+    return currentUnit;
+}
+
+/**
+ * Set the display unit (unknown keys are ignored).
+ * @param {string} unit
+ * @returns {keyof RADIUS_UNITS} The unit now in effect
+ */
+export function setRadiusUnit(unit) {
+    if (RADIUS_UNITS[unit]) currentUnit = unit;
+    return currentUnit;
+}
+
+/**
+ * Convert a value in a unit to meters.
+ * @param {number} value
+ * @param {string} [unit=current]
+ * @returns {number}
+ */
+export function toMeters(value, unit = currentUnit) {
+    return value * (RADIUS_UNITS[unit] ?? RADIUS_UNITS[DEFAULT_RADIUS_UNIT]).m;
+}
+
+/**
+ * Convert meters to a unit.
+ * @param {number} meters
+ * @param {string} [unit=current]
+ * @returns {number}
+ */
+export function fromMeters(meters, unit = currentUnit) {
+    return meters / (RADIUS_UNITS[unit] ?? RADIUS_UNITS[DEFAULT_RADIUS_UNIT]).m;
+}
+
+/**
+ * Radius value rounded for display (no unit suffix), e.g. for the radius input.
+ * @param {number} meters
+ * @param {string} [unit=current]
+ * @returns {string}
+ */
+export function radiusValue(meters, unit = currentUnit) {
+    const u = RADIUS_UNITS[unit] ?? RADIUS_UNITS[DEFAULT_RADIUS_UNIT];
+    return String(+fromMeters(Math.max(0, meters), unit).toFixed(u.decimals));
+}
+
+/**
+ * Radius with its unit ("400 yd").
+ * @param {number} meters
+ * @param {string} [unit=current]
+ * @returns {string}
+ */
+export function formatRadius(meters, unit = currentUnit) {
+    return `${radiusValue(meters, unit)} ${(RADIUS_UNITS[unit] ?? RADIUS_UNITS[DEFAULT_RADIUS_UNIT]).label}`;
+}
+
+/**
+ * Parse a typed radius. A unit suffix ("500 m", "0.5mi") overrides `unit`.
+ * @param {string} text
+ * @param {string} [unit=current]
+ * @returns {number|null} Meters, or null for an empty input
+ * @throws {Error} on anything that is not a non-negative number with an optional known unit
+ */
+export function parseRadius(text, unit = currentUnit) {
+    const raw = String(text ?? "").trim().toLowerCase();
+    if (raw === "") return null;
+    const m = /^(\d+(?:\.\d*)?|\.\d+)\s*([a-z]*)$/.exec(raw.replace(/,/g, ""));
+    if (!m) throw new Error("Radius must be a positive number (optionally with a unit, e.g. 500 m)");
+    const suffix = m[2] ? UNIT_ALIASES[m[2]] : unit;
+    if (!suffix) throw new Error(`Unknown radius unit "${m[2]}" (use yd, m, mi or km)`);
+    return toMeters(Number(m[1]), suffix);
+}
@@ -0,0 +1,215 @@
+/**
+ * @file url_state.js
+ * @description Encode/decode the shareable app state in the page URL (query string).
+ * DOM-free: works on plain query strings, so it can be used from Node too.
+ *
+ * Parameters (all optional; unknown parameters such as `profile` are preserved):
+ *  - c    center "lat,lon"                               c=40.741200,-73.989700
+ *  - r    radius in meters                               r=800
+ *  - p    non-neutral preferences "type:value,…"         p=park:3,landfill:-2
+ *  - w    non-default weights "key:value,…"              w=rent:2,school:0.5
+ *  - off  hidden aspect layers "aspect,…"                off=crime_rate,median_rent
+ *  - v    map view "lat,lon,zoom"                        v=40.740000,-73.980000,13
+ *  - a    area of interest shapes, ";"-separated:        a=c:40.74,-73.98,400;p:40.75,-73.99,40.75,-73.97,40.76,-73.98
+ *         "c:lat,lon,radius_m" circles and "p:lat,lon,…" polygons (ring not repeated)
+ *  - an   AOI anchor "lat,lon"                           an=40.745000,-73.985000
+ *  - af   AOI distance mode (only when not "anchor")     af=boundary
+ *  - wk   walking-network distances                      wk=1
+ *  - iso  walk-time isochrone in minutes                 iso=10
+ *  - av   aspect values "aggregate,overlap[,surface]" (non-default) av=mean,max or av=center,first,kernel
+ *
+ * Keys inside list values are percent-encoded, so types may contain "," or ":".
+ */
+
+/** Parameters owned by this module. */
+const KEYS = ["c", "r", "p", "w", "off", "v", "a", "an", "af", "wk", "iso", "av"];
+
+/** Decimal places for AOI coordinates (~1 m). */
+const AOI_DECIMALS = 5;
+
+/**
+ * @typedef {Object} UrlAppState
+ * @property {{lat:number, lon:number}} [center]
+ * @property {number} [radius_m]
+ * @property {Record<string,number>} [preferences]
+ * @property {Record<string,number>} [weights]
+ * @property {string[]} [hiddenLayers]
+ * @property {{lat:number, lon:number, zoom:number}} [view]
+ * @property {{circles:Array, rings:Array, anchor?:{lat:number, lon:number}, distance_from?:string}} [aoi]
+ *           Raw AOI (validate with `createAOI`, aoi.js)
+ * @property {{network:boolean, minutes:number}} [walk] Walking distances / isochrone (see network.js)
+ * @property {{aggregate:string, overlap:string, surface?:string}} [aspectMode] How aspects are read from the zones
+ *           (validate with `normalizeAspectMode`, aspects.js)
+ */
+
+/**
+ * Encode a `key:value,…` list.
+ * @param {Record<string,number>} map
+ * @returns {string}
+ */
+function encodePairs(map) {
+    return Object.entries(map).map(([k, v]) => `${encodeURIComponent(k)}:${v}`).join(",");
+}
+
+/**
+ * Percent-decode one list key.
+ * @param {string} text
+ * @returns {string|null} null when the escapes are malformed (e.g. "%E0")
+ */
+function decodeKey(text) {
+    try {
+        return decodeURIComponent(text);
+    }
+    catch {
+        return null;
+    }
+}
+
+/**
+ * Decode a `key:value,…` list, dropping non-numeric values and malformed keys.
+ * @param {string} text
+ * @returns {Record<string,number>}
+ */
+function decodePairs(text) {
+    const out = {};
+    for (const part of text.split(",")) {
+        const i = part.lastIndexOf(":");
+        if (i <= 0) continue;
+        const key = decodeKey(part.slice(0, i));
+        const value = Number(part.slice(i + 1));
+        if (key != null && Number.isFinite(value)) out[key] = value;
+    }
+    return out;
+}
+
+/**
+ * Parse "a,b[,c]" into finite numbers.
+ * @param {string|null} text
+ * @param {number} n Expected count
+ * @returns {number[]|null}
+ */
+function numbers(text, n) {
+    if (!text) return null;
+    const parts = text.split(",").map(Number);
+    return parts.length === n && parts.every(Number.isFinite) ? parts : null;
+}
+
+/**
+ * Encode AOI shapes as "c:lat,lon,r;p:lat,lon,…".
+ * @param {{circles:Array, rings:Array}} aoi
+ * @returns {string}
+ */
+function encodeShapes(aoi) {
+    const f = (v) => Number(v).toFixed(AOI_DECIMALS);
+    const circles = aoi.circles.map(c => `c:${f(c.center.lat)},${f(c.center.lon)},${Math.round(c.radius_m)}`);
+    const rings = aoi.rings.map(ring => `p:${ring.slice(0, -1).map(([lon, lat]) => `${f(lat)},${f(lon)}`).join(",")}`);
+    return [...circles, ...rings].join(";");
+}
+
+/**
+ * Decode AOI shapes, dropping malformed ones.
+ * @param {string} text
+ * @returns {{circles:Array, rings:Array}}
+ */
+function decodeShapes(text) {
+    const circles = [], rings = [];
+    for (const part of text.split(";")) {
+        const values = part.slice(2).split(",").map(Number);
+        if (!values.every(Number.isFinite)) continue;
+        if (part.startsWith("c:") && values.length === 3) {
+            circles.push({ center: { lat: values[0], lon: values[1] }, radius_m: values[2] });
+        }
+        else if (part.startsWith("p:") && values.length >= 6 && values.length % 2 === 0) {
+            const ring = [];
+            for (let i = 0; i < values.length; i += 2) ring.push([values[i + 1], values[i]]);
+            rings.push(ring);
+        }
+    }
+    return { circles, rings };
+}
+
+/**
+ * Write app state into a query string, keeping parameters this module does not own.
+ *
+ * @param {UrlAppState} appState
+ * @param {string} [baseSearch=""] Current query string (e.g., `location.search`)
+ * @param {Record<string,number>} [defaultWeights] Weights equal to these are omitted
+ * @returns {string} Query string including the leading "?" (or "" when empty)
+ */
+export function encodeAppState(appState, baseSearch = "", defaultWeights = {}) {
+    const params = new URLSearchParams(baseSearch);
+    KEYS.forEach(k => params.delete(k));
+
+    const { center, radius_m, preferences, weights, hiddenLayers, view, aoi, walk, aspectMode } = appState;
+    if (center) params.set("c", `${center.lat.toFixed(6)},${center.lon.toFixed(6)}`);
+    if (radius_m > 0) params.set("r", String(Math.round(radius_m)));
+
+    const prefs = Object.fromEntries(Object.entries(preferences ?? {}).filter(([, v]) => Number(v) !== 0));
+    if (Object.keys(prefs).length) params.set("p", encodePairs(prefs));
+
+    const w = Object.fromEntries(Object.entries(weights ?? {}).filter(([k, v]) => defaultWeights[k] !== v));
+    if (Object.keys(w).length) params.set("w", encodePairs(w));
+
+    if (hiddenLayers?.length) params.set("off", hiddenLayers.map(encodeURIComponent).join(","));
+    if (view) params.set("v", `${view.lat.toFixed(6)},${view.lon.toFixed(6)},${Math.round(view.zoom)}`);
+
+    if (aoi) {
+        params.set("a", encodeShapes(aoi));
+        if (aoi.anchor) params.set("an", `${aoi.anchor.lat.toFixed(6)},${aoi.anchor.lon.toFixed(6)}`);
+        if (aoi.distance_from && aoi.distance_from !== "anchor") params.set("af", aoi.distance_from);
+    }
+
+    if (walk?.network) params.set("wk", "1");
+    if (walk?.minutes > 0) params.set("iso", String(Math.round(walk.minutes)));
+    if (aspectMode) {
+        const parts = [aspectMode.aggregate, aspectMode.overlap];
+        if (aspectMode.surface && aspectMode.surface !== "none") parts.push(aspectMode.surface);
+        params.set("av", parts.join(","));
+    }
+
+    // Keep list separators readable (keys inside lists stay encoded)
+    const text = params.toString().replace(/%2C/gi, ",").replace(/%3A/gi, ":").replace(/%3B/gi, ";");
+    return text ? `?${text}` : "";
+}
+
+/**
+ * Read app state from a query string. Invalid parameters are ignored.
+ * @param {string} search e.g. `location.search`
+ * @returns {UrlAppState}
+ */
+export function decodeAppState(search) {
+    const params = new URLSearchParams(search);
+    /** @type {UrlAppState} */
+    const out = {};
+
+    const c = numbers(params.get("c"), 2);
+    if (c && Math.abs(c[0]) <= 90 && Math.abs(c[1]) <= 180) out.center = { lat: c[0], lon: c[1] };
+
+    const r = Number(params.get("r"));
+    if (params.has("r") && Number.isFinite(r) && r > 0) out.radius_m = r;
+
+    if (params.has("p")) out.preferences = decodePairs(params.get("p"));
+    if (params.has("w")) out.weights = decodePairs(params.get("w"));
+    if (params.has("off")) out.hiddenLayers = params.get("off").split(",").filter(Boolean).map(decodeKey).filter(k => k != null);
+
+    const v = numbers(params.get("v"), 3);
+    if (v) out.view = { lat: v[0], lon: v[1], zoom: v[2] };
+
+    if (params.has("a")) {
+        const shapes = decodeShapes(params.get("a"));
+        const an = numbers(params.get("an"), 2);
+        if (shapes.circles.length || shapes.rings.length) {
+            out.aoi = { ...shapes, anchor: an ? { lat: an[0], lon: an[1] } : null, distance_from: params.get("af") ?? "anchor" };
+        }
+    }
+
+    // Network distances only from `wk` (so encode → decode round-trips)
+    const iso = Number(params.get("iso"));
+    const minutes = Number.isFinite(iso) && iso > 0 ? Math.round(iso) : 0;
+    if (params.get("wk") === "1" || minutes) out.walk = { network: params.get("wk") === "1", minutes };
+
+    const av = params.get("av")?.split(",");
+    if (av?.length === 2 || av?.length === 3) out.aspectMode = { aggregate: av[0], overlap: av[1], surface: av[2] ?? "none" };
+
+    return out;
+}
@@ -3,10 +3,13 @@
  * @description Small DOM helpers and UI builders shared across the app.
  * Exports:
  *  - DOM helpers: qs, qsa, el, addClass, removeClass, toggleClass, hide, show
- *  - Misc: unique, by, colorForKey
- *  - UI: createElementBar, createPreferenceBar, setupPreferenceToggle
+ *  - Misc: unique, by, colorForKey, formatPreference, PREFERENCE_MAX
+ *  - UI: createElementBar, createPreferenceBar, createWeightSlider, setupPreferenceToggle, setupAutocomplete
+ *  - Radius input: readRadiusInput, writeRadiusInput (through units.js)
  */
 
+import { parseRadius, radiusValue } from "./units.js";
+
 /** ---------- DOM HELPERS ---------- **/
 
 /**
@@ -100,6 +103,30 @@ export const unique = (arr) => Array.from(new Set(arr));
  */
 export const by = (k) => (a, b) => (a[k] > b[k] ? 1 : a[k] < b[k] ? -1 : 0);
 
+/**
+ * Escape text for safe insertion into HTML markup.
+ * @param {any} s
+ * @returns {string}
+ */
+export function escapeHTML(s) {
+    return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+/**
+ * Offer text as a file download.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} [mime="text/plain"]
+ */
+export function downloadText(filename, text, mime = "text/plain") {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Random-but-stable HSL color from a string key (e.g., an aspect name).
  * @param {string} key
@@ -127,7 +154,7 @@ export function createElementBar(p, onClick) {
 
     // Populate with the values
     bar.innerHTML = `
-        <p class="element-bar-label bar-label">${p.name ?? "Unnamed"}</p>
+        <p class="element-bar-label bar-label">${escapeHTML(p.name ?? "Unnamed")}</p>
         <p class="element-bar-label bar-label">${p.latitude + ", " + p.longitude}</p>
     `;
 
@@ -138,8 +165,136 @@ export function createElementBar(p, onClick) {
     return bar;
 }
 
+/**
+ * Build a clickable result bar for a "best spot" (rank, score, top elements).
+ * @param {{rank:number, center:{lat:number, lon:number}, result:{Score:number}, top:Array<{name:string, type:string, effect:number}>}} spot
+ * @param {(spot:object)=>void} onClick
+ * @returns {HTMLDivElement}
+ */
+export function createBestSpotBar(spot, onClick) {
+    // Create result bar
+    const bar = el("div", "bar best-spot-bar");
+
+    // Populate with rank, score and the elements that moved it most
+    const top = spot.top.map(e => `${escapeHTML(e.name)} (${e.effect >= 0 ? "+" : ""}${e.effect.toFixed(1)})`).join(", ");
+    bar.innerHTML = `
+        <span class="best-spot-rank">${spot.rank}</span>
+        <div class="best-spot-body">
+            <p class="bar-label"><strong>${spot.result.Score.toFixed(1)}</strong> / 100 · ${spot.center.lat.toFixed(5)}, ${spot.center.lon.toFixed(5)}</p>
+            <p class="bar-label best-spot-top">${top || "No liked or disliked elements nearby"}</p>
+        </div>
+    `;
+
+    // Attach click listener
+    bar.addEventListener("click", () => onClick(spot));
+
+    // Return created bar
+    return bar;
+}
+
+
+/** ---------- Radius input ---------- **/
+
+/**
+ * Radius typed in `#radius-input` (in the selected unit), in meters.
+ * @returns {number} Meters, or 0 when empty or invalid
+ */
+export function readRadiusInput() {
+    try {
+        return parseRadius(qs("#radius-input")?.value) ?? 0;
+    }
+    catch {
+        return 0;
+    }
+}
+
+/**
+ * Show a radius in `#radius-input` (in the selected unit).
+ * @param {number} meters
+ */
+export function writeRadiusInput(meters) {
+    const input = qs("#radius-input");
+    if (input) input.value = radiusValue(meters);
+}
 
-/** ---------- Preference bar (Good / Bad / N/A) ---------- **/
+/** ---------- Autocomplete ---------- **/
+
+/**
+ * Wire a text input to a suggestion list: suggestions update as the user types,
+ * Arrow keys move the selection, Enter or a click picks, Escape closes.
+ *
+ * @template T
+ * @param {HTMLInputElement} input
+ * @param {HTMLUListElement} list Suggestion list (hidden while empty)
+ * @param {(query:string)=>T[]} search
+ * @param {(item:T)=>string} label Suggestion text
+ * @param {(item:T)=>void} onPick
+ */
+export function setupAutocomplete(input, list, search, label, onPick) {
+    let items = [];
+    let active = -1;
+
+    // Render the current suggestions
+    const render = () => {
+        list.innerHTML = "";
+        items.forEach((item, i) => {
+            const li = el("li", `autocomplete-item${i === active ? " active" : ""}`);
+            li.textContent = label(item);
+            li.addEventListener("mousedown", (e) => {
+                e.preventDefault(); // keep focus so blur does not close first
+                pick(i);
+            });
+            list.appendChild(li);
+        });
+        list.classList.toggle("hidden", !items.length);
+    };
+
+    // Pick a suggestion and close the list
+    const pick = (i) => {
+        const item = items[i];
+        if (!item) return;
+        input.value = label(item);
+        items = [];
+        active = -1;
+        render();
+        onPick(item);
+    };
+
+    input.addEventListener("input", () => {
+        items = search(input.value);
+        active = items.length ? 0 : -1;
+        render();
+    });
+    input.addEventListener("keydown", (e) => {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            if (!items.length) return;
+            e.preventDefault();
+            active = (active + (e.key === "ArrowDown" ? 1 : -1) + items.length) % items.length;
+            render();
+        }
+        else if (e.key === "Enter") {
+            e.preventDefault();
+            pick(active);
+        }
+        else if (e.key === "Escape") {
+            items = [];
+            render();
+        }
+    });
+    input.addEventListener("blur", () => {
+        items = [];
+        render();
+    });
+}
+
+/** ---------- Preference bar (graded -3 … +3) ---------- **/
+
+/**
+ * Largest preference strength either way. Preferences run from -PREFERENCE_MAX
+ * (strongly dislike) through 0 (neutral) to +PREFERENCE_MAX (strongly want).
+ * @type {number}
+ */
+export const PREFERENCE_MAX = 3;
 
 /**
  * Turn an arbitrary string into a safe slug for element IDs.
@@ -151,7 +306,7 @@ function slugify(s) {
 }
 
 /**
- * Build an icon path for a tri-state toggle button.
+ * Build an icon path for a preference button.
  * Filenames must exist under `static/icons/` as `*-outline.svg` and `*-filled.svg`.
  * @param {"good"|"bad"|"na"} kind
  * @param {boolean} filled
@@ -166,27 +321,37 @@ function iconPath(kind, filled) {
     return "static/icons/" + (filled ? base[1] : base[0]);
 }
 
+/**
+ * Format a preference strength for display ("+2", "0", "-3").
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatPreference(value) {
+    return value > 0 ? `+${value}` : String(value);
+}
+
 /**
  * Build a single preference bar for a given element type (e.g., “Parks”, “Bars”).
- * Only one of the 3 buttons can be active at a time; defaults to N/A.
+ * Up/down step the strength within ±PREFERENCE_MAX; the X button resets to neutral (0).
  * @param {string} type
- * @param {(type:string, value:"good"|"bad"|"na")=>void} onChange Callback on change
+ * @param {(type:string, value:number)=>void} onChange Callback on change
+ * @param {number} [initial=0] Initial strength
  * @returns {HTMLDivElement}
  */
-export function createPreferenceBar(type, onChange) {
+export function createPreferenceBar(type, onChange, initial = 0) {
     // Create slug and bar element's 
     const typeSlug = slugify(type);
     const bar = el("div", "bar preference-bar");
     const panel = el("div", "preference-bar-button-panel");
 
     // Per-type unique IDs keep the DOM valid and make testing easier.
-    const btnGood = el("button", "preference-bar-btn", { type: "button", id: `${typeSlug}-good-button` });
-    const btnBad  = el("button", "preference-bar-btn", { type: "button", id: `${typeSlug}-bad-button` });
-    const btnNA   = el("button", "preference-bar-btn", { type: "button", id: `${typeSlug}-na-button` });
+    const btnGood = el("button", "preference-bar-btn", { type: "button", id: `${typeSlug}-good-button`, title: "Like more" });
+    const btnBad  = el("button", "preference-bar-btn", { type: "button", id: `${typeSlug}-bad-button`,  title: "Like less" });
+    const btnNA   = el("button", "preference-bar-btn", { type: "button", id: `${typeSlug}-na-button`,   title: "Neutral" });
 
-    const imgGood = el("img", "bar-icon", { src: iconPath("good", false), alt: "Good" });
-    const imgBad  = el("img", "bar-icon", { src: iconPath("bad",  false), alt: "Bad"  });
-    const imgNA   = el("img", "bar-icon", { src: iconPath("na",   true ),  alt: "N/A"  }); // start filled
+    const imgGood = el("img", "bar-icon", { src: iconPath("good", false), alt: "More" });
+    const imgBad  = el("img", "bar-icon", { src: iconPath("bad",  false), alt: "Less" });
+    const imgNA   = el("img", "bar-icon", { src: iconPath("na",   true ), alt: "Neutral" });
 
     // Attach icons to the buttons
     btnGood.appendChild(imgGood);
@@ -196,46 +361,104 @@ export function createPreferenceBar(type, onChange) {
     // Attach buttons to the panel
     panel.append(btnGood, btnBad, btnNA);
 
-    // Create and attach the label
+    // Create and attach the label + strength readout
     const label = el("p", ["preference-bar-label", "bar-label"]);
-    label.textContent = type;
+    const strength = el("span", "preference-bar-strength", { id: `${typeSlug}-strength` });
+    label.append(document.createTextNode(`${type} `), strength);
     bar.append(panel, label);
 
-    // --- Tri-state selection logic ---
-    /** @type {"good"|"bad"|"na"} */
-    let current = "na";
+    // --- Graded selection logic ---
+    /** @type {number} */
+    let current = 0;
 
     /**
-     * @param {"good"|"bad"|"na"} value
+     * Clamp, store and display a strength, then notify.
+     * @param {number} value
      */
     function setSelection(value) {
-        // reset to outlines
-        imgGood.setAttribute("src", iconPath("good", false));
-        imgBad .setAttribute("src", iconPath("bad",  false));
-        imgNA  .setAttribute("src", iconPath("na",   false));
+        current = Math.max(-PREFERENCE_MAX, Math.min(PREFERENCE_MAX, Math.round(Number(value) || 0)));
 
-        // fill the chosen one
-        if (value === "good")      imgGood.setAttribute("src", iconPath("good", true));
-        else if (value === "bad")  imgBad.setAttribute("src",  iconPath("bad",  true));
-        else                       imgNA.setAttribute("src",   iconPath("na",   true));
+        // Fill the icon matching the direction (outline otherwise)
+        imgGood.setAttribute("src", iconPath("good", current > 0));
+        imgBad .setAttribute("src", iconPath("bad",  current < 0));
+        imgNA  .setAttribute("src", iconPath("na",   current === 0));
 
-        current = value;
+        strength.textContent = formatPreference(current);
+        bar.classList.toggle("pref-positive", current > 0);
+        bar.classList.toggle("pref-negative", current < 0);
         onChange?.(type, current);
     }
 
-    // Initialize as N/A
-    onChange?.(type, current);
+    // Initialize
+    setSelection(initial);
 
     // Clicks (no bubbling—keeps parent bars from misfiring)
-    btnGood.addEventListener("click", (e) => { e.stopPropagation(); if (current !== "good") setSelection("good"); });
-    btnBad .addEventListener("click", (e) => { e.stopPropagation(); if (current !== "bad")  setSelection("bad");  });
-    btnNA  .addEventListener("click", (e) => { e.stopPropagation(); if (current !== "na")   setSelection("na");   });
+    btnGood.addEventListener("click", (e) => { e.stopPropagation(); if (current <  PREFERENCE_MAX) setSelection(current + 1); });
+    btnBad .addEventListener("click", (e) => { e.stopPropagation(); if (current > -PREFERENCE_MAX) setSelection(current - 1); });
+    btnNA  .addEventListener("click", (e) => { e.stopPropagation(); if (current !== 0)             setSelection(0); });
 
     // Return created element bar
     return bar;
 }
 
 
+/** ---------- Weight slider ---------- **/
+
+/**
+ * Build a compact weight slider (0–3 in 0.5 steps) with a live "×N" readout.
+ * Pointer/click events are stopped so the slider can sit inside clickable cards.
+ * @param {string} key Weight key (e.g., "air", "pos")
+ * @param {number} initial Initial weight
+ * @param {(key:string, value:number)=>void} onChange Callback on change
+ * @param {string} [label] Optional text label shown before the slider
+ * @returns {HTMLDivElement}
+ */
+export function createWeightSlider(key, initial, onChange, label) {
+    // Create wrapper, optional label, range input and readout
+    const wrap = el("div", "weight-slider");
+    const input = el("input", "weight-slider-input", {
+        type: "range", min: 0, max: 3, step: 0.5, value: initial,
+        id: `${slugify(key)}-weight`, "aria-label": `${label ?? key} weight`
+    });
+    const readout = el("span", "weight-slider-value");
+    readout.textContent = `×${Number(initial).toFixed(1)}`;
+
+    if (label) {
+        const text = el("span", "weight-slider-label");
+        text.textContent = label;
+        wrap.appendChild(text);
+    }
+    wrap.append(input, readout);
+
+    // Keep clicks from toggling the parent card
+    ["click", "mousedown", "pointerdown"].forEach((evt) => wrap.addEventListener(evt, (e) => e.stopPropagation()));
+
+    // Report changes
+    input.addEventListener("input", () => {
+        const value = parseFloat(input.value) || 0;
+        readout.textContent = `×${value.toFixed(1)}`;
+        onChange?.(key, value);
+    });
+
+    // Return created slider
+    return wrap;
+}
+
+/**
+ * Move an existing weight slider (created by {@link createWeightSlider}) to a value
+ * without firing its change callback.
+ * @param {string} key Weight key
+ * @param {number} value
+ */
+export function setWeightSlider(key, value) {
+    const input = document.getElementById(`${slugify(key)}-weight`);
+    if (!input) return;
+    input.value = value;
+    const readout = input.parentElement?.querySelector(".weight-slider-value");
+    if (readout) readout.textContent = `×${Number(value).toFixed(1)}`;
+}
+
+
 /** ---------- Preference toggle (Elements ⇄ Preferences) ---------- **/
 
 /**
@@ -0,0 +1,537 @@
+#!/usr/bin/env node
+/**
+ * @file regression_checks.mjs
+ * @description Quick headless checks for bugs that once slipped through.
+ * Each check runs the DOM-free modules directly and must finish within its
+ * time budget; a failed or slow check is reported and the exit code is 1.
+ *
+ * Usage:
+ *   node tools/regression_checks.mjs
+ *
+ * Exit codes: 0 when every check passes, 1 otherwise.
+ */
+
+import { buildHabBundle } from "../static/js/bundle.js";
+import { HeatmapRunner } from "../static/js/heatmap.js";
+import { parseCoordinate, parseCoordinatePair } from "../static/js/coordinates.js";
+import { distancePointToPolygonBoundaryMeters, haversineMeters, pointInPolygon, resolveAspectValueAtPoint } from "../static/js/geo.js";
+import { Gazetteer } from "../static/js/geocoder.js";
+import { WalkGraph } from "../static/js/network.js";
+import { assessConfidence, explainScore, scoreBundle } from "../static/js/hab_score.js";
+import { clearDistributionCache, getScoreDistribution } from "../static/js/percentile.js";
+import { decodeAppState, encodeAppState } from "../static/js/url_state.js";
+import { parseRadius } from "../static/js/units.js";
+import { aoiAreaM2, aoiContains, aoiFromCircle, createAOI, distanceToAOIMeters, filterPointsInAOI, rectangleRing } from "../static/js/aoi.js";
+import { DEFAULT_ASPECT_MODE, resolveAspectOverArea } from "../static/js/aspects.js";
+import { AspectSurface, surfaceFor } from "../static/js/surface.js";
+import { importFile } from "../static/js/importers.js";
+import { elementsCSV, reportGeoJSON, reportHTML } from "../static/js/report.js";
+import {
+    SHORTLIST_STORAGE_KEY, createEntry, exportShortlist, loadShortlist, mergeShortlists, parseShortlistFile, parseTags, persistShortlist,
+} from "../static/js/shortlist.js";
+import { comparisonRows, nextCandidateLabel, scoreCandidates } from "../static/js/compare.js";
+import { DEFAULT_PROFILE, decaySpecFor, makeKernel, normalizeProfile } from "../static/js/scoring_profile.js";
+import { PolygonIndex } from "../static/js/spatial_index.js";
+import { findBestSpots } from "../static/js/search.js";
+
+/** Time budget per check in milliseconds. */
+const BUDGET_MS = 2000;
+
+/** Small synthetic dataset around lower Manhattan (no zones, so only the element channels score). */
+const TINY = Object.freeze({
+    points: [
+        { name: "Park", type: "park", latitude: 40.7130, longitude: -74.0060 },
+        { name: "Market", type: "grocery", latitude: 40.7140, longitude: -74.0050 },
+        { name: "Dump", type: "landfill", latitude: 40.7110, longitude: -74.0070 },
+    ],
+    polygons: [],
+});
+
+/** Meters per degree of latitude (same Earth radius as geo.js). */
+const M_PER_DEG = (6371008.8 * Math.PI) / 180;
+
+/** Center of the synthetic dataset. */
+const TINY_CENTER = Object.freeze({ lat: 40.7128, lon: -74.0060 });
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1) (so failures reproduce).
+ * @param {number} seed
+ * @returns {()=>number}
+ */
+function seededRandom(seed) {
+    let x = seed >>> 0;
+    return () => {
+        x = (Math.imul(x, 1664525) + 1013904223) >>> 0;
+        return x / 2 ** 32;
+    };
+}
+
+/**
+ * Throw unless two values have the same JSON form.
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} what
+ */
+function same(actual, expected, what) {
+    const a = JSON.stringify(actual), b = JSON.stringify(expected);
+    if (a !== b) throw new Error(`${what}: got ${a}, expected ${b}`);
+}
+
+/**
+ * Throw unless two numbers agree to within `eps`.
+ * @param {number} actual
+ * @param {number} expected
+ * @param {string} what
+ * @param {number} [eps=1e-9]
+ */
+function near(actual, expected, what, eps = 1e-9) {
+    if (!(Math.abs(actual - expected) <= eps)) throw new Error(`${what}: got ${actual}, expected ${expected}`);
+}
+
+/**
+ * Square zone Feature of one aspect.
+ * @param {string} aspect Aspect key (e.g. "median_rent")
+ * @param {number} value Zone value (also its transit distance for "transit_access")
+ * @param {number} west
+ * @param {number} south
+ * @param {number} size Side in degrees
+ * @returns {Object}
+ */
+function squareZone(aspect, value, west, south, size) {
+    const ring = [[west, south], [west + size, south], [west + size, south + size], [west, south + size], [west, south]];
+    return { type: "Feature", properties: { aspect, value, transit_distance: value, zone_type: `${aspect} ${value}` }, geometry: { type: "Polygon", coordinates: [ring] } };
+}
+
+/** name → check (throws or rejects on failure) */
+const CHECKS = {
+    /** Reverse lookup far from every address must return the nearest one quickly. */
+    "gazetteer nearest far from the data": () => {
+        const gaz = new Gazetteer([
+            { address: "1 Near St", latitude: 40.73, longitude: -74.0 },
+            { address: "2 Far Ave", latitude: 40.8, longitude: -73.9 },
+        ]);
+        for (const [lat, lon] of [[0, 0], [-33.87, 151.21], [40.7301, -74.0001]]) {
+            // Compare with a plain scan of every address
+            const hit = gaz.nearest(lat, lon);
+            const want = Math.min(...gaz.entries.map((e) => haversineMeters(lat, lon, e.lat, e.lon)));
+            if (!hit || Math.abs(hit.distance_m - want) > 1e-6) {
+                throw new Error(`nearest(${lat}, ${lon}) gave ${hit?.distance_m} m, expected ${want} m`);
+            }
+        }
+    },
+
+    /** Snapping a location far from a small street graph must not walk every ring in between. */
+    "walk graph nearest node far from the graph": () => {
+        const graph = new WalkGraph({ nodes: [[-74.0, 40.7], [-74.001, 40.7]], edges: [[0, 1]] });
+        for (const [lat, lon] of [[44.7, -74.0], [10.0, -40.0], [-33.87, 151.21]]) {
+            const snap = graph.nearestNode(lat, lon);
+            const want = Math.min(...[0, 1].map((i) => haversineMeters(lat, lon, graph.lat[i], graph.lon[i])));
+            if (!snap || Math.abs(snap.distance_m - want) > 1e-6) {
+                throw new Error(`nearestNode(${lat}, ${lon}) gave ${snap?.distance_m} m, expected ${want} m`);
+            }
+        }
+    },
+
+    /** The nearest zone found through the grid is the one a scan of every zone finds. */
+    "nearest zone matches a brute-force scan": () => {
+        const rand = seededRandom(25);
+        const zones = Array.from({ length: 300 }, (_, i) => {
+            const lat = 40.6 + rand() * 0.2, lon = -74.1 + rand() * 0.2, h = 0.0005 + rand() * 0.004;
+            const ring = [[lon, lat], [lon + h, lat], [lon + h, lat + h], [lon, lat + h], [lon, lat]];
+            return { type: "Feature", properties: { aspect: "rent", value: i }, geometry: { type: "Polygon", coordinates: [ring] } };
+        });
+        // A zone spanning the whole area (skips the grid) far from the others
+        zones.push({ type: "Feature", properties: { aspect: "rent", value: -1 }, geometry: { type: "Polygon", coordinates: [[[-120, 30], [-70, 30], [-70, 30.01], [-120, 30.01], [-120, 30]]] } });
+
+        const queries = Array.from({ length: 200 }, () => ({ lat: 40.55 + rand() * 0.3, lon: -74.15 + rand() * 0.3 }));
+        queries.push({ lat: 45, lon: -60 }, { lat: 30.5, lon: -75 }, { lat: -33.87, lon: 151.21 });
+        for (const center of queries) {
+            const point = [center.lon, center.lat];
+            if (zones.some((z) => pointInPolygon(point, z.geometry))) continue;
+            const want = zones.reduce((best, z, i) => {
+                const d = distancePointToPolygonBoundaryMeters(point, z.geometry);
+                return d < best.d ? { d, i } : best;
+            }, { d: Infinity, i: -1 });
+            const got = resolveAspectValueAtPoint(center, zones);
+            if (got.polygon !== zones[want.i] || got.distance_to_boundary_m !== want.d) {
+                throw new Error(`(${center.lat}, ${center.lon}): got zone ${got.polygon?.properties.value} at ${got.distance_to_boundary_m} m, expected ${zones[want.i].properties.value} at ${want.d} m`);
+            }
+        }
+
+        // Inside the data only the zones of a few nearby cells are measured
+        const index = new PolygonIndex(zones, (z) => z);
+        let measured = 0;
+        index.nearest(40.7, -74.0, (id) => { measured++; return distancePointToPolygonBoundaryMeters([-74.0, 40.7], zones[id].geometry); });
+        if (measured > 30) throw new Error(`measured ${measured} of ${zones.length} zones`);
+    },
+
+    /** Dealbreakers change the shown score but not the shares or leave-one-out effects. */
+    "explanation is measured before dealbreakers": () => {
+        const prefs = { park: 3, grocery: 2, landfill: -3 };
+        const plain = explainScore(buildHabBundle(TINY_CENTER, 800, TINY, prefs));
+        if (plain.elements.length !== 3) throw new Error(`expected 3 scored elements, got ${plain.elements.length}`);
+        const ruleSets = {
+            disqualify: [{ kind: "forbid_near", type: "landfill", within_m: 500, action: "disqualify" }],
+            cap: [{ kind: "require_near", type: "school", within_m: 500, action: "cap", cap: 10 }],
+        };
+        for (const [name, rules] of Object.entries(ruleSets)) {
+            const bundle = buildHabBundle(TINY_CENTER, 800, TINY, prefs, { dealbreakers: rules });
+            const result = scoreBundle(bundle);
+            if (result.Score_uncapped == null) throw new Error(`${name}: rule did not change the score`);
+            const ex = explainScore(bundle, result);
+            if (!ex.pre_cap) throw new Error(`${name}: explanation not flagged as pre-cap`);
+            near(ex.components.reduce((a, c) => a + c.points, 0), result.Score_uncapped, `${name}: component points`);
+            if (ex.elements.length !== plain.elements.length) throw new Error(`${name}: element count changed`);
+            ex.elements.forEach((e, i) => near(e.effect, plain.elements[i].effect, `${name}: effect of ${e.name}`));
+        }
+    },
+
+    /** Shared links decode back to the state they were made from; malformed parts are dropped. */
+    "url state round-trip and malformed links": () => {
+        const state = {
+            center: { lat: 40.7412, lon: -73.9897 },
+            radius_m: 800,
+            preferences: { park: 3, "odd,type:x": -2 },
+            weights: { rent: 2 },
+            hiddenLayers: ["crime_rate"],
+            view: { lat: 40.74, lon: -73.98, zoom: 13 },
+            aoi: { circles: [{ center: { lat: 40.74, lon: -73.98 }, radius_m: 400 }], rings: [], anchor: { lat: 40.745, lon: -73.985 }, distance_from: "boundary" },
+            walk: { network: false, minutes: 10 },
+            aspectMode: { aggregate: "mean", overlap: "max", surface: "kernel" },
+        };
+        same(decodeAppState(encodeAppState(state, "?profile=x", { rent: 1 })), state, "round-trip");
+        same(decodeAppState("?p=%25E0:1,park:2&off=%25zz,crime_rate"), { preferences: { park: 2 }, hiddenLayers: ["crime_rate"] }, "malformed escapes");
+        same(decodeAppState("?wk=1").walk, { network: true, minutes: 0 }, "wk only");
+    },
+
+    /** Typed coordinates: DMS letter markers, hemispheres on either side, and typed radii. */
+    "coordinate and radius parsing": () => {
+        const dms = 40 + 42 / 60 + 46 / 3600;
+        near(parseCoordinate("40D42M46S", "lat"), dms, "seconds mark is not South");
+        near(parseCoordinate("40D42M46SS", "lat"), -dms, "seconds mark then South");
+        near(parseCoordinate(`40°42'46"S`, "lat"), -dms, "symbol DMS, South");
+        near(parseCoordinate("74.006W", "lon"), -74.006, "decimal, West");
+        for (const text of ["N 40.7 W 74.0", "40.7N, 74.0W", "W 74.0 N 40.7", "40.7, -74.0", "40.7 -74.0"]) {
+            same(parseCoordinatePair(text), { lat: 40.7, lon: -74 }, `pair "${text}"`);
+        }
+        same(parseCoordinatePair("https://www.google.com/maps/@40.7,-74,15z"), { lat: 40.7, lon: -74 }, "map link");
+        same(parseCoordinatePair("40.7128"), null, "single value");
+        near(parseRadius("0.5 mi", "m"), 804.672, "radius with unit", 1e-6);
+        near(parseRadius("800", "m"), 800, "radius in the selected unit");
+        for (const bad of ["95, 10", "-40.7N 74W"]) {
+            let threw = false;
+            try { parseCoordinatePair(bad); } catch { threw = true; }
+            if (!threw) throw new Error(`"${bad}" should be rejected`);
+        }
+    },
+
+    /** A worker that fails is dropped: the job and later ones are scored on the main thread. */
+    "heatmap falls back to the main thread after a worker error": async () => {
+        let created = 0;
+        const saved = globalThis.Worker;
+        globalThis.Worker = class {
+            constructor() { created++; }
+            postMessage(msg) { if (msg.type === "score") setTimeout(() => this.onerror?.({ message: "script failed" })); }
+            terminate() {}
+        };
+        try {
+            const runner = new HeatmapRunner(TINY);
+            const job = { cells: [TINY_CENTER], radiusM: 800, prefs: { park: 3 }, options: {} };
+            const want = scoreBundle(buildHabBundle(TINY_CENTER, 800, TINY, job.prefs)).Score;
+            for (let run = 0; run < 2; run++) same(await runner.run(job), [want], `run ${run + 1}`);
+            if (created !== 1) throw new Error(`expected 1 worker, ${created} created`);
+        }
+        finally {
+            globalThis.Worker = saved;
+        }
+    },
+
+    /** The best-spot search reports progress, its spots survive the trip back from a worker, and it can be cancelled. */
+    "best-spot search progress, transfer and cancel": async () => {
+        const zone = { type: "Feature", properties: { name: "Zone" }, geometry: { type: "Polygon", coordinates: [[[-74.01, 40.71], [-74.0, 40.71], [-74.0, 40.716], [-74.01, 40.716], [-74.01, 40.71]]] } };
+        const dataset = { points: TINY.points, polygons: [zone] };
+        const search = { radiusM: 400, prefs: { park: 3, grocery: 2, landfill: -3 }, options: {}, count: 2, cells: 6, refineRounds: 1 };
+        const want = findBestSpots(dataset, search);
+        if (!want.length) throw new Error("no spots found");
+        let last = null;
+        const spots = await new HeatmapRunner(dataset).search(search, (done, total) => { last = [done, total]; });
+        if (!last || last[0] !== last[1]) throw new Error(`progress stopped at ${JSON.stringify(last)}`);
+        same(structuredClone(spots), want, "spots");
+
+        // A search still in the worker is rejected as cancelled
+        const saved = globalThis.Worker;
+        globalThis.Worker = class { postMessage() {} terminate() {} };
+        try {
+            const runner = new HeatmapRunner(dataset);
+            const pending = runner.search(search);
+            runner.cancel();
+            same(await pending.catch((err) => err), { cancelled: true }, "cancelled search");
+        }
+        finally {
+            globalThis.Worker = saved;
+        }
+    },
+
+    /** Percentile samples are built and scored once per key; a failed run is retried. */
+    "percentile distribution is sampled lazily and shared": async () => {
+        clearDistributionCache();
+        let sampled = 0;
+        const centers = () => { sampled++; return [{ lat: 0, lon: 0 }, { lat: 1, lon: 1 }]; };
+        const [a, b] = await Promise.all([
+            getScoreDistribution("k", centers, async () => [70, 30]),
+            getScoreDistribution("k", centers, async () => [0, 0]),
+        ]);
+        same([a, b, sampled], [[30, 70], [30, 70], 1], "shared run");
+        await getScoreDistribution("bad", centers, async () => { throw new Error("cancelled"); }).catch(() => {});
+        same(await getScoreDistribution("bad", centers, () => [5]), [5], "retry after failure");
+        clearDistributionCache();
+    },
+
+    /** A street graph rebuilt from its compact form (as the workers do) walks the same distances. */
+    "walk graph compact round-trip": () => {
+        const raw = { type: "FeatureCollection", features: [
+            { type: "Feature", properties: {}, geometry: { type: "LineString", coordinates: [[-74.0, 40.7], [-74.0, 40.71], [-73.99, 40.71]] } },
+            { type: "Feature", properties: {}, geometry: { type: "LineString", coordinates: [[-74.0, 40.71], [-74.01, 40.72]] } },
+        ] };
+        const graph = new WalkGraph(raw);
+        const copy = new WalkGraph(graph.toCompact());
+        const origin = { lat: 40.7, lon: -74.0 };
+        same(Array.from(copy.distancesFrom(origin).dist), Array.from(graph.distancesFrom(origin).dist), "distances");
+    },
+
+    /** Component points add up to the score; liked elements help, disliked ones hurt, neutral ones are not listed. */
+    "explanation shares and element effects": () => {
+        const bundle = buildHabBundle(TINY_CENTER, 800, TINY, { park: 3, grocery: 0, landfill: -3 });
+        const result = scoreBundle(bundle);
+        const ex = explainScore(bundle, result);
+        near(ex.components.reduce((a, c) => a + c.points, 0), result.Score, "component points", 1e-6);
+        near(ex.components.reduce((a, c) => a + c.max_points, 0), 100, "component maxima", 1e-6);
+        const signs = ex.elements.map((e) => [e.name, Math.sign(e.effect)]).sort();
+        same(signs, [["Dump", -1], ["Park", 1]], "element effect signs");
+    },
+
+    /** Preference strength -3…+3 scales an element's pull: stronger likes raise the score, stronger dislikes lower it. */
+    "graded preference strength": () => {
+        const scoreWith = (prefs) => scoreBundle(buildHabBundle(TINY_CENTER, 800, TINY, prefs)).Score;
+        const strength = (pref) => buildHabBundle(TINY_CENTER, 800, TINY, { park: pref }).channels.elements_pairs
+            .find(([, , type]) => type === "park")[1];
+        [-3, -1, 0, 2, 3].forEach((pref) => near(strength(pref), pref / 3, `strength of ${pref}`));
+        const liked = [1, 2, 3].map((v) => scoreWith({ park: v }));
+        const disliked = [1, 2, 3].map((v) => scoreWith({ landfill: -v }));
+        if (!(liked[0] < liked[1] && liked[1] < liked[2])) throw new Error(`likes not increasing: ${liked}`);
+        if (!(disliked[0] > disliked[1] && disliked[1] > disliked[2])) throw new Error(`dislikes not decreasing: ${disliked}`);
+    },
+
+    /** Decay kernels hit their documented values; type overrides inherit ρ; the default reproduces e^{-d}. */
+    "decay kernels and type overrides": () => {
+        near(makeKernel({ kernel: "exponential", half_km: 0.5 })(0.5), 0.5, "exponential at half_km");
+        near(makeKernel({ kernel: "exponential", half_km: Math.LN2 })(1.3), Math.exp(-1.3), "exponential with ln 2", 1e-12);
+        near(makeKernel({ kernel: "gaussian", sigma_km: 0.4 })(0.4), Math.exp(-0.5), "gaussian at sigma");
+        near(makeKernel({ kernel: "linear", cutoff_km: 1 })(0.25), 0.75, "linear inside");
+        near(makeKernel({ kernel: "linear", cutoff_km: 1 })(2), 0, "linear beyond the cutoff");
+        same([0.5, 1, 1.01].map(makeKernel({ kernel: "step", cutoff_km: 1 })), [1, 1, 0], "step");
+        for (const bad of [{ kernel: "exponential", half_km: 0 }, { kernel: "cubic" }]) {
+            let threw = false;
+            try { makeKernel(bad); } catch { threw = true; }
+            if (!threw) throw new Error(`${JSON.stringify(bad)} should be rejected`);
+        }
+        const profile = normalizeProfile({ decay: { elements: { kernel: "exponential", half_km: 1, rho: 0.8 }, types: { grocery: { kernel: "linear", cutoff_km: 1 } } } });
+        same(decaySpecFor(profile, "elements", "grocery"), { rho: 0.8, kernel: "linear", cutoff_km: 1 }, "type override");
+        same(decaySpecFor(profile, "elements", "park"), profile.decay.elements, "type without override");
+        near(makeKernel(decaySpecFor(DEFAULT_PROFILE, "elements"))(0.7), Math.exp(-0.7), "built-in decay", 1e-12);
+    },
+
+    /** Confidence is high inside zones, drops with the distance to a fallback zone, and is low without data. */
+    "confidence from zone coverage": () => {
+        const aspects = ["air_quality_index", "crime_rate", "median_rent", "school_quality", "transit_access"];
+        const zones = aspects.map((a) => squareZone(a, 5, -74.01, 40.71, 0.006));
+        const at = (center, polygons) => assessConfidence(buildHabBundle(center, 400, { points: TINY.points, polygons }, {}));
+
+        const inside = at(TINY_CENTER, zones);
+        same([inside.level, inside.value, inside.inside.length], ["high", 1, 5], "inside every zone");
+
+        const close = at({ lat: 40.7128, lon: -74.0138 }, zones), far = at({ lat: 40.7128, lon: -74.02 }, zones);
+        same([close.fallbacks.length, far.fallbacks.length], [5, 5], "fallback aspects");
+        if (!(close.value < 1 && far.value < close.value)) throw new Error(`confidence ${close.value} → ${far.value} should fall with distance`);
+
+        const none = at(TINY_CENTER, []);
+        same([none.level, none.value, none.missing.length], ["low", 0, 5], "no zones");
+    },
+
+    /** Candidates are scored like single locations; rows that differ flag the best and worst candidate. */
+    "candidate comparison rows": () => {
+        const candidates = [
+            { label: "A", center: TINY_CENTER, radius_m: 800 },
+            { label: "B", center: { lat: 40.75, lon: -73.95 }, radius_m: 800 },
+        ];
+        const prefs = { park: 3 };
+        const scored = scoreCandidates(candidates, TINY, prefs, {});
+        scored.forEach((c) => near(c.result.Score, scoreBundle(buildHabBundle(c.center, c.radius_m, TINY, prefs)).Score, `score of ${c.label}`));
+
+        const rows = comparisonRows(scored);
+        const row = (label) => rows.find((r) => r.label === label);
+        same(row("Habitability score").cells.map((c) => [c.best, c.worst]), [[true, false], [false, true]], "score row");
+        same(row("Liked in radius").cells.map((c) => c.text), ["1", "0"], "liked count");
+        same([row("Radius").differs, row("Radius").cells.some((c) => c.best || c.worst)], [false, false], "equal radii");
+        same(nextCandidateLabel([{ label: "A" }, { label: "C" }]), "B", "next free label");
+    },
+
+    /** Shortlist entries survive export/import and storage; merges replace by id; unreadable storage is reported. */
+    "shortlist round-trip, merge and unreadable storage": () => {
+        const bundle = buildHabBundle(TINY_CENTER, 800, TINY, { park: 3 });
+        const entry = createEntry({ name: "Home", notes: "quiet", tags: parseTags("a, b, a"), bundle, result: scoreBundle(bundle), preferences: { park: 3 } });
+        same(entry.tags, ["a", "b"], "tags");
+        same(parseShortlistFile(exportShortlist([entry])), [entry], "file round-trip");
+
+        const store = new Map();
+        const storage = { getItem: (k) => store.get(k) ?? null, setItem: (k, v) => store.set(k, v) };
+        persistShortlist([entry], storage);
+        same(loadShortlist(storage), [entry], "storage round-trip");
+
+        const renamed = { ...entry, name: "Home (new)" };
+        same(mergeShortlists([entry], [renamed]).map((e) => e.name), ["Home (new)"], "merge by id");
+
+        const errors = [];
+        store.set(SHORTLIST_STORAGE_KEY, "{not json");
+        same(loadShortlist(storage, (err) => errors.push(err)), [], "unreadable storage");
+        same(errors.length, 1, "unreadable storage reported");
+    },
+
+    /** Report exports: CSV fields are quoted and sorted by distance, GeoJSON holds the circle and elements, HTML is escaped. */
+    "report exports": () => {
+        const dataset = { points: [...TINY.points, { name: 'Cafe "Big", <b>Bar</b>', type: "cafe", latitude: 40.7129, longitude: -74.0061 }], polygons: [] };
+        const bundle = buildHabBundle(TINY_CENTER, 800, dataset, { park: 3, cafe: 2, landfill: -3 });
+        const lines = elementsCSV(bundle).trimEnd().split("\r\n");
+        same(lines[0], "name,type,latitude,longitude,distance_m,preference", "CSV header");
+        same(lines[1], '"Cafe ""Big"", <b>Bar</b>",cafe,40.7129,-74.0061,14,+2', "CSV quoting (nearest first)");
+        same(lines.length, 1 + bundle.channels.elements.length, "CSV rows");
+
+        const kinds = JSON.parse(reportGeoJSON(bundle)).features.map((f) => f.properties.kind);
+        same([kinds[0], kinds.filter((k) => k === "element").length], ["circle", bundle.channels.elements.length], "GeoJSON features");
+
+        const html = reportHTML(bundle, scoreBundle(bundle));
+        if (html.includes("<b>Bar</b>") || !html.includes("&lt;b&gt;Bar&lt;/b&gt;")) throw new Error("element name not escaped in the HTML report");
+    },
+
+    /** Dropped files become points and polygons; bad rows are skipped and unusable files rejected. */
+    "imported GeoJSON and CSV layers": async () => {
+        const file = (name, text) => ({ name, text: async () => text });
+        const geo = await importFile(file("My Zones.geojson", JSON.stringify({ type: "FeatureCollection", features: [
+            { type: "Feature", properties: { name: "Well" }, geometry: { type: "Point", coordinates: [-74.0, 40.7] } },
+            { type: "Feature", properties: { noise: 55 }, geometry: { type: "Polygon", coordinates: [[[-74, 40.7], [-73.99, 40.7], [-73.99, 40.71], [-74, 40.7]]] } },
+        ] })));
+        same(geo.points.map((p) => [p.name, p.type, p.latitude, p.longitude]), [["Well", "my_zones", 40.7, -74]], "GeoJSON points");
+        same(geo.polygons.map((p) => [p.aspect, p.value, p.coordinates.length]), [["imported_my_zones", 55, 4]], "GeoJSON polygons");
+
+        const csv = await importFile(file("shops.csv", 'Name;Category;Lat;Lon\n"Deli; Bakery";grocery;40.71;-74.01\nNo coords;x;;\n'));
+        same(csv.points.map((p) => [p.name, p.type, p.latitude, p.longitude]), [["Deli; Bakery", "grocery", 40.71, -74.01]], "CSV points");
+
+        for (const [name, text] of [["notes.pdf", "x"], ["empty.csv", "lat,lon\n"], ["bad.csv", "a,b\n1,2\n"]]) {
+            const err = await importFile(file(name, text)).then(() => null, (e) => e);
+            if (!err) throw new Error(`${name} should be rejected`);
+        }
+    },
+
+    /** Address search tolerates typos and partial last words, and ranks exact matches first. */
+    "fuzzy address search": () => {
+        const gaz = new Gazetteer([
+            { address: "123 Main Street, Springfield", latitude: 40.71, longitude: -74.0 },
+            { address: "125 Maine Avenue, Shelbyville", latitude: 40.72, longitude: -74.01 },
+            { address: "9 Elm Road", latitude: 40.73, longitude: -74.02 },
+            { address: "", latitude: 1, longitude: 1 },
+        ]);
+        same(gaz.size, 3, "malformed entries dropped");
+        const top = (query) => gaz.search(query)[0]?.entry.address ?? null;
+        same(top("123 main st"), "123 Main Street, Springfield", "partial last word");
+        same(top("mian street sprngfield"), "123 Main Street, Springfield", "typos");
+        same(top("elm rd"), "9 Elm Road", "abbreviation prefix");
+        same(top("zzz qqq"), null, "no match");
+    },
+
+    /** AOI shapes: containment, point filtering (same as a plain scan), area and boundary distances. */
+    "area of interest containment and area": () => {
+        const rect = rectangleRing({ lat: 40.70, lon: -74.02 }, { lat: 40.71, lon: -74.00 });
+        const circle = { center: { lat: 40.72, lon: -73.98 }, radius_m: 300 };
+        const aoi = createAOI({ rings: [rect, [[0, 0], [0, 0], [1, 1]]], circles: [circle], distance_from: "boundary" });
+        same(aoi.rings.length, 1, "degenerate ring dropped");
+        same([{ lat: 40.705, lon: -74.01 }, { lat: 40.7201, lon: -73.9801 }, { lat: 40.715, lon: -73.99 }].map((p) => aoiContains(aoi, p)), [true, true, false], "containment");
+
+        const rand = seededRandom(21);
+        const points = Array.from({ length: 400 }, (_, i) => ({ name: `p${i}`, latitude: 40.69 + rand() * 0.04, longitude: -74.03 + rand() * 0.06 }));
+        const got = filterPointsInAOI(aoi, points);
+        same(got.map((p) => p.name), points.filter((p) => aoiContains(aoi, { lat: p.latitude, lon: p.longitude })).map((p) => p.name), "filtered points");
+        if (got.length < 20) throw new Error(`only ${got.length} points inside the area`);
+        if (got.some((p) => p._distance_m !== 0)) throw new Error("boundary distances inside the area should be 0");
+
+        const want = 0.01 * M_PER_DEG * 0.02 * M_PER_DEG * Math.cos((40.705 * Math.PI) / 180) + Math.PI * 300 ** 2;
+        near(aoiAreaM2(aoi) / want, 1, "area", 0.05);
+        near(distanceToAOIMeters(aoi, { lat: 40.72, lon: -73.98 + 500 / (M_PER_DEG * Math.cos((40.72 * Math.PI) / 180)) }), 200, "distance to the circle", 1);
+    },
+
+    /** Area aggregates weigh zones by the share of the circle they cover. */
+    "area-weighted aspect values": () => {
+        const zones = [squareZone("median_rent", 10, -74.01, 40.70, 0.01), squareZone("median_rent", 30, -74.0, 40.70, 0.01)];
+        const center = { lat: 40.705, lon: -74.0 };
+        const area = aoiFromCircle(center, 300);
+        const resolve = (aggregate) => resolveAspectOverArea(area, center, zones, { ...DEFAULT_ASPECT_MODE, aggregate });
+
+        const mean = resolve("mean");
+        near(mean.value, 20, "mean across the boundary", 1);
+        same(mean.zones.length, 2, "zones in the mix");
+        mean.zones.forEach((z) => near(z.share, 0.5, `share of ${z.zone}`, 0.05));
+        near(mean.covered_share, 1, "covered share");
+        same([resolve("min").value, resolve("max").value], [10, 30], "min and max");
+
+        // "center" reads the single zone under the point, not the area
+        const west = resolveAspectOverArea(area, { lat: 40.705, lon: -74.001 }, zones, DEFAULT_ASPECT_MODE);
+        same([west.value, west.source === "area"], [10, false], "center reading");
+
+        // Off-center: the larger share pulls the mean
+        const east = resolveAspectOverArea(aoiFromCircle({ lat: 40.705, lon: -73.999 }, 300), center, zones, { ...DEFAULT_ASPECT_MODE, aggregate: "mean" });
+        if (!(east.value > 20 && east.value < 30)) throw new Error(`off-center mean ${east.value} should lean toward 30`);
+    },
+
+    /** Surfaces keep zone values away from boundaries and blend across them. */
+    "smooth aspect surfaces": () => {
+        const zones = [squareZone("median_rent", 10, -74.01, 40.70, 0.01), squareZone("median_rent", 30, -74.0, 40.70, 0.01)];
+        const kernel = new AspectSurface(zones, { method: "kernel", bandwidth_m: 100 });
+        near(kernel.valueAt(40.705, -74.005), 10, "kernel deep in the west zone", 0.1);
+        near(kernel.valueAt(40.705, -73.995), 30, "kernel deep in the east zone", 0.1);
+
+        // Across the boundary the value rises strictly between the two zones
+        const across = [-74.0008, -74.0002, -73.9998, -73.9992].map((lon) => kernel.valueAt(40.705, lon));
+        across.forEach((v, i) => {
+            if (!(v > 10 && v < 30)) throw new Error(`kernel ${v} near the boundary should lie between 10 and 30`);
+            if (i && !(v > across[i - 1])) throw new Error(`kernel should rise across the boundary: ${across.join(", ")}`);
+        });
+
+        const idw = new AspectSurface(zones, { method: "idw" });
+        near(idw.valueAt(40.705, -74.005), 10, "idw at the west centroid", 0.5);
+        near(idw.valueAt(40.705, -73.995), 30, "idw at the east centroid", 0.5);
+
+        same([kernel.valueAt(41.5, -74.005), new AspectSurface([], { method: "idw" }).raster], [null, null], "outside the zones / empty");
+        same(surfaceFor(null, "median_rent", zones, { surface: "none" }), null, "surface none");
+        if (!(surfaceFor(null, "median_rent", zones, { surface: "idw" }) instanceof AspectSurface)) throw new Error("surfaceFor idw should build a surface");
+        let threw = false;
+        try { new AspectSurface(zones, { method: "spline" }); } catch { threw = true; }
+        if (!threw) throw new Error("an unknown surface method should be rejected");
+    },
+};
+
+/** Entry point. */
+async function main() {
+    let failed = 0;
+    for (const [name, check] of Object.entries(CHECKS)) {
+        const start = Date.now();
+        let error = null;
+        try { await check(); }
+        catch (err) { error = err; }
+        const ms = Date.now() - start;
+        if (!error && ms > BUDGET_MS) error = new Error(`took ${ms} ms (budget ${BUDGET_MS} ms)`);
+        if (error) failed++;
+        console.log(`${error ? "FAIL" : "ok  "} ${name} (${ms} ms)${error ? ` — ${error.message}` : ""}`);
+    }
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * @file score_location.mjs
+ * @description Headless habitability scoring from the command line.
+ * Builds the same bundle as the web app (static/js/bundle.js) and scores it
+ * with score_v3, printing `{ bundle, score }` as JSON on stdout.
+ *
+ * Usage:
+ *   node tools/score_location.mjs --lat 40.7128 --lon -74.0060 --radius 800 \
+ *       [--prefs prefs.json] [--profile static/data/profiles/default.json] \
+ *       [--points static/data/features.json] [--polygons static/data/features_poly.json] \
+ *       [--gazetteer static/data/geocoding.json]
+ *   node tools/score_location.mjs --aoi area.geojson [--from boundary] [--lat … --lon …] [--prefs prefs.json]
+ *   node tools/score_location.mjs --lat … --lon … --graph walk_graph.json --walk 10 [--prefs prefs.json]
+ *   node tools/score_location.mjs --help
+ *
+ * Options:
+ *  - --lat, --lon   Center (degrees); with --aoi they set the anchor (optional)
+ *  - --radius       Radius in meters (not used with --aoi)
+ *  - --aoi          Area of interest as GeoJSON (polygons, or points with radius_m); replaces the circle
+ *  - --from         AOI element distances: "anchor" (default) or "boundary"
+ *  - --graph        Walking street graph (see static/js/network.js); distances become walking distances
+ *  - --walk         Walk-time isochrone in minutes (needs --graph); replaces the circle / AOI
+ *  - --aspects      Aspect values: "center", or "mean" / "min" / "max" over the area (default: profile, else center)
+ *  - --overlap      Overlapping zones: "first", "max", "min" or "mean" (default: profile, else first)
+ *  - --surface      Smooth aspect surface: "none", "idw" or "kernel" (default: profile, else none)
+ *  - --prefs        Preferences file: either `{ preferences, weights, dealbreakers }`
+ *                   or a plain `{ type: -3…+3 }` map
+ *  - --profile      Scoring profile JSON (default static/data/profiles/default.json, like the web app)
+ *  - --points       Points dataset (default static/data/features.json)
+ *  - --polygons     Polygons dataset (default static/data/features_poly.json)
+ *  - --gazetteer    Address gazetteer for the nearest-address label (default static/data/geocoding.json)
+ *  - --help, -h     Print usage and exit
+ *
+ * Exit codes: 0 on success (or --help), 1 on bad arguments or unreadable files.
+ */
+
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+import { buildHabBundle } from "../static/js/bundle.js";
+import { scoreBundle } from "../static/js/hab_score.js";
+import { normalizeProfile } from "../static/js/scoring_profile.js";
+import { normalizeRules } from "../static/js/dealbreakers.js";
+import { Gazetteer } from "../static/js/geocoder.js";
+import { aoiFromGeoJSON, createAOI } from "../static/js/aoi.js";
+import { WalkGraph, WALK_M_PER_MIN } from "../static/js/network.js";
+import { AGGREGATE_MODES, normalizeAspectMode } from "../static/js/aspects.js";
+import { SURFACE_METHODS } from "../static/js/surface.js";
+import { OVERLAP_MODES } from "../static/js/geo.js";
+
+/** Repository root (one level above tools/). */
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/** Printed by --help (same as the header above). */
+const USAGE = `Usage:
+  node tools/score_location.mjs --lat 40.7128 --lon -74.0060 --radius 800 \\
+      [--prefs prefs.json] [--profile static/data/profiles/default.json] \\
+      [--points static/data/features.json] [--polygons static/data/features_poly.json] \\
+      [--gazetteer static/data/geocoding.json]
+  node tools/score_location.mjs --aoi area.geojson [--from boundary] [--lat … --lon …] [--prefs prefs.json]
+  node tools/score_location.mjs --lat … --lon … --graph walk_graph.json --walk 10 [--prefs prefs.json]
+
+Options:
+  --lat, --lon   Center (degrees); with --aoi they set the anchor (optional)
+  --radius       Radius in meters (not used with --aoi)
+  --aoi          Area of interest as GeoJSON (polygons, or points with radius_m); replaces the circle
+  --from         AOI element distances: "anchor" (default) or "boundary"
+  --graph        Walking street graph (see static/js/network.js); distances become walking distances
+  --walk         Walk-time isochrone in minutes (needs --graph); replaces the circle / AOI
+  --aspects      Aspect values: "center", or "mean" / "min" / "max" over the area (default: profile, else center)
+  --overlap      Overlapping zones: "first", "max", "min" or "mean" (default: profile, else first)
+  --surface      Smooth aspect surface: "none", "idw" or "kernel" (default: profile, else none)
+  --prefs        Preferences file: either { preferences, weights, dealbreakers }
+                 or a plain { type: -3…+3 } map
+  --profile      Scoring profile JSON (default static/data/profiles/default.json, like the web app)
+  --points       Points dataset (default static/data/features.json)
+  --polygons     Polygons dataset (default static/data/features_poly.json)
+  --gazetteer    Address gazetteer for the nearest-address label (default static/data/geocoding.json)
+  --help, -h     Print this help
+
+Prints { bundle, score } as JSON. Exit codes: 0 on success, 1 on bad arguments or unreadable files.
+`;
+
+/** Flags that take a value, with their defaults. */
+const DEFAULTS = {
+    lat: null,
+    lon: null,
+    radius: null,
+    prefs: null,
+    profile: path.join(ROOT, "static/data/profiles/default.json"),
+    points: path.join(ROOT, "static/data/features.json"),
+    polygons: path.join(ROOT, "static/data/features_poly.json"),
+    gazetteer: path.join(ROOT, "static/data/geocoding.json"),
+    aoi: null,
+    from: "anchor",
+    graph: null,
+    walk: null,
+    aspects: null,
+    overlap: null,
+    surface: null,
+};
+
+/**
+ * Parse `--name value` / `--name=value` pairs.
+ * @param {string[]} argv
+ * @returns {Record<string, string|null>}
+ * @throws {Error} on unknown flags or missing values
+ */
+function parseArgs(argv) {
+    const args = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const m = /^--([a-z]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!m || !(m[1] in DEFAULTS)) throw new Error(`unknown argument "${argv[i]}"`);
+        const value = m[2] ?? argv[++i];
+        if (value == null) throw new Error(`--${m[1]} needs a value`);
+        args[m[1]] = value;
+    }
+    return args;
+}
+
+/**
+ * Read and parse a JSON file.
+ * @param {string} file
+ * @returns {Promise<any>}
+ */
+async function readJSON(file) {
+    return JSON.parse(await readFile(file, "utf8"));
+}
+
+/**
+ * Report a dropped dealbreaker rule on stderr.
+ * @param {any} rule
+ */
+function skipRule(rule) {
+    console.error(`score_location: skipping malformed dealbreaker ${JSON.stringify(rule)}`);
+}
+
+/**
+ * Split a preferences file into per-type preferences and scoring options.
+ * @param {any} raw
+ * @returns {{prefs: Record<string,number>, weights?: Record<string,number>, dealbreakers: Array}}
+ */
+function splitPrefs(raw) {
+    if (!raw) return { prefs: {}, dealbreakers: [] };
+    const nested = raw.preferences ?? raw.prefs;
+    if (nested) return { prefs: nested, weights: raw.weights, dealbreakers: normalizeRules(raw.dealbreakers, skipRule) };
+    return { prefs: raw, dealbreakers: [] };
+}
+
+/** Entry point. */
+async function main() {
+    // Print usage on request
+    const argv = process.argv.slice(2);
+    if (argv.includes("--help") || argv.includes("-h")) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    // Determine arguments
+    const args = parseArgs(argv);
+    const lat = Number(args.lat), lon = Number(args.lon), radiusM = Number(args.radius);
+    const hasCenter = args.lat != null && args.lon != null;
+    if (args.from !== "anchor" && args.from !== "boundary") throw new Error(`--from must be "anchor" or "boundary"`);
+    if (!args.aoi && !hasCenter) throw new Error("--lat and --lon are required (or an --aoi)");
+    if (hasCenter && (!Number.isFinite(lat) || !Number.isFinite(lon))) throw new Error("--lat and --lon must be numbers");
+    const walkMin = args.walk == null ? 0 : Number(args.walk);
+    if (!(walkMin >= 0)) throw new Error("--walk must be a number of minutes");
+    if (walkMin > 0 && !args.graph) throw new Error("--walk needs a --graph");
+    if (args.aspects != null && !(args.aspects in AGGREGATE_MODES)) throw new Error(`--aspects must be one of ${Object.keys(AGGREGATE_MODES).join(", ")}`);
+    if (args.overlap != null && !OVERLAP_MODES.includes(args.overlap)) throw new Error(`--overlap must be one of ${OVERLAP_MODES.join(", ")}`);
+    if (args.surface != null && !(args.surface in SURFACE_METHODS)) throw new Error(`--surface must be one of ${Object.keys(SURFACE_METHODS).join(", ")}`);
+    if (!args.aoi && !walkMin && !(radiusM > 0)) throw new Error("--radius must be a positive number of meters");
+
+    // Area of interest (anchor from --lat/--lon when given)
+    let aoi = null;
+    if (args.aoi) {
+        const shape = aoiFromGeoJSON(await readJSON(args.aoi));
+        aoi = createAOI({ ...shape, anchor: hasCenter ? { lat, lon } : shape.anchor, distance_from: args.from });
+    }
+
+    // Load datasets, preferences and profile
+    const dataset = { points: await readJSON(args.points), polygons: await readJSON(args.polygons) };
+    const { prefs, weights, dealbreakers } = splitPrefs(args.prefs ? await readJSON(args.prefs) : null);
+    const profile = normalizeProfile(await readJSON(args.profile));
+    profile.warnings.forEach((w) => console.error(`score_location: profile: ${w}`));
+    const gazetteer = new Gazetteer(await readJSON(args.gazetteer));
+    const graph = args.graph ? new WalkGraph(await readJSON(args.graph)) : null;
+
+    // Build and score
+    const bundle = buildHabBundle({ lat, lon }, radiusM, dataset, prefs, {
+        weights,
+        profile,
+        dealbreakers: dealbreakers.length ? dealbreakers : normalizeRules(profile.dealbreakers, skipRule),
+        gazetteer,
+        aoi,
+        network: graph ? { graph, max_m: walkMin * WALK_M_PER_MIN } : null,
+        aspectMode: normalizeAspectMode({
+            ...profile.aspect_values,
+            ...(args.aspects && { aggregate: args.aspects }),
+            ...(args.overlap && { overlap: args.overlap }),
+            ...(args.surface && { surface: args.surface }),
+        }),
+    });
+    const score = scoreBundle(bundle);
+
+    process.stdout.write(JSON.stringify({ bundle, score }, null, 2) + "\n");
+}
+
+main().catch((err) => {
+    console.error(`score_location: ${err.message}`);
+    process.exit(1);
+});